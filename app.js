@@ -1,49 +1,84 @@
 const express = require('express');
-const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const chargesRouter = require('./routes/charges');
 const customersRouter = require('./routes/customers');
 const merchantsRouter = require('./routes/merchants');
+const refundsRouter = require('./routes/refunds');
+const tokensRouter = require('./routes/tokens');
+const paymentMethodsRouter = require('./routes/paymentMethods');
+const eventsRouter = require('./routes/events');
+const webhookEndpointsRouter = require('./routes/webhookEndpoints');
+const adminRouter = require('./routes/admin');
+const apiKeysRouter = require('./routes/apiKeys');
+const merchantUsersRouter = require('./routes/merchantUsers');
+const balanceRouter = require('./routes/balance');
+const balanceTransactionsRouter = require('./routes/balanceTransactions');
+const bankAccountsRouter = require('./routes/bankAccounts');
+const payoutsRouter = require('./routes/payouts');
+const disputesRouter = require('./routes/disputes');
+const productsRouter = require('./routes/products');
+const pricesRouter = require('./routes/prices');
+const subscriptionsRouter = require('./routes/subscriptions');
+const invoicesRouter = require('./routes/invoices');
+const radarRouter = require('./routes/radar');
+const checkoutSessionsRouter = require('./routes/checkoutSessions');
+const hostedRouter = require('./routes/hosted');
+const paymentIntentsRouter = require('./routes/paymentIntents');
+const threeDSecureRouter = require('./routes/threeDSecure');
 const auth = require('./utils/auth');
+const { idempotent, idempotency } = require('./utils/idempotency');
+const rateLimit = require('./utils/rateLimit');
+const errors = require('./utils/errors');
+const logger = require('./utils/logger');
+const openapi = require('./utils/openapi');
+const migrate = require('./utils/migrate');
+const apiKeys = require('./utils/apiKeys');
+
+// Merchant and API key responses carry plaintext keys and login tokens, which are not kept for replay.
+const idempotentWithoutSecrets = idempotent({ redact: apiKeys.withoutSecrets });
 
 const app = express();
+// Bracketed query parameters such as created[gte] are parsed into objects for list filters.
+app.set('query parser', 'extended');
+app.use(logger.requestContext);
 app.use(express.json());
-const swaggerOptions = {
-  swaggerDefinition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'Payment Gateway API',
-      version: '1.0.0',
-      description: 'A simple payment gateway API',
-    },
-    servers: [
-      {
-        url: 'http://localhost:3000',
-      },
-    ],
-    components: {
-      securitySchemes: {
-        bearerAuth: {
-          type: 'http',
-          scheme: 'bearer',
-          bearerFormat: 'JWT',
-        },
-      },
-    },
-    security: [
-      {
-        bearerAuth: [],
-      },
-    ],
-  },
-  apis: ['./routes/*.js'],
-};
-const swaggerDocs = swaggerJsDoc(swaggerOptions);
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(openapi));
+app.get('/api-docs.json', (req, res) => res.json(openapi));
 
 // Routes
-app.use('/v1/charges', auth.authenticate, chargesRouter);
-app.use('/v1/customers', auth.authenticate, customersRouter);
-app.use('/v1/merchants', merchantsRouter);
+app.use('/v1/charges', auth.authenticate, rateLimit.perMerchant, idempotency, chargesRouter);
+app.use('/v1/customers', auth.authenticate, rateLimit.perMerchant, idempotency, customersRouter);
+app.use('/v1/merchants', idempotentWithoutSecrets, merchantsRouter);
+app.use('/v1/refunds', auth.authenticate, rateLimit.perMerchant, auth.authorize('refunds'), idempotency, refundsRouter);
+app.use('/v1/tokens', auth.authenticatePublishable, rateLimit.perMerchant, auth.authorize('tokens'), idempotency, tokensRouter);
+app.use('/v1/payment_methods', auth.authenticate, rateLimit.perMerchant, auth.authorize('payment_methods'), idempotency, paymentMethodsRouter);
+app.use('/v1/events', auth.authenticate, rateLimit.perMerchant, auth.authorize('events'), eventsRouter);
+app.use('/v1/webhook_endpoints', auth.authenticate, rateLimit.perMerchant, auth.authorize('webhook_endpoints'), idempotency, webhookEndpointsRouter);
+app.use('/v1/balance', auth.authenticate, rateLimit.perMerchant, auth.authorize('balance'), balanceRouter);
+app.use('/v1/balance_transactions', auth.authenticate, rateLimit.perMerchant, auth.authorize('balance'), balanceTransactionsRouter);
+app.use('/v1/bank_accounts', auth.authenticate, rateLimit.perMerchant, auth.authorize('payouts'), idempotency, bankAccountsRouter);
+app.use('/v1/payouts', auth.authenticate, rateLimit.perMerchant, auth.authorize('payouts'), idempotency, payoutsRouter);
+app.use('/v1/disputes', auth.authenticate, rateLimit.perMerchant, auth.authorize('disputes'), idempotency, disputesRouter);
+app.use('/v1/products', auth.authenticate, rateLimit.perMerchant, auth.authorize('billing'), idempotency, productsRouter);
+app.use('/v1/prices', auth.authenticate, rateLimit.perMerchant, auth.authorize('billing'), idempotency, pricesRouter);
+app.use('/v1/subscriptions', auth.authenticate, rateLimit.perMerchant, auth.authorize('billing'), idempotency, subscriptionsRouter);
+app.use('/v1/invoices', auth.authenticate, rateLimit.perMerchant, auth.authorize('billing'), idempotency, invoicesRouter);
+app.use('/v1/radar', auth.authenticate, rateLimit.perMerchant, auth.authorize('radar'), idempotency, radarRouter);
+app.use('/v1/checkout/sessions', auth.authenticate, rateLimit.perMerchant, auth.authorize('checkout_sessions'), idempotency, checkoutSessionsRouter);
+app.use('/v1/payment_intents', auth.authenticate, rateLimit.perMerchant, auth.authorize('payment_intents'), idempotency, paymentIntentsRouter);
+app.use('/v1/merchant_users', auth.authenticate, rateLimit.perMerchant, auth.authorize('team'), idempotency, merchantUsersRouter);
+app.use('/v1/api_keys', auth.authenticate, rateLimit.perMerchant, auth.authorize('api_keys'), idempotentWithoutSecrets, apiKeysRouter);
+app.use('/v1/admin', auth.authenticateAdmin, adminRouter);
+app.use('/checkout', rateLimit.perIpHosted, hostedRouter);
+app.use('/3ds', rateLimit.perIpHosted, threeDSecureRouter);
+
+app.use(errors.unknownRoute);
+app.use(errors.handleErrors);
 
-app.listen(3000, () => console.log('Server running on port 3000'));
\ No newline at end of file
+// Refuse to serve until the schema matches the code.
+migrate.assertUpToDate()
+  .then(() => app.listen(3000, () => logger.info('Server running on port 3000')))
+  .catch((err) => {
+    logger.error('Server failed to start', { err });
+    process.exit(1);
+  });
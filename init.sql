@@ -1,28 +0,0 @@
-CREATE TABLE IF NOT EXISTS merchants (
-    id SERIAL PRIMARY KEY,
-    merchant_id VARCHAR(255) UNIQUE NOT NULL,
-    name VARCHAR(255),
-    email VARCHAR(255) UNIQUE NOT NULL,
-    api_key VARCHAR(255) UNIQUE NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE TABLE IF NOT EXISTS customers (
-    id VARCHAR(255) PRIMARY KEY,
-    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
-    name VARCHAR(255),
-    email VARCHAR(255),
-    description TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE TABLE IF NOT EXISTS charges (
-    id VARCHAR(255) PRIMARY KEY,
-    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
-    amount INTEGER NOT NULL,
-    currency VARCHAR(3) NOT NULL,
-    status VARCHAR(50) NOT NULL DEFAULT 'pending',  -- pending, succeeded, failed, authorized, captured
-    description TEXT,
-    metadata JSONB,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
@@ -0,0 +1,32 @@
+-- Drops every table, and with them all data.
+DROP TABLE IF EXISTS
+    events,
+    webhook_attempts,
+    webhook_endpoints,
+    jobs,
+    rate_limit_buckets,
+    radar_value_list_items,
+    radar_value_lists,
+    radar_rules,
+    idempotency_keys,
+    payouts,
+    bank_accounts,
+    disputes,
+    payment_intents,
+    checkout_sessions,
+    invoice_lines,
+    invoices,
+    subscription_items,
+    subscriptions,
+    prices,
+    products,
+    ledger_entries,
+    balance_transactions,
+    refunds,
+    charges,
+    payment_methods,
+    tokens,
+    customers,
+    api_keys,
+    merchants
+CASCADE;
@@ -0,0 +1,584 @@
+-- The schema as it stood when migrations were introduced, formerly init.sql. Every statement is
+-- idempotent and the upgrade steps at the end bring any older init.sql schema up to date, so running
+-- this against an existing database adopts it into the migration history without losing data.
+-- Later schema changes go in new numbered migrations, never in this file.
+
+CREATE TABLE IF NOT EXISTS merchants (
+    id SERIAL PRIMARY KEY,
+    merchant_id VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    fee_percent NUMERIC(5, 2) NOT NULL DEFAULT 2.90,  -- processing fee: fee_percent of the amount plus fee_fixed
+    fee_fixed INTEGER NOT NULL DEFAULT 30,  -- in the charge currency's smallest unit
+    settlement_delay_days INTEGER NOT NULL DEFAULT 2,  -- days before charge funds become available
+    payout_interval VARCHAR(50) NOT NULL DEFAULT 'daily',  -- daily, weekly, manual
+    payout_weekly_anchor VARCHAR(50) NOT NULL DEFAULT 'monday',  -- day of the week for weekly payouts
+    rate_limit_read_per_minute INTEGER,  -- NULL uses the RATE_LIMIT_READ_PER_MINUTE default
+    rate_limit_write_per_minute INTEGER,  -- NULL uses the RATE_LIMIT_WRITE_PER_MINUTE default
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,  -- secret, publishable
+    livemode BOOLEAN NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,  -- SHA-256 of the key; the key itself is never stored
+    redacted VARCHAR(255) NOT NULL,  -- e.g. sk_test_...a1b2, safe to display
+    expires_at TIMESTAMP,  -- end of the grace period after a roll
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    name VARCHAR(255),
+    email VARCHAR(255),
+    description TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tokens (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    type VARCHAR(50) NOT NULL DEFAULT 'card',
+    card JSONB NOT NULL,  -- brand, last4, exp_month, exp_year, fingerprint; never the full number or CVC
+    billing_details JSONB,
+    used BOOLEAN NOT NULL DEFAULT false,  -- tokens are single-use
+    client_ip VARCHAR(45),  -- the address the card details were sent from, for radar
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payment_methods (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL,
+    type VARCHAR(50) NOT NULL DEFAULT 'card',
+    card JSONB NOT NULL,  -- same shape as tokens.card
+    billing_details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS charges (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL,
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',  -- pending, in_review, succeeded, failed, authorized, captured, canceled, expired
+    description TEXT,
+    metadata JSONB,
+    payment_method_id VARCHAR(255) REFERENCES payment_methods(id) ON DELETE SET NULL,
+    payment_method_details JSONB,  -- { type, card: { brand, last4, exp_month, exp_year, fingerprint }, billing_details }
+    capture_method VARCHAR(50) NOT NULL DEFAULT 'automatic',  -- automatic, or manual to only authorize
+    ip_address VARCHAR(45),
+    outcome JSONB,  -- radar's assessment: { type, risk_level, risk_score, rule }
+    failure_code VARCHAR(100),  -- set when status is failed
+    failure_message TEXT,
+    captured BOOLEAN NOT NULL DEFAULT false,
+    amount_captured INTEGER NOT NULL DEFAULT 0,
+    authorization_expires_at TIMESTAMP,  -- set while status is authorized
+    amount_refunded INTEGER NOT NULL DEFAULT 0,
+    refunded BOOLEAN NOT NULL DEFAULT false,
+    disputed BOOLEAN NOT NULL DEFAULT false,
+    invoice_id VARCHAR(255),  -- set when the charge pays a subscription invoice
+    payment_intent_id VARCHAR(255),  -- set when the charge is an attempt to pay a payment intent
+    balance_transaction VARCHAR(255),  -- set once funds are collected
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    charge_id VARCHAR(255) NOT NULL REFERENCES charges(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',  -- pending, succeeded, failed
+    reason VARCHAR(50),
+    metadata JSONB,
+    balance_transaction VARCHAR(255),  -- set once the refund succeeds
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS refunds_charge_id_idx ON refunds(charge_id);
+
+-- One row per movement of a merchant's money, as shown to the merchant.
+CREATE TABLE IF NOT EXISTS balance_transactions (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    type VARCHAR(50) NOT NULL,  -- charge, refund, adjustment, payout, payout_failure, dispute
+    source_id VARCHAR(255),  -- the charge, refund, etc. that caused it
+    amount INTEGER NOT NULL,  -- gross, negative for money leaving the balance
+    fee INTEGER NOT NULL DEFAULT 0,
+    net INTEGER NOT NULL,  -- amount - fee
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(50) NOT NULL,  -- pending, available
+    available_on TIMESTAMP NOT NULL,
+    description TEXT,
+    payout_id VARCHAR(255),  -- the payout that swept these funds out of the available balance
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS balance_transactions_merchant_idx ON balance_transactions(merchant_id, livemode, created_at);
+CREATE INDEX IF NOT EXISTS balance_transactions_settlement_idx ON balance_transactions(available_on) WHERE status = 'pending';
+
+-- Double-entry ledger behind the balance. The entries of a balance transaction always sum to zero.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id SERIAL PRIMARY KEY,
+    balance_transaction_id VARCHAR(255) NOT NULL REFERENCES balance_transactions(id) ON DELETE CASCADE,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    account VARCHAR(50) NOT NULL,  -- merchant_pending, merchant_available, platform_fees, platform_adjustments, external
+    amount INTEGER NOT NULL,  -- positive credits the account, negative debits it
+    currency VARCHAR(3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS ledger_entries_balance_idx ON ledger_entries(merchant_id, livemode, account, currency);
+
+CREATE TABLE IF NOT EXISTS products (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prices are immutable apart from `active`; create a new price to charge a different amount.
+CREATE TABLE IF NOT EXISTS prices (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    unit_amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    recurring_interval VARCHAR(50) NOT NULL,  -- day, week, month, year
+    recurring_interval_count INTEGER NOT NULL DEFAULT 1,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    customer_id VARCHAR(255) NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL,  -- trialing, active, past_due, canceled
+    currency VARCHAR(3) NOT NULL,
+    current_period_start TIMESTAMP NOT NULL,
+    current_period_end TIMESTAMP NOT NULL,
+    trial_end TIMESTAMP,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    canceled_at TIMESTAMP,
+    default_payment_method_id VARCHAR(255) REFERENCES payment_methods(id) ON DELETE SET NULL,  -- overrides the customer's default
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS subscriptions_period_end_idx ON subscriptions(current_period_end) WHERE status IN ('trialing', 'active', 'past_due');
+
+CREATE TABLE IF NOT EXISTS subscription_items (
+    id VARCHAR(255) PRIMARY KEY,
+    subscription_id VARCHAR(255) NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    price_id VARCHAR(255) NOT NULL REFERENCES prices(id),
+    quantity INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    customer_id VARCHAR(255) NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    subscription_id VARCHAR(255) REFERENCES subscriptions(id) ON DELETE SET NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'open',  -- open, paid, uncollectible
+    billing_reason VARCHAR(50) NOT NULL,  -- subscription_create, subscription_cycle, subscription_update
+    currency VARCHAR(3) NOT NULL,
+    amount_due INTEGER NOT NULL,
+    amount_paid INTEGER NOT NULL DEFAULT 0,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    next_payment_attempt TIMESTAMP,  -- NULL while a payment is in flight or once the invoice is settled
+    charge_id VARCHAR(255),  -- the latest payment attempt
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS invoices_retry_idx ON invoices(next_payment_attempt) WHERE status = 'open';
+
+-- Lines with no invoice yet are pending prorations, picked up by the subscription's next invoice.
+CREATE TABLE IF NOT EXISTS invoice_lines (
+    id VARCHAR(255) PRIMARY KEY,
+    invoice_id VARCHAR(255) REFERENCES invoices(id) ON DELETE CASCADE,
+    subscription_id VARCHAR(255) REFERENCES subscriptions(id) ON DELETE CASCADE,
+    price_id VARCHAR(255) REFERENCES prices(id),
+    description TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    amount INTEGER NOT NULL,  -- negative for credits
+    proration BOOLEAN NOT NULL DEFAULT false,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS invoice_lines_invoice_idx ON invoice_lines(invoice_id);
+CREATE INDEX IF NOT EXISTS invoice_lines_pending_idx ON invoice_lines(subscription_id) WHERE invoice_id IS NULL;
+
+-- Hosted checkout: line items are { name, unit_amount, quantity }, and amount_total is their sum.
+CREATE TABLE IF NOT EXISTS checkout_sessions (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'open',  -- open, complete, expired
+    payment_status VARCHAR(50) NOT NULL DEFAULT 'unpaid',  -- unpaid, processing, paid
+    currency VARCHAR(3) NOT NULL,
+    line_items JSONB NOT NULL,
+    amount_total INTEGER NOT NULL,
+    success_url TEXT NOT NULL,
+    cancel_url TEXT NOT NULL,
+    charge_id VARCHAR(255),  -- the latest payment attempt
+    last_payment_error JSONB,
+    metadata JSONB,
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS checkout_sessions_list_idx ON checkout_sessions(merchant_id, livemode, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS checkout_sessions_charge_idx ON checkout_sessions(charge_id);
+CREATE INDEX IF NOT EXISTS checkout_sessions_expiry_idx ON checkout_sessions(expires_at) WHERE status = 'open';
+
+-- A payment intent tracks one payment through confirmation, 3-D Secure and however many charge attempts it takes.
+CREATE TABLE IF NOT EXISTS payment_intents (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL,
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(50) NOT NULL,  -- requires_payment_method, requires_confirmation, requires_action, processing, succeeded, canceled
+    description TEXT,
+    metadata JSONB,
+    payment_method_id VARCHAR(255) REFERENCES payment_methods(id) ON DELETE SET NULL,
+    payment_method_details JSONB,  -- the card to charge, as on charges; NULL until one is attached
+    ip_address VARCHAR(45),  -- where the attached token was created, for radar
+    next_action JSONB,  -- set while status is requires_action
+    return_url TEXT,
+    last_payment_error JSONB,
+    latest_charge_id VARCHAR(255),
+    cancellation_reason VARCHAR(50),
+    canceled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payment_intents_list_idx ON payment_intents(merchant_id, livemode, created_at DESC, id DESC);
+
+CREATE TABLE IF NOT EXISTS disputes (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    charge_id VARCHAR(255) UNIQUE NOT NULL REFERENCES charges(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    reason VARCHAR(50) NOT NULL,  -- fraudulent, duplicate, product_not_received, product_unacceptable, subscription_canceled, general
+    status VARCHAR(50) NOT NULL DEFAULT 'needs_response',  -- needs_response, under_review, won, lost
+    evidence JSONB NOT NULL DEFAULT '{}',  -- text fields and file references supplied by the merchant
+    evidence_due_by TIMESTAMP NOT NULL,
+    evidence_submitted_at TIMESTAMP,
+    balance_transaction VARCHAR(255),  -- set when a lost dispute is debited
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS disputes_merchant_idx ON disputes(merchant_id, livemode, created_at);
+
+CREATE TABLE IF NOT EXISTS bank_accounts (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    account_holder_name VARCHAR(255) NOT NULL,
+    country VARCHAR(2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    routing_number VARCHAR(50) NOT NULL,
+    last4 VARCHAR(4) NOT NULL,  -- the full account number is never stored
+    fingerprint VARCHAR(64) NOT NULL,
+    default_for_currency BOOLEAN NOT NULL DEFAULT false,  -- where payouts in this currency go
+    deleted BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payouts (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    bank_account_id VARCHAR(255) NOT NULL REFERENCES bank_accounts(id),
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',  -- pending, in_transit, paid, failed
+    automatic BOOLEAN NOT NULL DEFAULT false,  -- created by the payout schedule rather than on demand
+    description TEXT,
+    arrival_date TIMESTAMP,  -- expected, then actual, arrival at the bank
+    failure_code VARCHAR(100),  -- set when status is failed
+    failure_message TEXT,
+    balance_transaction VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payouts_merchant_idx ON payouts(merchant_id, livemode, created_at);
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope VARCHAR(255) NOT NULL,  -- merchant_id:test|live, or ip:<address> on unauthenticated routes
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    response_status INTEGER,  -- NULL while the original request is still running
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, idempotency_key)
+);
+
+-- Radar rules are predicates in the search query language, checked before a charge is authorized.
+CREATE TABLE IF NOT EXISTS radar_rules (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    action VARCHAR(50) NOT NULL,  -- allow, review, block
+    predicate TEXT NOT NULL,
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS radar_rules_merchant_idx ON radar_rules(merchant_id, livemode, created_at);
+
+-- Block and allow lists, referenced from rules as @alias.
+CREATE TABLE IF NOT EXISTS radar_value_lists (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    alias VARCHAR(100) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    item_type VARCHAR(50) NOT NULL,  -- card_fingerprint, email, ip_address, country, customer_id, string
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (merchant_id, livemode, alias)
+);
+
+CREATE TABLE IF NOT EXISTS radar_value_list_items (
+    id VARCHAR(255) PRIMARY KEY,
+    value_list_id VARCHAR(255) NOT NULL REFERENCES radar_value_lists(id) ON DELETE CASCADE,
+    value VARCHAR(255) NOT NULL,  -- normalized for the list's item_type
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (value_list_id, value)
+);
+
+-- Token buckets for rate limiting, keyed merchant:<id>:read|write or login:<ip>.
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    key VARCHAR(255) PRIMARY KEY,
+    capacity DOUBLE PRECISION NOT NULL,  -- also the refill rate, in tokens per minute
+    tokens DOUBLE PRECISION NOT NULL,
+    allowed BOOLEAN NOT NULL,  -- whether the last request got a token
+    updated_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,
+    data JSONB NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'queued',  -- queued, running, succeeded, dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    locked_by VARCHAR(255),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS jobs_queued_run_at_idx ON jobs(run_at) WHERE status = 'queued';
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    url TEXT NOT NULL,
+    enabled_events TEXT[] NOT NULL,  -- event types, or '*' for every event
+    secret VARCHAR(255) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'enabled',  -- enabled, disabled
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_attempts (
+    id VARCHAR(255) PRIMARY KEY,
+    webhook_endpoint_id VARCHAR(255) NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    succeeded BOOLEAN NOT NULL,
+    response_code INTEGER,  -- NULL when no response was received
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS webhook_attempts_endpoint_idx ON webhook_attempts(webhook_endpoint_id, created_at);
+
+CREATE TABLE IF NOT EXISTS events (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    livemode BOOLEAN NOT NULL DEFAULT false,
+    type VARCHAR(100) NOT NULL,
+    object_id VARCHAR(255) NOT NULL,
+    data JSONB NOT NULL,  -- { object: <snapshot of the object when the event happened> }
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS events_merchant_type_idx ON events(merchant_id, type, created_at);
+CREATE INDEX IF NOT EXISTS events_merchant_object_idx ON events(merchant_id, object_id, created_at);
+
+-- Charges used to be linked to customers only by mentioning the customer id in their description.
+-- Running this file against an existing database adds the column and backfills it from those mentions.
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS charges_customer_idx ON charges(merchant_id, customer_id, created_at);
+UPDATE charges
+SET customer_id = customers.id
+FROM customers
+WHERE charges.customer_id IS NULL
+  AND customers.merchant_id = charges.merchant_id
+  AND charges.description LIKE '%' || customers.id || '%';
+
+-- Merchants used to choose their own API key, stored in plaintext. Keep those keys working
+-- for login as hashed test-mode secret keys, then drop the plaintext column.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'merchants' AND column_name = 'api_key') THEN
+        INSERT INTO api_keys(id, merchant_id, type, livemode, key_hash, redacted)
+        SELECT 'key_legacy_' || merchant_id, merchant_id, 'secret', false,
+               encode(sha256(convert_to(api_key, 'UTF8')), 'hex'), '...' || right(api_key, 4)
+        FROM merchants
+        ON CONFLICT DO NOTHING;
+        ALTER TABLE merchants DROP COLUMN api_key;
+    END IF;
+END $$;
+
+-- Everything created before test/live separation is test data.
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE payment_methods ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS livemode BOOLEAN NOT NULL DEFAULT false;
+
+-- Amounts used to go unchecked. Normalise stored currency codes and refuse non-positive amounts
+-- from now on; NOT VALID leaves any bad historical rows in place for review instead of failing here.
+UPDATE charges SET currency = LOWER(currency) WHERE currency <> LOWER(currency);
+UPDATE refunds SET currency = LOWER(currency) WHERE currency <> LOWER(currency);
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'charges_amount_positive') THEN
+        ALTER TABLE charges ADD CONSTRAINT charges_amount_positive CHECK (amount > 0) NOT VALID;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'refunds_amount_positive') THEN
+        ALTER TABLE refunds ADD CONSTRAINT refunds_amount_positive CHECK (amount > 0) NOT VALID;
+    END IF;
+END $$;
+
+-- Pricing and settlement settings for merchants created before the ledger existed.
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS fee_percent NUMERIC(5, 2) NOT NULL DEFAULT 2.90;
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS fee_fixed INTEGER NOT NULL DEFAULT 30;
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS settlement_delay_days INTEGER NOT NULL DEFAULT 2;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS balance_transaction VARCHAR(255);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS balance_transaction VARCHAR(255);
+
+-- Charges that succeeded before authorize/capture existed were captured in full.
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS captured BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS amount_captured INTEGER NOT NULL DEFAULT 0;
+UPDATE charges SET captured = true, amount_captured = amount WHERE status = 'succeeded' AND NOT captured;
+
+-- Bring money collected before the ledger existed onto it, as already-available funds,
+-- so balances match the charges table. Safe to rerun: only rows without a balance transaction are touched.
+INSERT INTO balance_transactions(id, merchant_id, livemode, type, source_id, amount, fee, net, currency, status, available_on, description, created_at)
+SELECT 'txn_' || md5('charge:' || c.id), c.merchant_id, c.livemode, 'charge', c.id, c.amount_captured, f.fee, c.amount_captured - f.fee,
+       c.currency, 'available', c.created_at, c.description, c.created_at
+FROM charges c
+JOIN merchants m ON m.merchant_id = c.merchant_id
+CROSS JOIN LATERAL (SELECT LEAST(c.amount_captured, ROUND(c.amount_captured * m.fee_percent / 100)::INTEGER + m.fee_fixed) AS fee) f
+WHERE c.balance_transaction IS NULL AND c.captured AND c.amount_captured > 0
+ON CONFLICT DO NOTHING;
+
+INSERT INTO balance_transactions(id, merchant_id, livemode, type, source_id, amount, fee, net, currency, status, available_on, created_at)
+SELECT 'txn_' || md5('refund:' || r.id), r.merchant_id, r.livemode, 'refund', r.id, -r.amount, 0, -r.amount,
+       r.currency, 'available', r.created_at, r.created_at
+FROM refunds r
+WHERE r.balance_transaction IS NULL AND r.status = 'succeeded'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO ledger_entries(balance_transaction_id, merchant_id, livemode, account, amount, currency, created_at)
+SELECT t.id, t.merchant_id, t.livemode, e.account, e.amount, t.currency, t.created_at
+FROM balance_transactions t
+CROSS JOIN LATERAL (VALUES ('external', -t.amount), ('merchant_available', t.net), ('platform_fees', t.fee)) AS e(account, amount)
+WHERE t.id IN (
+    SELECT 'txn_' || md5('charge:' || id) FROM charges WHERE balance_transaction IS NULL
+    UNION ALL
+    SELECT 'txn_' || md5('refund:' || id) FROM refunds WHERE balance_transaction IS NULL
+) AND e.amount <> 0;
+
+UPDATE charges SET balance_transaction = 'txn_' || md5('charge:' || id)
+WHERE balance_transaction IS NULL AND id IN (SELECT source_id FROM balance_transactions WHERE type = 'charge');
+UPDATE refunds SET balance_transaction = 'txn_' || md5('refund:' || id)
+WHERE balance_transaction IS NULL AND id IN (SELECT source_id FROM balance_transactions WHERE type = 'refund');
+
+-- Payout schedule for existing merchants, and the link from settled funds to the payout that took them.
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS payout_interval VARCHAR(50) NOT NULL DEFAULT 'daily';
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS payout_weekly_anchor VARCHAR(50) NOT NULL DEFAULT 'monday';
+ALTER TABLE balance_transactions ADD COLUMN IF NOT EXISTS payout_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS balance_transactions_unpaid_idx ON balance_transactions(merchant_id, livemode, currency) WHERE payout_id IS NULL;
+
+-- Charges gained a dispute flag.
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS disputed BOOLEAN NOT NULL DEFAULT false;
+
+-- Recurring billing: charges can pay invoices, and customers have a default payment method for them.
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS invoice_id VARCHAR(255);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS default_payment_method_id VARCHAR(255) REFERENCES payment_methods(id) ON DELETE SET NULL;
+
+-- Cursor pagination walks lists newest first by (created_at, id).
+CREATE INDEX IF NOT EXISTS charges_list_idx ON charges(merchant_id, livemode, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS customers_list_idx ON customers(merchant_id, livemode, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS customers_email_idx ON customers(merchant_id, livemode, lower(email));
+
+-- Search: customers gained metadata, and metadata lookups compile to JSONB containment (@>).
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS metadata JSONB;
+CREATE INDEX IF NOT EXISTS charges_metadata_idx ON charges USING GIN (metadata jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS customers_metadata_idx ON customers USING GIN (metadata jsonb_path_ops);
+
+-- Merchants can be given their own rate limits.
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS rate_limit_read_per_minute INTEGER;
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS rate_limit_write_per_minute INTEGER;
+
+-- Radar: charges record where they came from and how they were assessed, and can wait in review.
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS client_ip VARCHAR(45);
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS payment_method_details JSONB;  -- indexed below, so make sure it exists
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS capture_method VARCHAR(50) NOT NULL DEFAULT 'automatic';
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS outcome JSONB;
+CREATE INDEX IF NOT EXISTS charges_card_fingerprint_idx ON charges(merchant_id, livemode, ((payment_method_details->'card'->>'fingerprint')), created_at);
+CREATE INDEX IF NOT EXISTS charges_ip_address_idx ON charges(merchant_id, livemode, ip_address, created_at) WHERE ip_address IS NOT NULL;
+
+-- Payment intents: each charge attempt records the intent it belongs to.
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS payment_intent_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS charges_payment_intent_idx ON charges(payment_intent_id) WHERE payment_intent_id IS NOT NULL;
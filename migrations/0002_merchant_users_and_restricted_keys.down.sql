@@ -0,0 +1,4 @@
+DELETE FROM api_keys WHERE type = 'restricted';
+ALTER TABLE api_keys DROP COLUMN permissions;
+ALTER TABLE api_keys DROP COLUMN name;
+DROP TABLE merchant_users;
@@ -0,0 +1,18 @@
+-- Team members: people with their own login under a merchant account, each with a role
+-- (owner, admin, developer, analyst, support) that decides what they may do.
+CREATE TABLE merchant_users (
+    id VARCHAR(255) PRIMARY KEY,
+    merchant_id VARCHAR(255) NOT NULL REFERENCES merchants(merchant_id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    role VARCHAR(50) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,  -- <salt>:<scrypt hash>
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX merchant_users_email_idx ON merchant_users(lower(email));
+CREATE INDEX merchant_users_merchant_idx ON merchant_users(merchant_id, created_at);
+
+-- Restricted keys (type 'restricted', rk_...) carry their own permissions: resource -> 'read' or 'write'.
+ALTER TABLE api_keys ADD COLUMN name VARCHAR(255);
+ALTER TABLE api_keys ADD COLUMN permissions JSONB;
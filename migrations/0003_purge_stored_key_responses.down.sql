@@ -0,0 +1 @@
+-- Nothing to restore: the deleted rows were cached responses, not data.
@@ -0,0 +1,8 @@
+-- Idempotent replays used to store whole responses, including the plaintext API keys and login
+-- tokens returned by /v1/merchants and /v1/api_keys. Those routes now store them without the
+-- secrets; remove what was stored before. The purge only reaches rows that can hold a secret:
+-- unauthenticated (ip:) scopes, which only ever served /v1/merchants and its login, and
+-- /v1/api_keys responses, recognized by their top-level key. Replays on other routes are kept.
+DELETE FROM idempotency_keys
+WHERE scope LIKE 'ip:%'
+   OR response_body->>'key' ~ '^(sk|pk|rk)_(test|live)_';
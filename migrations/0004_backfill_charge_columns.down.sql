@@ -0,0 +1 @@
+-- Nothing to revert: 0001 creates these columns on new databases, so they are not this migration's to drop.
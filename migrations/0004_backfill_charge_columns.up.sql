@@ -0,0 +1,10 @@
+-- Databases created from init.sql before 0001 kept their older charges table, as 0001 creates
+-- tables only if they do not exist. Add the charge columns from refunds, authorize/capture,
+-- payment methods and declines that such tables lack; elsewhere these are no-ops. Charges made
+-- before them had no refunds, authorizations, payment methods or recorded decline reasons.
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS payment_method_id VARCHAR(255) REFERENCES payment_methods(id) ON DELETE SET NULL;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS failure_code VARCHAR(100);
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS failure_message TEXT;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS authorization_expires_at TIMESTAMP;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS amount_refunded INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE charges ADD COLUMN IF NOT EXISTS refunded BOOLEAN NOT NULL DEFAULT false;
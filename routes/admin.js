@@ -0,0 +1,509 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const queue = require('../utils/queue');
+const ledger = require('../utils/ledger');
+const currencies = require('../utils/currencies');
+const disputes = require('../utils/disputes');
+const rateLimit = require('../utils/rateLimit');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead'];
+
+/**
+ * @swagger
+ * /v1/admin/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Returns jobs from the worker queue, newest first. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, dead]
+ *         description: Only return jobs in this status.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only return jobs of this type (e.g. "process_charge").
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of jobs to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of jobs to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/jobs', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['status', 'type']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const { status, type } = req.query;
+
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    throw errors.invalidRequest(`Status must be one of: ${JOB_STATUSES.join(', ')}.`, { param: 'status' });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { rows } = await db.query(
+    `SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM jobs ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{id}:
+ *   get:
+ *     summary: Retrieve a background job
+ *     description: Fetches a job including its attempt count and last error. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The job ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/jobs/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    throw errors.notFound('Job not found.');
+  }
+
+  const { rows } = await db.query('SELECT * FROM jobs WHERE id = $1', [id]);
+  if (rows.length === 0) {
+    throw errors.notFound('Job not found.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Re-enqueue a background job
+ *     description: Puts a dead-lettered or finished job back on the queue with a fresh set of attempts. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The job ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    throw errors.notFound('Job not found.');
+  }
+
+  const job = await queue.retry(id);
+  if (!job) {
+    const { rows } = await db.query('SELECT status FROM jobs WHERE id = $1', [id]);
+    if (rows.length === 0) {
+      throw errors.notFound('Job not found.');
+    }
+    throw errors.invalidRequest('Job cannot be retried while it is running.', { code: 'job_running' });
+  }
+  res.json(job);
+});
+
+/**
+ * @swagger
+ * /v1/admin/merchants/{merchantId}/pricing:
+ *   post:
+ *     summary: Update a merchant's pricing and settlement schedule
+ *     description: >
+ *       Sets the processing fee (fee_percent of each charge plus fee_fixed in the charge currency's smallest unit)
+ *       and how many days charge funds stay pending. Applies to charges captured from now on. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The merchant ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fee_percent:
+ *                 type: number
+ *                 description: Percentage of each charge, e.g. 2.9.
+ *               fee_fixed:
+ *                 type: integer
+ *                 description: Fixed fee per charge, e.g. 30.
+ *               settlement_delay_days:
+ *                 type: integer
+ *                 description: Days before charge funds become available.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/merchants/:merchantId/pricing', async (req, res) => {
+  const { fee_percent, fee_fixed, settlement_delay_days } = req.body || {};
+
+  if (fee_percent !== undefined && (typeof fee_percent !== 'number' || fee_percent < 0 || fee_percent >= 100)) {
+    throw errors.invalidRequest('fee_percent must be a number from 0 to below 100.', { param: 'fee_percent' });
+  }
+  if (fee_fixed !== undefined && (!Number.isInteger(fee_fixed) || fee_fixed < 0)) {
+    throw errors.invalidRequest('fee_fixed must be a non-negative integer.', { param: 'fee_fixed' });
+  }
+  if (settlement_delay_days !== undefined && (!Number.isInteger(settlement_delay_days) || settlement_delay_days < 0 || settlement_delay_days > 30)) {
+    throw errors.invalidRequest('settlement_delay_days must be an integer from 0 to 30.', { param: 'settlement_delay_days' });
+  }
+
+  const { rows } = await db.query(
+    `UPDATE merchants SET fee_percent = COALESCE($1, fee_percent), fee_fixed = COALESCE($2, fee_fixed),
+       settlement_delay_days = COALESCE($3, settlement_delay_days)
+     WHERE merchant_id = $4 RETURNING merchant_id, fee_percent, fee_fixed, settlement_delay_days`,
+    [fee_percent, fee_fixed, settlement_delay_days, req.params.merchantId]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Merchant not found.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/admin/merchants/{merchantId}/rate_limits:
+ *   post:
+ *     summary: Update a merchant's rate limits
+ *     description: >
+ *       Sets how many read (GET) and write requests per minute the merchant may make, across test and live mode.
+ *       Pass null to go back to the default. Takes effect on the merchant's next request. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The merchant ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               read_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *               write_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/merchants/:merchantId/rate_limits', async (req, res) => {
+  const body = req.body || {};
+  const fields = { read_per_minute: 'rate_limit_read_per_minute', write_per_minute: 'rate_limit_write_per_minute' };
+
+  const updates = Object.keys(fields).filter(param => body[param] !== undefined);
+  for (const param of updates) {
+    const value = body[param];
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > 100000)) {
+      throw errors.invalidRequest(`${param} must be an integer from 1 to 100000, or null for the default.`, { param });
+    }
+  }
+  if (updates.length === 0) {
+    throw errors.invalidRequest('At least one of read_per_minute or write_per_minute is required.', { code: 'parameter_missing' });
+  }
+
+  const assignments = updates.map((param, i) => `${fields[param]} = $${i + 1}`);
+  const { rows } = await db.query(
+    `UPDATE merchants SET ${assignments.join(', ')} WHERE merchant_id = $${updates.length + 1}
+     RETURNING merchant_id, rate_limit_read_per_minute, rate_limit_write_per_minute`,
+    [...updates.map(param => body[param]), req.params.merchantId]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Merchant not found.');
+  }
+  res.json({
+    merchant_id: rows[0].merchant_id,
+    read_per_minute: rows[0].rate_limit_read_per_minute || rateLimit.DEFAULT_LIMITS.read,
+    write_per_minute: rows[0].rate_limit_write_per_minute || rateLimit.DEFAULT_LIMITS.write,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/admin/balance_adjustments:
+ *   post:
+ *     summary: Adjust a merchant's balance
+ *     description: Credits (positive amount) or debits (negative amount) a merchant's available balance, e.g. to correct an error. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [merchant_id, amount, currency, description]
+ *             properties:
+ *               merchant_id:
+ *                 type: string
+ *               livemode:
+ *                 type: boolean
+ *                 default: false
+ *               amount:
+ *                 type: integer
+ *                 description: Amount in the currency's smallest unit; negative for a debit.
+ *               currency:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 description: Reason for the adjustment, shown to the merchant.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/balance_adjustments', async (req, res) => {
+  const { merchant_id, livemode = false, amount, currency, description } = req.body || {};
+
+  if (!merchant_id) {
+    throw errors.invalidRequest('merchant_id is required.', { param: 'merchant_id', code: 'parameter_missing' });
+  }
+  if (typeof livemode !== 'boolean') {
+    throw errors.invalidRequest('livemode must be a boolean.', { param: 'livemode' });
+  }
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw errors.invalidRequest('Amount must be a non-zero integer.', { param: 'amount' });
+  }
+  const amountError = currencies.checkAmount(Math.abs(amount), currency, { minimum: false });
+  if (amountError) {
+    throw errors.invalidRequest(amountError, { param: 'amount' });
+  }
+  if (!description) {
+    throw errors.invalidRequest('A description is required.', { param: 'description', code: 'parameter_missing' });
+  }
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query('SELECT merchant_id FROM merchants WHERE merchant_id = $1', [merchant_id]);
+    if (rows.length === 0) {
+      throw errors.notFound('Merchant not found.');
+    }
+    const txn = await ledger.recordAdjustment({ merchant_id, livemode, amount, currency: currency.toLowerCase(), description }, { client });
+    return { status: 201, body: txn };
+  });
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/admin/disputes:
+ *   post:
+ *     summary: Open a dispute
+ *     description: Simulates an issuer opening a chargeback on a captured charge. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [charge]
+ *             properties:
+ *               charge:
+ *                 type: string
+ *                 description: The ID of the charge to dispute.
+ *               reason:
+ *                 type: string
+ *                 enum: [fraudulent, duplicate, product_not_received, product_unacceptable, subscription_canceled, general]
+ *                 default: general
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/disputes', async (req, res) => {
+  const { charge: chargeId, reason = 'general' } = req.body || {};
+  if (!chargeId) {
+    throw errors.invalidRequest('Charge is required.', { param: 'charge', code: 'parameter_missing' });
+  }
+  if (!disputes.DISPUTE_REASONS.includes(reason)) {
+    throw errors.invalidRequest(`Reason must be one of: ${disputes.DISPUTE_REASONS.join(', ')}.`, { param: 'reason' });
+  }
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query('SELECT * FROM charges WHERE id = $1 FOR UPDATE', [chargeId]);
+    if (rows.length === 0) {
+      throw errors.notFound('Charge not found.');
+    }
+    if (!rows[0].captured) {
+      throw errors.invalidRequest('Only captured charges can be disputed.', { code: 'charge_not_captured' });
+    }
+    const dispute = await disputes.open(rows[0], { reason, client });
+    if (!dispute) {
+      throw errors.invalidRequest('Charge is already disputed or fully refunded.', { code: 'charge_not_disputable' });
+    }
+    return { status: 201, body: dispute };
+  });
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/admin/disputes/{id}/resolve:
+ *   post:
+ *     summary: Resolve a dispute
+ *     description: Simulates the issuer's ruling on an open dispute, without waiting for the automatic review. Operator access only.
+ *     tags: [Admin]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The dispute ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [won, lost]
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/disputes/:id/resolve', async (req, res) => {
+  const { status } = req.body || {};
+  if (!['won', 'lost'].includes(status)) {
+    throw errors.invalidRequest('Status must be one of: won, lost.', { param: 'status' });
+  }
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query('SELECT * FROM disputes WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      throw errors.notFound('Dispute not found.');
+    }
+    const closed = await disputes.close(rows[0], status, { client });
+    if (!closed) {
+      throw errors.invalidRequest(`Dispute is already closed: Status is ${rows[0].status}.`, { code: 'dispute_not_editable' });
+    }
+    return { status: 200, body: closed };
+  });
+  res.status(result.status).json(result.body);
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const db = require('../utils/db');
+const apiKeys = require('../utils/apiKeys');
+const permissions = require('../utils/permissions');
+const { validateRestrictedKey } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+// Longest grace period a rolled key may keep working for.
+const MAX_GRACE_HOURS = 24 * 7;
+
+// A developer with a secret key could log in as the owner with it, so keys can only be managed with
+// at least the access they carry; see permissions.covers.
+const ensureCanManage = (auth, keyPermissions) => {
+  if (permissions.covers(auth.permissions, keyPermissions)) {
+    return;
+  }
+  throw keyPermissions
+    ? errors.permission('A restricted key cannot have access that you do not have yourself.', 'insufficient_permissions')
+    : errors.permission('Only owners and admins can manage secret and publishable keys.', 'insufficient_permissions');
+};
+
+/**
+ * @swagger
+ * /v1/api_keys:
+ *   post:
+ *     summary: Create a restricted API key
+ *     description: >
+ *       Issues a restricted key (`rk_test_...` or `rk_live_...`) in the current mode, with access to only the
+ *       resources listed in `permissions`: `read` allows GET requests and `write` allows everything. Restricted
+ *       keys cannot manage API keys or the team, nor have access the caller does not have.
+ *       The plaintext key is only returned in this response, not in idempotent replays of it.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: What the key is for, up to 255 characters.
+ *               permissions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   enum: [read, write]
+ *                 description: Resource names, as listed in the Team section, mapped to an access level.
+ *                 example:
+ *                   charges: write
+ *                   customers: read
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/', validateRestrictedKey, async (req, res) => {
+  const { name = null, permissions: keyPermissions } = req.body;
+  ensureCanManage(req.auth, keyPermissions);
+  const key = await apiKeys.issue(req.auth.merchant_id, 'restricted', req.auth.livemode, { name, permissions: keyPermissions });
+  res.status(201).json(key);
+});
+
+/**
+ * @swagger
+ * /v1/api_keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Returns the merchant's API keys for the current mode (test or live). Only a redacted form of each key is shown.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.get('/', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    `SELECT ${apiKeys.KEY_COLUMNS} FROM api_keys WHERE merchant_id = $1 AND livemode = $2 ORDER BY created_at DESC`,
+    [merchantId, livemode]
+  );
+  res.json({ object: 'list', has_more: false, data: rows });
+});
+
+/**
+ * @swagger
+ * /v1/api_keys/{id}/roll:
+ *   post:
+ *     summary: Roll an API key
+ *     description: >
+ *       Issues a replacement key of the same type, mode and permissions. The old key stops working after
+ *       `expires_in_hours` (immediately by default), giving time to deploy the new one.
+ *       The new plaintext key is only returned in this response, not in idempotent replays of it.
+ *       Secret and publishable keys can only be rolled by owners and admins, and restricted keys only
+ *       with at least their access.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The API key ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expires_in_hours:
+ *                 type: integer
+ *                 default: 0
+ *                 description: How long the old key keeps working, up to 168 hours.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/:id/roll', async (req, res) => {
+  const { expires_in_hours = 0 } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (!Number.isInteger(expires_in_hours) || expires_in_hours < 0 || expires_in_hours > MAX_GRACE_HOURS) {
+    throw errors.invalidRequest(`expires_in_hours must be an integer between 0 and ${MAX_GRACE_HOURS}.`, { param: 'expires_in_hours' });
+  }
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE api_keys SET expires_at = NOW() + make_interval(hours => $1)
+       WHERE id = $2 AND merchant_id = $3 AND livemode = $4
+         AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       RETURNING ${apiKeys.KEY_COLUMNS}`,
+      [expires_in_hours, req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('API key not found, already expired or not authorized.');
+    }
+    const { type, name, permissions: keyPermissions } = rows[0];
+    ensureCanManage(req.auth, keyPermissions);
+    const key = await apiKeys.issue(merchantId, type, livemode, { client, name, permissions: keyPermissions });
+    return { status: 201, body: key };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/api_keys/{id}/revoke:
+ *   post:
+ *     summary: Revoke an API key
+ *     description: >
+ *       Disables a key immediately, including any grace period left from a roll. The same rules as for
+ *       rolling decide who can revoke which keys.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The API key ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/:id/revoke', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const key = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND merchant_id = $2 AND livemode = $3
+       RETURNING ${apiKeys.KEY_COLUMNS}`,
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('API key not found or not authorized.');
+    }
+    ensureCanManage(req.auth, rows[0].permissions);
+    return rows[0];
+  });
+  res.json(key);
+});
+
+module.exports = router;
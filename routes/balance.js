@@ -0,0 +1,28 @@
+const express = require('express');
+const ledger = require('../utils/ledger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/balance:
+ *   get:
+ *     summary: Retrieve balance
+ *     description: >
+ *       Returns the merchant's balance per currency. `pending` funds come from charges still waiting
+ *       for their settlement date; `available` funds have settled, less any refunds and adjustments.
+ *     tags: [Balance]
+ *     x-sdk-method: balance.retrieve
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  res.json(await ledger.getBalance(req.auth.merchant_id, req.auth.livemode));
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const TRANSACTION_TYPES = ['charge', 'refund', 'adjustment', 'payout', 'payout_failure', 'dispute'];
+
+/**
+ * @swagger
+ * /v1/balance_transactions/{id}:
+ *   get:
+ *     summary: Retrieve a balance transaction
+ *     description: Fetches a single movement of funds, with its gross amount, fee and net amount.
+ *     tags: [Balance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The balance transaction ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM balance_transactions WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Balance transaction not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/balance_transactions:
+ *   get:
+ *     summary: List balance transactions
+ *     description: Returns every movement of the merchant's funds, newest first, for reconciliation.
+ *     tags: [Balance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [charge, refund, adjustment, payout, payout_failure, dispute]
+ *         description: Only return transactions of this type.
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Only return transactions caused by this charge, refund, etc.
+ *       - in: query
+ *         name: payout
+ *         schema:
+ *           type: string
+ *         description: Only return transactions included in this payout.
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only return transactions in this currency.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of transactions to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of transactions to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['type', 'source', 'payout', 'currency']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { type, source, payout, currency } = req.query;
+
+  if (type !== undefined && !TRANSACTION_TYPES.includes(type)) {
+    throw errors.invalidRequest(`Type must be one of: ${TRANSACTION_TYPES.join(', ')}.`, { param: 'type' });
+  }
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (type) {
+    params.push(type);
+    where += ` AND type = $${params.length}`;
+  }
+  if (source) {
+    params.push(source);
+    where += ` AND source_id = $${params.length}`;
+  }
+  if (payout) {
+    params.push(payout);
+    where += ` AND payout_id = $${params.length}`;
+  }
+  if (currency) {
+    params.push(currency.toLowerCase());
+    where += ` AND currency = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM balance_transactions WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM balance_transactions WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+module.exports = router;
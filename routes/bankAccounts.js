@@ -0,0 +1,187 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const cards = require('../utils/cards');
+const { validateBankAccount } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/bank_accounts:
+ *   post:
+ *     summary: Add a bank account
+ *     description: >
+ *       Registers an external bank account to receive payouts in one currency. The first account for a
+ *       currency becomes its default. Only the last four digits and a fingerprint of the account number
+ *       are stored. In test mode, account number 000111111116 makes payouts fail with `no_account` and
+ *       000111111113 with `account_closed`.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [account_holder_name, account_number, routing_number, country, currency]
+ *             properties:
+ *               account_holder_name:
+ *                 type: string
+ *               account_number:
+ *                 type: string
+ *               routing_number:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *                 description: Two-letter country code.
+ *               currency:
+ *                 type: string
+ *                 description: Currency paid out to this account.
+ *               default_for_currency:
+ *                 type: boolean
+ *                 description: Make this the account that payouts in its currency go to.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateBankAccount, async (req, res) => {
+  const { account_holder_name, account_number, routing_number, country, currency, default_for_currency } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const account = await db.transaction(async (client) => {
+    const { rows: existing } = await client.query(
+      'SELECT id FROM bank_accounts WHERE merchant_id = $1 AND livemode = $2 AND currency = $3 AND default_for_currency AND NOT deleted FOR UPDATE',
+      [merchantId, livemode, currency]
+    );
+    const makeDefault = default_for_currency === true || existing.length === 0;
+    if (makeDefault && existing.length > 0) {
+      await client.query('UPDATE bank_accounts SET default_for_currency = false WHERE id = $1', [existing[0].id]);
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO bank_accounts(id, merchant_id, livemode, account_holder_name, country, currency, routing_number, last4, fingerprint, default_for_currency)
+       VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [`ba_${uuidv4()}`, merchantId, livemode, account_holder_name, country, currency, routing_number,
+        account_number.slice(-4), cards.fingerprint(account_number), makeDefault]
+    );
+    return rows[0];
+  });
+  res.status(201).json(account);
+});
+
+/**
+ * @swagger
+ * /v1/bank_accounts:
+ *   get:
+ *     summary: List bank accounts
+ *     description: Returns the merchant's bank accounts that have not been removed.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM bank_accounts WHERE merchant_id = $1 AND livemode = $2 AND NOT deleted ORDER BY created_at DESC',
+    [merchantId, livemode]
+  );
+  res.json({ object: 'list', has_more: false, data: rows });
+});
+
+/**
+ * @swagger
+ * /v1/bank_accounts/{id}:
+ *   get:
+ *     summary: Retrieve a bank account
+ *     description: Fetches a bank account.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The bank account ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM bank_accounts WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Bank account not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/bank_accounts/{id}:
+ *   delete:
+ *     summary: Remove a bank account
+ *     description: Stops future payouts to this account. Payouts already on their way are unaffected. The default account for a currency can only be removed once another account has been made the default.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The bank account ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.delete('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT default_for_currency FROM bank_accounts WHERE id = $1 AND merchant_id = $2 AND livemode = $3 AND NOT deleted',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Bank account not found or not authorized.');
+  }
+  if (rows[0].default_for_currency) {
+    throw errors.invalidRequest('Add another bank account as the default for this currency before removing this one.', { code: 'bank_account_is_default' });
+  }
+  await db.query('UPDATE bank_accounts SET deleted = true WHERE id = $1', [req.params.id]);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+module.exports = router;
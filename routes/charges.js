@@ -1,9 +1,20 @@
-// charges.js (your original with fixes)
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
+const events = require('../utils/events');
+const currencies = require('../utils/currencies');
+const ledger = require('../utils/ledger');
+const charges = require('../utils/charges');
 const queue = require('../utils/queue');
-const { validateCharge, validateMetadata } = require('../utils/validation');  // Assume you have this
+const billing = require('../utils/billing');
+const checkout = require('../utils/checkout');
+const paymentIntents = require('../utils/paymentIntents');
+const disputes = require('../utils/disputes');
+const pagination = require('../utils/pagination');
+const search = require('../utils/search');
+const testCards = require('../utils/testCards');
+const { validateCharge, validateCapture, validateMetadata } = require('../utils/validation');
+const errors = require('../utils/errors');
+const { authorize } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -12,10 +23,15 @@ const router = express.Router();
  * /v1/charges:
  *   post:
  *     summary: Create a charge
- *     description: Initiates a payment.
+ *     description: >
+ *       Initiates a payment. See the Charges section for test cards with fixed outcomes; a declined charge ends up `failed` with `failure_code` and `failure_message` set.
+ *       Radar assesses the charge first and stores its result as `outcome`: a charge it blocks fails with `failure_code` `blocked`,
+ *       and one it sends to review waits `in_review` until it is approved or rejected.
  *     tags: [Charges]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -25,16 +41,27 @@ const router = express.Router();
  *             properties:
  *               amount:
  *                 type: integer
- *                 description: Amount in cents.
+ *                 description: Amount in the currency's smallest unit, e.g. 1000 is 10.00 USD but 1000 JPY. Must be within the currency's minimum and maximum.
  *               currency:
  *                 type: string
- *                 description: Currency code (e.g., "usd").
+ *                 enum: [usd, eur, gbp, cad, aud, chf, sek, inr, jpy, krw, kwd, bhd]
+ *                 description: Three-letter ISO currency code, in any case. Stored in lowercase.
  *               source:
  *                 type: string
- *                 description: Payment token.
+ *                 description: A single-use card token from /v1/tokens. Use this or payment_method.
+ *               payment_method:
+ *                 type: string
+ *                 description: A payment method ID from /v1/payment_methods. Use this or source.
  *               description:
  *                 type: string
  *                 description: Description of the charge.
+ *               customer:
+ *                 type: string
+ *                 description: ID of one of your customers to attach the charge to.
+ *               capture:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Whether to capture immediately. When false the charge is only authorized and must be captured later.
  *     responses:
  *       '202':
  *         description: Accepted
@@ -42,24 +69,96 @@ const router = express.Router();
  *         description: Bad Request
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.post('/', validateCharge, async (req, res) => {
-  const { amount, currency, source, description } = req.body;  // Add customer if needed
+router.post('/', authorize('charges', 'write'), validateCharge, async (req, res) => {
+  const { amount, currency, source, payment_method, description, customer, capture = true } = req.body;
   const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
 
-  const charge = {
-    id: `ch_${uuidv4()}`,
-    merchant_id: merchantId,
-    amount,
-    currency,
-    status: 'pending',
-    description,
-    
-  };
+  const result = await db.transaction(async (client) => {
+    const customerId = customer || null;
+    if (customer !== undefined) {
+      const customerCheck = await client.query('SELECT id FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [customer, merchantId, livemode]);
+      if (customerCheck.rows.length === 0) {
+        throw errors.invalidRequest(`No such customer: ${customer}.`, { param: 'customer', code: 'resource_missing' });
+      }
+    }
+
+    const resolved = await charges.resolvePaymentSource(client, { merchant_id: merchantId, livemode, customer_id: customerId }, { source, payment_method });
+    if (resolved.error) {
+      throw errors.invalidRequest(resolved.error, resolved);
+    }
+
+    const charge = await charges.enqueueCharge({
+      merchant_id: merchantId,
+      livemode,
+      customer_id: resolved.customer_id,
+      amount,
+      currency,
+      description,
+      payment_method_id: resolved.payment_method_id,
+      card: resolved.card,
+      billing_details: resolved.billing_details,
+      ip_address: resolved.ip_address,
+    }, { capture, client });
+    return { status: 202, body: charge };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/charges/search:
+ *   get:
+ *     summary: Search charges
+ *     description: >
+ *       Finds charges matching a query, newest first, in the same list envelope and with the same cursor
+ *       pagination as the list endpoint. A clause is `field:value` for equality, `field~value` for a
+ *       substring, or `<`, `<=`, `>`, `>=` for ranges; combine clauses with AND and OR, group them in
+ *       parentheses and negate them with a leading `-`. Quote text values. Searchable fields: id, amount, currency, status, customer, payment_method, invoice, payment_intent, description, captured, refunded, disputed, created and `metadata['key']`.
+ *       Example: `metadata['order_id']:'1234' OR (status:'failed' AND amount>=5000)`.
+ *     tags: [Charges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query.
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.get('/search', authorize('charges', 'read'), async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
 
-  queue.enqueue({ type: 'process_charge', data: { ...charge, source } });  // Include source for worker simulation
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : search.addQuery(filters, req.query.query, search.CHARGE_FIELDS);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
 
-  res.status(202).json(charge);
+  const list = await pagination.paginate(db, 'charges', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
 });
 
 /**
@@ -85,20 +184,18 @@ router.post('/', validateCharge, async (req, res) => {
  *         description: Not Found
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('charges', 'read'), async (req, res) => {
   const merchantId = req.auth.merchant_id;
-  try {
-    // This endpoint now reads the status set by the worker
-    const { rows } = await db.query('SELECT * FROM charges WHERE id = $1 AND merchant_id = $2', [req.params.id, merchantId]);
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Charge not found or is still being processed.' });
-    }
-    res.json(rows[0]);
-  } catch (err) {
-    console.error('Error executing query', err.stack);
-    res.status(500).json({ error: 'Internal Server Error' });
+  const { livemode } = req.auth;
+  // This endpoint now reads the status set by the worker
+  const { rows } = await db.query('SELECT * FROM charges WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [req.params.id, merchantId, livemode]);
+  if (rows.length === 0) {
+    throw errors.notFound('Charge not found or is still being processed.');
   }
+  res.json(rows[0]);
 });
 
 /**
@@ -106,48 +203,74 @@ router.get('/:id', async (req, res) => {
  * /v1/charges:
  *   get:
  *     summary: List all charges
- *     description: Returns a list of charges for the authenticated merchant.
+ *     description: >
+ *       Returns the merchant's charges, newest first. Page through them by passing the ID of the last
+ *       charge on a page as `starting_after`, or the first one as `ending_before` to go back. Pages stay
+ *       stable while new charges arrive.
  *     tags: [Charges]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_review, succeeded, failed, authorized, captured, canceled, expired]
+ *         description: Only return charges in this status.
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only return charges in this currency.
  *       - in: query
- *         name: limit
+ *         name: customer
  *         schema:
- *           type: integer
- *           default: 10
- *         description: Maximum number of charges to return.
+ *           type: string
+ *         description: Only return charges for this customer.
  *       - in: query
- *         name: offset
+ *         name: payment_intent
  *         schema:
- *           type: integer
- *           default: 0
- *         description: Number of charges to skip.
+ *           type: string
+ *         description: Only return the charges attempted for this payment intent.
+ *       - $ref: '#/components/parameters/AmountRange'
+ *       - $ref: '#/components/parameters/CreatedRange'
  *     responses:
  *       '200':
  *         description: OK
+ *       '400':
+ *         description: Bad Request
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.get('/', async (req, res) => {
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const offset = parseInt(req.query.offset, 10) || 0;
+router.get('/', authorize('charges', 'read'), async (req, res) => {
   const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : charges.addListFilters(filters, req.query);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  if (req.query.customer !== undefined && typeof req.query.customer !== 'string') {
+    throw errors.invalidRequest('Customer must be a customer ID.', { param: 'customer' });
+  }
+  filters.equals('customer_id', req.query.customer);
+  if (req.query.payment_intent !== undefined && typeof req.query.payment_intent !== 'string') {
+    throw errors.invalidRequest('payment_intent must be a payment intent ID.', { param: 'payment_intent' });
+  }
+  filters.equals('payment_intent_id', req.query.payment_intent);
 
-  try {
-    const { rows } = await db.query('SELECT * FROM charges WHERE merchant_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3', [merchantId, limit, offset]);
-    const totalResult = await db.query('SELECT COUNT(*) FROM charges WHERE merchant_id = $1', [merchantId]);
-    const totalCharges = parseInt(totalResult.rows[0].count, 10);
-
-    res.json({
-      object: 'list',
-      has_more: (offset + limit) < totalCharges,
-      data: rows,
-    });
-  } catch (err) {
-    console.error('Error executing query', err.stack);
-    res.status(500).json({ error: 'Internal Server Error' });
+  const list = await pagination.paginate(db, 'charges', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
   }
+  res.json(list);
 });
 
 /**
@@ -166,6 +289,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The charge ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -185,27 +309,31 @@ router.get('/', async (req, res) => {
  *         description: Not Found
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.post('/:id', validateMetadata, async (req, res) => {
+router.post('/:id', authorize('charges', 'write'), validateMetadata, async (req, res) => {
   const { id } = req.params;
   const { metadata } = req.body;
   const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
 
-  try {
-    const { rows } = await db.query(
-      'UPDATE charges SET metadata = $1 WHERE id = $2 AND merchant_id = $3 RETURNING *',
-      [metadata, id, merchantId]
+  const rows = await db.transaction(async (client) => {
+    const result = await client.query(
+      'UPDATE charges SET metadata = $1 WHERE id = $2 AND merchant_id = $3 AND livemode = $4 RETURNING *',
+      [metadata, id, merchantId, livemode]
     );
-
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Charge not found or not authorized.' });
+    if (result.rows.length > 0) {
+      await events.record('charge.updated', result.rows[0], { client });
     }
+    return result.rows;
+  });
 
-    res.json(rows[0]);
-  } catch (err) {
-    console.error('Error updating charge metadata:', err.stack);
-    res.status(500).json({ error: 'Internal Server Error' });
+  if (rows.length === 0) {
+    throw errors.notFound('Charge not found or not authorized.');
   }
+
+  res.json(rows[0]);
 });
 
 /**
@@ -213,7 +341,107 @@ router.post('/:id', validateMetadata, async (req, res) => {
  * /v1/charges/{id}/capture:
  *   post:
  *     summary: Capture an authorized charge
- *     description: Captures a previously authorized charge.
+ *     description: Captures a previously authorized charge, in full or in part. Any uncaptured remainder is released.
+ *     tags: [Charges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The charge ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount_to_capture:
+ *                 type: integer
+ *                 description: Amount to capture in the charge currency's smallest unit. Defaults to the full authorized amount.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/:id/capture', authorize('charges', 'write'), validateCapture, async (req, res) => {
+  const { id } = req.params;
+  const { amount_to_capture } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows: chargeRows } = await db.query(
+    'SELECT status, amount, currency, authorization_expires_at FROM charges WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [id, merchantId, livemode]
+  );
+
+  if (chargeRows.length === 0) {
+    throw errors.notFound('Charge not found or not authorized.');
+  }
+
+  const charge = chargeRows[0];
+  if (charge.status !== 'authorized') {
+    throw errors.invalidRequest('Charge cannot be captured: Status is not authorized.', { code: 'charge_not_capturable' });
+  }
+
+  if (charge.authorization_expires_at <= new Date()) {
+    throw errors.invalidRequest('Charge cannot be captured: Authorization has expired.', { code: 'charge_expired_for_capture' });
+  }
+
+  const captureAmount = amount_to_capture === undefined ? charge.amount : amount_to_capture;
+  if (captureAmount > charge.amount) {
+    throw errors.invalidRequest(`Amount to capture cannot exceed the authorized amount of ${charge.amount}.`, { param: 'amount_to_capture' });
+  }
+  const amountError = currencies.checkAmount(captureAmount, charge.currency);
+  if (amountError) {
+    throw errors.invalidRequest(amountError, { param: 'amount_to_capture' });
+  }
+
+  // Guard on status again so a concurrent capture, cancel or expiry wins cleanly.
+  const rows = await db.transaction(async (client) => {
+    const result = await client.query(
+      'UPDATE charges SET status = $1, captured = true, amount_captured = $2 WHERE id = $3 AND merchant_id = $4 AND livemode = $5 AND status = $6 RETURNING *',
+      ['captured', captureAmount, id, merchantId, livemode, 'authorized']
+    );
+    if (result.rows.length === 0) {
+      return result.rows;
+    }
+    const captured = await ledger.recordCharge(result.rows[0], { client });
+    await events.record('charge.captured', captured, { client });
+
+    const disputeReason = testCards.simulateDispute(captured.payment_method_details.card);
+    if (disputeReason) {
+      await disputes.open(captured, { reason: disputeReason, client });
+      const disputed = await client.query('SELECT * FROM charges WHERE id = $1', [captured.id]);
+      return disputed.rows;
+    }
+    return [captured];
+  });
+
+  if (rows.length === 0) {
+    throw errors.invalidRequest('Charge cannot be captured: Status is not authorized.', { code: 'charge_not_capturable' });
+  }
+
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/charges/{id}/cancel:
+ *   post:
+ *     summary: Cancel an authorized charge
+ *     description: Voids an uncaptured authorization and releases the held funds.
  *     tags: [Charges]
  *     security:
  *       - bearerAuth: []
@@ -224,6 +452,7 @@ router.post('/:id', validateMetadata, async (req, res) => {
  *         schema:
  *           type: string
  *         description: The charge ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     responses:
  *       '200':
  *         description: OK
@@ -233,35 +462,161 @@ router.post('/:id', validateMetadata, async (req, res) => {
  *         description: Not Found
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.post('/:id/capture', async (req, res) => {
+router.post('/:id/cancel', authorize('charges', 'write'), async (req, res) => {
   const { id } = req.params;
   const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
 
-  try {
-    const { rows: chargeRows } = await db.query(
-      'SELECT status FROM charges WHERE id = $1 AND merchant_id = $2',
-      [id, merchantId]
+  const rows = await db.transaction(async (client) => {
+    const result = await client.query(
+      'UPDATE charges SET status = $1 WHERE id = $2 AND merchant_id = $3 AND livemode = $4 AND status = $5 RETURNING *',
+      ['canceled', id, merchantId, livemode, 'authorized']
     );
+    if (result.rows.length > 0) {
+      await events.record('charge.canceled', result.rows[0], { client });
+    }
+    return result.rows;
+  });
 
+  if (rows.length === 0) {
+    const { rows: chargeRows } = await db.query('SELECT id FROM charges WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [id, merchantId, livemode]);
     if (chargeRows.length === 0) {
-      return res.status(404).json({ error: 'Charge not found or not authorized.' });
+      throw errors.notFound('Charge not found or not authorized.');
     }
+    throw errors.invalidRequest('Charge cannot be canceled: Status is not authorized.', { code: 'charge_not_cancelable' });
+  }
+
+  res.json(rows[0]);
+});
 
-    if (chargeRows[0].status !== 'authorized') {
-      return res.status(400).json({ error: 'Charge cannot be captured: Status is not authorized.' });
+/**
+ * @swagger
+ * /v1/charges/{id}/approve:
+ *   post:
+ *     summary: Approve a charge in review
+ *     description: >
+ *       Sends a charge that a radar review rule held back on to the issuer, without assessing it again.
+ *       Emits `charge.review.closed`, then the charge continues like any other and ends up succeeded,
+ *       authorized or failed.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The charge ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '202':
+ *         description: Accepted
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/:id/approve', authorize('charges', 'write'), async (req, res) => {
+  const { id } = req.params;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const rows = await db.transaction(async (client) => {
+    const result = await client.query(
+      'UPDATE charges SET status = $1 WHERE id = $2 AND merchant_id = $3 AND livemode = $4 AND status = $5 RETURNING *',
+      ['pending', id, merchantId, livemode, 'in_review']
+    );
+    if (result.rows.length > 0) {
+      const charge = result.rows[0];
+      await events.record('charge.review.closed', charge, { client });
+      await queue.enqueue({
+        type: 'process_charge',
+        data: { ...charge, capture: charge.capture_method === 'automatic', reviewed: true },
+      }, { client });
     }
+    return result.rows;
+  });
 
-    const { rows } = await db.query(
-      'UPDATE charges SET status = $1 WHERE id = $2 AND merchant_id = $3 RETURNING *',
-      ['captured', id, merchantId]
+  if (rows.length === 0) {
+    const { rows: chargeRows } = await db.query('SELECT id FROM charges WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [id, merchantId, livemode]);
+    if (chargeRows.length === 0) {
+      throw errors.notFound('Charge not found or not authorized.');
+    }
+    throw errors.invalidRequest('Charge cannot be approved: Status is not in_review.', { code: 'charge_not_in_review' });
+  }
+
+  res.status(202).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/charges/{id}/reject:
+ *   post:
+ *     summary: Reject a charge in review
+ *     description: >
+ *       Fails a charge that a radar review rule held back on, with `failure_code` set to `blocked`,
+ *       without it ever reaching the issuer. Emits `charge.review.closed` and `charge.failed`.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The charge ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/:id/reject', authorize('charges', 'write'), async (req, res) => {
+  const { id } = req.params;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const rows = await db.transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE charges SET status = 'failed', failure_code = 'blocked', failure_message = $1
+       WHERE id = $2 AND merchant_id = $3 AND livemode = $4 AND status = 'in_review' RETURNING *`,
+      ['The charge was rejected in review.', id, merchantId, livemode]
     );
+    if (result.rows.length > 0) {
+      await events.record('charge.review.closed', result.rows[0], { client });
+      await events.record('charge.failed', result.rows[0], { client });
+      await billing.handleChargeResult(result.rows[0], { client });
+      await checkout.handleChargeResult(result.rows[0], { client });
+      await paymentIntents.handleChargeResult(result.rows[0], { client });
+    }
+    return result.rows;
+  });
 
-    res.json(rows[0]);
-  } catch (err) {
-    console.error('Error capturing charge:', err.stack);
-    res.status(500).json({ error: 'Internal Server Error' });
+  if (rows.length === 0) {
+    const { rows: chargeRows } = await db.query('SELECT id FROM charges WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [id, merchantId, livemode]);
+    if (chargeRows.length === 0) {
+      throw errors.notFound('Charge not found or not authorized.');
+    }
+    throw errors.invalidRequest('Charge cannot be rejected: Status is not in_review.', { code: 'charge_not_in_review' });
   }
+
+  res.json(rows[0]);
 });
 
 module.exports = router;
\ No newline at end of file
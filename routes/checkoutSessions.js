@@ -0,0 +1,263 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const events = require('../utils/events');
+const checkout = require('../utils/checkout');
+const pagination = require('../utils/pagination');
+const { validateCheckoutSession } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const SESSION_STATUSES = ['open', 'complete', 'expired'];
+
+/**
+ * @swagger
+ * /v1/checkout/sessions:
+ *   post:
+ *     summary: Create a checkout session
+ *     description: >
+ *       Creates a session for a one-off payment and returns the `url` of a payment page we host. Redirect the
+ *       shopper there: they enter their card on our page, so card details never pass through your servers.
+ *       Once the charge succeeds the shopper is sent to `success_url`; the payment page also links to `cancel_url`.
+ *       Either URL may contain `{CHECKOUT_SESSION_ID}`, which is replaced with the session ID.
+ *       Listen for `checkout.session.completed` to fulfil the order.
+ *     tags: [Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currency, line_items, success_url, cancel_url]
+ *             properties:
+ *               currency:
+ *                 type: string
+ *               line_items:
+ *                 type: array
+ *                 description: What the shopper is paying for, 1 to 100 items. The total must be within the currency's limits.
+ *                 items:
+ *                   type: object
+ *                   required: [name, unit_amount]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     unit_amount:
+ *                       type: integer
+ *                       description: Price of one unit, in the currency's smallest unit.
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               success_url:
+ *                 type: string
+ *                 description: Where to send the shopper after a successful payment.
+ *               cancel_url:
+ *                 type: string
+ *                 description: Where to send a shopper who leaves the payment page, or arrives after the session expired.
+ *               customer:
+ *                 type: string
+ *                 description: ID of one of your customers to attach the charge to.
+ *               expires_at:
+ *                 type: integer
+ *                 description: Unix timestamp when the session expires, 30 minutes to 24 hours from now. Defaults to 24 hours.
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateCheckoutSession, async (req, res) => {
+  const { currency, line_items, success_url, cancel_url, customer, expires_at, metadata } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (customer !== undefined) {
+    const customerCheck = await db.query('SELECT id FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [customer, merchantId, livemode]);
+    if (customerCheck.rows.length === 0) {
+      throw errors.invalidRequest(`No such customer: ${customer}.`, { param: 'customer', code: 'resource_missing' });
+    }
+  }
+
+  const lineItems = line_items.map(item => ({
+    name: item.name.trim(),
+    unit_amount: item.unit_amount,
+    quantity: item.quantity || 1,
+    amount: item.unit_amount * (item.quantity || 1),
+  }));
+  const amountTotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const expiresAt = expires_at !== undefined
+    ? new Date(expires_at * 1000)
+    : new Date(Date.now() + checkout.MAX_LIFETIME_HOURS * 60 * 60 * 1000);
+
+  const { rows } = await db.query(
+    `INSERT INTO checkout_sessions(id, merchant_id, livemode, customer_id, currency, line_items, amount_total, success_url, cancel_url, metadata, expires_at)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+    [`cs_${uuidv4()}`, merchantId, livemode, customer || null, currency, JSON.stringify(lineItems), amountTotal, success_url, cancel_url, metadata || null, expiresAt]
+  );
+  res.status(201).json(await checkout.expand(db, rows[0]));
+});
+
+/**
+ * @swagger
+ * /v1/checkout/sessions:
+ *   get:
+ *     summary: List all checkout sessions
+ *     description: Returns the merchant's checkout sessions, newest first.
+ *     tags: [Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, complete, expired]
+ *         description: Only return sessions in this status.
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only return sessions for this customer.
+ *       - $ref: '#/components/parameters/CreatedRange'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : filters.addEnum('status', 'status', req.query.status, SESSION_STATUSES)
+    || filters.addCreatedRange('created_at', 'created', req.query.created);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  filters.equals('customer_id', req.query.customer);
+
+  const list = await pagination.paginate(db, 'checkout_sessions', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  const data = [];
+  for (const session of list.data) {
+    data.push(await checkout.expand(db, session));
+  }
+  res.json({ ...list, data });
+});
+
+/**
+ * @swagger
+ * /v1/checkout/sessions/{id}:
+ *   get:
+ *     summary: Retrieve a checkout session
+ *     description: >
+ *       Fetches a checkout session with its latest charge as `charge`, or null before the shopper has paid.
+ *       `payment_status` is `processing` while a charge is in flight; if it fails the session stays open,
+ *       with `last_payment_error` set, so the shopper can try another card.
+ *     tags: [Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checkout session ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM checkout_sessions WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Checkout session not found or not authorized.');
+  }
+  res.json(await checkout.expand(db, rows[0]));
+});
+
+/**
+ * @swagger
+ * /v1/checkout/sessions/{id}/expire:
+ *   post:
+ *     summary: Expire a checkout session
+ *     description: >
+ *       Closes an open session early, so the shopper can no longer pay through it, e.g. when the items sold out.
+ *       A session whose payment is processing cannot be expired.
+ *     tags: [Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checkout session ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/expire', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM checkout_sessions WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('Checkout session not found or not authorized.');
+    }
+    if (rows[0].status !== 'open') {
+      throw errors.invalidRequest(`Only open sessions can be expired. This session is ${rows[0].status}.`, { code: 'checkout_session_not_open' });
+    }
+    if (rows[0].payment_status === 'processing') {
+      throw errors.invalidRequest('The session has a payment in progress.', { code: 'checkout_session_processing' });
+    }
+    const { rows: expired } = await client.query(
+      "UPDATE checkout_sessions SET status = 'expired' WHERE id = $1 RETURNING *",
+      [rows[0].id]
+    );
+    await events.record('checkout.session.expired', expired[0], { client });
+    return { status: 200, body: await checkout.expand(client, expired[0]) };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+module.exports = router;
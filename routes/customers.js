@@ -1,6 +1,12 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
+const events = require('../utils/events');
+const charges = require('../utils/charges');
+const pagination = require('../utils/pagination');
+const search = require('../utils/search');
+const errors = require('../utils/errors');
+const { authorize } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -9,8 +15,9 @@ const router = express.Router();
  * /v1/customers/{id}/charges:
  *   get:
  *     summary: List all charges for a customer
- *     description: Returns a list of charges associated with a specific customer.
+ *     description: Returns a customer's charges, newest first, with the same cursor pagination and filters as `GET /v1/charges`.
  *     tags: [Customers]
+ *     x-sdk-method: customers.listCharges
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -20,58 +27,109 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: The customer ID.
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
  *       - in: query
- *         name: limit
+ *         name: status
  *         schema:
- *           type: integer
- *           default: 10
- *         description: Maximum number of charges to return.
+ *           type: string
+ *           enum: [pending, in_review, succeeded, failed, authorized, captured, canceled, expired]
+ *         description: Only return charges in this status.
  *       - in: query
- *         name: offset
+ *         name: currency
  *         schema:
- *           type: integer
- *           default: 0
- *         description: Number of charges to skip.
+ *           type: string
+ *         description: Only return charges in this currency.
+ *       - $ref: '#/components/parameters/AmountRange'
+ *       - $ref: '#/components/parameters/CreatedRange'
  *     responses:
  *       '200':
  *         description: OK
+ *       '400':
+ *         description: Bad Request
  *       '404':
  *         description: Not Found
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.get('/:id/charges', async (req, res) => {
+router.get('/:id/charges', authorize('customers', 'read'), authorize('charges', 'read'), async (req, res) => {
   const { id } = req.params;
   const merchantId = req.auth.merchant_id;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const offset = parseInt(req.query.offset, 10) || 0;
+  const { livemode } = req.auth;
 
-  try {
-    const customerCheck = await db.query('SELECT id FROM customers WHERE id = $1 AND merchant_id = $2', [id, merchantId]);
-    if (customerCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Customer not found or not authorized.' });
-    }
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : charges.addListFilters(filters, req.query);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  filters.equals('customer_id', id);
 
-    const { rows } = await db.query(
-      'SELECT * FROM charges WHERE merchant_id = $1 AND description LIKE $2 ORDER BY created_at DESC LIMIT $3 OFFSET $4',
-      [merchantId, `%${id}%`, limit, offset]
-    );
-
-    const totalResult = await db.query(
-      'SELECT COUNT(*) FROM charges WHERE merchant_id = $1 AND description LIKE $2',
-      [merchantId, `%${id}%`]
-    );
-    const total = parseInt(totalResult.rows[0].count, 10);
-
-    res.json({
-      object: 'list',
-      has_more: (offset + limit) < total,
-      data: rows,
-    });
-  } catch (err) {
-    console.error('Error listing charges for customer:', err.stack);
-    res.status(500).json({ error: 'Internal Server Error' });
+  const customerCheck = await db.query('SELECT id FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [id, merchantId, livemode]);
+  if (customerCheck.rows.length === 0) {
+    throw errors.notFound('Customer not found or not authorized.');
   }
+
+  const list = await pagination.paginate(db, 'charges', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
+});
+
+/**
+ * @swagger
+ * /v1/customers:
+ *   get:
+ *     summary: List all customers
+ *     description: Returns the merchant's customers, newest first, with cursor pagination.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Only return customers with this email address, compared case-insensitively.
+ *       - $ref: '#/components/parameters/CreatedRange'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.get('/', authorize('customers', 'read'), async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { email } = req.query;
+
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : filters.addCreatedRange('created_at', 'created', req.query.created);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  if (email !== undefined && typeof email !== 'string') {
+    throw errors.invalidRequest('Email must be a string.', { param: 'email' });
+  }
+  filters.equals('lower(email)', email && email.toLowerCase());
+
+  const list = await pagination.paginate(db, 'customers', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
 });
 
 /**
@@ -83,6 +141,8 @@ router.get('/:id/charges', async (req, res) => {
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -99,6 +159,9 @@ router.get('/:id/charges', async (req, res) => {
  *               description:
  *                 type: string
  *                 description: Description of the customer.
+ *               metadata:
+ *                 type: object
+ *                 description: Key-value pairs to store with the customer, searchable with `metadata['key']:'value'`.
  *     responses:
  *       '201':
  *         description: Created
@@ -106,27 +169,84 @@ router.get('/:id/charges', async (req, res) => {
  *         description: Bad Request
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.post('/', async (req, res) => {
-    const { name, email, description } = req.body;
+router.post('/', authorize('customers', 'write'), async (req, res) => {
+    const { name, email, description, metadata } = req.body || {};
     const merchantId = req.auth.merchant_id;
+    const { livemode } = req.auth;
 
     if (!name && !email) {
-        return res.status(400).json({ error: 'At least one of name or email is required to create a customer.' });
+        throw errors.invalidRequest('At least one of name or email is required to create a customer.', { code: 'parameter_missing' });
+    }
+    if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw errors.invalidRequest('Metadata must be an object.', { param: 'metadata' });
     }
 
     const customerId = `cus_${uuidv4().replace(/-/g, '').substring(0, 24)}`;
 
-    try {
-        const insertQuery = 'INSERT INTO customers(id, merchant_id, name, email, description) VALUES($1, $2, $3, $4, $5) RETURNING *';
-        const insertValues = [customerId, merchantId, name, email, description];
-        const { rows } = await db.query(insertQuery, insertValues);
+    const insertQuery = 'INSERT INTO customers(id, merchant_id, livemode, name, email, description, metadata) VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING *';
+    const insertValues = [customerId, merchantId, livemode, name, email, description, metadata];
+    const rows = await db.transaction(async (client) => {
+        const result = await client.query(insertQuery, insertValues);
+        await events.record('customer.created', result.rows[0], { client });
+        return result.rows;
+    });
 
-        res.status(201).json(rows[0]);
-    } catch (error) {
-        console.error('Error creating customer:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
+    res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/customers/search:
+ *   get:
+ *     summary: Search customers
+ *     description: >
+ *       Finds customers matching a query, newest first, in the same list envelope and with the same cursor
+ *       pagination as the list endpoint. A clause is `field:value` for equality, `field~value` for a
+ *       substring, or `<`, `<=`, `>`, `>=` for ranges; combine clauses with AND and OR, group them in
+ *       parentheses and negate them with a leading `-`. Quote text values. Searchable fields: id, email, name, description, created and `metadata['key']`.
+ *       Example: `email~'example.com' AND metadata['plan']:'pro'`.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query.
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.get('/search', authorize('customers', 'read'), async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : search.addQuery(filters, req.query.query, search.CUSTOMER_FIELDS);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+
+  const list = await pagination.paginate(db, 'customers', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
 });
 
 /**
@@ -152,21 +272,19 @@ router.post('/', async (req, res) => {
  *         description: Not Found
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('customers', 'read'), async (req, res) => {
     const { id } = req.params;
     const merchantId = req.auth.merchant_id;
+    const { livemode } = req.auth;
 
-    try {
-        const result = await db.query('SELECT * FROM customers WHERE id = $1 AND merchant_id = $2', [id, merchantId]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Customer not found or not authorized.' });
-        }
-        res.json(result.rows[0]);
-    } catch (error) {
-        console.error('Error retrieving customer:', error);
-        res.status(500).json({ error: 'Internal server error' });
+    const result = await db.query('SELECT * FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [id, merchantId, livemode]);
+    if (result.rows.length === 0) {
+        throw errors.notFound('Customer not found or not authorized.');
     }
+    res.json(result.rows[0]);
 });
 
 /**
@@ -185,6 +303,7 @@ router.get('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The customer ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -201,6 +320,14 @@ router.get('/:id', async (req, res) => {
  *               description:
  *                 type: string
  *                 description: New description for the customer.
+ *               default_payment_method:
+ *                 type: string
+ *                 description: >
+ *                   ID of a payment method attached to this customer, used to pay its subscription invoices.
+ *                   Pass an empty string to clear it.
+ *               metadata:
+ *                 type: object
+ *                 description: Replaces the customer's metadata.
  *     responses:
  *       '200':
  *         description: OK
@@ -210,14 +337,20 @@ router.get('/:id', async (req, res) => {
  *         description: Not Found
  *       '401':
  *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
  */
-router.post('/:id', async (req, res) => {
+router.post('/:id', authorize('customers', 'write'), async (req, res) => {
     const { id } = req.params;
-    const { name, email, description } = req.body;
+    const { name, email, description, default_payment_method, metadata } = req.body || {};
     const merchantId = req.auth.merchant_id;
+    const { livemode } = req.auth;
 
-    if (!name && !email && !description) {
-        return res.status(400).json({ error: 'At least one field (name, email, or description) is required for update.' });
+    if (!name && !email && !description && default_payment_method === undefined && metadata === undefined) {
+        throw errors.invalidRequest('At least one field (name, email, description, default_payment_method, or metadata) is required for update.', { code: 'parameter_missing' });
+    }
+    if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw errors.invalidRequest('Metadata must be an object.', { param: 'metadata' });
     }
 
     let updateFields = [];
@@ -227,23 +360,37 @@ router.post('/:id', async (req, res) => {
     if (name !== undefined) { updateFields.push(`name = $${paramIndex++}`); updateValues.push(name); }
     if (email !== undefined) { updateFields.push(`email = $${paramIndex++}`); updateValues.push(email); }
     if (description !== undefined) { updateFields.push(`description = $${paramIndex++}`); updateValues.push(description); }
+    if (default_payment_method !== undefined) { updateFields.push(`default_payment_method_id = $${paramIndex++}`); updateValues.push(default_payment_method || null); }
+    if (metadata !== undefined) { updateFields.push(`metadata = $${paramIndex++}`); updateValues.push(metadata); }
 
     updateValues.push(id); // $paramIndex
     updateValues.push(merchantId); // $(paramIndex + 1)
+    updateValues.push(livemode); // $(paramIndex + 2)
 
-    try {
-        const updateQuery = `UPDATE customers SET ${updateFields.join(', ')} WHERE id = $${paramIndex} AND merchant_id = $${paramIndex + 1} RETURNING *`;
-        const { rows } = await db.query(updateQuery, updateValues);
+    const updateQuery = `UPDATE customers SET ${updateFields.join(', ')} WHERE id = $${paramIndex} AND merchant_id = $${paramIndex + 1} AND livemode = $${paramIndex + 2} RETURNING *`;
+    if (default_payment_method) {
+        const pmCheck = await db.query(
+            'SELECT id FROM payment_methods WHERE id = $1 AND customer_id = $2 AND merchant_id = $3 AND livemode = $4',
+            [default_payment_method, id, merchantId, livemode]
+        );
+        if (pmCheck.rows.length === 0) {
+            throw errors.invalidRequest(`No such payment method attached to this customer: ${default_payment_method}.`, { param: 'default_payment_method', code: 'resource_missing' });
+        }
+    }
 
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Customer not found or not authorized.' });
+    const rows = await db.transaction(async (client) => {
+        const result = await client.query(updateQuery, updateValues);
+        if (result.rows.length > 0) {
+            await events.record('customer.updated', result.rows[0], { client });
         }
+        return result.rows;
+    });
 
-        res.json(rows[0]);
-    } catch (error) {
-        console.error('Error updating customer:', error);
-        res.status(500).json({ error: 'Internal server error' });
+    if (rows.length === 0) {
+        throw errors.notFound('Customer not found or not authorized.');
     }
+
+    res.json(rows[0]);
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,262 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const events = require('../utils/events');
+const disputes = require('../utils/disputes');
+const { validateDisputeEvidence } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const DISPUTE_STATUSES = ['needs_response', 'under_review', 'won', 'lost'];
+
+/**
+ * @swagger
+ * /v1/disputes/{id}:
+ *   get:
+ *     summary: Retrieve a dispute
+ *     description: Fetches a dispute, including the evidence submitted so far.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The dispute ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM disputes WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Dispute not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/disputes:
+ *   get:
+ *     summary: List all disputes
+ *     description: Returns the merchant's disputes, newest first.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [needs_response, under_review, won, lost]
+ *         description: Only return disputes in this status.
+ *       - in: query
+ *         name: charge
+ *         schema:
+ *           type: string
+ *         description: Only return the dispute on this charge.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of disputes to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of disputes to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['status', 'charge']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { status, charge } = req.query;
+
+  if (status !== undefined && !DISPUTE_STATUSES.includes(status)) {
+    throw errors.invalidRequest(`Status must be one of: ${DISPUTE_STATUSES.join(', ')}.`, { param: 'status' });
+  }
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+  if (charge) {
+    params.push(charge);
+    where += ` AND charge_id = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM disputes WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM disputes WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/disputes/{id}:
+ *   post:
+ *     summary: Update dispute evidence
+ *     description: >
+ *       Adds or replaces evidence on a dispute that still needs a response. Evidence is merged into what was
+ *       saved before. Unless `submit` is false, the evidence is sent to the issuer and the dispute moves to
+ *       `under_review`; after that it can no longer be changed. In test mode, an `uncategorized_text`
+ *       containing "losing_evidence" makes the issuer rule against you; anything else wins.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The dispute ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               evidence:
+ *                 type: object
+ *                 description: >
+ *                   Text fields (product_description, customer_name, customer_email_address, shipping_tracking_number,
+ *                   refund_policy_disclosure, uncategorized_text) and file references such as file IDs or URLs
+ *                   (receipt, customer_communication, shipping_documentation, refund_policy, uncategorized_file).
+ *               submit:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Whether to submit the evidence now, or only save it.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id', validateDisputeEvidence, async (req, res) => {
+  const { evidence = {}, submit = true } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM disputes WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('Dispute not found or not authorized.');
+    }
+    if (rows[0].status !== 'needs_response') {
+      throw errors.invalidRequest(`Dispute evidence cannot be changed: Status is ${rows[0].status}.`, { code: 'dispute_not_editable' });
+    }
+
+    const { rows: updated } = await client.query(
+      'UPDATE disputes SET evidence = evidence || $1 WHERE id = $2 RETURNING *',
+      [evidence, rows[0].id]
+    );
+    let dispute = updated[0];
+    if (submit) {
+      dispute = await disputes.submit(dispute, { client });
+    }
+    await events.record('charge.dispute.updated', dispute, { client });
+    return { status: 200, body: dispute };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/disputes/{id}/close:
+ *   post:
+ *     summary: Close a dispute
+ *     description: >
+ *       Accepts the dispute without contesting it. The dispute is lost: the disputed amount and the
+ *       dispute fee are debited from the balance.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The dispute ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/close', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM disputes WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('Dispute not found or not authorized.');
+    }
+    if (rows[0].status !== 'needs_response') {
+      throw errors.invalidRequest(`Dispute cannot be closed: Status is ${rows[0].status}.`, { code: 'dispute_not_closable' });
+    }
+    return { status: 200, body: await disputes.close(rows[0], 'lost', { client }) };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/events/{id}:
+ *   get:
+ *     summary: Retrieve an event
+ *     description: Fetches a single event, including the snapshot of the object it describes.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The event ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query('SELECT * FROM events WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [req.params.id, merchantId, livemode]);
+  if (rows.length === 0) {
+    throw errors.notFound('Event not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/events:
+ *   get:
+ *     summary: List all events
+ *     description: Returns the event log for the authenticated merchant, newest first.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only return events of this type. A trailing `.*` matches a whole family, e.g. "charge.*".
+ *       - in: query
+ *         name: object_id
+ *         schema:
+ *           type: string
+ *         description: Only return events about this object.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of events to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of events to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['type', 'object_id']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { type, object_id } = req.query;
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (type && type.endsWith('.*')) {
+    params.push(`${type.slice(0, -1)}%`);
+    where += ` AND type LIKE $${params.length}`;
+  } else if (type) {
+    params.push(type);
+    where += ` AND type = $${params.length}`;
+  }
+  if (object_id) {
+    params.push(object_id);
+    where += ` AND object_id = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM events WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM events WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,324 @@
+// The hosted payment page for checkout sessions, served to shoppers rather than merchants: it needs no
+// API key, because the unguessable session ID in the URL is what grants access, and then only to pay
+// that one session. The page tokenizes the card and confirms the session through the JSON endpoints
+// below, then polls until the charge has a result.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const cards = require('../utils/cards');
+const charges = require('../utils/charges');
+const checkout = require('../utils/checkout');
+const currencies = require('../utils/currencies');
+const { escapeHtml, renderPage } = require('../utils/pages');
+const { validateCardDetails } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const isExpired = session => session.status === 'expired'
+  || (session.status === 'open' && session.payment_status !== 'processing' && new Date(session.expires_at) <= new Date());
+
+// Loads a session that can still be paid, locked for the rest of the transaction.
+const findPayableSession = async (client, id) => {
+  const { rows } = await client.query('SELECT * FROM checkout_sessions WHERE id = $1 FOR UPDATE', [id]);
+  if (rows.length === 0) {
+    throw errors.notFound('Checkout session not found.');
+  }
+  const session = rows[0];
+  if (session.status === 'complete') {
+    throw errors.invalidRequest('This checkout session has already been paid.', { code: 'checkout_session_not_open' });
+  }
+  if (isExpired(session)) {
+    throw errors.invalidRequest('This checkout session has expired.', { code: 'checkout_session_expired' });
+  }
+  if (session.payment_status === 'processing') {
+    throw errors.invalidRequest('A payment for this checkout session is already in progress.', { code: 'checkout_session_processing' });
+  }
+  return session;
+};
+
+const renderSession = (session) => {
+  const items = session.line_items.map(item => `<tr><td>${escapeHtml(item.name)}${item.quantity > 1 ? ` &times; ${item.quantity}` : ''}</td>`
+    + `<td>${escapeHtml(currencies.format(item.amount, session.currency))}</td></tr>`).join('\n');
+  const base = `/checkout/${encodeURIComponent(session.id)}`;
+  const cancelUrl = checkout.redirectUrl(session.cancel_url, session);
+
+  return renderPage('Checkout', `<h1>Checkout</h1>
+${session.livemode ? '' : '<p class="notice">Test mode: use a test card such as 4242 4242 4242 4242. You will not be charged.</p>'}
+<table>
+${items}
+<tr class="total"><td>Total</td><td>${escapeHtml(currencies.format(session.amount_total, session.currency))}</td></tr>
+</table>
+<form id="payment-form">
+  <label for="name">Name on card</label>
+  <input id="name" autocomplete="cc-name" required>
+  <label for="email">Email</label>
+  <input id="email" type="email" autocomplete="email">
+  <label for="number">Card number</label>
+  <input id="number" inputmode="numeric" autocomplete="cc-number" required>
+  <div class="row">
+    <div><label for="exp-month">Month</label><input id="exp-month" inputmode="numeric" placeholder="MM" autocomplete="cc-exp-month" required></div>
+    <div><label for="exp-year">Year</label><input id="exp-year" inputmode="numeric" placeholder="YYYY" autocomplete="cc-exp-year" required></div>
+    <div><label for="cvc">CVC</label><input id="cvc" inputmode="numeric" autocomplete="cc-csc" required></div>
+  </div>
+  <button id="pay" type="submit">Pay ${escapeHtml(currencies.format(session.amount_total, session.currency))}</button>
+  <p id="error" class="error" role="alert"></p>
+</form>
+<p class="links"><a href="${escapeHtml(cancelUrl)}">Cancel and return</a></p>
+<script>
+  const base = ${JSON.stringify(base).replace(/</g, '\\u003c')};
+  const form = document.getElementById('payment-form');
+  const pay = document.getElementById('pay');
+  const error = document.getElementById('error');
+  const field = id => document.getElementById(id).value.trim();
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  const post = async (path, body) => {
+    const response = await fetch(base + path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const json = await response.json();
+    if (!response.ok) {
+      throw new Error(json.error.message);
+    }
+    return json;
+  };
+
+  // Waits for the charge to finish, then follows the redirect or shows why it failed.
+  const waitForResult = async () => {
+    for (let i = 0; i < 60; i++) {
+      const status = await (await fetch(base + '/status')).json();
+      if (status.redirect_url) {
+        window.location.assign(status.redirect_url);
+        return;
+      }
+      if (status.payment_status === 'unpaid') {
+        throw new Error(status.last_payment_error ? status.last_payment_error.message : 'Your payment could not be completed.');
+      }
+      await sleep(1000);
+    }
+    throw new Error('Your payment is still being processed. You can close this page; the merchant will be notified of the result.');
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    pay.disabled = true;
+    error.textContent = '';
+    try {
+      const token = await post('/tokens', {
+        card: { number: field('number'), exp_month: Number(field('exp-month')), exp_year: Number(field('exp-year')), cvc: field('cvc') },
+        billing_details: { name: field('name'), email: field('email') || undefined },
+      });
+      await post('/confirm', { token: token.id });
+      await waitForResult();
+    } catch (err) {
+      error.textContent = err.message;
+      pay.disabled = false;
+    }
+  });
+</script>`);
+};
+
+/**
+ * @swagger
+ * /checkout/{id}:
+ *   get:
+ *     summary: Hosted payment page
+ *     description: >
+ *       The page a checkout session's `url` points to, where the shopper enters their card. Redirects to the
+ *       success URL once the session is complete; shows a link to the cancel URL once it has expired.
+ *     tags: [Checkout]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checkout session ID.
+ *     responses:
+ *       '200':
+ *         description: An HTML payment page.
+ *       '303':
+ *         description: The session is complete; redirects to its success URL.
+ *       '404':
+ *         description: Not Found
+ */
+router.get('/:id', async (req, res) => {
+  const { rows } = await db.query('SELECT * FROM checkout_sessions WHERE id = $1', [req.params.id]);
+  res.set('Cache-Control', 'no-store');
+  if (rows.length === 0) {
+    return res.status(404).send(renderPage('Not found', '<h1>Not found</h1><p>This checkout page does not exist.</p>'));
+  }
+  const session = rows[0];
+  if (session.status === 'complete') {
+    return res.redirect(303, checkout.redirectUrl(session.success_url, session));
+  }
+  if (isExpired(session)) {
+    return res.status(410).send(renderPage('Session expired', `<h1>Session expired</h1><p>This checkout session has expired.</p>
+<p class="links"><a href="${escapeHtml(checkout.redirectUrl(session.cancel_url, session))}">Return to the merchant</a></p>`));
+  }
+  res.send(renderSession(session));
+});
+
+/**
+ * @swagger
+ * /checkout/{id}/tokens:
+ *   post:
+ *     summary: Tokenize a card for a checkout session
+ *     description: Called by the hosted payment page. Works like `POST /v1/tokens`, for the session's merchant and mode.
+ *     tags: [Checkout]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checkout session ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               card:
+ *                 $ref: '#/components/schemas/CardDetails'
+ *               billing_details:
+ *                 $ref: '#/components/schemas/BillingDetails'
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ */
+router.post('/:id/tokens', validateCardDetails, async (req, res) => {
+  const { card, billing_details } = req.body;
+
+  const token = await db.transaction(async (client) => {
+    const session = await findPayableSession(client, req.params.id);
+    const { rows } = await client.query(
+      'INSERT INTO tokens(id, merchant_id, livemode, type, card, billing_details, client_ip) VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+      [`tok_${uuidv4()}`, session.merchant_id, session.livemode, 'card', cards.summarize(card), billing_details, req.ip]
+    );
+    return rows[0];
+  });
+  res.status(201).json({ id: token.id, card: token.card });
+});
+
+/**
+ * @swagger
+ * /checkout/{id}/confirm:
+ *   post:
+ *     summary: Pay a checkout session
+ *     description: >
+ *       Called by the hosted payment page. Charges a token from `/checkout/{id}/tokens` for the session's total,
+ *       through the same pipeline as `POST /v1/charges`. The charge is processed asynchronously;
+ *       poll `/checkout/{id}/status` for the result.
+ *     tags: [Checkout]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checkout session ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       '202':
+ *         description: Accepted
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ */
+router.post('/:id/confirm', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    throw errors.invalidRequest('Token is required.', { param: 'token', code: 'parameter_missing' });
+  }
+
+  const result = await db.transaction(async (client) => {
+    const session = await findPayableSession(client, req.params.id);
+    const resolved = await charges.resolvePaymentSource(client, session, { source: token });
+    if (resolved.error) {
+      throw errors.invalidRequest(resolved.error, { ...resolved, param: 'token' });
+    }
+
+    const charge = await charges.enqueueCharge({
+      merchant_id: session.merchant_id,
+      livemode: session.livemode,
+      customer_id: session.customer_id,
+      amount: session.amount_total,
+      currency: session.currency,
+      description: `Payment for checkout session ${session.id}`,
+      card: resolved.card,
+      billing_details: resolved.billing_details,
+      ip_address: resolved.ip_address,
+    }, { client });
+    await client.query(
+      "UPDATE checkout_sessions SET charge_id = $1, payment_status = 'processing', last_payment_error = NULL WHERE id = $2",
+      [charge.id, session.id]
+    );
+    return { status: 202, body: { id: session.id, payment_status: 'processing' } };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /checkout/{id}/status:
+ *   get:
+ *     summary: Check a checkout session's payment
+ *     description: >
+ *       Polled by the hosted payment page. Returns the session's status and payment status, why the last
+ *       payment failed if it did, and the `redirect_url` to send the shopper to once the session is complete or expired.
+ *     tags: [Checkout]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checkout session ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ */
+router.get('/:id/status', async (req, res) => {
+  const { rows } = await db.query('SELECT * FROM checkout_sessions WHERE id = $1', [req.params.id]);
+  if (rows.length === 0) {
+    throw errors.notFound('Checkout session not found.');
+  }
+  const session = rows[0];
+  let redirectUrl = null;
+  if (session.status === 'complete') {
+    redirectUrl = checkout.redirectUrl(session.success_url, session);
+  } else if (isExpired(session)) {
+    redirectUrl = checkout.redirectUrl(session.cancel_url, session);
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    status: isExpired(session) ? 'expired' : session.status,
+    payment_status: session.payment_status,
+    last_payment_error: session.last_payment_error && { code: session.last_payment_error.code, message: session.last_payment_error.message },
+    redirect_url: redirectUrl,
+  });
+});
+
+module.exports = router;
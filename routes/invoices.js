@@ -0,0 +1,199 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const billing = require('../utils/billing');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const INVOICE_STATUSES = ['open', 'paid', 'uncollectible'];
+
+/**
+ * @swagger
+ * /v1/invoices/{id}:
+ *   get:
+ *     summary: Retrieve an invoice
+ *     description: Fetches an invoice with its lines, including any proration credits and charges.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invoice ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM invoices WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Invoice not found or not authorized.');
+  }
+  const { rows: lines } = await db.query('SELECT * FROM invoice_lines WHERE invoice_id = $1 ORDER BY created_at, id', [rows[0].id]);
+  res.json({ ...rows[0], lines });
+});
+
+/**
+ * @swagger
+ * /v1/invoices:
+ *   get:
+ *     summary: List all invoices
+ *     description: Returns the merchant's invoices, newest first.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only return this customer's invoices.
+ *       - in: query
+ *         name: subscription
+ *         schema:
+ *           type: string
+ *         description: Only return invoices for this subscription.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, paid, uncollectible]
+ *         description: Only return invoices in this status.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of invoices to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of invoices to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['customer', 'subscription', 'status']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { customer, subscription, status } = req.query;
+
+  if (status !== undefined && !INVOICE_STATUSES.includes(status)) {
+    throw errors.invalidRequest(`Status must be one of: ${INVOICE_STATUSES.join(', ')}.`, { param: 'status' });
+  }
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (customer) {
+    params.push(customer);
+    where += ` AND customer_id = $${params.length}`;
+  }
+  if (subscription) {
+    params.push(subscription);
+    where += ` AND subscription_id = $${params.length}`;
+  }
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM invoices WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM invoices WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/invoices/{id}/pay:
+ *   post:
+ *     summary: Pay an invoice
+ *     description: >
+ *       Attempts payment on an open invoice now instead of waiting for the next scheduled retry, for
+ *       example after the customer updated their card. The result arrives asynchronously as an
+ *       `invoice.paid` or `invoice.payment_failed` event.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invoice ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '202':
+ *         description: Accepted
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/pay', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM invoices WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('Invoice not found or not authorized.');
+    }
+    const invoice = rows[0];
+    if (invoice.status !== 'open') {
+      throw errors.invalidRequest(`Invoice cannot be paid: Status is ${invoice.status}.`, { code: 'invoice_not_open' });
+    }
+    if (invoice.next_payment_attempt === null && invoice.charge_id) {
+      const { rows: chargeRows } = await client.query('SELECT status FROM charges WHERE id = $1', [invoice.charge_id]);
+      if (chargeRows.length === 0 || ['pending', 'in_review'].includes(chargeRows[0].status)) {
+        throw errors.invalidRequest('A payment for this invoice is already in progress.', { code: 'invoice_payment_in_progress' });
+      }
+    }
+    return { status: 202, body: await billing.attemptPayment(client, invoice) };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+module.exports = router;
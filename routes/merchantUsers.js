@@ -0,0 +1,250 @@
+const express = require('express');
+const db = require('../utils/db');
+const merchantUsers = require('../utils/merchantUsers');
+const { validateMerchantUser, validateMerchantUserUpdate } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+// Secret keys act for the account as a whole, like its owner.
+const actsAsOwner = auth => !auth.role || auth.role === 'owner';
+
+const requireOwnerFor = (auth, ...roles) => {
+  if (roles.includes('owner') && !actsAsOwner(auth)) {
+    throw errors.permission('Only an owner can add, change or remove owners.', 'owner_required');
+  }
+};
+
+// Call when an owner is about to stop being one, inside the transaction that does it.
+const ensureAnotherOwner = async (client, merchantId) => {
+  const owners = await merchantUsers.lockOwners(client, merchantId);
+  if (owners.length <= 1) {
+    throw errors.invalidRequest('An account must keep at least one owner. Make someone else an owner first.', { code: 'last_owner' });
+  }
+};
+
+/**
+ * @swagger
+ * /v1/merchant_users:
+ *   post:
+ *     summary: Add a team member
+ *     description: >
+ *       Gives a person their own login to the account, with a role that decides what they can do; see the
+ *       Team section. They log in at `POST /v1/merchants/login` with their email and password.
+ *       Only owners can add owners.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Unique across all accounts.
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, developer, analyst, support]
+ *               password:
+ *                 type: string
+ *                 description: 10 to 200 characters.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/', validateMerchantUser, async (req, res) => {
+  const { email, name, role, password } = req.body;
+  requireOwnerFor(req.auth, role);
+
+  const passwordHash = await merchantUsers.hashPassword(password);
+  const user = await merchantUsers.create(db, req.auth.merchant_id, { email, name, role, passwordHash });
+  if (!user) {
+    throw errors.invalidRequest('A team member with this email already exists.', { param: 'email', code: 'email_taken' });
+  }
+  res.status(201).json(user);
+});
+
+/**
+ * @swagger
+ * /v1/merchant_users:
+ *   get:
+ *     summary: List team members
+ *     description: Returns everyone with a login to the account, newest first.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.get('/', async (req, res) => {
+  const { rows } = await db.query(
+    `SELECT ${merchantUsers.USER_COLUMNS} FROM merchant_users WHERE merchant_id = $1 ORDER BY created_at DESC`,
+    [req.auth.merchant_id]
+  );
+  res.json({ object: 'list', has_more: false, data: rows });
+});
+
+/**
+ * @swagger
+ * /v1/merchant_users/{id}:
+ *   get:
+ *     summary: Retrieve a team member
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The team member ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.get('/:id', async (req, res) => {
+  const user = await merchantUsers.findForMerchant(db, req.params.id, req.auth.merchant_id);
+  if (!user) {
+    throw errors.notFound('Team member not found or not authorized.');
+  }
+  res.json(user);
+});
+
+/**
+ * @swagger
+ * /v1/merchant_users/{id}:
+ *   post:
+ *     summary: Update a team member
+ *     description: >
+ *       Changes a member's name or role, or resets their password. A new role applies to their next request.
+ *       Only owners can change owners or make someone an owner, and the last owner cannot be demoted.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The team member ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, developer, analyst, support]
+ *               password:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/:id', validateMerchantUserUpdate, async (req, res) => {
+  const { name, role, password } = req.body || {};
+  const passwordHash = password !== undefined ? await merchantUsers.hashPassword(password) : null;
+
+  const user = await db.transaction(async (client) => {
+    const existing = await merchantUsers.findForMerchant(client, req.params.id, req.auth.merchant_id, { forUpdate: true });
+    if (!existing) {
+      throw errors.notFound('Team member not found or not authorized.');
+    }
+    requireOwnerFor(req.auth, existing.role, role);
+    if (existing.role === 'owner' && role !== undefined && role !== 'owner') {
+      await ensureAnotherOwner(client, req.auth.merchant_id);
+    }
+    const { rows } = await client.query(
+      `UPDATE merchant_users SET name = COALESCE($1, name), role = COALESCE($2, role), password_hash = COALESCE($3, password_hash)
+       WHERE id = $4 RETURNING ${merchantUsers.USER_COLUMNS}`,
+      [name, role, passwordHash, existing.id]
+    );
+    return rows[0];
+  });
+  res.json(user);
+});
+
+/**
+ * @swagger
+ * /v1/merchant_users/{id}:
+ *   delete:
+ *     summary: Remove a team member
+ *     description: Revokes the member's access immediately, including any token they are logged in with. The last owner cannot be removed.
+ *     tags: [Team]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The team member ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.delete('/:id', async (req, res) => {
+  await db.transaction(async (client) => {
+    const existing = await merchantUsers.findForMerchant(client, req.params.id, req.auth.merchant_id, { forUpdate: true });
+    if (!existing) {
+      throw errors.notFound('Team member not found or not authorized.');
+    }
+    requireOwnerFor(req.auth, existing.role);
+    if (existing.role === 'owner') {
+      await ensureAnotherOwner(client, req.auth.merchant_id);
+    }
+    await client.query('DELETE FROM merchant_users WHERE id = $1', [existing.id]);
+  });
+  res.json({ id: req.params.id, deleted: true });
+});
+
+module.exports = router;
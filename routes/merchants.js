@@ -1,7 +1,13 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../utils/db');
-const { generateToken } = require('../utils/auth');
+const apiKeys = require('../utils/apiKeys');
+const merchantUsers = require('../utils/merchantUsers');
+const { authenticate, authorize, generateToken } = require('../utils/auth');
+const { checkPassword } = require('../utils/validation');
+const { PAYOUT_INTERVALS, WEEKDAYS } = require('../utils/payouts');
+const rateLimit = require('../utils/rateLimit');
+const errors = require('../utils/errors');
 
 const router = express.Router();
 
@@ -10,8 +16,14 @@ const router = express.Router();
  * /v1/merchants:
  *   post:
  *     summary: Create a merchant (user)
- *     description: Registers a new merchant and returns API key/JWT.
+ *     description: >
+ *       Registers a new merchant and issues a secret and a publishable key for both test and live mode.
+ *       The plaintext keys are only returned here; store them safely, as they cannot be retrieved again.
+ *       Idempotent replays of this response leave out the keys and the token.
+ *       With a `password`, the email also becomes the account's first owner, who can log in with it.
  *     tags: [Merchants]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -23,8 +35,9 @@ const router = express.Router();
  *                 type: string
  *               email:
  *                 type: string
- *               api_key:
- *                 type: string  # In production, generate securely
+ *               password:
+ *                 type: string
+ *                 description: Optional. 10 to 200 characters.
  *     responses:
  *       '201':
  *         description: Created
@@ -32,24 +45,42 @@ const router = express.Router();
  *         description: Bad Request
  */
 router.post('/', async (req, res) => {
-  const { name, email, api_key } = req.body;
-  if (!email || !api_key) {
-    return res.status(400).json({ error: 'Email and API key are required.' });
+  const { name, email, password } = req.body || {};
+  if (!email) {
+    throw errors.invalidRequest('Email is required.', { param: 'email', code: 'parameter_missing' });
   }
+  const failure = password !== undefined && checkPassword(password);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  const passwordHash = password !== undefined ? await merchantUsers.hashPassword(password) : null;
 
   const merchantId = `mch_${uuidv4().substring(0, 24)}`;
 
-  try {
-    const { rows } = await db.query(
-      'INSERT INTO merchants(merchant_id, name, email, api_key) VALUES($1, $2, $3, $4) RETURNING *',
-      [merchantId, name, email, api_key]  // Hash api_key in prod
-    );
-    const token = generateToken(rows[0]);
-    res.status(201).json({ ...rows[0], token });
-  } catch (err) {
-    console.error('Error creating merchant:', err);
-    res.status(500).json({ error: 'Internal Server Error' });
-  }
+  const { merchant, keys, owner } = await db.transaction(async (client) => {
+    let rows;
+    try {
+      ({ rows } = await client.query(
+        'INSERT INTO merchants(merchant_id, name, email) VALUES($1, $2, $3) RETURNING *',
+        [merchantId, name, email]
+      ));
+    } catch (err) {
+      if (db.isUniqueViolation(err, 'merchants_email_key')) {
+        throw errors.invalidRequest('A merchant with this email already exists.', { param: 'email', code: 'email_taken' });
+      }
+      throw err;
+    }
+    let user = null;
+    if (passwordHash) {
+      user = await merchantUsers.create(client, merchantId, { email, name, role: 'owner', passwordHash });
+      if (!user) {
+        throw errors.invalidRequest('A team member with this email already exists.', { param: 'email', code: 'email_taken' });
+      }
+    }
+    return { merchant: rows[0], keys: await apiKeys.issueAll(merchantId, { client }), owner: user };
+  });
+  const token = generateToken(merchant, false, owner);
+  res.status(201).json({ ...merchant, keys, owner, token });
 });
 
 /**
@@ -57,8 +88,13 @@ router.post('/', async (req, res) => {
  * /v1/merchants/login:
  *   post:
  *     summary: Login as merchant
- *     description: Authenticates and returns JWT.
+ *     description: >
+ *       Returns a JWT for a team member's email and password, in test mode unless `livemode` is true.
+ *       The token has the member's role. Alternatively, the merchant's email and a secret key return
+ *       a token with full access in the key's mode. Attempts are rate limited per IP address.
  *     tags: [Merchants]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -68,27 +104,57 @@ router.post('/', async (req, res) => {
  *             properties:
  *               email:
  *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: A team member's password.
+ *               livemode:
+ *                 type: boolean
+ *                 default: false
+ *                 description: With a password, whether the token acts on live data.
  *               api_key:
  *                 type: string
+ *                 description: Instead of a password, a secret key (`sk_test_...` or `sk_live_...`).
  *     responses:
  *       '200':
  *         description: OK
+ *       '400':
+ *         description: Bad Request
  *       '401':
  *         description: Unauthorized
+ *       '429':
+ *         description: Too Many Requests
  */
-router.post('/login', async (req, res) => {
-  const { email, api_key } = req.body;
-  try {
-    const { rows } = await db.query('SELECT * FROM merchants WHERE email = $1 AND api_key = $2', [email, api_key]);
-    if (rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials.' });
+router.post('/login', rateLimit.perIpLogin, async (req, res) => {
+  const { email, password, livemode = false, api_key } = req.body || {};
+  if (email && typeof password === 'string') {
+    if (typeof livemode !== 'boolean') {
+      throw errors.invalidRequest('Livemode must be a boolean.', { param: 'livemode' });
+    }
+    const user = await merchantUsers.authenticate(email, password);
+    if (!user) {
+      throw errors.authentication('Invalid credentials.', 'invalid_credentials');
     }
-    const token = generateToken(rows[0]);
-    res.json({ token });
-  } catch (err) {
-    console.error('Error logging in:', err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    await db.query('UPDATE merchant_users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    return res.json({ token: generateToken(null, livemode, user) });
   }
+  if (!email || !api_key) {
+    throw errors.invalidRequest('Email and a password or API key are required.', { code: 'parameter_missing' });
+  }
+  if (typeof api_key !== 'string') {
+    throw errors.invalidRequest('API key must be a string.', { param: 'api_key' });
+  }
+  const { rows } = await db.query(
+    `SELECT m.*, k.livemode FROM merchants m
+     JOIN api_keys k ON k.merchant_id = m.merchant_id
+     WHERE m.email = $1 AND k.key_hash = $2 AND k.type = 'secret'
+       AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [email, apiKeys.hashKey(api_key)]
+  );
+  if (rows.length === 0) {
+    throw errors.authentication('Invalid credentials.', 'invalid_credentials');
+  }
+  const token = generateToken(rows[0], rows[0].livemode);
+  res.json({ token });
 });
 
 /**
@@ -98,6 +164,7 @@ router.post('/login', async (req, res) => {
  *     summary: Get current merchant profile
  *     description: Fetches the authenticated merchant's details.
  *     tags: [Merchants]
+ *     x-sdk-method: merchants.retrieveProfile
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -106,8 +173,71 @@ router.post('/login', async (req, res) => {
  *       '401':
  *         description: Unauthorized
  */
-router.get('/me', (req, res) => {
-  res.json(req.merchant);  // From auth middleware
+router.get('/me', authenticate, rateLimit.perMerchant, async (req, res) => {
+  const { rows } = await db.query('SELECT * FROM merchants WHERE merchant_id = $1', [req.auth.merchant_id]);
+  if (rows.length === 0) {
+    throw errors.notFound('Merchant not found.');
+  }
+  res.json({ ...rows[0], livemode: req.auth.livemode });
+});
+
+/**
+ * @swagger
+ * /v1/merchants/me/payout_schedule:
+ *   post:
+ *     summary: Set the payout schedule
+ *     description: >
+ *       Chooses how often the available balance is paid out automatically: `daily`, `weekly` on
+ *       `weekly_anchor`, or `manual` (only through POST /v1/payouts). Applies to test and live mode alike.
+ *     tags: [Merchants]
+ *     x-sdk-method: merchants.updatePayoutSchedule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [interval]
+ *             properties:
+ *               interval:
+ *                 type: string
+ *                 enum: [daily, weekly, manual]
+ *               weekly_anchor:
+ *                 type: string
+ *                 enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *                 description: Day of the week for weekly payouts.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ *       '403':
+ *         description: Forbidden
+ */
+router.post('/me/payout_schedule', authenticate, rateLimit.perMerchant, authorize('payouts', 'write'), async (req, res) => {
+  const { interval, weekly_anchor } = req.body || {};
+  if (!PAYOUT_INTERVALS.includes(interval)) {
+    throw errors.invalidRequest(`Interval must be one of: ${PAYOUT_INTERVALS.join(', ')}.`, { param: 'interval' });
+  }
+  if (weekly_anchor !== undefined && !WEEKDAYS.includes(weekly_anchor)) {
+    throw errors.invalidRequest(`Weekly anchor must be one of: ${WEEKDAYS.join(', ')}.`, { param: 'weekly_anchor' });
+  }
+
+  const { rows } = await db.query(
+    `UPDATE merchants SET payout_interval = $1, payout_weekly_anchor = COALESCE($2, payout_weekly_anchor)
+     WHERE merchant_id = $3 RETURNING payout_interval, payout_weekly_anchor`,
+    [interval, weekly_anchor, req.auth.merchant_id]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Merchant not found.');
+  }
+  res.json({ interval: rows[0].payout_interval, weekly_anchor: rows[0].payout_weekly_anchor });
 });
 
 module.exports = router;
\ No newline at end of file
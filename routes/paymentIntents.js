@@ -0,0 +1,414 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const events = require('../utils/events');
+const charges = require('../utils/charges');
+const currencies = require('../utils/currencies');
+const paymentIntents = require('../utils/paymentIntents');
+const pagination = require('../utils/pagination');
+const { validatePaymentIntent, validatePaymentIntentUpdate, validatePaymentIntentCancel } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+// Applies the update fields present in `body` to an intent that is not yet processing. A new card
+// (source or payment_method) replaces the attached one and needs confirming again.
+const applyChanges = async (client, intent, body) => {
+  const { amount, source, payment_method, customer, description, return_url, metadata } = body;
+  const fields = {};
+
+  if (amount !== undefined) {
+    const amountError = currencies.checkAmount(amount, intent.currency);
+    if (amountError) {
+      throw errors.invalidRequest(amountError, { param: 'amount' });
+    }
+    fields.amount = amount;
+  }
+  if (customer !== undefined) {
+    const customerCheck = await client.query(
+      'SELECT id FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+      [customer, intent.merchant_id, intent.livemode]
+    );
+    if (customerCheck.rows.length === 0) {
+      throw errors.invalidRequest(`No such customer: ${customer}.`, { param: 'customer', code: 'resource_missing' });
+    }
+    fields.customer_id = customer;
+  }
+  if (description !== undefined) {
+    fields.description = description;
+  }
+  if (return_url !== undefined) {
+    fields.return_url = return_url;
+  }
+  if (metadata !== undefined) {
+    fields.metadata = metadata;
+  }
+  if (source || payment_method) {
+    const resolved = await charges.resolvePaymentSource(
+      client,
+      { merchant_id: intent.merchant_id, livemode: intent.livemode, customer_id: fields.customer_id || intent.customer_id },
+      { source, payment_method }
+    );
+    if (resolved.error) {
+      throw errors.invalidRequest(resolved.error, resolved);
+    }
+    Object.assign(fields, {
+      status: 'requires_confirmation',
+      customer_id: resolved.customer_id,
+      payment_method_id: resolved.payment_method_id,
+      payment_method_details: { type: 'card', card: resolved.card, billing_details: resolved.billing_details },
+      ip_address: resolved.ip_address,
+      next_action: null,
+    });
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return intent;
+  }
+  return paymentIntents.update(client, intent, fields);
+};
+
+/**
+ * @swagger
+ * /v1/payment_intents:
+ *   post:
+ *     summary: Create a payment intent
+ *     description: >
+ *       Starts a payment that may need the cardholder to authenticate with 3-D Secure, as Strong Customer
+ *       Authentication requires for most European cards. Attach a card with `source` or `payment_method`
+ *       and confirm the intent, here with `confirm` true or later. If the card needs authentication the
+ *       intent moves to `requires_action`: send the cardholder to `next_action.redirect_url`, and they come
+ *       back to `return_url` with `payment_intent` in the query string. Every payment attempt is a charge with
+ *       `payment_intent` set; the intent ends up `succeeded`, or back in `requires_payment_method` with
+ *       `last_payment_error` set if the attempt failed. Intents always capture the payment.
+ *     tags: [Payment Intents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, currency]
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Amount in the currency's smallest unit.
+ *               currency:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 description: A single-use card token from /v1/tokens. Use this or payment_method.
+ *               payment_method:
+ *                 type: string
+ *                 description: A payment method ID from /v1/payment_methods. Use this or source.
+ *               customer:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               confirm:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Confirm the intent straight away. Requires a source or payment_method.
+ *               return_url:
+ *                 type: string
+ *                 description: Where to send the cardholder after a 3-D Secure challenge.
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validatePaymentIntent, async (req, res) => {
+  const { amount, currency, confirm = false } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const intent = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO payment_intents(id, merchant_id, livemode, amount, currency, status)
+       VALUES($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [`pi_${uuidv4()}`, merchantId, livemode, amount, currency, 'requires_payment_method']
+    );
+    const created = await applyChanges(client, rows[0], { ...req.body, amount: undefined });
+    await events.record('payment_intent.created', created, { client });
+    return confirm ? paymentIntents.confirm(client, created) : created;
+  });
+
+  res.status(201).json(intent);
+});
+
+/**
+ * @swagger
+ * /v1/payment_intents/{id}:
+ *   get:
+ *     summary: Retrieve a payment intent
+ *     description: Fetches a payment intent. Its charge attempts are listed by `GET /v1/charges?payment_intent={id}`.
+ *     tags: [Payment Intents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment intent ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const intent = await paymentIntents.findForMerchant(db, req.params.id, req.auth);
+  if (!intent) {
+    throw errors.notFound('Payment intent not found or not authorized.');
+  }
+  res.json(intent);
+});
+
+/**
+ * @swagger
+ * /v1/payment_intents:
+ *   get:
+ *     summary: List all payment intents
+ *     description: Returns the merchant's payment intents, newest first.
+ *     tags: [Payment Intents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requires_payment_method, requires_confirmation, requires_action, processing, succeeded, canceled]
+ *         description: Only return payment intents in this status.
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only return payment intents for this customer.
+ *       - $ref: '#/components/parameters/CreatedRange'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : filters.addEnum('status', 'status', req.query.status, paymentIntents.PAYMENT_INTENT_STATUSES)
+    || filters.addCreatedRange('created_at', 'created', req.query.created);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  filters.equals('customer_id', req.query.customer);
+
+  const list = await pagination.paginate(db, 'payment_intents', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
+});
+
+/**
+ * @swagger
+ * /v1/payment_intents/{id}:
+ *   post:
+ *     summary: Update a payment intent
+ *     description: >
+ *       Changes a payment intent before it is confirmed, or after an attempt failed. Attaching a new card with
+ *       `source` or `payment_method` moves it to `requires_confirmation`. The currency cannot be changed.
+ *     tags: [Payment Intents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment intent ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *               source:
+ *                 type: string
+ *               payment_method:
+ *                 type: string
+ *               customer:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               return_url:
+ *                 type: string
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id', validatePaymentIntentUpdate, async (req, res) => {
+  const intent = await db.transaction(async (client) => {
+    const found = await paymentIntents.findForMerchant(client, req.params.id, req.auth, { forUpdate: true });
+    if (!found) {
+      throw errors.notFound('Payment intent not found or not authorized.');
+    }
+    if (!['requires_payment_method', 'requires_confirmation'].includes(found.status)) {
+      throw errors.invalidRequest(`A payment intent cannot be updated while it is ${found.status}.`, { code: 'payment_intent_unexpected_state' });
+    }
+    return applyChanges(client, found, req.body || {});
+  });
+
+  res.json(intent);
+});
+
+/**
+ * @swagger
+ * /v1/payment_intents/{id}/confirm:
+ *   post:
+ *     summary: Confirm a payment intent
+ *     description: >
+ *       Starts the payment. Takes the same parameters as an update, applied first, so a card can be attached
+ *       and confirmed in one call. Moves the intent to `requires_action` if the card needs 3-D Secure,
+ *       otherwise to `processing` while a charge is attempted.
+ *     tags: [Payment Intents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment intent ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *               payment_method:
+ *                 type: string
+ *               return_url:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/confirm', validatePaymentIntentUpdate, async (req, res) => {
+  const intent = await db.transaction(async (client) => {
+    const found = await paymentIntents.findForMerchant(client, req.params.id, req.auth, { forUpdate: true });
+    if (!found) {
+      throw errors.notFound('Payment intent not found or not authorized.');
+    }
+    if (!['requires_payment_method', 'requires_confirmation'].includes(found.status)) {
+      throw errors.invalidRequest(`A payment intent cannot be confirmed while it is ${found.status}.`, { code: 'payment_intent_unexpected_state' });
+    }
+    const updated = await applyChanges(client, found, req.body || {});
+    if (updated.status !== 'requires_confirmation') {
+      throw errors.invalidRequest('Attach a card with source or payment_method before confirming.', { param: 'payment_method', code: 'payment_method_missing' });
+    }
+    return paymentIntents.confirm(client, updated);
+  });
+
+  res.json(intent);
+});
+
+/**
+ * @swagger
+ * /v1/payment_intents/{id}/cancel:
+ *   post:
+ *     summary: Cancel a payment intent
+ *     description: Abandons a payment intent that is not processing or succeeded. A pending 3-D Secure challenge can no longer be completed.
+ *     tags: [Payment Intents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment intent ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancellation_reason:
+ *                 type: string
+ *                 enum: [duplicate, fraudulent, requested_by_customer, abandoned]
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/cancel', validatePaymentIntentCancel, async (req, res) => {
+  const { cancellation_reason } = req.body || {};
+
+  const intent = await db.transaction(async (client) => {
+    const found = await paymentIntents.findForMerchant(client, req.params.id, req.auth, { forUpdate: true });
+    if (!found) {
+      throw errors.notFound('Payment intent not found or not authorized.');
+    }
+    if (!paymentIntents.CANCELABLE_STATUSES.includes(found.status)) {
+      throw errors.invalidRequest(`A payment intent cannot be canceled while it is ${found.status}.`, { code: 'payment_intent_unexpected_state' });
+    }
+    return paymentIntents.update(client, found, {
+      status: 'canceled', next_action: null, cancellation_reason: cancellation_reason || null, canceled_at: new Date(),
+    }, 'payment_intent.canceled');
+  });
+
+  res.json(intent);
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const cards = require('../utils/cards');
+const { validateCardDetails } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/payment_methods:
+ *   post:
+ *     summary: Create a payment method
+ *     description: >
+ *       Validates card details and stores a reusable payment method, optionally attached to a customer.
+ *       Only the brand, last four digits, expiry and a fingerprint are stored.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               card:
+ *                 $ref: '#/components/schemas/CardDetails'
+ *               billing_details:
+ *                 $ref: '#/components/schemas/BillingDetails'
+ *               customer:
+ *                 type: string
+ *                 description: ID of the customer to attach the payment method to.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateCardDetails, async (req, res) => {
+  const { card, billing_details, customer } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (customer !== undefined) {
+    const customerCheck = await db.query('SELECT id FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [customer, merchantId, livemode]);
+    if (customerCheck.rows.length === 0) {
+      throw errors.invalidRequest(`No such customer: ${customer}.`, { param: 'customer', code: 'resource_missing' });
+    }
+  }
+
+  const { rows } = await db.query(
+    'INSERT INTO payment_methods(id, merchant_id, livemode, customer_id, type, card, billing_details) VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [`pm_${uuidv4()}`, merchantId, livemode, customer, 'card', cards.summarize(card), billing_details]
+  );
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/payment_methods/{id}:
+ *   get:
+ *     summary: Retrieve a payment method
+ *     description: Fetches the details of a specific payment method.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment method ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query('SELECT * FROM payment_methods WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [req.params.id, merchantId, livemode]);
+  if (rows.length === 0) {
+    throw errors.notFound('Payment method not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/payment_methods:
+ *   get:
+ *     summary: List payment methods
+ *     description: Returns the payment methods of the authenticated merchant, optionally limited to one customer.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only return payment methods attached to this customer.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of payment methods to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of payment methods to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['customer']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (req.query.customer) {
+    params.push(req.query.customer);
+    where += ` AND customer_id = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM payment_methods WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM payment_methods WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/payment_methods/{id}/attach:
+ *   post:
+ *     summary: Attach a payment method to a customer
+ *     description: Links a payment method to a customer so it can be reused for their charges.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment method ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               customer:
+ *                 type: string
+ *                 description: The customer ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/attach', async (req, res) => {
+  const { id } = req.params;
+  const { customer } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (!customer) {
+    throw errors.invalidRequest('Customer is required.', { param: 'customer', code: 'parameter_missing' });
+  }
+
+  const customerCheck = await db.query('SELECT id FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [customer, merchantId, livemode]);
+  if (customerCheck.rows.length === 0) {
+    throw errors.invalidRequest(`No such customer: ${customer}.`, { param: 'customer', code: 'resource_missing' });
+  }
+
+  const { rows } = await db.query(
+    'UPDATE payment_methods SET customer_id = $1 WHERE id = $2 AND merchant_id = $3 AND livemode = $4 RETURNING *',
+    [customer, id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Payment method not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/payment_methods/{id}/detach:
+ *   post:
+ *     summary: Detach a payment method from its customer
+ *     description: Unlinks a payment method from its customer. If it was the customer's default payment method, the customer is left without one.
+ *     tags: [Payment Methods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment method ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/detach', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const rows = await db.transaction(async (client) => {
+    const result = await client.query(
+      'UPDATE payment_methods SET customer_id = NULL WHERE id = $1 AND merchant_id = $2 AND livemode = $3 RETURNING *',
+      [req.params.id, merchantId, livemode]
+    );
+    if (result.rows.length > 0) {
+      await client.query('UPDATE customers SET default_payment_method_id = NULL WHERE default_payment_method_id = $1', [req.params.id]);
+      await client.query('UPDATE subscriptions SET default_payment_method_id = NULL WHERE default_payment_method_id = $1', [req.params.id]);
+    }
+    return result.rows;
+  });
+  if (rows.length === 0) {
+    throw errors.notFound('Payment method not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const payouts = require('../utils/payouts');
+const { validatePayout } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const PAYOUT_STATUSES = ['pending', 'in_transit', 'paid', 'failed'];
+
+/**
+ * @swagger
+ * /v1/payouts:
+ *   post:
+ *     summary: Create a payout
+ *     description: >
+ *       Sends the whole available balance in one currency to the default bank account for that currency.
+ *       Use this with a manual payout schedule, or to pay out early on an automatic one.
+ *       The payout moves from `pending` to `in_transit` to `paid` or `failed`.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currency]
+ *             properties:
+ *               currency:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validatePayout, async (req, res) => {
+  const { currency, description } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const bankAccount = await payouts.findDefaultBankAccount(client, merchantId, livemode, currency);
+    if (!bankAccount) {
+      throw errors.invalidRequest(`No bank account for ${currency.toUpperCase()} payouts. Add one first.`, { param: 'currency', code: 'bank_account_missing' });
+    }
+    const payout = await payouts.createPayout({
+      merchant_id: merchantId, livemode, currency, bankAccount, description,
+    }, { client });
+    if (!payout) {
+      throw errors.invalidRequest(`No available ${currency.toUpperCase()} balance to pay out.`, { param: 'currency', code: 'balance_insufficient' });
+    }
+    return { status: 201, body: payout };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/payouts/{id}:
+ *   get:
+ *     summary: Retrieve a payout
+ *     description: Fetches a payout together with the balance transactions (charges, refunds, fees and adjustments) it pays out.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payout ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM payouts WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Payout not found or not authorized.');
+  }
+  const { rows: txns } = await db.query(
+    "SELECT * FROM balance_transactions WHERE payout_id = $1 AND type <> 'payout' ORDER BY created_at",
+    [rows[0].id]
+  );
+  res.json({ ...rows[0], balance_transactions: txns });
+});
+
+/**
+ * @swagger
+ * /v1/payouts:
+ *   get:
+ *     summary: List all payouts
+ *     description: Returns the merchant's payouts, newest first.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_transit, paid, failed]
+ *         description: Only return payouts in this status.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of payouts to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of payouts to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['status']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { status } = req.query;
+
+  if (status !== undefined && !PAYOUT_STATUSES.includes(status)) {
+    throw errors.invalidRequest(`Status must be one of: ${PAYOUT_STATUSES.join(', ')}.`, { param: 'status' });
+  }
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM payouts WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM payouts WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+module.exports = router;
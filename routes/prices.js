@@ -0,0 +1,254 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const { validatePrice } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/prices:
+ *   post:
+ *     summary: Create a price
+ *     description: >
+ *       Creates a recurring price for a product: how much a subscriber pays, in which currency, and how
+ *       often. Prices cannot be changed afterwards; to charge a different amount, create a new price
+ *       and move subscriptions over to it.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [product, unit_amount, currency, recurring]
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 description: ID of the product this price belongs to.
+ *               unit_amount:
+ *                 type: integer
+ *                 description: Amount per unit and period, in the currency's smallest unit.
+ *               currency:
+ *                 type: string
+ *               recurring:
+ *                 type: object
+ *                 required: [interval]
+ *                 properties:
+ *                   interval:
+ *                     type: string
+ *                     enum: [day, week, month, year]
+ *                   interval_count:
+ *                     type: integer
+ *                     default: 1
+ *                     description: Number of intervals between invoices, e.g. 3 with `month` for quarterly billing.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validatePrice, async (req, res) => {
+  const { product, unit_amount, currency, recurring } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const productCheck = await db.query(
+    'SELECT active FROM products WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [product, merchantId, livemode]
+  );
+  if (productCheck.rows.length === 0) {
+    throw errors.invalidRequest(`No such product: ${product}.`, { param: 'product', code: 'resource_missing' });
+  }
+  if (!productCheck.rows[0].active) {
+    throw errors.invalidRequest('Prices cannot be added to an archived product.', { param: 'product', code: 'product_archived' });
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO prices(id, merchant_id, livemode, product_id, unit_amount, currency, recurring_interval, recurring_interval_count)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [`price_${uuidv4()}`, merchantId, livemode, product, unit_amount, currency, recurring.interval, recurring.interval_count || 1]
+  );
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/prices/{id}:
+ *   get:
+ *     summary: Retrieve a price
+ *     description: Fetches a price.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The price ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM prices WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Price not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/prices:
+ *   get:
+ *     summary: List all prices
+ *     description: Returns the merchant's prices, newest first.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Only return prices for this product.
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return prices that are (or are not) available for new subscriptions.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of prices to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of prices to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['product', 'active']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { product, active } = req.query;
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (product) {
+    params.push(product);
+    where += ` AND product_id = $${params.length}`;
+  }
+  if (active === 'true' || active === 'false') {
+    params.push(active === 'true');
+    where += ` AND active = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM prices WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM prices WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/prices/{id}:
+ *   post:
+ *     summary: Update a price
+ *     description: Archives or restores a price. An archived price stays on existing subscriptions but cannot be used for new ones.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The price ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [active]
+ *             properties:
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id', async (req, res) => {
+  const { active } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (typeof active !== 'boolean') {
+    throw errors.invalidRequest('Active must be a boolean. Other price fields cannot be changed.', { param: 'active' });
+  }
+
+  const { rows } = await db.query(
+    'UPDATE prices SET active = $1 WHERE id = $2 AND merchant_id = $3 AND livemode = $4 RETURNING *',
+    [active, req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Price not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+module.exports = router;
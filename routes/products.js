@@ -0,0 +1,224 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const { validateProduct, validateProductUpdate } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/products:
+ *   post:
+ *     summary: Create a product
+ *     description: Creates a product, the thing a customer subscribes to. Attach prices to it to say how much it costs and how often.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateProduct, async (req, res) => {
+  const { name, description, metadata } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows } = await db.query(
+    'INSERT INTO products(id, merchant_id, livemode, name, description, metadata) VALUES($1, $2, $3, $4, $5, $6) RETURNING *',
+    [`prod_${uuidv4()}`, merchantId, livemode, name, description, metadata]
+  );
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/products/{id}:
+ *   get:
+ *     summary: Retrieve a product
+ *     description: Fetches a product.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM products WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Product not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/products:
+ *   get:
+ *     summary: List all products
+ *     description: Returns the merchant's products, newest first.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return products that are (or are not) available for new subscriptions.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of products to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of products to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['active']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { active } = req.query;
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (active === 'true' || active === 'false') {
+    params.push(active === 'true');
+    where += ` AND active = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM products WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM products WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/products/{id}:
+ *   post:
+ *     summary: Update a product
+ *     description: Updates a product. Archiving it (`active` false) keeps existing subscriptions running but its prices can no longer be subscribed to.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id', validateProductUpdate, async (req, res) => {
+  const fields = ['name', 'description', 'active', 'metadata'].filter(field => req.body[field] !== undefined);
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (fields.length === 0) {
+    throw errors.invalidRequest('At least one field (name, description, active, or metadata) is required for update.', { code: 'parameter_missing' });
+  }
+
+  const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+  const { rows } = await db.query(
+    `UPDATE products SET ${assignments.join(', ')}
+     WHERE id = $${fields.length + 1} AND merchant_id = $${fields.length + 2} AND livemode = $${fields.length + 3} RETURNING *`,
+    [...fields.map(field => req.body[field]), req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Product not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+module.exports = router;
@@ -0,0 +1,614 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const radar = require('../utils/radar');
+const pagination = require('../utils/pagination');
+const { validateRadarRule, validateRadarRuleUpdate, validateValueList } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+// Returns { error, param } if the predicate refers to a value list the merchant doesn't have, or null.
+const checkAliases = async (predicate, merchantId, livemode) => {
+  const { aliases } = radar.checkPredicate(predicate);
+  if (aliases.length === 0) {
+    return null;
+  }
+  const { rows } = await db.query(
+    'SELECT alias FROM radar_value_lists WHERE merchant_id = $1 AND livemode = $2 AND alias = ANY($3)',
+    [merchantId, livemode, aliases]
+  );
+  const missing = aliases.find(alias => !rows.some(row => row.alias === alias));
+  return missing ? { error: `No such value list: @${missing}.`, param: 'predicate' } : null;
+};
+
+/**
+ * @swagger
+ * /v1/radar/rules:
+ *   post:
+ *     summary: Create a radar rule
+ *     description: >
+ *       Adds a rule that allows, blocks or sends to review the charges its predicate matches. Predicates use
+ *       the search query language over these fields: amount, currency, card_brand, card_country, card_fingerprint,
+ *       billing_country, customer, email, ip_address, risk_score, risk_level (normal, elevated or highest),
+ *       charges_per_card_1h, charges_per_card_24h, charges_per_customer_1h, charges_per_customer_24h,
+ *       charges_per_ip_1h, charges_per_ip_24h (each counting the charge being assessed), currency_country_mismatch
+ *       and billing_country_mismatch. card_country is null when the issuing country is unknown, and the
+ *       mismatches are then false. A bare `@alias` value tests membership of a value list.
+ *       Example: `card_country:'BR' AND amount>50000 OR ip_address:@blocked_ips`.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action, predicate]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [allow, block, review]
+ *               predicate:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/rules', validateRadarRule, async (req, res) => {
+  const { action, predicate, description } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const failure = await checkAliases(predicate, merchantId, livemode);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  const { rows } = await db.query(
+    'INSERT INTO radar_rules(id, merchant_id, livemode, action, predicate, description) VALUES($1, $2, $3, $4, $5, $6) RETURNING *',
+    [`rr_${uuidv4()}`, merchantId, livemode, action, predicate, description]
+  );
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/radar/rules:
+ *   get:
+ *     summary: List all radar rules
+ *     description: Returns the merchant's radar rules, newest first.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [allow, block, review]
+ *         description: Only return rules with this action.
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/rules', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const failure = page.error ? page : filters.addEnum('action', 'action', req.query.action, radar.RULE_ACTIONS);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+
+  const list = await pagination.paginate(db, 'radar_rules', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
+});
+
+/**
+ * @swagger
+ * /v1/radar/rules/{id}:
+ *   get:
+ *     summary: Retrieve a radar rule
+ *     description: Fetches a radar rule.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rule ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/rules/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM radar_rules WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Radar rule not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/radar/rules/{id}:
+ *   post:
+ *     summary: Update a radar rule
+ *     description: Changes a rule's action, predicate or description, or turns it off with `active` false. Charges already assessed keep their outcome.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rule ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [allow, block, review]
+ *               predicate:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/rules/:id', validateRadarRuleUpdate, async (req, res) => {
+  const { action, predicate, description, active } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (predicate !== undefined) {
+    const failure = await checkAliases(predicate, merchantId, livemode);
+    if (failure) {
+      throw errors.invalidRequest(failure.error, failure);
+    }
+  }
+  const { rows } = await db.query(
+    `UPDATE radar_rules SET action = COALESCE($1, action), predicate = COALESCE($2, predicate),
+       description = COALESCE($3, description), active = COALESCE($4, active)
+     WHERE id = $5 AND merchant_id = $6 AND livemode = $7 RETURNING *`,
+    [action, predicate, description, active, req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Radar rule not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/radar/rules/{id}:
+ *   delete:
+ *     summary: Delete a radar rule
+ *     description: Removes a rule. Set `active` to false instead to turn it off for a while.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rule ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.delete('/rules/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'DELETE FROM radar_rules WHERE id = $1 AND merchant_id = $2 AND livemode = $3 RETURNING id',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Radar rule not found or not authorized.');
+  }
+  res.json({ id: rows[0].id, deleted: true });
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists:
+ *   post:
+ *     summary: Create a value list
+ *     description: >
+ *       Creates a list of values, such as blocked IP addresses or trusted customers, for rules to refer to
+ *       as `@alias`. Items are normalized for the list's type: emails are lowercased, countries uppercased
+ *       and IP addresses validated.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [alias, name]
+ *             properties:
+ *               alias:
+ *                 type: string
+ *                 description: How rules refer to the list. Lowercase letters, digits and underscores; unique per mode.
+ *               name:
+ *                 type: string
+ *               item_type:
+ *                 type: string
+ *                 enum: [card_fingerprint, email, ip_address, country, customer_id, string]
+ *                 default: string
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/value_lists', validateValueList, async (req, res) => {
+  const { alias, name, item_type = 'string' } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows } = await db.query(
+    `INSERT INTO radar_value_lists(id, merchant_id, livemode, alias, name, item_type) VALUES($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (merchant_id, livemode, alias) DO NOTHING RETURNING *`,
+    [`rsl_${uuidv4()}`, merchantId, livemode, alias, name, item_type]
+  );
+  if (rows.length === 0) {
+    throw errors.invalidRequest(`A value list with alias ${alias} already exists.`, { param: 'alias', code: 'resource_already_exists' });
+  }
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists:
+ *   get:
+ *     summary: List all value lists
+ *     description: Returns the merchant's value lists, newest first.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/value_lists', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+
+  const list = await pagination.paginate(db, 'radar_value_lists', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists/{id}:
+ *   get:
+ *     summary: Retrieve a value list
+ *     description: Fetches a value list with its number of items. Page through the items with the items endpoint.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The value list ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/value_lists/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    `SELECT l.*, (SELECT COUNT(*) FROM radar_value_list_items i WHERE i.value_list_id = l.id)::int AS item_count
+     FROM radar_value_lists l WHERE l.id = $1 AND l.merchant_id = $2 AND l.livemode = $3`,
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Value list not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists/{id}:
+ *   delete:
+ *     summary: Delete a value list
+ *     description: Removes a value list and its items. A list that rules still refer to can't be deleted.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The value list ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.delete('/value_lists/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT alias FROM radar_value_lists WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Value list not found or not authorized.');
+  }
+  const { rows: rules } = await db.query(
+    'SELECT id, predicate FROM radar_rules WHERE merchant_id = $1 AND livemode = $2',
+    [merchantId, livemode]
+  );
+  const referencing = rules.find(rule => (radar.checkPredicate(rule.predicate).aliases || []).includes(rows[0].alias));
+  if (referencing) {
+    throw errors.invalidRequest(`Value list is used by radar rule ${referencing.id}. Change or delete the rule first.`, { code: 'value_list_in_use' });
+  }
+  await db.query('DELETE FROM radar_value_lists WHERE id = $1', [req.params.id]);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists/{id}/items:
+ *   post:
+ *     summary: Add a value list item
+ *     description: Adds a value to a list. Adding a value the list already has returns the existing item.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The value list ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [value]
+ *             properties:
+ *               value:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/value_lists/:id/items', async (req, res) => {
+  const { value } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows } = await db.query(
+    'SELECT id, item_type FROM radar_value_lists WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Value list not found or not authorized.');
+  }
+  const normalized = radar.normalizeItem(rows[0].item_type, value);
+  if (normalized === null) {
+    throw errors.invalidRequest(`Value must be a valid ${rows[0].item_type.replace('_', ' ')}.`, { param: 'value' });
+  }
+  // The no-op update makes RETURNING give back an item that already existed.
+  const { rows: items } = await db.query(
+    `INSERT INTO radar_value_list_items(id, value_list_id, value) VALUES($1, $2, $3)
+     ON CONFLICT (value_list_id, value) DO UPDATE SET value = EXCLUDED.value RETURNING *`,
+    [`rsli_${uuidv4()}`, rows[0].id, normalized]
+  );
+  res.status(201).json(items[0]);
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists/{id}/items:
+ *   get:
+ *     summary: List value list items
+ *     description: Returns the items in a value list, newest first.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The value list ID.
+ *       - in: query
+ *         name: value
+ *         schema:
+ *           type: string
+ *         description: Only return the item with this value, to check whether the list has it.
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/StartingAfter'
+ *       - $ref: '#/components/parameters/EndingBefore'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/value_lists/:id/items', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const page = pagination.parseCursor(req.query);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+
+  const { rows } = await db.query(
+    'SELECT id, item_type FROM radar_value_lists WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Value list not found or not authorized.');
+  }
+  const filters = pagination.createFilters('value_list_id = $1', [rows[0].id]);
+  if (req.query.value !== undefined) {
+    filters.equals('value', radar.normalizeItem(rows[0].item_type, req.query.value));
+  }
+  const list = await pagination.paginate(db, 'radar_value_list_items', filters, page);
+  if (list.error) {
+    throw errors.invalidRequest(list.error, list);
+  }
+  res.json(list);
+});
+
+/**
+ * @swagger
+ * /v1/radar/value_lists/{id}/items/{item}:
+ *   delete:
+ *     summary: Remove a value list item
+ *     description: Removes a value from a list. Rules stop matching it from the next charge assessed.
+ *     tags: [Radar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The value list ID.
+ *       - in: path
+ *         name: item
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The item ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.delete('/value_lists/:id/items/:item', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    `DELETE FROM radar_value_list_items i USING radar_value_lists l
+     WHERE i.id = $1 AND i.value_list_id = l.id AND l.id = $2 AND l.merchant_id = $3 AND l.livemode = $4 RETURNING i.id`,
+    [req.params.item, req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Value list item not found or not authorized.');
+  }
+  res.json({ id: rows[0].id, deleted: true });
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const queue = require('../utils/queue');
+const events = require('../utils/events');
+const currencies = require('../utils/currencies');
+const { validateRefund } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+// Only money that has actually been collected can be given back.
+const REFUNDABLE_STATUSES = ['succeeded', 'captured'];
+
+/**
+ * @swagger
+ * /v1/refunds:
+ *   post:
+ *     summary: Create a refund
+ *     description: Refunds a charge in full or in part. Several partial refunds may be issued until the captured amount is used up.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               charge:
+ *                 type: string
+ *                 description: The ID of the charge to refund.
+ *               amount:
+ *                 type: integer
+ *                 description: Amount to refund in the charge currency's smallest unit. Defaults to the remaining refundable amount.
+ *               reason:
+ *                 type: string
+ *                 enum: [duplicate, fraudulent, requested_by_customer]
+ *                 description: Reason for the refund.
+ *               metadata:
+ *                 type: object
+ *                 description: A JSON object containing key-value pairs for metadata.
+ *     responses:
+ *       '202':
+ *         description: Accepted
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateRefund, async (req, res) => {
+  const { charge: chargeId, amount, reason, metadata } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    // Lock the charge so concurrent refunds can't both pass the refundable check.
+    const { rows: chargeRows } = await client.query(
+      'SELECT * FROM charges WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [chargeId, merchantId, livemode]
+    );
+    if (chargeRows.length === 0) {
+      throw errors.notFound('Charge not found or not authorized.');
+    }
+
+    const charge = chargeRows[0];
+    if (!REFUNDABLE_STATUSES.includes(charge.status)) {
+      throw errors.invalidRequest(`Charge cannot be refunded: Status is ${charge.status}.`, { code: 'charge_not_refundable' });
+    }
+    // The disputed funds are already being clawed back through the dispute.
+    if (charge.disputed) {
+      throw errors.invalidRequest('Charge cannot be refunded: It has been disputed.', { code: 'charge_disputed' });
+    }
+
+    // Pending refunds count against the balance so they can't be over-issued while the worker runs.
+    const { rows: reservedRows } = await client.query(
+      "SELECT COALESCE(SUM(amount), 0) AS reserved FROM refunds WHERE charge_id = $1 AND status IN ('pending', 'succeeded')",
+      [charge.id]
+    );
+    const refundable = charge.amount_captured - parseInt(reservedRows[0].reserved, 10);
+    if (refundable <= 0) {
+      throw errors.invalidRequest('Charge has already been fully refunded.', { code: 'charge_already_refunded' });
+    }
+
+    const refundAmount = amount === undefined ? refundable : amount;
+    const amountError = currencies.checkAmount(refundAmount, charge.currency, { minimum: false });
+    if (amountError) {
+      throw errors.invalidRequest(amountError, { param: 'amount' });
+    }
+    if (refundAmount > refundable) {
+      throw errors.invalidRequest(
+        `Refund amount exceeds the remaining refundable amount of ${refundable} (${currencies.format(refundable, charge.currency)}).`,
+        { param: 'amount', code: 'amount_too_large' }
+      );
+    }
+
+    const { rows } = await client.query(
+      'INSERT INTO refunds(id, merchant_id, livemode, charge_id, amount, currency, status, reason, metadata) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+      [`re_${uuidv4()}`, merchantId, livemode, charge.id, refundAmount, charge.currency, 'pending', reason, metadata]
+    );
+    await events.record('refund.created', rows[0], { client });
+    await queue.enqueue({ type: 'process_refund', data: rows[0] }, { client });
+    return { status: 202, body: rows[0] };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/refunds/{id}:
+ *   get:
+ *     summary: Retrieve a refund
+ *     description: Fetches the details of a specific refund.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The refund ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query('SELECT * FROM refunds WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [req.params.id, merchantId, livemode]);
+  if (rows.length === 0) {
+    throw errors.notFound('Refund not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/refunds:
+ *   get:
+ *     summary: List all refunds
+ *     description: Returns a list of refunds for the authenticated merchant, optionally limited to one charge.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: charge
+ *         schema:
+ *           type: string
+ *         description: Only return refunds for this charge.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of refunds to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of refunds to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['charge']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (req.query.charge) {
+    params.push(req.query.charge);
+    where += ` AND charge_id = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM refunds WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM refunds WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,424 @@
+const express = require('express');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const events = require('../utils/events');
+const billing = require('../utils/billing');
+const { validateSubscription, validateSubscriptionUpdate } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+const SUBSCRIPTION_STATUSES = ['trialing', 'active', 'past_due', 'canceled'];
+
+// Checks that a payment method is attached to the customer. Returns an error body, or null.
+const checkPaymentMethod = async (client, paymentMethodId, customerId) => {
+  const { rows } = await client.query('SELECT id FROM payment_methods WHERE id = $1 AND customer_id = $2', [paymentMethodId, customerId]);
+  if (rows.length === 0) {
+    return { error: `No such payment method attached to this customer: ${paymentMethodId}.`, param: 'default_payment_method' };
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /v1/subscriptions:
+ *   post:
+ *     summary: Create a subscription
+ *     description: >
+ *       Subscribes a customer to one or more prices, which must share a currency and billing interval.
+ *       Without a trial, the first period is invoiced straight away and charged to the subscription's
+ *       default payment method, or else the customer's. With `trial_period_days`, the subscription starts
+ *       as `trialing` and the first invoice is created when the trial ends. Each later period is invoiced
+ *       when the previous one ends. A failed payment makes the subscription `past_due` and is retried
+ *       after 1, 3 and 5 days; if the last retry fails the invoice becomes `uncollectible` and the
+ *       subscription is canceled.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [customer, items]
+ *             properties:
+ *               customer:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [price]
+ *                   properties:
+ *                     price:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               trial_period_days:
+ *                 type: integer
+ *               default_payment_method:
+ *                 type: string
+ *                 description: Payment method attached to the customer to charge instead of the customer's default.
+ *               cancel_at_period_end:
+ *                 type: boolean
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateSubscription, async (req, res) => {
+  const { customer, items, trial_period_days, default_payment_method, cancel_at_period_end, metadata } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const { rows: customers } = await client.query(
+      'SELECT * FROM customers WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+      [customer, merchantId, livemode]
+    );
+    if (customers.length === 0) {
+      throw errors.invalidRequest(`No such customer: ${customer}.`, { param: 'customer', code: 'resource_missing' });
+    }
+    const resolved = await billing.resolvePrices(client, { merchant_id: merchantId, livemode }, items);
+    if (resolved.error) {
+      throw errors.invalidRequest(resolved.error, resolved);
+    }
+    if (default_payment_method) {
+      const pmError = await checkPaymentMethod(client, default_payment_method, customer);
+      if (pmError) {
+        throw errors.invalidRequest(pmError.error, pmError);
+      }
+    } else if (!trial_period_days && !customers[0].default_payment_method_id) {
+      throw errors.invalidRequest(
+        'This customer has no default payment method. Set one on the customer or pass default_payment_method.',
+        { param: 'default_payment_method', code: 'payment_method_missing' }
+      );
+    }
+
+    const subscription = await billing.createSubscription(client, {
+      merchant_id: merchantId,
+      livemode,
+      customer_id: customer,
+      items,
+      trial_period_days,
+      default_payment_method_id: default_payment_method,
+      cancel_at_period_end,
+      metadata,
+    }, resolved.prices);
+    return { status: 201, body: await billing.expand(client, subscription) };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/subscriptions/{id}:
+ *   get:
+ *     summary: Retrieve a subscription
+ *     description: Fetches a subscription with its items.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subscription ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'SELECT * FROM subscriptions WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Subscription not found or not authorized.');
+  }
+  res.json(await billing.expand(db, rows[0]));
+});
+
+/**
+ * @swagger
+ * /v1/subscriptions:
+ *   get:
+ *     summary: List all subscriptions
+ *     description: Returns the merchant's subscriptions, newest first.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only return this customer's subscriptions.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [trialing, active, past_due, canceled]
+ *         description: Only return subscriptions in this status.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of subscriptions to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of subscriptions to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query, ['customer', 'status']);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { customer, status } = req.query;
+
+  if (status !== undefined && !SUBSCRIPTION_STATUSES.includes(status)) {
+    throw errors.invalidRequest(`Status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}.`, { param: 'status' });
+  }
+
+  let where = 'merchant_id = $1 AND livemode = $2';
+  const params = [merchantId, livemode];
+  if (customer) {
+    params.push(customer);
+    where += ` AND customer_id = $${params.length}`;
+  }
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `SELECT * FROM subscriptions WHERE ${where} ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const totalResult = await db.query(`SELECT COUNT(*) FROM subscriptions WHERE ${where}`, params);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  const data = [];
+  for (const subscription of rows) {
+    data.push(await billing.expand(db, subscription));
+  }
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/subscriptions/{id}:
+ *   post:
+ *     summary: Update a subscription
+ *     description: >
+ *       Changes a subscription's items, payment method or cancellation. Passing `items` replaces all
+ *       current items; the new prices must keep the subscription's currency and billing interval.
+ *       By default the change is prorated: unused time on the old items is credited and the rest of
+ *       the period on the new ones is charged, both on the next invoice. `always_invoice` bills the
+ *       prorations immediately, unless they come to less than the currency's minimum charge, which
+ *       waits for the next invoice; `none` skips them. Setting `cancel_at_period_end` ends the
+ *       subscription when the current period ends instead of renewing it.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subscription ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [price]
+ *                   properties:
+ *                     price:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               proration_behavior:
+ *                 type: string
+ *                 enum: [create_prorations, always_invoice, none]
+ *                 default: create_prorations
+ *               default_payment_method:
+ *                 type: string
+ *                 description: Payment method attached to the customer. Pass null to fall back to the customer's default.
+ *               cancel_at_period_end:
+ *                 type: boolean
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id', validateSubscriptionUpdate, async (req, res) => {
+  const { items, proration_behavior, default_payment_method, cancel_at_period_end, metadata } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  if (items === undefined && default_payment_method === undefined && cancel_at_period_end === undefined && metadata === undefined) {
+    throw errors.invalidRequest('At least one field (items, default_payment_method, cancel_at_period_end, or metadata) is required for update.', { code: 'parameter_missing' });
+  }
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM subscriptions WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('Subscription not found or not authorized.');
+    }
+    const subscription = rows[0];
+    if (subscription.status === 'canceled') {
+      throw errors.invalidRequest('A canceled subscription cannot be updated.', { code: 'subscription_canceled' });
+    }
+
+    if (default_payment_method) {
+      const pmError = await checkPaymentMethod(client, default_payment_method, subscription.customer_id);
+      if (pmError) {
+        throw errors.invalidRequest(pmError.error, pmError);
+      }
+    }
+    if (items !== undefined) {
+      const resolved = await billing.resolvePrices(client, { merchant_id: merchantId, livemode }, items);
+      if (resolved.error) {
+        throw errors.invalidRequest(resolved.error, resolved);
+      }
+      const { rows: currentPrices } = await client.query(
+        `SELECT p.currency, p.recurring_interval, p.recurring_interval_count FROM subscription_items si
+         JOIN prices p ON p.id = si.price_id WHERE si.subscription_id = $1 LIMIT 1`,
+        [subscription.id]
+      );
+      const [current] = currentPrices;
+      const [next] = Object.values(resolved.prices);
+      if (next.currency !== current.currency || next.recurring_interval !== current.recurring_interval
+        || next.recurring_interval_count !== current.recurring_interval_count) {
+        throw errors.invalidRequest('New prices must keep the subscription\'s currency and billing interval.', { param: 'items' });
+      }
+      await billing.replaceItems(client, subscription, items, resolved.prices, proration_behavior);
+    }
+
+    const { rows: updated } = await client.query(
+      `UPDATE subscriptions SET
+         default_payment_method_id = CASE WHEN $1 THEN $2 ELSE default_payment_method_id END,
+         cancel_at_period_end = COALESCE($3, cancel_at_period_end),
+         metadata = COALESCE($4, metadata)
+       WHERE id = $5 RETURNING *`,
+      [default_payment_method !== undefined, default_payment_method || null, cancel_at_period_end, metadata, subscription.id]
+    );
+    await events.record('customer.subscription.updated', updated[0], { client });
+    return { status: 200, body: await billing.expand(client, updated[0]) };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+/**
+ * @swagger
+ * /v1/subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     description: >
+ *       Cancels a subscription immediately. No further invoices are created and failed payments are no
+ *       longer retried. Use `cancel_at_period_end` on update to cancel at the end of the paid period instead.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subscription ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/cancel', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const result = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM subscriptions WHERE id = $1 AND merchant_id = $2 AND livemode = $3 FOR UPDATE',
+      [req.params.id, merchantId, livemode]
+    );
+    if (rows.length === 0) {
+      throw errors.notFound('Subscription not found or not authorized.');
+    }
+    if (rows[0].status === 'canceled') {
+      throw errors.invalidRequest('Subscription is already canceled.', { code: 'subscription_canceled' });
+    }
+    await billing.setSubscriptionStatus(client, rows[0].id, 'canceled');
+    const { rows: canceled } = await client.query('SELECT * FROM subscriptions WHERE id = $1', [rows[0].id]);
+    return { status: 200, body: await billing.expand(client, canceled[0]) };
+  });
+
+  res.status(result.status).json(result.body);
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+// The simulated 3-D Secure challenge a payment intent in requires_action redirects the cardholder to.
+// Like the hosted checkout page it takes no API key: the intent ID in the URL grants access, and only
+// while the intent is waiting on this challenge. There is no real issuer, so the cardholder simply
+// chooses whether authentication succeeds.
+const express = require('express');
+const db = require('../utils/db');
+const currencies = require('../utils/currencies');
+const paymentIntents = require('../utils/paymentIntents');
+const { escapeHtml, renderPage } = require('../utils/pages');
+
+const router = express.Router();
+
+// Where to send the cardholder once the challenge is over: the merchant's return_url, which learns
+// the intent from the query string, or null to show our own page.
+const returnUrl = (intent) => {
+  if (!intent.return_url) {
+    return null;
+  }
+  const url = new URL(intent.return_url);
+  url.searchParams.set('payment_intent', intent.id);
+  return url.toString();
+};
+
+const renderResult = (title, message) => renderPage(title, `<h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>`);
+
+/**
+ * @swagger
+ * /3ds/{id}:
+ *   get:
+ *     summary: Simulated 3-D Secure challenge
+ *     description: >
+ *       The page a payment intent's `next_action.redirect_url` points to. The cardholder completes or fails
+ *       authentication, and is then sent to the intent's `return_url`, if it has one.
+ *     tags: [Payment Intents]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment intent ID.
+ *     responses:
+ *       '200':
+ *         description: An HTML challenge page.
+ *       '404':
+ *         description: Not Found
+ */
+router.get('/:id', async (req, res) => {
+  const { rows } = await db.query('SELECT * FROM payment_intents WHERE id = $1', [req.params.id]);
+  res.set('Cache-Control', 'no-store');
+  if (rows.length === 0 || rows[0].status !== 'requires_action') {
+    return res.status(404).send(renderResult('Nothing to authenticate', 'This payment is not waiting for authentication.'));
+  }
+  const intent = rows[0];
+  const { card } = intent.payment_method_details;
+  const action = `/3ds/${encodeURIComponent(intent.id)}`;
+
+  res.send(renderPage('Authenticate your payment', `<h1>Authenticate your payment</h1>
+<p class="notice">This is a simulated 3-D Secure challenge. No bank is contacted.</p>
+<table>
+<tr><td>Amount</td><td>${escapeHtml(currencies.format(intent.amount, intent.currency))}</td></tr>
+<tr><td>Card</td><td>${escapeHtml(card.brand)} ending ${escapeHtml(card.last4)}</td></tr>
+</table>
+<form method="post" action="${escapeHtml(action)}">
+  <input type="hidden" name="result" value="succeeded">
+  <button type="submit">Complete authentication</button>
+</form>
+<form method="post" action="${escapeHtml(action)}">
+  <input type="hidden" name="result" value="failed">
+  <button type="submit">Fail authentication</button>
+</form>`));
+});
+
+/**
+ * @swagger
+ * /3ds/{id}:
+ *   post:
+ *     summary: Answer a simulated 3-D Secure challenge
+ *     description: >
+ *       Submitted by the challenge page. `succeeded` charges the card, moving the intent to `processing`;
+ *       `failed` moves it to `requires_payment_method` with `last_payment_error` set.
+ *     tags: [Payment Intents]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The payment intent ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [result]
+ *             properties:
+ *               result:
+ *                 type: string
+ *                 enum: [succeeded, failed]
+ *     responses:
+ *       '200':
+ *         description: The intent has no return_url; shows the result.
+ *       '303':
+ *         description: Redirects to the intent's return_url.
+ *       '404':
+ *         description: Not Found
+ */
+router.post('/:id', express.urlencoded({ extended: false }), async (req, res) => {
+  const { result } = req.body || {};
+
+  const intent = await db.transaction(async (client) => {
+    const { rows } = await client.query('SELECT * FROM payment_intents WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (rows.length === 0 || rows[0].status !== 'requires_action' || !['succeeded', 'failed'].includes(result)) {
+      return null;
+    }
+    return paymentIntents.completeAuthentication(client, rows[0], result === 'succeeded');
+  });
+
+  if (!intent) {
+    return res.status(404).send(renderResult('Nothing to authenticate', 'This payment is not waiting for authentication.'));
+  }
+  const redirectTo = returnUrl(intent);
+  if (redirectTo) {
+    return res.redirect(303, redirectTo);
+  }
+  res.send(intent.status === 'processing'
+    ? renderResult('Authentication complete', 'Your payment is being processed. You can close this page.')
+    : renderResult('Authentication failed', 'Your payment was not authenticated. You can close this page.'));
+});
+
+module.exports = router;
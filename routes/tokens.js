@@ -0,0 +1,92 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const cards = require('../utils/cards');
+const { validateCardDetails } = require('../utils/validation');
+const { requireSecretKey } = require('../utils/auth');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /v1/tokens:
+ *   post:
+ *     summary: Create a card token
+ *     description: >
+ *       Validates card details (Luhn check, expiry date, CVC format) and returns a single-use
+ *       token that can be passed as the `source` of a charge. Only the brand, last four digits,
+ *       expiry and a fingerprint are stored; the full number and CVC are discarded.
+ *       Accepts a publishable key, so card details can go straight from the browser to the gateway.
+ *       The IP address the request came from is kept as `client_ip` for radar's checks.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               card:
+ *                 $ref: '#/components/schemas/CardDetails'
+ *               billing_details:
+ *                 $ref: '#/components/schemas/BillingDetails'
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateCardDetails, async (req, res) => {
+  const { card, billing_details } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows } = await db.query(
+    'INSERT INTO tokens(id, merchant_id, livemode, type, card, billing_details, client_ip) VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [`tok_${uuidv4()}`, merchantId, livemode, 'card', cards.summarize(card), billing_details, req.ip]
+  );
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/tokens/{id}:
+ *   get:
+ *     summary: Retrieve a token
+ *     description: Fetches a card token, including whether it has already been used.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', requireSecretKey, async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query('SELECT * FROM tokens WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [req.params.id, merchantId, livemode]);
+  if (rows.length === 0) {
+    throw errors.notFound('Token not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+module.exports = router;
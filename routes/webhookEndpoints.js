@@ -0,0 +1,408 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../utils/db');
+const pagination = require('../utils/pagination');
+const webhooks = require('../utils/webhooks');
+const { validateWebhookEndpoint, validateWebhookEndpointUpdate } = require('../utils/validation');
+const errors = require('../utils/errors');
+
+const router = express.Router();
+
+// The signing secret is only ever returned when the endpoint is created.
+const ENDPOINT_COLUMNS = 'id, merchant_id, livemode, url, enabled_events, status, description, created_at';
+
+const checkDestination = async (url, livemode) => {
+  const failure = livemode && await webhooks.checkDestination(url);
+  if (failure) {
+    throw errors.invalidRequest(failure, { param: 'url', code: 'url_not_public' });
+  }
+};
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints:
+ *   post:
+ *     summary: Create a webhook endpoint
+ *     description: >
+ *       Registers a URL to receive event notifications. The response includes the endpoint's
+ *       signing secret, which is not shown again. Every delivery carries a `PayWay-Signature`
+ *       header of the form `t=<timestamp>,v1=<signature>`, where the signature is the hex
+ *       HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the secret. Deliveries do not follow redirects.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: >
+ *                   The URL events are sent to. In live mode it must be publicly reachable: addresses
+ *                   on private networks, loopback and link-local addresses are rejected.
+ *               enabled_events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Event types to send (see /v1/events, e.g. "charge.succeeded"), or ["*"] for all.
+ *               description:
+ *                 type: string
+ *                 description: Description of the endpoint.
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/', validateWebhookEndpoint, async (req, res) => {
+  const { url, enabled_events, description } = req.body;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  await checkDestination(url, livemode);
+
+  const { rows } = await db.query(
+    'INSERT INTO webhook_endpoints(id, merchant_id, livemode, url, enabled_events, secret, description) VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [`we_${uuidv4()}`, merchantId, livemode, url, enabled_events, webhooks.generateSecret(), description]
+  );
+  res.status(201).json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints:
+ *   get:
+ *     summary: List all webhook endpoints
+ *     description: Returns the webhook endpoints registered by the authenticated merchant.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of endpoints to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of endpoints to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  const page = pagination.parseOffset(req.query);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows } = await db.query(
+    `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE merchant_id = $1 AND livemode = $2 ORDER BY created_at DESC LIMIT $3 OFFSET $4`,
+    [merchantId, livemode, limit, offset]
+  );
+  const totalResult = await db.query('SELECT COUNT(*) FROM webhook_endpoints WHERE merchant_id = $1 AND livemode = $2', [merchantId, livemode]);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints/{id}:
+ *   get:
+ *     summary: Retrieve a webhook endpoint
+ *     description: Fetches the details of a specific webhook endpoint.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook endpoint ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2 AND livemode = $3`,
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Webhook endpoint not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints/{id}:
+ *   post:
+ *     summary: Update a webhook endpoint
+ *     description: Changes the URL, subscribed events, description or status of a webhook endpoint.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook endpoint ID.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               enabled_events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [enabled, disabled]
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id', validateWebhookEndpointUpdate, async (req, res) => {
+  const { id } = req.params;
+  const { url, enabled_events, description, status } = req.body || {};
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  if (url !== undefined) {
+    await checkDestination(url, livemode);
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  if (url !== undefined) { updateValues.push(url); updateFields.push(`url = $${updateValues.length}`); }
+  if (enabled_events !== undefined) { updateValues.push(enabled_events); updateFields.push(`enabled_events = $${updateValues.length}`); }
+  if (description !== undefined) { updateValues.push(description); updateFields.push(`description = $${updateValues.length}`); }
+  if (status !== undefined) { updateValues.push(status); updateFields.push(`status = $${updateValues.length}`); }
+
+  if (updateFields.length === 0) {
+    throw errors.invalidRequest('At least one field (url, enabled_events, description, or status) is required for update.', { code: 'parameter_missing' });
+  }
+
+  const { rows } = await db.query(
+    `UPDATE webhook_endpoints SET ${updateFields.join(', ')} WHERE id = $${updateValues.length + 1} AND merchant_id = $${updateValues.length + 2} AND livemode = $${updateValues.length + 3} RETURNING ${ENDPOINT_COLUMNS}`,
+    [...updateValues, id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Webhook endpoint not found or not authorized.');
+  }
+  res.json(rows[0]);
+});
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints/{id}:
+ *   delete:
+ *     summary: Delete a webhook endpoint
+ *     description: Removes a webhook endpoint. Queued deliveries to it are dropped.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook endpoint ID.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.delete('/:id', async (req, res) => {
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const { rows } = await db.query(
+    'DELETE FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2 AND livemode = $3 RETURNING id',
+    [req.params.id, merchantId, livemode]
+  );
+  if (rows.length === 0) {
+    throw errors.notFound('Webhook endpoint not found or not authorized.');
+  }
+  res.json({ id: rows[0].id, deleted: true });
+});
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints/{id}/attempts:
+ *   get:
+ *     summary: List delivery attempts
+ *     description: Returns the delivery log of a webhook endpoint, newest first, with the response code of each attempt.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook endpoint ID.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Maximum number of attempts to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of attempts to skip.
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '400':
+ *         description: Bad Request
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.get('/:id/attempts', async (req, res) => {
+  const { id } = req.params;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+  const page = pagination.parseOffset(req.query);
+  if (page.error) {
+    throw errors.invalidRequest(page.error, page);
+  }
+  const { limit, offset } = page;
+
+  const endpointCheck = await db.query('SELECT id FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [id, merchantId, livemode]);
+  if (endpointCheck.rows.length === 0) {
+    throw errors.notFound('Webhook endpoint not found or not authorized.');
+  }
+
+  const { rows } = await db.query(
+    'SELECT * FROM webhook_attempts WHERE webhook_endpoint_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3',
+    [id, limit, offset]
+  );
+  const totalResult = await db.query('SELECT COUNT(*) FROM webhook_attempts WHERE webhook_endpoint_id = $1', [id]);
+  const total = parseInt(totalResult.rows[0].count, 10);
+
+  res.json({
+    object: 'list',
+    has_more: (offset + limit) < total,
+    data: rows,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/webhook_endpoints/{id}/attempts/{attempt_id}/replay:
+ *   post:
+ *     summary: Replay a delivery attempt
+ *     description: Sends the event from an earlier attempt to the endpoint again, right away, and returns the new attempt.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The webhook endpoint ID.
+ *       - in: path
+ *         name: attempt_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the attempt to replay.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       '200':
+ *         description: OK
+ *       '404':
+ *         description: Not Found
+ *       '401':
+ *         description: Unauthorized
+ */
+router.post('/:id/attempts/:attemptId/replay', async (req, res) => {
+  const { id, attemptId } = req.params;
+  const merchantId = req.auth.merchant_id;
+  const { livemode } = req.auth;
+
+  const { rows: endpointRows } = await db.query(
+    'SELECT * FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [id, merchantId, livemode]
+  );
+  if (endpointRows.length === 0) {
+    throw errors.notFound('Webhook endpoint not found or not authorized.');
+  }
+
+  const { rows: attemptRows } = await db.query(
+    'SELECT payload FROM webhook_attempts WHERE id = $1 AND webhook_endpoint_id = $2',
+    [attemptId, id]
+  );
+  if (attemptRows.length === 0) {
+    throw errors.notFound('Webhook attempt not found.');
+  }
+
+  const attempt = await webhooks.deliver(endpointRows[0], attemptRows[0].payload);
+  res.json(attempt);
+});
+
+module.exports = router;
@@ -0,0 +1,969 @@
+// Generated by scripts/generate.js from the API's OpenAPI spec. Do not edit; run `npm run generate:sdk`.
+
+declare namespace Payway {
+  interface Config {
+    /** Where the gateway is reachable. Defaults to http://localhost:3000. */
+    baseUrl?: string;
+    /** Milliseconds to wait for each response before retrying or failing. Defaults to 80000. */
+    timeout?: number;
+    /** Retries after network errors and 5xx responses. Defaults to 2. */
+    maxNetworkRetries?: number;
+  }
+
+  interface RequestOptions {
+    /** Sent with POST requests; generated when omitted. Reuse it to retry a request safely yourself. */
+    idempotencyKey?: string;
+    /** Overrides the client's API key for this request. */
+    apiKey?: string;
+    timeout?: number;
+    maxNetworkRetries?: number;
+  }
+
+  interface PaywayObject {
+    id: string;
+    [field: string]: any;
+  }
+
+  interface ApiList<T> {
+    object: 'list';
+    has_more: boolean;
+    data: T[];
+  }
+
+  /** A promise of the first page that can also be iterated with `for await` over every object on every page. */
+  interface ApiListPromise<T> extends Promise<ApiList<T>>, AsyncIterable<T> {
+    autoPagingToArray(options: { limit: number }): Promise<T[]>;
+  }
+
+  interface Error {
+    error?: {
+      type?: "invalid_request_error" | "authentication_error" | "permission_error" | "idempotency_error" | "rate_limit_error" | "api_error";
+      /** Machine-readable reason, such as `resource_missing` or `parameter_invalid`. */
+      code?: string;
+      /** Human-readable explanation. */
+      message?: string;
+      /** The request parameter at fault, if any. */
+      param?: string | null;
+      /** Matches the `X-Request-Id` response header. */
+      request_id?: string;
+    };
+  }
+
+  interface CardDetails {
+    /** Card number. Spaces and dashes are ignored. */
+    number: string;
+    /** Expiry month (1-12). */
+    exp_month: number;
+    /** Four-digit expiry year. */
+    exp_year: number;
+    /** Card security code. Checked but never stored. */
+    cvc: string;
+  }
+
+  interface BillingDetails {
+    name?: string;
+    email?: string;
+    phone?: string;
+    address?: {
+      line1?: string;
+      line2?: string;
+      city?: string;
+      state?: string;
+      postal_code?: string;
+      /** Two-letter country code. */
+      country?: string;
+    };
+  }
+
+  interface ApiKeysCreateParams {
+    /** What the key is for, up to 255 characters. */
+    name?: string;
+    /** Resource names, as listed in the Team section, mapped to an access level. */
+    permissions: Record<string, any>;
+  }
+
+  interface ApiKeysRollParams {
+    /** How long the old key keeps working, up to 168 hours. */
+    expires_in_hours?: number;
+  }
+
+  interface BalanceTransactionsListParams {
+    /** Only return transactions of this type. */
+    type?: "charge" | "refund" | "adjustment" | "payout" | "payout_failure" | "dispute";
+    /** Only return transactions caused by this charge, refund, etc. */
+    source?: string;
+    /** Only return transactions included in this payout. */
+    payout?: string;
+    /** Only return transactions in this currency. */
+    currency?: string;
+    /** Maximum number of transactions to return. */
+    limit?: number;
+    /** Number of transactions to skip. */
+    offset?: number;
+  }
+
+  interface BankAccountsCreateParams {
+    account_holder_name: string;
+    account_number: string;
+    routing_number: string;
+    /** Two-letter country code. */
+    country: string;
+    /** Currency paid out to this account. */
+    currency: string;
+    /** Make this the account that payouts in its currency go to. */
+    default_for_currency?: boolean;
+  }
+
+  interface ChargesCreateParams {
+    /** Amount in the currency's smallest unit, e.g. 1000 is 10.00 USD but 1000 JPY. Must be within the currency's minimum and maximum. */
+    amount?: number;
+    /** Three-letter ISO currency code, in any case. Stored in lowercase. */
+    currency?: "usd" | "eur" | "gbp" | "cad" | "aud" | "chf" | "sek" | "inr" | "jpy" | "krw" | "kwd" | "bhd";
+    /** A single-use card token from /v1/tokens. Use this or payment_method. */
+    source?: string;
+    /** A payment method ID from /v1/payment_methods. Use this or source. */
+    payment_method?: string;
+    /** Description of the charge. */
+    description?: string;
+    /** ID of one of your customers to attach the charge to. */
+    customer?: string;
+    /** Whether to capture immediately. When false the charge is only authorized and must be captured later. */
+    capture?: boolean;
+  }
+
+  interface ChargesListParams {
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+    /** Only return charges in this status. */
+    status?: "pending" | "in_review" | "succeeded" | "failed" | "authorized" | "captured" | "canceled" | "expired";
+    /** Only return charges in this currency. */
+    currency?: string;
+    /** Only return charges for this customer. */
+    customer?: string;
+    /** Only return the charges attempted for this payment intent. */
+    payment_intent?: string;
+    /** Amount bounds in the smallest currency unit, e.g. `amount[gte]=1000&amount[lt]=5000`. A plain `amount=1000` matches exactly. */
+    amount?: {
+      gt?: number;
+      gte?: number;
+      lt?: number;
+      lte?: number;
+    };
+    /** Creation time bounds as Unix timestamps or ISO 8601 dates, e.g. `created[gte]=2024-01-01`. */
+    created?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+    };
+  }
+
+  interface ChargesSearchParams {
+    /** The search query. */
+    query: string;
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface ChargesUpdateParams {
+    /** A JSON object containing key-value pairs for metadata. */
+    metadata?: Record<string, any>;
+  }
+
+  interface ChargesCaptureParams {
+    /** Amount in cents to capture. Defaults to the full authorized amount. */
+    amount_to_capture?: number;
+  }
+
+  interface CheckoutSessionsCreateParams {
+    currency: string;
+    /** What the shopper is paying for, 1 to 100 items. The total must be within the currency's limits. */
+    line_items: Array<{
+      name: string;
+      /** Price of one unit, in the currency's smallest unit. */
+      unit_amount: number;
+      quantity?: number;
+    }>;
+    /** Where to send the shopper after a successful payment. */
+    success_url: string;
+    /** Where to send a shopper who leaves the payment page, or arrives after the session expired. */
+    cancel_url: string;
+    /** ID of one of your customers to attach the charge to. */
+    customer?: string;
+    /** Unix timestamp when the session expires, 30 minutes to 24 hours from now. Defaults to 24 hours. */
+    expires_at?: number;
+    metadata?: Record<string, any>;
+  }
+
+  interface CheckoutSessionsListParams {
+    /** Only return sessions in this status. */
+    status?: "open" | "complete" | "expired";
+    /** Only return sessions for this customer. */
+    customer?: string;
+    /** Creation time bounds as Unix timestamps or ISO 8601 dates, e.g. `created[gte]=2024-01-01`. */
+    created?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+    };
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface CustomersListChargesParams {
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+    /** Only return charges in this status. */
+    status?: "pending" | "in_review" | "succeeded" | "failed" | "authorized" | "captured" | "canceled" | "expired";
+    /** Only return charges in this currency. */
+    currency?: string;
+    /** Amount bounds in the smallest currency unit, e.g. `amount[gte]=1000&amount[lt]=5000`. A plain `amount=1000` matches exactly. */
+    amount?: {
+      gt?: number;
+      gte?: number;
+      lt?: number;
+      lte?: number;
+    };
+    /** Creation time bounds as Unix timestamps or ISO 8601 dates, e.g. `created[gte]=2024-01-01`. */
+    created?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+    };
+  }
+
+  interface CustomersListParams {
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+    /** Only return customers with this email address, compared case-insensitively. */
+    email?: string;
+    /** Creation time bounds as Unix timestamps or ISO 8601 dates, e.g. `created[gte]=2024-01-01`. */
+    created?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+    };
+  }
+
+  interface CustomersCreateParams {
+    /** Customer's name. */
+    name?: string;
+    /** Customer's email. */
+    email?: string;
+    /** Description of the customer. */
+    description?: string;
+    /** Key-value pairs to store with the customer, searchable with `metadata['key']:'value'`. */
+    metadata?: Record<string, any>;
+  }
+
+  interface CustomersSearchParams {
+    /** The search query. */
+    query: string;
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface CustomersUpdateParams {
+    /** New name for the customer. */
+    name?: string;
+    /** New email for the customer. */
+    email?: string;
+    /** New description for the customer. */
+    description?: string;
+    /** ID of a payment method attached to this customer, used to pay its subscription invoices. Pass an empty string to clear it. */
+    default_payment_method?: string;
+    /** Replaces the customer's metadata. */
+    metadata?: Record<string, any>;
+  }
+
+  interface DisputesUpdateParams {
+    /** Text fields (product_description, customer_name, customer_email_address, shipping_tracking_number, refund_policy_disclosure, uncategorized_text) and file references such as file IDs or URLs (receipt, customer_communication, shipping_documentation, refund_policy, uncategorized_file). */
+    evidence?: Record<string, any>;
+    /** Whether to submit the evidence now, or only save it. */
+    submit?: boolean;
+  }
+
+  interface DisputesListParams {
+    /** Only return disputes in this status. */
+    status?: "needs_response" | "under_review" | "won" | "lost";
+    /** Only return the dispute on this charge. */
+    charge?: string;
+    /** Maximum number of disputes to return. */
+    limit?: number;
+    /** Number of disputes to skip. */
+    offset?: number;
+  }
+
+  interface EventsListParams {
+    /** Only return events of this type. A trailing `.*` matches a whole family, e.g. "charge.*". */
+    type?: string;
+    /** Only return events about this object. */
+    object_id?: string;
+    /** Maximum number of events to return. */
+    limit?: number;
+    /** Number of events to skip. */
+    offset?: number;
+  }
+
+  interface InvoicesListParams {
+    /** Only return this customer's invoices. */
+    customer?: string;
+    /** Only return invoices for this subscription. */
+    subscription?: string;
+    /** Only return invoices in this status. */
+    status?: "open" | "paid" | "uncollectible";
+    /** Maximum number of invoices to return. */
+    limit?: number;
+    /** Number of invoices to skip. */
+    offset?: number;
+  }
+
+  interface MerchantsCreateParams {
+    name?: string;
+    email?: string;
+    /** Optional. 10 to 200 characters. */
+    password?: string;
+  }
+
+  interface MerchantsLoginParams {
+    email?: string;
+    /** A team member's password. */
+    password?: string;
+    /** With a password, whether the token acts on live data. */
+    livemode?: boolean;
+    /** Instead of a password, a secret key (`sk_test_...` or `sk_live_...`). */
+    api_key?: string;
+  }
+
+  interface MerchantsUpdatePayoutScheduleParams {
+    interval: "daily" | "weekly" | "manual";
+    /** Day of the week for weekly payouts. */
+    weekly_anchor?: "monday" | "tuesday" | "wednesday" | "thursday" | "friday" | "saturday" | "sunday";
+  }
+
+  interface MerchantUsersCreateParams {
+    /** Unique across all accounts. */
+    email: string;
+    name?: string;
+    role: "owner" | "admin" | "developer" | "analyst" | "support";
+    /** 10 to 200 characters. */
+    password: string;
+  }
+
+  interface MerchantUsersUpdateParams {
+    name?: string;
+    role?: "owner" | "admin" | "developer" | "analyst" | "support";
+    password?: string;
+  }
+
+  interface PaymentIntentsCreateParams {
+    /** Amount in the currency's smallest unit. */
+    amount: number;
+    currency: string;
+    /** A single-use card token from /v1/tokens. Use this or payment_method. */
+    source?: string;
+    /** A payment method ID from /v1/payment_methods. Use this or source. */
+    payment_method?: string;
+    customer?: string;
+    description?: string;
+    /** Confirm the intent straight away. Requires a source or payment_method. */
+    confirm?: boolean;
+    /** Where to send the cardholder after a 3-D Secure challenge. */
+    return_url?: string;
+    metadata?: Record<string, any>;
+  }
+
+  interface PaymentIntentsListParams {
+    /** Only return payment intents in this status. */
+    status?: "requires_payment_method" | "requires_confirmation" | "requires_action" | "processing" | "succeeded" | "canceled";
+    /** Only return payment intents for this customer. */
+    customer?: string;
+    /** Creation time bounds as Unix timestamps or ISO 8601 dates, e.g. `created[gte]=2024-01-01`. */
+    created?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+    };
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface PaymentIntentsUpdateParams {
+    amount?: number;
+    source?: string;
+    payment_method?: string;
+    customer?: string;
+    description?: string;
+    return_url?: string;
+    metadata?: Record<string, any>;
+  }
+
+  interface PaymentIntentsConfirmParams {
+    source?: string;
+    payment_method?: string;
+    return_url?: string;
+  }
+
+  interface PaymentIntentsCancelParams {
+    cancellation_reason?: "duplicate" | "fraudulent" | "requested_by_customer" | "abandoned";
+  }
+
+  interface PaymentMethodsCreateParams {
+    card?: CardDetails;
+    billing_details?: BillingDetails;
+    /** ID of the customer to attach the payment method to. */
+    customer?: string;
+  }
+
+  interface PaymentMethodsListParams {
+    /** Only return payment methods attached to this customer. */
+    customer?: string;
+    /** Maximum number of payment methods to return. */
+    limit?: number;
+    /** Number of payment methods to skip. */
+    offset?: number;
+  }
+
+  interface PaymentMethodsAttachParams {
+    /** The customer ID. */
+    customer?: string;
+  }
+
+  interface PayoutsCreateParams {
+    currency: string;
+    description?: string;
+  }
+
+  interface PayoutsListParams {
+    /** Only return payouts in this status. */
+    status?: "pending" | "in_transit" | "paid" | "failed";
+    /** Maximum number of payouts to return. */
+    limit?: number;
+    /** Number of payouts to skip. */
+    offset?: number;
+  }
+
+  interface PricesCreateParams {
+    /** ID of the product this price belongs to. */
+    product: string;
+    /** Amount per unit and period, in the currency's smallest unit. */
+    unit_amount: number;
+    currency: string;
+    recurring: {
+      interval: "day" | "week" | "month" | "year";
+      /** Number of intervals between invoices, e.g. 3 with `month` for quarterly billing. */
+      interval_count?: number;
+    };
+  }
+
+  interface PricesListParams {
+    /** Only return prices for this product. */
+    product?: string;
+    /** Only return prices that are (or are not) available for new subscriptions. */
+    active?: boolean;
+    /** Maximum number of prices to return. */
+    limit?: number;
+    /** Number of prices to skip. */
+    offset?: number;
+  }
+
+  interface PricesUpdateParams {
+    active: boolean;
+  }
+
+  interface ProductsCreateParams {
+    name: string;
+    description?: string;
+    metadata?: Record<string, any>;
+  }
+
+  interface ProductsListParams {
+    /** Only return products that are (or are not) available for new subscriptions. */
+    active?: boolean;
+    /** Maximum number of products to return. */
+    limit?: number;
+    /** Number of products to skip. */
+    offset?: number;
+  }
+
+  interface ProductsUpdateParams {
+    name?: string;
+    description?: string;
+    active?: boolean;
+    metadata?: Record<string, any>;
+  }
+
+  interface RadarRulesCreateParams {
+    action: "allow" | "block" | "review";
+    predicate: string;
+    description?: string;
+  }
+
+  interface RadarRulesListParams {
+    /** Only return rules with this action. */
+    action?: "allow" | "block" | "review";
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface RadarRulesUpdateParams {
+    action?: "allow" | "block" | "review";
+    predicate?: string;
+    description?: string;
+    active?: boolean;
+  }
+
+  interface RadarValueListsCreateParams {
+    /** How rules refer to the list. Lowercase letters, digits and underscores; unique per mode. */
+    alias: string;
+    name: string;
+    item_type?: "card_fingerprint" | "email" | "ip_address" | "country" | "customer_id" | "string";
+  }
+
+  interface RadarValueListsListParams {
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface RadarValueListsItemsCreateParams {
+    value: string;
+  }
+
+  interface RadarValueListsItemsListParams {
+    /** Only return the item with this value, to check whether the list has it. */
+    value?: string;
+    /** Maximum number of objects to return. */
+    limit?: number;
+    /** Object ID to continue after: pass the last ID of the previous page to fetch the next one. */
+    starting_after?: string;
+    /** Object ID to stop before: pass the first ID of the current page to fetch the previous one. */
+    ending_before?: string;
+  }
+
+  interface RefundsCreateParams {
+    /** The ID of the charge to refund. */
+    charge?: string;
+    /** Amount to refund in the charge currency's smallest unit. Defaults to the remaining refundable amount. */
+    amount?: number;
+    /** Reason for the refund. */
+    reason?: "duplicate" | "fraudulent" | "requested_by_customer";
+    /** A JSON object containing key-value pairs for metadata. */
+    metadata?: Record<string, any>;
+  }
+
+  interface RefundsListParams {
+    /** Only return refunds for this charge. */
+    charge?: string;
+    /** Maximum number of refunds to return. */
+    limit?: number;
+    /** Number of refunds to skip. */
+    offset?: number;
+  }
+
+  interface SubscriptionsCreateParams {
+    customer: string;
+    items: Array<{
+      price: string;
+      quantity?: number;
+    }>;
+    trial_period_days?: number;
+    /** Payment method attached to the customer to charge instead of the customer's default. */
+    default_payment_method?: string;
+    cancel_at_period_end?: boolean;
+    metadata?: Record<string, any>;
+  }
+
+  interface SubscriptionsListParams {
+    /** Only return this customer's subscriptions. */
+    customer?: string;
+    /** Only return subscriptions in this status. */
+    status?: "trialing" | "active" | "past_due" | "canceled";
+    /** Maximum number of subscriptions to return. */
+    limit?: number;
+    /** Number of subscriptions to skip. */
+    offset?: number;
+  }
+
+  interface SubscriptionsUpdateParams {
+    items?: Array<{
+      price: string;
+      quantity?: number;
+    }>;
+    proration_behavior?: "create_prorations" | "always_invoice" | "none";
+    /** Payment method attached to the customer. Pass null to fall back to the customer's default. */
+    default_payment_method?: string;
+    cancel_at_period_end?: boolean;
+    metadata?: Record<string, any>;
+  }
+
+  interface TokensCreateParams {
+    card?: CardDetails;
+    billing_details?: BillingDetails;
+  }
+
+  interface WebhookEndpointsCreateParams {
+    /** The URL events are sent to. In live mode it must be publicly reachable: addresses on private networks, loopback and link-local addresses are rejected. */
+    url?: string;
+    /** Event types to send (see /v1/events, e.g. "charge.succeeded"), or ["*"] for all. */
+    enabled_events?: string[];
+    /** Description of the endpoint. */
+    description?: string;
+  }
+
+  interface WebhookEndpointsListParams {
+    /** Maximum number of endpoints to return. */
+    limit?: number;
+    /** Number of endpoints to skip. */
+    offset?: number;
+  }
+
+  interface WebhookEndpointsUpdateParams {
+    url?: string;
+    enabled_events?: string[];
+    description?: string;
+    status?: "enabled" | "disabled";
+  }
+
+  interface WebhookEndpointsAttemptsListParams {
+    /** Maximum number of attempts to return. */
+    limit?: number;
+    /** Number of attempts to skip. */
+    offset?: number;
+  }
+
+  interface Webhooks {
+    SIGNATURE_HEADER: 'PayWay-Signature';
+    DEFAULT_TOLERANCE_SECONDS: number;
+    /** Throws SignatureVerificationError unless the header is a valid, recent signature of the raw payload. */
+    verifySignature(payload: string | Buffer, header: string, secret: string, options?: { toleranceSeconds?: number }): true;
+    /** Verifies a delivery and returns its event. */
+    constructEvent(payload: string | Buffer, header: string, secret: string, options?: { toleranceSeconds?: number }): PaywayObject;
+    generateTestHeader(payload: string | Buffer, secret: string, timestamp?: number): string;
+  }
+
+  interface Client {
+    apiKeys: {
+      /** Create a restricted API key. Issues a restricted key (`rk_test_...` or `rk_live_...`) in the current mode, with access to only the resources listed in `permissions`: `read` allows GET requests and `write` allows everything. Restricted keys cannot manage API keys or the team, nor have access the caller does not have. The plaintext key is only returned in this response, not in idempotent replays of it. */
+      create(params: ApiKeysCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List API keys. Returns the merchant's API keys for the current mode (test or live). Only a redacted form of each key is shown. */
+      list(params?: {}, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Roll an API key. Issues a replacement key of the same type, mode and permissions. The old key stops working after `expires_in_hours` (immediately by default), giving time to deploy the new one. The new plaintext key is only returned in this response, not in idempotent replays of it. Secret and publishable keys can only be rolled by owners and admins, and restricted keys only with at least their access. */
+      roll(id: string, params?: ApiKeysRollParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Revoke an API key. Disables a key immediately, including any grace period left from a roll. The same rules as for rolling decide who can revoke which keys. */
+      revoke(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    balance: {
+      /** Retrieve balance. Returns the merchant's balance per currency. `pending` funds come from charges still waiting for their settlement date; `available` funds have settled, less any refunds and adjustments. */
+      retrieve(params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    balanceTransactions: {
+      /** Retrieve a balance transaction. Fetches a single movement of funds, with its gross amount, fee and net amount. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** List balance transactions. Returns every movement of the merchant's funds, newest first, for reconciliation. */
+      list(params?: BalanceTransactionsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+    };
+    bankAccounts: {
+      /** Add a bank account. Registers an external bank account to receive payouts in one currency. The first account for a currency becomes its default. Only the last four digits and a fingerprint of the account number are stored. In test mode, account number 000111111116 makes payouts fail with `no_account` and 000111111113 with `account_closed`. */
+      create(params: BankAccountsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List bank accounts. Returns the merchant's bank accounts that have not been removed. */
+      list(params?: {}, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a bank account. Fetches a bank account. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Remove a bank account. Stops future payouts to this account. Payouts already on their way are unaffected. The default account for a currency can only be removed once another account has been made the default. */
+      del(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    charges: {
+      /** Create a charge. Initiates a payment. See the Charges section for test cards with fixed outcomes; a declined charge ends up `failed` with `failure_code` and `failure_message` set. Radar assesses the charge first and stores its result as `outcome`: a charge it blocks fails with `failure_code` `blocked`, and one it sends to review waits `in_review` until it is approved or rejected. */
+      create(params?: ChargesCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all charges. Returns the merchant's charges, newest first. Page through them by passing the ID of the last charge on a page as `starting_after`, or the first one as `ending_before` to go back. Pages stay stable while new charges arrive. */
+      list(params?: ChargesListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Search charges. Finds charges matching a query, newest first, in the same list envelope and with the same cursor pagination as the list endpoint. A clause is `field:value` for equality, `field~value` for a substring, or `<`, `<=`, `>`, `>=` for ranges; combine clauses with AND and OR, group them in parentheses and negate them with a leading `-`. Quote text values. Searchable fields: id, amount, currency, status, customer, payment_method, invoice, payment_intent, description, captured, refunded, disputed, created and `metadata['key']`. Example: `metadata['order_id']:'1234' OR (status:'failed' AND amount>=5000)`. */
+      search(params: ChargesSearchParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a charge. Fetches the details of a specific charge. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a charge's metadata. Updates the metadata of a specific charge. */
+      update(id: string, params?: ChargesUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Capture an authorized charge. Captures a previously authorized charge, in full or in part. Any uncaptured remainder is released. */
+      capture(id: string, params?: ChargesCaptureParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Cancel an authorized charge. Voids an uncaptured authorization and releases the held funds. */
+      cancel(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Approve a charge in review. Sends a charge that a radar review rule held back on to the issuer, without assessing it again. Emits `charge.review.closed`, then the charge continues like any other and ends up succeeded, authorized or failed. */
+      approve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Reject a charge in review. Fails a charge that a radar review rule held back on, with `failure_code` set to `blocked`, without it ever reaching the issuer. Emits `charge.review.closed` and `charge.failed`. */
+      reject(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    checkout: {
+      sessions: {
+        /** Create a checkout session. Creates a session for a one-off payment and returns the `url` of a payment page we host. Redirect the shopper there: they enter their card on our page, so card details never pass through your servers. Once the charge succeeds the shopper is sent to `success_url`; the payment page also links to `cancel_url`. Either URL may contain `{CHECKOUT_SESSION_ID}`, which is replaced with the session ID. Listen for `checkout.session.completed` to fulfil the order. */
+        create(params: CheckoutSessionsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+        /** List all checkout sessions. Returns the merchant's checkout sessions, newest first. */
+        list(params?: CheckoutSessionsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+        /** Retrieve a checkout session. Fetches a checkout session with its latest charge as `charge`, or null before the shopper has paid. `payment_status` is `processing` while a charge is in flight; if it fails the session stays open, with `last_payment_error` set, so the shopper can try another card. */
+        retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+        /** Expire a checkout session. Closes an open session early, so the shopper can no longer pay through it, e.g. when the items sold out. A session whose payment is processing cannot be expired. */
+        expire(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      };
+    };
+    customers: {
+      /** List all charges for a customer. Returns a customer's charges, newest first, with the same cursor pagination and filters as `GET /v1/charges`. */
+      listCharges(id: string, params?: CustomersListChargesParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** List all customers. Returns the merchant's customers, newest first, with cursor pagination. */
+      list(params?: CustomersListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Create a customer. Creates a customer object. */
+      create(params?: CustomersCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Search customers. Finds customers matching a query, newest first, in the same list envelope and with the same cursor pagination as the list endpoint. A clause is `field:value` for equality, `field~value` for a substring, or `<`, `<=`, `>`, `>=` for ranges; combine clauses with AND and OR, group them in parentheses and negate them with a leading `-`. Quote text values. Searchable fields: id, email, name, description, created and `metadata['key']`. Example: `email~'example.com' AND metadata['plan']:'pro'`. */
+      search(params: CustomersSearchParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a customer. Fetches the details of a specific customer. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a customer. Updates the details of a specific customer. */
+      update(id: string, params?: CustomersUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    disputes: {
+      /** Retrieve a dispute. Fetches a dispute, including the evidence submitted so far. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update dispute evidence. Adds or replaces evidence on a dispute that still needs a response. Evidence is merged into what was saved before. Unless `submit` is false, the evidence is sent to the issuer and the dispute moves to `under_review`; after that it can no longer be changed. In test mode, an `uncategorized_text` containing "losing_evidence" makes the issuer rule against you; anything else wins. */
+      update(id: string, params?: DisputesUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all disputes. Returns the merchant's disputes, newest first. */
+      list(params?: DisputesListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Close a dispute. Accepts the dispute without contesting it. The dispute is lost: the disputed amount and the dispute fee are debited from the balance. */
+      close(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    events: {
+      /** Retrieve an event. Fetches a single event, including the snapshot of the object it describes. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all events. Returns the event log for the authenticated merchant, newest first. */
+      list(params?: EventsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+    };
+    invoices: {
+      /** Retrieve an invoice. Fetches an invoice with its lines, including any proration credits and charges. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all invoices. Returns the merchant's invoices, newest first. */
+      list(params?: InvoicesListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Pay an invoice. Attempts payment on an open invoice now instead of waiting for the next scheduled retry, for example after the customer updated their card. The result arrives asynchronously as an `invoice.paid` or `invoice.payment_failed` event. */
+      pay(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    merchants: {
+      /** Create a merchant (user). Registers a new merchant and issues a secret and a publishable key for both test and live mode. The plaintext keys are only returned here; store them safely, as they cannot be retrieved again. Idempotent replays of this response leave out the keys and the token. With a `password`, the email also becomes the account's first owner, who can log in with it. */
+      create(params?: MerchantsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Login as merchant. Returns a JWT for a team member's email and password, in test mode unless `livemode` is true. The token has the member's role. Alternatively, the merchant's email and a secret key return a token with full access in the key's mode. Attempts are rate limited per IP address. */
+      login(params?: MerchantsLoginParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Get current merchant profile. Fetches the authenticated merchant's details. */
+      retrieveProfile(params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Set the payout schedule. Chooses how often the available balance is paid out automatically: `daily`, `weekly` on `weekly_anchor`, or `manual` (only through POST /v1/payouts). Applies to test and live mode alike. */
+      updatePayoutSchedule(params: MerchantsUpdatePayoutScheduleParams, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    merchantUsers: {
+      /** Add a team member. Gives a person their own login to the account, with a role that decides what they can do; see the Team section. They log in at `POST /v1/merchants/login` with their email and password. Only owners can add owners. */
+      create(params: MerchantUsersCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List team members. Returns everyone with a login to the account, newest first. */
+      list(params?: {}, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a team member */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a team member. Changes a member's name or role, or resets their password. A new role applies to their next request. Only owners can change owners or make someone an owner, and the last owner cannot be demoted. */
+      update(id: string, params?: MerchantUsersUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Remove a team member. Revokes the member's access immediately, including any token they are logged in with. The last owner cannot be removed. */
+      del(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    paymentIntents: {
+      /** Create a payment intent. Starts a payment that may need the cardholder to authenticate with 3-D Secure, as Strong Customer Authentication requires for most European cards. Attach a card with `source` or `payment_method` and confirm the intent, here with `confirm` true or later. If the card needs authentication the intent moves to `requires_action`: send the cardholder to `next_action.redirect_url`, and they come back to `return_url` with `payment_intent` in the query string. Every payment attempt is a charge with `payment_intent` set; the intent ends up `succeeded`, or back in `requires_payment_method` with `last_payment_error` set if the attempt failed. Intents always capture the payment. */
+      create(params: PaymentIntentsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all payment intents. Returns the merchant's payment intents, newest first. */
+      list(params?: PaymentIntentsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a payment intent. Fetches a payment intent. Its charge attempts are listed by `GET /v1/charges?payment_intent={id}`. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a payment intent. Changes a payment intent before it is confirmed, or after an attempt failed. Attaching a new card with `source` or `payment_method` moves it to `requires_confirmation`. The currency cannot be changed. */
+      update(id: string, params?: PaymentIntentsUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Confirm a payment intent. Starts the payment. Takes the same parameters as an update, applied first, so a card can be attached and confirmed in one call. Moves the intent to `requires_action` if the card needs 3-D Secure, otherwise to `processing` while a charge is attempted. */
+      confirm(id: string, params?: PaymentIntentsConfirmParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Cancel a payment intent. Abandons a payment intent that is not processing or succeeded. A pending 3-D Secure challenge can no longer be completed. */
+      cancel(id: string, params?: PaymentIntentsCancelParams, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    paymentMethods: {
+      /** Create a payment method. Validates card details and stores a reusable payment method, optionally attached to a customer. Only the brand, last four digits, expiry and a fingerprint are stored. */
+      create(params?: PaymentMethodsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List payment methods. Returns the payment methods of the authenticated merchant, optionally limited to one customer. */
+      list(params?: PaymentMethodsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a payment method. Fetches the details of a specific payment method. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Attach a payment method to a customer. Links a payment method to a customer so it can be reused for their charges. */
+      attach(id: string, params?: PaymentMethodsAttachParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Detach a payment method from its customer. Unlinks a payment method from its customer. If it was the customer's default payment method, the customer is left without one. */
+      detach(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    payouts: {
+      /** Create a payout. Sends the whole available balance in one currency to the default bank account for that currency. Use this with a manual payout schedule, or to pay out early on an automatic one. The payout moves from `pending` to `in_transit` to `paid` or `failed`. */
+      create(params: PayoutsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all payouts. Returns the merchant's payouts, newest first. */
+      list(params?: PayoutsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a payout. Fetches a payout together with the balance transactions (charges, refunds, fees and adjustments) it pays out. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    prices: {
+      /** Create a price. Creates a recurring price for a product: how much a subscriber pays, in which currency, and how often. Prices cannot be changed afterwards; to charge a different amount, create a new price and move subscriptions over to it. */
+      create(params: PricesCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all prices. Returns the merchant's prices, newest first. */
+      list(params?: PricesListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a price. Fetches a price. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a price. Archives or restores a price. An archived price stays on existing subscriptions but cannot be used for new ones. */
+      update(id: string, params: PricesUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    products: {
+      /** Create a product. Creates a product, the thing a customer subscribes to. Attach prices to it to say how much it costs and how often. */
+      create(params: ProductsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all products. Returns the merchant's products, newest first. */
+      list(params?: ProductsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a product. Fetches a product. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a product. Updates a product. Archiving it (`active` false) keeps existing subscriptions running but its prices can no longer be subscribed to. */
+      update(id: string, params?: ProductsUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    radar: {
+      rules: {
+        /** Create a radar rule. Adds a rule that allows, blocks or sends to review the charges its predicate matches. Predicates use the search query language over these fields: amount, currency, card_brand, card_country, card_fingerprint, billing_country, customer, email, ip_address, risk_score, risk_level (normal, elevated or highest), charges_per_card_1h, charges_per_card_24h, charges_per_customer_1h, charges_per_customer_24h, charges_per_ip_1h, charges_per_ip_24h (each counting the charge being assessed), currency_country_mismatch and billing_country_mismatch. card_country is null when the issuing country is unknown, and the mismatches are then false. A bare `@alias` value tests membership of a value list. Example: `card_country:'BR' AND amount>50000 OR ip_address:@blocked_ips`. */
+        create(params: RadarRulesCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+        /** List all radar rules. Returns the merchant's radar rules, newest first. */
+        list(params?: RadarRulesListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+        /** Retrieve a radar rule. Fetches a radar rule. */
+        retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+        /** Update a radar rule. Changes a rule's action, predicate or description, or turns it off with `active` false. Charges already assessed keep their outcome. */
+        update(id: string, params?: RadarRulesUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+        /** Delete a radar rule. Removes a rule. Set `active` to false instead to turn it off for a while. */
+        del(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      };
+      valueLists: {
+        /** Create a value list. Creates a list of values, such as blocked IP addresses or trusted customers, for rules to refer to as `@alias`. Items are normalized for the list's type: emails are lowercased, countries uppercased and IP addresses validated. */
+        create(params: RadarValueListsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+        /** List all value lists. Returns the merchant's value lists, newest first. */
+        list(params?: RadarValueListsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+        /** Retrieve a value list. Fetches a value list with its number of items. Page through the items with the items endpoint. */
+        retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+        /** Delete a value list. Removes a value list and its items. A list that rules still refer to can't be deleted. */
+        del(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+        items: {
+          /** Add a value list item. Adds a value to a list. Adding a value the list already has returns the existing item. */
+          create(id: string, params: RadarValueListsItemsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+          /** List value list items. Returns the items in a value list, newest first. */
+          list(id: string, params?: RadarValueListsItemsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+          /** Remove a value list item. Removes a value from a list. Rules stop matching it from the next charge assessed. */
+          del(id: string, item: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+        };
+      };
+    };
+    refunds: {
+      /** Create a refund. Refunds a charge in full or in part. Several partial refunds may be issued until the captured amount is used up. */
+      create(params?: RefundsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all refunds. Returns a list of refunds for the authenticated merchant, optionally limited to one charge. */
+      list(params?: RefundsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a refund. Fetches the details of a specific refund. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    subscriptions: {
+      /** Create a subscription. Subscribes a customer to one or more prices, which must share a currency and billing interval. Without a trial, the first period is invoiced straight away and charged to the subscription's default payment method, or else the customer's. With `trial_period_days`, the subscription starts as `trialing` and the first invoice is created when the trial ends. Each later period is invoiced when the previous one ends. A failed payment makes the subscription `past_due` and is retried after 1, 3 and 5 days; if the last retry fails the invoice becomes `uncollectible` and the subscription is canceled. */
+      create(params: SubscriptionsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all subscriptions. Returns the merchant's subscriptions, newest first. */
+      list(params?: SubscriptionsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a subscription. Fetches a subscription with its items. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a subscription. Changes a subscription's items, payment method or cancellation. Passing `items` replaces all current items; the new prices must keep the subscription's currency and billing interval. By default the change is prorated: unused time on the old items is credited and the rest of the period on the new ones is charged, both on the next invoice. `always_invoice` bills the prorations immediately, unless they come to less than the currency's minimum charge, which waits for the next invoice; `none` skips them. Setting `cancel_at_period_end` ends the subscription when the current period ends instead of renewing it. */
+      update(id: string, params?: SubscriptionsUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Cancel a subscription. Cancels a subscription immediately. No further invoices are created and failed payments are no longer retried. Use `cancel_at_period_end` on update to cancel at the end of the paid period instead. */
+      cancel(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    tokens: {
+      /** Create a card token. Validates card details (Luhn check, expiry date, CVC format) and returns a single-use token that can be passed as the `source` of a charge. Only the brand, last four digits, expiry and a fingerprint are stored; the full number and CVC are discarded. Accepts a publishable key, so card details can go straight from the browser to the gateway. The IP address the request came from is kept as `client_ip` for radar's checks. */
+      create(params?: TokensCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Retrieve a token. Fetches a card token, including whether it has already been used. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+    };
+    webhookEndpoints: {
+      /** Create a webhook endpoint. Registers a URL to receive event notifications. The response includes the endpoint's signing secret, which is not shown again. Every delivery carries a `PayWay-Signature` header of the form `t=<timestamp>,v1=<signature>`, where the signature is the hex HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the secret. Deliveries do not follow redirects. */
+      create(params?: WebhookEndpointsCreateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** List all webhook endpoints. Returns the webhook endpoints registered by the authenticated merchant. */
+      list(params?: WebhookEndpointsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+      /** Retrieve a webhook endpoint. Fetches the details of a specific webhook endpoint. */
+      retrieve(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      /** Update a webhook endpoint. Changes the URL, subscribed events, description or status of a webhook endpoint. */
+      update(id: string, params?: WebhookEndpointsUpdateParams, options?: RequestOptions): Promise<PaywayObject>;
+      /** Delete a webhook endpoint. Removes a webhook endpoint. Queued deliveries to it are dropped. */
+      del(id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      attempts: {
+        /** List delivery attempts. Returns the delivery log of a webhook endpoint, newest first, with the response code of each attempt. */
+        list(id: string, params?: WebhookEndpointsAttemptsListParams, options?: RequestOptions): ApiListPromise<PaywayObject>;
+        /** Replay a delivery attempt. Sends the event from an earlier attempt to the endpoint again, right away, and returns the new attempt. */
+        replay(id: string, attempt_id: string, params?: {}, options?: RequestOptions): Promise<PaywayObject>;
+      };
+    };
+    webhooks: Webhooks;
+    /** Calls any endpoint, e.g. request('GET', '/v1/admin/jobs', { status: 'dead' }, { apiKey: adminKey }). */
+    request(method: 'GET' | 'POST' | 'DELETE', path: string, params?: Record<string, any>, options?: RequestOptions): Promise<any>;
+  }
+
+  const webhooks: Webhooks;
+
+  namespace errors {
+    class PaywayError extends Error {
+      type: string | null;
+      code: string | null;
+      param: string | null;
+      statusCode: number | null;
+      requestId: string | null;
+      headers: Headers | null;
+      raw: Record<string, any>;
+    }
+    class InvalidRequestError extends PaywayError {}
+    class AuthenticationError extends PaywayError {}
+    class PermissionError extends PaywayError {}
+    class IdempotencyError extends PaywayError {}
+    class RateLimitError extends PaywayError {
+      retryAfter: number | null;
+    }
+    class APIError extends PaywayError {}
+    class ConnectionError extends PaywayError {}
+    class SignatureVerificationError extends PaywayError {}
+  }
+}
+
+declare function Payway(apiKey: string, config?: Payway.Config): Payway.Client;
+
+export = Payway;
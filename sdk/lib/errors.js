@@ -0,0 +1,73 @@
+// Error classes for API failures. Every error response has the form
+// `{ error: { type, code, message, param, request_id } }`; its `type` picks the class, so callers can
+// branch with instanceof, then on `code`.
+
+class PaywayError extends Error {
+  constructor(raw = {}, { statusCode = null, headers = null } = {}) {
+    super(raw.message || 'Unknown error');
+    this.name = this.constructor.name;
+    this.type = raw.type || null;
+    this.code = raw.code || null;
+    this.param = raw.param || null;
+    this.statusCode = statusCode;
+    this.requestId = raw.request_id || (headers && headers.get('x-request-id')) || null;
+    this.headers = headers;
+    this.raw = raw;
+  }
+}
+
+// The request was malformed, or not valid for the object in its current state (400, 404).
+class InvalidRequestError extends PaywayError {}
+// No valid API key or token was provided (401).
+class AuthenticationError extends PaywayError {}
+// The API key may not make this request (403).
+class PermissionError extends PaywayError {}
+// The Idempotency-Key was reused with different parameters (422), or its first request is still running (409).
+class IdempotencyError extends PaywayError {}
+// Too many requests (429). retryAfter is the number of seconds to wait.
+class RateLimitError extends PaywayError {
+  constructor(raw, options = {}) {
+    super(raw, options);
+    const retryAfter = options.headers && Number(options.headers.get('retry-after'));
+    this.retryAfter = Number.isFinite(retryAfter) ? retryAfter : null;
+  }
+}
+// Something went wrong on the server (5xx), even after retrying.
+class APIError extends PaywayError {}
+// The server could not be reached, or did not answer in time, even after retrying.
+class ConnectionError extends PaywayError {}
+// A webhook's PayWay-Signature header does not match its payload, or is too old.
+class SignatureVerificationError extends PaywayError {}
+
+const BY_TYPE = {
+  invalid_request_error: InvalidRequestError,
+  authentication_error: AuthenticationError,
+  permission_error: PermissionError,
+  idempotency_error: IdempotencyError,
+  rate_limit_error: RateLimitError,
+  api_error: APIError,
+};
+
+// Builds the error for a non-2xx response from its parsed body, which may not be an API error at
+// all, e.g. a proxy's HTML error page.
+const fromResponse = (body, { statusCode, headers }) => {
+  const raw = body && typeof body === 'object' && body.error ? body.error : {
+    type: statusCode >= 500 ? 'api_error' : 'invalid_request_error',
+    message: `Unexpected response from the API (HTTP ${statusCode}).`,
+  };
+  const ErrorClass = BY_TYPE[raw.type] || (statusCode >= 500 ? APIError : PaywayError);
+  return new ErrorClass(raw, { statusCode, headers });
+};
+
+module.exports = {
+  PaywayError,
+  InvalidRequestError,
+  AuthenticationError,
+  PermissionError,
+  IdempotencyError,
+  RateLimitError,
+  APIError,
+  ConnectionError,
+  SignatureVerificationError,
+  fromResponse,
+};
@@ -0,0 +1,98 @@
+// Sends API requests: authenticates them, encodes parameters, and retries what is safe to retry.
+//
+// Network failures, timeouts and 5xx responses are retried with exponential backoff and jitter, as
+// is a 409 for an idempotency key whose first request is still running. Retrying a POST is safe
+// because every POST carries an Idempotency-Key, the same on every retry: the gateway either replays
+// the stored response or, after a server error, runs the request afresh.
+const crypto = require('crypto');
+const errors = require('./errors');
+const { version } = require('../package.json');
+
+const INITIAL_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Half the exponential delay is fixed and half random, so clients that failed together spread out.
+const retryDelay = (attempt) => {
+  const delay = Math.min(INITIAL_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Encodes nested objects the way the API's query parser reads them, e.g. created[gte]=2024-01-01.
+const appendQuery = (searchParams, params, prefix = null) => {
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      appendQuery(searchParams, value, name);
+    } else {
+      searchParams.append(name, value instanceof Date ? value.toISOString() : String(value));
+    }
+  }
+};
+
+const isRetryable = (response, body) => response.status >= 500
+  || (response.status === 409 && body && body.error && body.error.code === 'idempotency_key_in_use');
+
+const parseBody = async (response) => {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return text;
+  }
+};
+
+// Returns request(method, path, params, options), bound to the client's configuration.
+const createRequester = (config) => async (method, path, params, options = {}) => {
+  const url = new URL(`${config.baseUrl.replace(/\/+$/, '')}${path}`);
+  const headers = {
+    Authorization: `Bearer ${options.apiKey || config.apiKey}`,
+    Accept: 'application/json',
+    'User-Agent': `payway-node/${version}`,
+  };
+  let body;
+  if (method === 'GET' || method === 'DELETE') {
+    appendQuery(url.searchParams, params);
+  } else {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(params || {});
+  }
+  if (method === 'POST') {
+    headers['Idempotency-Key'] = options.idempotencyKey || crypto.randomUUID();
+  }
+  const maxRetries = options.maxNetworkRetries ?? config.maxNetworkRetries;
+  const timeout = options.timeout ?? config.timeout;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let responseBody;
+    try {
+      response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeout) });
+      responseBody = await parseBody(response);
+    } catch (err) {
+      if (attempt < maxRetries) {
+        await sleep(retryDelay(attempt));
+        continue;
+      }
+      const message = err.name === 'TimeoutError'
+        ? `Request timed out after ${timeout} ms.`
+        : `Could not connect to the PayWay API: ${err.message}`;
+      throw new errors.ConnectionError({ type: 'connection_error', message });
+    }
+
+    if (!response.ok && isRetryable(response, responseBody) && attempt < maxRetries) {
+      await sleep(retryDelay(attempt));
+      continue;
+    }
+    if (!response.ok) {
+      throw errors.fromResponse(responseBody, { statusCode: response.status, headers: response.headers });
+    }
+    return responseBody;
+  }
+};
+
+module.exports = { createRequester };
@@ -0,0 +1,121 @@
+// Client for the PayWay API.
+//
+//   const payway = require('payway')('sk_test_...');
+//   const charge = await payway.charges.create({ amount: 1000, currency: 'usd', source: 'tok_...' });
+//   await payway.charges.capture(charge.id);
+//   for await (const customer of payway.customers.list({ email: 'jenny@example.com' })) { ... }
+//
+// The resource methods are built from lib/resources.js, which scripts/generate.js writes from the
+// API's OpenAPI spec. Each takes the path parameters in order, then the request parameters, then
+// per-request options: { idempotencyKey, apiKey, timeout, maxNetworkRetries }.
+const errors = require('./errors');
+const webhooks = require('./webhooks');
+const resources = require('./resources');
+const { createRequester } = require('./http');
+
+const DEFAULTS = {
+  baseUrl: 'http://localhost:3000',
+  timeout: 80 * 1000,
+  maxNetworkRetries: 2,
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const isEndpoint = node => typeof node.method === 'string' && typeof node.path === 'string';
+
+const buildPath = (template, values) => {
+  let i = 0;
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = values[i++];
+    if (typeof value !== 'string' || value === '') {
+      throw new errors.InvalidRequestError({
+        type: 'invalid_request_error', message: `${name} must be a non-empty string.`, param: name,
+      });
+    }
+    return encodeURIComponent(value);
+  });
+};
+
+// Returns the promise of the first page, which can also be iterated with `for await` to go through
+// every object on every page, fetching pages as needed. Cursor lists follow starting_after, or
+// ending_before backwards when that is given; offset lists advance the offset.
+const listPromise = (fetchPage, paging, params) => {
+  const first = fetchPage(params);
+
+  const iterate = async function* () {
+    const backwards = paging === 'cursor' && params.ending_before !== undefined;
+    let page = await first;
+    let pageParams = params;
+    for (;;) {
+      yield* backwards ? [...page.data].reverse() : page.data;
+      if (!page.has_more || page.data.length === 0 || paging === 'none') {
+        return;
+      }
+      if (paging === 'cursor') {
+        pageParams = backwards
+          ? { ...pageParams, ending_before: page.data[0].id }
+          : { ...pageParams, starting_after: page.data[page.data.length - 1].id };
+      } else {
+        pageParams = { ...pageParams, offset: (Number(pageParams.offset) || 0) + page.data.length };
+      }
+      page = await fetchPage(pageParams);
+    }
+  };
+
+  first[Symbol.asyncIterator] = iterate;
+  // Collects up to `limit` objects. The limit is required, so a large list can't fill memory by accident.
+  first.autoPagingToArray = async ({ limit }) => {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new errors.InvalidRequestError({
+        type: 'invalid_request_error', message: 'autoPagingToArray requires a positive integer limit.', param: 'limit',
+      });
+    }
+    const items = [];
+    for await (const item of iterate()) {
+      items.push(item);
+      if (items.length >= limit) {
+        break;
+      }
+    }
+    return items;
+  };
+  return first;
+};
+
+const buildMethod = (endpoint, request) => {
+  const placeholders = (endpoint.path.match(PLACEHOLDER) || []).length;
+  return (...args) => {
+    const [params = {}, options = {}] = args.slice(placeholders);
+    // The path is built inside the async request, so a missing ID rejects the returned promise
+    // like every other error instead of throwing before there is one.
+    const send = async pageParams => request(endpoint.method, buildPath(endpoint.path, args.slice(0, placeholders)), pageParams, options);
+    if (!endpoint.paging) {
+      return send(params);
+    }
+    return listPromise(send, endpoint.paging, params);
+  };
+};
+
+const buildResources = (node, request) => Object.fromEntries(Object.entries(node).map(([name, child]) => [
+  name,
+  isEndpoint(child) ? buildMethod(child, request) : buildResources(child, request),
+]));
+
+// Creates a client. config: { baseUrl, timeout (ms), maxNetworkRetries }.
+const Payway = (apiKey, config = {}) => {
+  if (!apiKey || typeof apiKey !== 'string') {
+    throw new errors.AuthenticationError({ type: 'authentication_error', message: 'An API key is required.' });
+  }
+  const request = createRequester({ ...DEFAULTS, ...config, apiKey });
+  return {
+    ...buildResources(resources, request),
+    webhooks,
+    // For endpoints without a resource method, e.g. request('GET', '/v1/admin/jobs', { status: 'dead' }).
+    request,
+  };
+};
+
+Payway.errors = errors;
+Payway.webhooks = webhooks;
+
+module.exports = Payway;
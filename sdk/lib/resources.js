@@ -0,0 +1,255 @@
+// Generated by scripts/generate.js from the API's OpenAPI spec. Do not edit; run `npm run generate:sdk`.
+module.exports = {
+  apiKeys: {
+    // Create a restricted API key
+    create: { method: 'POST', path: '/v1/api_keys' },
+    // List API keys
+    list: { method: 'GET', path: '/v1/api_keys', paging: 'none' },
+    // Roll an API key
+    roll: { method: 'POST', path: '/v1/api_keys/{id}/roll' },
+    // Revoke an API key
+    revoke: { method: 'POST', path: '/v1/api_keys/{id}/revoke' },
+  },
+  balance: {
+    // Retrieve balance
+    retrieve: { method: 'GET', path: '/v1/balance' },
+  },
+  balanceTransactions: {
+    // Retrieve a balance transaction
+    retrieve: { method: 'GET', path: '/v1/balance_transactions/{id}' },
+    // List balance transactions
+    list: { method: 'GET', path: '/v1/balance_transactions', paging: 'offset' },
+  },
+  bankAccounts: {
+    // Add a bank account
+    create: { method: 'POST', path: '/v1/bank_accounts' },
+    // List bank accounts
+    list: { method: 'GET', path: '/v1/bank_accounts', paging: 'none' },
+    // Retrieve a bank account
+    retrieve: { method: 'GET', path: '/v1/bank_accounts/{id}' },
+    // Remove a bank account
+    del: { method: 'DELETE', path: '/v1/bank_accounts/{id}' },
+  },
+  charges: {
+    // Create a charge
+    create: { method: 'POST', path: '/v1/charges' },
+    // List all charges
+    list: { method: 'GET', path: '/v1/charges', paging: 'cursor' },
+    // Search charges
+    search: { method: 'GET', path: '/v1/charges/search', paging: 'cursor' },
+    // Retrieve a charge
+    retrieve: { method: 'GET', path: '/v1/charges/{id}' },
+    // Update a charge's metadata
+    update: { method: 'POST', path: '/v1/charges/{id}' },
+    // Capture an authorized charge
+    capture: { method: 'POST', path: '/v1/charges/{id}/capture' },
+    // Cancel an authorized charge
+    cancel: { method: 'POST', path: '/v1/charges/{id}/cancel' },
+    // Approve a charge in review
+    approve: { method: 'POST', path: '/v1/charges/{id}/approve' },
+    // Reject a charge in review
+    reject: { method: 'POST', path: '/v1/charges/{id}/reject' },
+  },
+  checkout: {
+    sessions: {
+      // Create a checkout session
+      create: { method: 'POST', path: '/v1/checkout/sessions' },
+      // List all checkout sessions
+      list: { method: 'GET', path: '/v1/checkout/sessions', paging: 'cursor' },
+      // Retrieve a checkout session
+      retrieve: { method: 'GET', path: '/v1/checkout/sessions/{id}' },
+      // Expire a checkout session
+      expire: { method: 'POST', path: '/v1/checkout/sessions/{id}/expire' },
+    },
+  },
+  customers: {
+    // List all charges for a customer
+    listCharges: { method: 'GET', path: '/v1/customers/{id}/charges', paging: 'cursor' },
+    // List all customers
+    list: { method: 'GET', path: '/v1/customers', paging: 'cursor' },
+    // Create a customer
+    create: { method: 'POST', path: '/v1/customers' },
+    // Search customers
+    search: { method: 'GET', path: '/v1/customers/search', paging: 'cursor' },
+    // Retrieve a customer
+    retrieve: { method: 'GET', path: '/v1/customers/{id}' },
+    // Update a customer
+    update: { method: 'POST', path: '/v1/customers/{id}' },
+  },
+  disputes: {
+    // Retrieve a dispute
+    retrieve: { method: 'GET', path: '/v1/disputes/{id}' },
+    // Update dispute evidence
+    update: { method: 'POST', path: '/v1/disputes/{id}' },
+    // List all disputes
+    list: { method: 'GET', path: '/v1/disputes', paging: 'offset' },
+    // Close a dispute
+    close: { method: 'POST', path: '/v1/disputes/{id}/close' },
+  },
+  events: {
+    // Retrieve an event
+    retrieve: { method: 'GET', path: '/v1/events/{id}' },
+    // List all events
+    list: { method: 'GET', path: '/v1/events', paging: 'offset' },
+  },
+  invoices: {
+    // Retrieve an invoice
+    retrieve: { method: 'GET', path: '/v1/invoices/{id}' },
+    // List all invoices
+    list: { method: 'GET', path: '/v1/invoices', paging: 'offset' },
+    // Pay an invoice
+    pay: { method: 'POST', path: '/v1/invoices/{id}/pay' },
+  },
+  merchants: {
+    // Create a merchant (user)
+    create: { method: 'POST', path: '/v1/merchants' },
+    // Login as merchant
+    login: { method: 'POST', path: '/v1/merchants/login' },
+    // Get current merchant profile
+    retrieveProfile: { method: 'GET', path: '/v1/merchants/me' },
+    // Set the payout schedule
+    updatePayoutSchedule: { method: 'POST', path: '/v1/merchants/me/payout_schedule' },
+  },
+  merchantUsers: {
+    // Add a team member
+    create: { method: 'POST', path: '/v1/merchant_users' },
+    // List team members
+    list: { method: 'GET', path: '/v1/merchant_users', paging: 'none' },
+    // Retrieve a team member
+    retrieve: { method: 'GET', path: '/v1/merchant_users/{id}' },
+    // Update a team member
+    update: { method: 'POST', path: '/v1/merchant_users/{id}' },
+    // Remove a team member
+    del: { method: 'DELETE', path: '/v1/merchant_users/{id}' },
+  },
+  paymentIntents: {
+    // Create a payment intent
+    create: { method: 'POST', path: '/v1/payment_intents' },
+    // List all payment intents
+    list: { method: 'GET', path: '/v1/payment_intents', paging: 'cursor' },
+    // Retrieve a payment intent
+    retrieve: { method: 'GET', path: '/v1/payment_intents/{id}' },
+    // Update a payment intent
+    update: { method: 'POST', path: '/v1/payment_intents/{id}' },
+    // Confirm a payment intent
+    confirm: { method: 'POST', path: '/v1/payment_intents/{id}/confirm' },
+    // Cancel a payment intent
+    cancel: { method: 'POST', path: '/v1/payment_intents/{id}/cancel' },
+  },
+  paymentMethods: {
+    // Create a payment method
+    create: { method: 'POST', path: '/v1/payment_methods' },
+    // List payment methods
+    list: { method: 'GET', path: '/v1/payment_methods', paging: 'offset' },
+    // Retrieve a payment method
+    retrieve: { method: 'GET', path: '/v1/payment_methods/{id}' },
+    // Attach a payment method to a customer
+    attach: { method: 'POST', path: '/v1/payment_methods/{id}/attach' },
+    // Detach a payment method from its customer
+    detach: { method: 'POST', path: '/v1/payment_methods/{id}/detach' },
+  },
+  payouts: {
+    // Create a payout
+    create: { method: 'POST', path: '/v1/payouts' },
+    // List all payouts
+    list: { method: 'GET', path: '/v1/payouts', paging: 'offset' },
+    // Retrieve a payout
+    retrieve: { method: 'GET', path: '/v1/payouts/{id}' },
+  },
+  prices: {
+    // Create a price
+    create: { method: 'POST', path: '/v1/prices' },
+    // List all prices
+    list: { method: 'GET', path: '/v1/prices', paging: 'offset' },
+    // Retrieve a price
+    retrieve: { method: 'GET', path: '/v1/prices/{id}' },
+    // Update a price
+    update: { method: 'POST', path: '/v1/prices/{id}' },
+  },
+  products: {
+    // Create a product
+    create: { method: 'POST', path: '/v1/products' },
+    // List all products
+    list: { method: 'GET', path: '/v1/products', paging: 'offset' },
+    // Retrieve a product
+    retrieve: { method: 'GET', path: '/v1/products/{id}' },
+    // Update a product
+    update: { method: 'POST', path: '/v1/products/{id}' },
+  },
+  radar: {
+    rules: {
+      // Create a radar rule
+      create: { method: 'POST', path: '/v1/radar/rules' },
+      // List all radar rules
+      list: { method: 'GET', path: '/v1/radar/rules', paging: 'cursor' },
+      // Retrieve a radar rule
+      retrieve: { method: 'GET', path: '/v1/radar/rules/{id}' },
+      // Update a radar rule
+      update: { method: 'POST', path: '/v1/radar/rules/{id}' },
+      // Delete a radar rule
+      del: { method: 'DELETE', path: '/v1/radar/rules/{id}' },
+    },
+    valueLists: {
+      // Create a value list
+      create: { method: 'POST', path: '/v1/radar/value_lists' },
+      // List all value lists
+      list: { method: 'GET', path: '/v1/radar/value_lists', paging: 'cursor' },
+      // Retrieve a value list
+      retrieve: { method: 'GET', path: '/v1/radar/value_lists/{id}' },
+      // Delete a value list
+      del: { method: 'DELETE', path: '/v1/radar/value_lists/{id}' },
+      items: {
+        // Add a value list item
+        create: { method: 'POST', path: '/v1/radar/value_lists/{id}/items' },
+        // List value list items
+        list: { method: 'GET', path: '/v1/radar/value_lists/{id}/items', paging: 'cursor' },
+        // Remove a value list item
+        del: { method: 'DELETE', path: '/v1/radar/value_lists/{id}/items/{item}' },
+      },
+    },
+  },
+  refunds: {
+    // Create a refund
+    create: { method: 'POST', path: '/v1/refunds' },
+    // List all refunds
+    list: { method: 'GET', path: '/v1/refunds', paging: 'offset' },
+    // Retrieve a refund
+    retrieve: { method: 'GET', path: '/v1/refunds/{id}' },
+  },
+  subscriptions: {
+    // Create a subscription
+    create: { method: 'POST', path: '/v1/subscriptions' },
+    // List all subscriptions
+    list: { method: 'GET', path: '/v1/subscriptions', paging: 'offset' },
+    // Retrieve a subscription
+    retrieve: { method: 'GET', path: '/v1/subscriptions/{id}' },
+    // Update a subscription
+    update: { method: 'POST', path: '/v1/subscriptions/{id}' },
+    // Cancel a subscription
+    cancel: { method: 'POST', path: '/v1/subscriptions/{id}/cancel' },
+  },
+  tokens: {
+    // Create a card token
+    create: { method: 'POST', path: '/v1/tokens' },
+    // Retrieve a token
+    retrieve: { method: 'GET', path: '/v1/tokens/{id}' },
+  },
+  webhookEndpoints: {
+    // Create a webhook endpoint
+    create: { method: 'POST', path: '/v1/webhook_endpoints' },
+    // List all webhook endpoints
+    list: { method: 'GET', path: '/v1/webhook_endpoints', paging: 'offset' },
+    // Retrieve a webhook endpoint
+    retrieve: { method: 'GET', path: '/v1/webhook_endpoints/{id}' },
+    // Update a webhook endpoint
+    update: { method: 'POST', path: '/v1/webhook_endpoints/{id}' },
+    // Delete a webhook endpoint
+    del: { method: 'DELETE', path: '/v1/webhook_endpoints/{id}' },
+    attempts: {
+      // List delivery attempts
+      list: { method: 'GET', path: '/v1/webhook_endpoints/{id}/attempts', paging: 'offset' },
+      // Replay a delivery attempt
+      replay: { method: 'POST', path: '/v1/webhook_endpoints/{id}/attempts/{attempt_id}/replay' },
+    },
+  },
+};
@@ -0,0 +1,66 @@
+// Verifies the PayWay-Signature header on webhook deliveries:
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`, keyed with the endpoint's signing secret.
+const crypto = require('crypto');
+const { SignatureVerificationError } = require('./errors');
+
+const SIGNATURE_HEADER = 'PayWay-Signature';
+// Deliveries signed longer ago than this are refused, so a captured request cannot be replayed later.
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const fail = message => new SignatureVerificationError({ type: 'signature_verification_error', message });
+
+const parseHeader = (header) => {
+  const parts = {};
+  for (const part of String(header).split(',')) {
+    const [key, ...rest] = part.trim().split('=');
+    parts[key] = rest.join('=');
+  }
+  return { timestamp: Number(parts.t), signature: parts.v1 };
+};
+
+// The payload must be the raw request body, exactly as received: a string or a Buffer, not parsed
+// JSON, which would not serialize back to the same bytes. Throws SignatureVerificationError unless
+// the signature is valid and no older than toleranceSeconds.
+const verifySignature = (payload, header, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  if (typeof payload !== 'string' && !Buffer.isBuffer(payload)) {
+    throw fail('The webhook payload must be the raw request body, as a string or Buffer.');
+  }
+  if (!header) {
+    throw fail(`No ${SIGNATURE_HEADER} header.`);
+  }
+  const { timestamp, signature } = parseHeader(header);
+  if (!Number.isInteger(timestamp) || !signature) {
+    throw fail(`Malformed ${SIGNATURE_HEADER} header.`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  const valid = signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) {
+    throw fail('The signature does not match the payload. Check that the secret is the endpoint\'s and the payload is the raw body.');
+  }
+  if (toleranceSeconds > 0 && Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    throw fail('The signature timestamp is outside the tolerance window.');
+  }
+  return true;
+};
+
+// Verifies a delivery and returns the event it carries.
+const constructEvent = (payload, header, secret, options) => {
+  verifySignature(payload, header, secret, options);
+  return JSON.parse(payload.toString());
+};
+
+// Signs a payload like the gateway does, for testing webhook handlers.
+const generateTestHeader = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  verifySignature,
+  constructEvent,
+  generateTestHeader,
+};
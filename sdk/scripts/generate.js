@@ -0,0 +1,328 @@
+// Generates the SDK's resource table (lib/resources.js) and type declarations (index.d.ts) from
+// the API's OpenAPI spec. Run it after changing any route's @swagger annotations:
+//
+//   npm run generate:sdk
+//
+// Method names follow the path: /v1/charges/{id}/capture becomes charges.capture(id). A static
+// segment followed by an ID, like `sessions` in /v1/checkout/sessions/{id}, is a resource of its
+// own. Otherwise POST and GET on a collection are create and list, and GET, POST and DELETE on one
+// object are retrieve, update and del. An operation whose path reads badly as a name sets
+// `x-sdk-method: <resource>.<method>` instead. Operator (/v1/admin) and hosted-page operations are left out.
+const fs = require('fs');
+const path = require('path');
+const spec = require('../../utils/openapi');
+
+const SDK_DIR = path.join(__dirname, '..');
+const HEADER = '// Generated by scripts/generate.js from the API\'s OpenAPI spec. Do not edit; run `npm run generate:sdk`.';
+
+const camelCase = name => name.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+const pascalCase = name => camelCase(name).replace(/^\w/, letter => letter.toUpperCase());
+const isPlaceholder = segment => /^\{\w+\}$/.test(segment);
+
+const resolve = (node) => {
+  if (!node || !node.$ref) {
+    return node;
+  }
+  return node.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent[key], spec);
+};
+
+const isOperatorOrHosted = (route, operation) => !route.startsWith('/v1/')
+  || route.startsWith('/v1/admin')
+  || (operation.security && !operation.security.some(scheme => scheme.bearerAuth));
+
+// Every operation the SDK exposes, as { route, method, operation, segments }.
+const collectOperations = () => {
+  const operations = [];
+  for (const [route, methods] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      if (!isOperatorOrHosted(route, operation)) {
+        operations.push({ route, method: method.toUpperCase(), operation, segments: route.split('/').slice(2) });
+      }
+    }
+  }
+  return operations;
+};
+
+// Static segments that name a collection of objects: the first segment of every path, and any
+// segment that some path follows with an ID. Keyed by the path up to and including the segment.
+const findCollections = (operations) => {
+  const collections = new Set();
+  for (const { segments } of operations) {
+    collections.add(segments[0]);
+    segments.forEach((segment, i) => {
+      if (i > 0 && isPlaceholder(segment)) {
+        collections.add(segments.slice(0, i).join('/'));
+      }
+    });
+  }
+  return collections;
+};
+
+// Returns { resource: ['checkout', 'sessions'], name: 'retrieve' } for an operation.
+const nameOperation = ({ method, operation, segments }, collections) => {
+  if (operation['x-sdk-method']) {
+    const parts = operation['x-sdk-method'].split('.');
+    return { resource: parts.slice(0, -1), name: parts[parts.length - 1] };
+  }
+  const resource = [];
+  const action = [];
+  segments.forEach((segment, i) => {
+    if (isPlaceholder(segment)) {
+      return;
+    }
+    if (action.length === 0 && collections.has(segments.slice(0, i + 1).join('/'))) {
+      resource.push(camelCase(segment));
+    } else {
+      action.push(segment);
+    }
+  });
+  if (action.length > 0) {
+    return { resource, name: camelCase(action.join('_')) };
+  }
+  const onObject = isPlaceholder(segments[segments.length - 1]);
+  const names = onObject
+    ? { GET: 'retrieve', POST: 'update', DELETE: 'del' }
+    : { GET: 'list', POST: 'create' };
+  if (!names[method]) {
+    throw new Error(`No method name for ${method} /v1/${segments.join('/')}; set x-sdk-method on it.`);
+  }
+  return { resource, name: names[method] };
+};
+
+const parametersOf = operation => (operation.parameters || []).map(resolve);
+
+// How a list endpoint pages: 'cursor' (starting_after), 'offset', or 'none' for a single page.
+// Null for anything that is not a list.
+const pagingOf = (method, name, operation) => {
+  if (method !== 'GET' || !(name === 'search' || /^list/.test(name))) {
+    return null;
+  }
+  const names = parametersOf(operation).map(parameter => parameter.name);
+  if (names.includes('starting_after')) {
+    return 'cursor';
+  }
+  return names.includes('offset') ? 'offset' : 'none';
+};
+
+const buildTree = (operations) => {
+  const collections = findCollections(operations);
+  const tree = {};
+  for (const entry of operations) {
+    const { resource, name } = nameOperation(entry, collections);
+    const parent = resource.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, tree);
+    if (parent[name]) {
+      throw new Error(`${[...resource, name].join('.')} is generated for both ${parent[name].route} and ${entry.route}.`);
+    }
+    parent[name] = {
+      ...entry, resource, name, paging: pagingOf(entry.method, name, entry.operation),
+    };
+  }
+  return tree;
+};
+
+const isEndpoint = node => typeof node.method === 'string' && typeof node.route === 'string';
+
+// lib/resources.js
+
+const renderResources = (node, indent = '  ') => Object.entries(node).map(([key, child]) => {
+  if (!isEndpoint(child)) {
+    return `${indent}${key}: {\n${renderResources(child, `${indent}  `)}\n${indent}},`;
+  }
+  const paging = child.paging ? `, paging: '${child.paging}'` : '';
+  return `${indent}// ${child.operation.summary}\n${indent}${key}: { method: '${child.method}', path: '${child.route}'${paging} },`;
+}).join('\n');
+
+// index.d.ts
+
+const comment = (text, indent) => {
+  if (!text) {
+    return '';
+  }
+  const lines = text.trim().split('\n').map(line => line.trim()).filter(Boolean);
+  return `${indent}/** ${lines.join(' ').replace(/\*\//g, '*\\/')} */\n`;
+};
+
+const typeOf = (schema, indent) => {
+  if (!schema) {
+    return 'any';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  let type;
+  if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(option => typeOf(option, indent)).join(' | ');
+  } else if (schema.enum) {
+    type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.type === 'string' || schema.type === 'boolean') {
+    type = schema.type;
+  } else if (schema.type === 'array') {
+    const items = typeOf(schema.items, indent);
+    type = /[ |]/.test(items) ? `Array<${items}>` : `${items}[]`;
+  } else if (schema.properties) {
+    type = `{\n${renderProperties(schema.properties, schema.required || [], `${indent}  `)}\n${indent}}`;
+  } else {
+    type = 'Record<string, any>';
+  }
+  return schema.nullable ? `${type} | null` : type;
+};
+
+const renderProperties = (properties, required, indent) => Object.entries(properties).map(([name, schema]) => {
+  const description = schema.description || (resolve(schema) || {}).description;
+  const optional = required.includes(name) ? '' : '?';
+  return `${comment(description, indent)}${indent}${name}${optional}: ${typeOf(schema, indent)};`;
+}).join('\n');
+
+// The request parameters of an operation: its query parameters, or the properties of its JSON body.
+const paramsSchemaOf = ({ method, operation }) => {
+  if (method === 'GET' || method === 'DELETE') {
+    const query = parametersOf(operation).filter(parameter => parameter.in === 'query');
+    if (query.length === 0) {
+      return null;
+    }
+    return {
+      properties: Object.fromEntries(query.map(parameter => [parameter.name, { ...parameter.schema, description: parameter.description }])),
+      required: query.filter(parameter => parameter.required).map(parameter => parameter.name),
+    };
+  }
+  const body = operation.requestBody && operation.requestBody.content && operation.requestBody.content['application/json'];
+  const schema = body && resolve(body.schema);
+  return schema && schema.properties ? { properties: schema.properties, required: schema.required || [] } : null;
+};
+
+const paramsTypeName = endpoint => `${endpoint.resource.map(pascalCase).join('')}${pascalCase(endpoint.name)}Params`;
+
+const renderParamsTypes = (node) => Object.values(node).flatMap((child) => {
+  if (!isEndpoint(child)) {
+    return renderParamsTypes(child);
+  }
+  const schema = paramsSchemaOf(child);
+  if (!schema) {
+    return [];
+  }
+  return [`  interface ${paramsTypeName(child)} {\n${renderProperties(schema.properties, schema.required, '    ')}\n  }`];
+});
+
+const renderMethod = (key, endpoint, indent) => {
+  const args = (endpoint.route.match(/\{\w+\}/g) || []).map(placeholder => `${placeholder.slice(1, -1)}: string`);
+  const schema = paramsSchemaOf(endpoint);
+  if (schema) {
+    args.push(`params${schema.required.length > 0 ? '' : '?'}: ${paramsTypeName(endpoint)}`);
+  } else {
+    args.push('params?: {}');
+  }
+  args.push('options?: RequestOptions');
+  const returns = endpoint.paging ? 'ApiListPromise<PaywayObject>' : 'Promise<PaywayObject>';
+  const { summary, description: details } = endpoint.operation;
+  const description = [summary && summary.replace(/\.$/, ''), details].filter(Boolean).join('. ');
+  return `${comment(description, indent)}${indent}${key}(${args.join(', ')}): ${returns};`;
+};
+
+const renderResourceTypes = (node, indent) => Object.entries(node).map(([key, child]) => (isEndpoint(child)
+  ? renderMethod(key, child, indent)
+  : `${indent}${key}: {\n${renderResourceTypes(child, `${indent}  `)}\n${indent}};`)).join('\n');
+
+const renderComponentTypes = () => Object.entries(spec.components.schemas)
+  .filter(([, schema]) => schema.properties)
+  .map(([name, schema]) => `  interface ${name} {\n${renderProperties(schema.properties, schema.required || [], '    ')}\n  }`);
+
+const renderDeclarations = tree => `${HEADER}
+
+declare namespace Payway {
+  interface Config {
+    /** Where the gateway is reachable. Defaults to http://localhost:3000. */
+    baseUrl?: string;
+    /** Milliseconds to wait for each response before retrying or failing. Defaults to 80000. */
+    timeout?: number;
+    /** Retries after network errors and 5xx responses. Defaults to 2. */
+    maxNetworkRetries?: number;
+  }
+
+  interface RequestOptions {
+    /** Sent with POST requests; generated when omitted. Reuse it to retry a request safely yourself. */
+    idempotencyKey?: string;
+    /** Overrides the client's API key for this request. */
+    apiKey?: string;
+    timeout?: number;
+    maxNetworkRetries?: number;
+  }
+
+  interface PaywayObject {
+    id: string;
+    [field: string]: any;
+  }
+
+  interface ApiList<T> {
+    object: 'list';
+    has_more: boolean;
+    data: T[];
+  }
+
+  /** A promise of the first page that can also be iterated with \`for await\` over every object on every page. */
+  interface ApiListPromise<T> extends Promise<ApiList<T>>, AsyncIterable<T> {
+    autoPagingToArray(options: { limit: number }): Promise<T[]>;
+  }
+
+${renderComponentTypes().join('\n\n')}
+
+${renderParamsTypes(tree).join('\n\n')}
+
+  interface Webhooks {
+    SIGNATURE_HEADER: 'PayWay-Signature';
+    DEFAULT_TOLERANCE_SECONDS: number;
+    /** Throws SignatureVerificationError unless the header is a valid, recent signature of the raw payload. */
+    verifySignature(payload: string | Buffer, header: string, secret: string, options?: { toleranceSeconds?: number }): true;
+    /** Verifies a delivery and returns its event. */
+    constructEvent(payload: string | Buffer, header: string, secret: string, options?: { toleranceSeconds?: number }): PaywayObject;
+    generateTestHeader(payload: string | Buffer, secret: string, timestamp?: number): string;
+  }
+
+  interface Client {
+${renderResourceTypes(tree, '    ')}
+    webhooks: Webhooks;
+    /** Calls any endpoint, e.g. request('GET', '/v1/admin/jobs', { status: 'dead' }, { apiKey: adminKey }). */
+    request(method: 'GET' | 'POST' | 'DELETE', path: string, params?: Record<string, any>, options?: RequestOptions): Promise<any>;
+  }
+
+  const webhooks: Webhooks;
+
+  namespace errors {
+    class PaywayError extends Error {
+      type: string | null;
+      code: string | null;
+      param: string | null;
+      statusCode: number | null;
+      requestId: string | null;
+      headers: Headers | null;
+      raw: Record<string, any>;
+    }
+    class InvalidRequestError extends PaywayError {}
+    class AuthenticationError extends PaywayError {}
+    class PermissionError extends PaywayError {}
+    class IdempotencyError extends PaywayError {}
+    class RateLimitError extends PaywayError {
+      retryAfter: number | null;
+    }
+    class APIError extends PaywayError {}
+    class ConnectionError extends PaywayError {}
+    class SignatureVerificationError extends PaywayError {}
+  }
+}
+
+declare function Payway(apiKey: string, config?: Payway.Config): Payway.Client;
+
+export = Payway;
+`;
+
+const main = () => {
+  const tree = buildTree(collectOperations());
+  fs.writeFileSync(path.join(SDK_DIR, 'lib', 'resources.js'), `${HEADER}\nmodule.exports = {\n${renderResources(tree)}\n};\n`);
+  fs.writeFileSync(path.join(SDK_DIR, 'index.d.ts'), renderDeclarations(tree));
+};
+
+main();
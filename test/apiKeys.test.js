@@ -0,0 +1,98 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const permissions = require('../utils/permissions');
+const apiKeysRouter = require('../routes/apiKeys');
+
+afterEach(() => mock.restoreAll());
+
+// Serves the router as the given team member, with the database standing in for one stored key.
+const serve = async (role, storedKey) => {
+  const queries = [];
+  const client = {
+    query: async (text) => {
+      queries.push(text);
+      return { rows: [storedKey] };
+    },
+  };
+  mock.method(db, 'transaction', async fn => fn(client));
+
+  const app = express();
+  app.use(logger.requestContext, express.json(), (req, res, next) => {
+    req.auth = { merchant_id: 'mch_1', livemode: false, key_type: 'secret', role, permissions: permissions.forRole(role) };
+    next();
+  });
+  app.use('/v1/api_keys', apiKeysRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const post = async (path, body = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { post, queries, close: () => server.close() };
+};
+
+const secretKey = { id: 'key_1', merchant_id: 'mch_1', type: 'secret', livemode: false, name: null, permissions: null };
+const restrictedKey = { ...secretKey, id: 'key_2', type: 'restricted', permissions: { charges: 'read' } };
+
+test('a developer cannot roll a secret key', async () => {
+  const api = await serve('developer', secretKey);
+  try {
+    const { status, body } = await api.post('/v1/api_keys/key_1/roll');
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.error.code, 'insufficient_permissions');
+    assert.ok(!api.queries.some(text => text.includes('INSERT INTO api_keys')), 'no replacement key is issued');
+  } finally {
+    api.close();
+  }
+});
+
+test('a developer cannot revoke a secret key', async () => {
+  const api = await serve('developer', secretKey);
+  try {
+    assert.strictEqual((await api.post('/v1/api_keys/key_1/revoke')).status, 403);
+  } finally {
+    api.close();
+  }
+});
+
+test('a developer can roll a restricted key within their access', async () => {
+  const api = await serve('developer', restrictedKey);
+  try {
+    const { status } = await api.post('/v1/api_keys/key_2/roll');
+    assert.strictEqual(status, 201);
+    assert.ok(api.queries.some(text => text.includes('INSERT INTO api_keys')));
+  } finally {
+    api.close();
+  }
+});
+
+test('an admin can roll a secret key', async () => {
+  const api = await serve('admin', secretKey);
+  try {
+    assert.strictEqual((await api.post('/v1/api_keys/key_1/roll')).status, 201);
+  } finally {
+    api.close();
+  }
+});
+
+test('restricted keys cannot be wider than the credential issuing them', () => {
+  const developer = permissions.forRole('developer');
+  assert.strictEqual(permissions.covers(developer, { charges: 'write', webhook_endpoints: 'read' }), true);
+  assert.strictEqual(permissions.covers(developer, null), false);
+  assert.strictEqual(permissions.covers(permissions.forRole('analyst'), { charges: 'write' }), false);
+  assert.strictEqual(permissions.covers(permissions.forRole('owner'), null), true);
+  assert.strictEqual(permissions.covers(null, null), true);
+});
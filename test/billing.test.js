@@ -0,0 +1,111 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const events = require('../utils/events');
+const charges = require('../utils/charges');
+const billing = require('../utils/billing');
+
+afterEach(() => mock.restoreAll());
+
+const subscription = { id: 'sub_1', merchant_id: 'mch_1', livemode: false, customer_id: 'cus_1', currency: 'usd' };
+
+// A client holding the subscription's pending invoice lines and a saved card, recording the invoice and lines written.
+const stubBilling = (pendingAmounts) => {
+  const state = { invoice: null, lines: [], charged: [], events: [] };
+  const client = {
+    query: async (text, params) => {
+      if (text.includes('FROM subscription_items')) {
+        return { rows: [] };
+      }
+      if (text.startsWith('SELECT amount FROM invoice_lines')) {
+        return { rows: pendingAmounts.map(amount => ({ amount })) };
+      }
+      if (text.startsWith('INSERT INTO invoices')) {
+        const [id, merchantId, livemode, customerId, subscriptionId, status, billingReason, currency, amountDue] = params;
+        state.invoice = {
+          id, merchant_id: merchantId, livemode, customer_id: customerId, subscription_id: subscriptionId,
+          status, billing_reason: billingReason, currency, amount_due: amountDue, amount_paid: 0, attempt_count: 0,
+        };
+        return { rows: [{ ...state.invoice }] };
+      }
+      if (text.startsWith('INSERT INTO invoice_lines')) {
+        state.lines.push({ invoice_id: params[1], amount: params[4] }, { invoice_id: null, amount: params[7] });
+        return { rows: [] };
+      }
+      if (text.startsWith("UPDATE invoices SET status = 'paid'")) {
+        Object.assign(state.invoice, { status: 'paid', amount_paid: params[0] });
+        return { rows: [{ ...state.invoice, subscription_id: null }] };
+      }
+      if (text.startsWith('UPDATE invoices SET attempt_count')) {
+        state.invoice.attempt_count += 1;
+        return { rows: [{ ...state.invoice }] };
+      }
+      if (text.includes('FROM payment_methods')) {
+        return { rows: [{ id: 'pm_1', card: { brand: 'visa' }, billing_details: null }] };
+      }
+      if (text.startsWith('UPDATE invoices SET charge_id')) {
+        return { rows: [{ ...state.invoice, charge_id: params[0] }] };
+      }
+      if (text.startsWith('UPDATE invoices SET status = $1')) {
+        Object.assign(state.invoice, { status: params[0] });
+        return { rows: [{ ...state.invoice, subscription_id: null }] };
+      }
+      return { rows: [] };
+    },
+  };
+  mock.method(events, 'record', async type => state.events.push(type));
+  mock.method(charges, 'enqueueCharge', async (fields) => {
+    state.charged.push(fields.amount);
+    return { id: 'ch_1' };
+  });
+  const invoice = () => billing.createInvoice(client, subscription, {
+    billingReason: 'subscription_update', periodStart: new Date(), periodEnd: new Date(), items: false,
+  });
+  return { state, invoice };
+};
+
+test('a proration invoice below the minimum charge is carried forward instead of charged', async () => {
+  const { state, invoice } = stubBilling([-1000, 1030]);
+  const result = await invoice();
+
+  assert.deepStrictEqual(state.charged, []);
+  assert.strictEqual(result.status, 'paid');
+  assert.strictEqual(result.amount_due, 0);
+  assert.deepStrictEqual(state.lines, [{ invoice_id: state.invoice.id, amount: -30 }, { invoice_id: null, amount: 30 }]);
+});
+
+test('an invoice totalling zero is paid without a charge', async () => {
+  const { state, invoice } = stubBilling([-500, 500]);
+  const result = await invoice();
+
+  assert.deepStrictEqual(state.charged, []);
+  assert.strictEqual(result.status, 'paid');
+  assert.deepStrictEqual(state.lines, []);
+});
+
+test('an invoice at or above the minimum is charged in full', async () => {
+  const { state, invoice } = stubBilling([20, 30]);
+  await invoice();
+
+  assert.deepStrictEqual(state.charged, [50]);
+  assert.strictEqual(state.invoice.amount_due, 50);
+  assert.deepStrictEqual(state.lines, []);
+});
+
+test('an invoice in a currency that is no longer supported fails instead of being charged', async () => {
+  const { state } = stubBilling([]);
+  const client = {
+    query: async (text) => {
+      if (text.startsWith('UPDATE invoices SET attempt_count')) {
+        return { rows: [{ id: 'in_1', amount_due: 5000, currency: 'xaf', attempt_count: 1, subscription_id: null }] };
+      }
+      if (text.includes('FROM payment_methods')) {
+        return { rows: [{ id: 'pm_1' }] };
+      }
+      return { rows: [{ id: 'in_1', status: 'open', subscription_id: null }] };
+    },
+  };
+  await billing.attemptPayment(client, { id: 'in_1' });
+
+  assert.deepStrictEqual(state.charged, []);
+  assert.deepStrictEqual(state.events, ['invoice.payment_failed']);
+});
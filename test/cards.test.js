@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const cards = require('../utils/cards');
+
+const card = (fields = {}) => ({ number: '4242424242424242', exp_month: 12, exp_year: 2099, cvc: '123', ...fields });
+
+test('the Luhn check accepts valid numbers and rejects a changed digit', () => {
+  for (const number of ['4242424242424242', '378282246310005', '6011111111111117', '0']) {
+    assert.strictEqual(cards.luhnCheck(number), true, number);
+  }
+  for (const number of ['4242424242424241', '378282246310006', '1']) {
+    assert.strictEqual(cards.luhnCheck(number), false, number);
+  }
+});
+
+test('brands are detected from the number prefix', () => {
+  const expected = {
+    '4242424242424242': 'visa',
+    '5555555555554444': 'mastercard',
+    '2223003122003222': 'mastercard',
+    '378282246310005': 'amex',
+    '6011111111111117': 'discover',
+    '3056930009020004': 'diners',
+    '3566002020360505': 'jcb',
+    '6200000000000005': 'unionpay',
+  };
+  for (const [number, brand] of Object.entries(expected)) {
+    assert.strictEqual(cards.detectBrand(number).brand, brand, number);
+  }
+  assert.strictEqual(cards.detectBrand('9999999999999995'), null);
+});
+
+test('a card is valid through the last day of its expiry month', () => {
+  assert.strictEqual(cards.isExpired(2, 2030, new Date('2030-02-28T23:59:59Z')), false);
+  assert.strictEqual(cards.isExpired(2, 2030, new Date('2030-03-01T00:00:00Z')), true);
+  assert.strictEqual(cards.isExpired(12, 2030, new Date('2030-12-31T12:00:00Z')), false);
+});
+
+test('card details are checked for number, brand, expiry and cvc', () => {
+  assert.strictEqual(cards.checkCard(card()), null);
+  assert.strictEqual(cards.checkCard(card({ number: '4242 4242 4242 4242' })), null);
+  assert.strictEqual(cards.checkCard(null).code, 'parameter_missing');
+  assert.strictEqual(cards.checkCard(card({ number: '4242424242424241' })).code, 'incorrect_number');
+  assert.strictEqual(cards.checkCard(card({ number: '42424242424242' })).code, 'invalid_number');
+  assert.strictEqual(cards.checkCard(card({ exp_month: 13 })).code, 'invalid_expiry_month');
+  assert.strictEqual(cards.checkCard(card({ exp_year: 2020 })).code, 'expired_card');
+  assert.strictEqual(cards.checkCard(card({ cvc: '1234' })).code, 'invalid_cvc');
+  assert.strictEqual(cards.checkCard(card({ number: '378282246310005', cvc: '1234' })), null);
+});
+
+test('fingerprints ignore formatting and never contain the number', () => {
+  const fingerprint = cards.fingerprint('4242424242424242');
+  assert.match(fingerprint, /^[0-9a-f]{32}$/);
+  assert.strictEqual(cards.fingerprint('4242-4242-4242-4242'), fingerprint);
+  assert.notStrictEqual(cards.fingerprint('4000056655665556'), fingerprint);
+  assert.deepStrictEqual(cards.summarize(card()), {
+    brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2099, fingerprint,
+  });
+});
+
+test('the fingerprint secret is required', () => {
+  const { status, stderr } = spawnSync(process.execPath, ['-e', "require('./utils/cards')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, CARD_FINGERPRINT_SECRET: '', JWT_SECRET: 'test_jwt_secret' },
+  });
+  assert.notStrictEqual(status, 0);
+  assert.match(stderr.toString(), /CARD_FINGERPRINT_SECRET is not set/);
+});
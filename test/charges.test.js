@@ -0,0 +1,182 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const events = require('../utils/events');
+const ledger = require('../utils/ledger');
+const charges = require('../utils/charges');
+const permissions = require('../utils/permissions');
+const chargesRouter = require('../routes/charges');
+
+afterEach(() => mock.restoreAll());
+
+const hourFromNow = () => new Date(Date.now() + 60 * 60 * 1000);
+
+// Holds a single charge, applying the status updates the capture and cancel routes make to it.
+const stubCharge = (fields) => {
+  const charge = {
+    id: 'ch_1', merchant_id: 'mch_1', livemode: false, status: 'authorized', amount: 5000, currency: 'usd',
+    captured: false, amount_captured: 0, authorization_expires_at: hourFromNow(),
+    payment_method_details: { card: { brand: 'visa', fingerprint: 'not_a_test_card' } },
+    ...fields,
+  };
+  const recorded = [];
+  const query = async (text, params) => {
+    if (text.startsWith('SELECT') && params[0] === charge.id) {
+      return { rows: [{ ...charge }] };
+    }
+    if (text.startsWith('UPDATE charges SET status') && params.at(-1) === charge.status) {
+      Object.assign(charge, { status: params[0] }, text.includes('amount_captured') ? { captured: true, amount_captured: params[1] } : {});
+      return { rows: [{ ...charge }] };
+    }
+    return { rows: [] };
+  };
+  mock.method(db, 'query', query);
+  mock.method(db, 'transaction', async fn => fn({ query }));
+  mock.method(ledger, 'recordCharge', async captured => captured);
+  mock.method(events, 'record', async type => recorded.push(type));
+  return { charge, recorded };
+};
+
+const serve = async () => {
+  const app = express();
+  app.use(logger.requestContext, express.json(), (req, res, next) => {
+    req.auth = { merchant_id: 'mch_1', livemode: false, key_type: 'secret', permissions: permissions.forRole('owner') };
+    next();
+  });
+  app.use('/v1/charges', chargesRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const post = async (path, body = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/charges${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { post, close: () => server.close() };
+};
+
+test('an authorized charge is captured in full by default', async () => {
+  const { recorded } = stubCharge();
+  const api = await serve();
+  try {
+    const { status, body } = await api.post('/ch_1/capture');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'captured');
+    assert.strictEqual(body.amount_captured, 5000);
+    assert.deepStrictEqual(recorded, ['charge.captured']);
+  } finally {
+    api.close();
+  }
+});
+
+test('part of an authorization can be captured, but not more than was authorized', async () => {
+  stubCharge();
+  const api = await serve();
+  try {
+    const over = await api.post('/ch_1/capture', { amount_to_capture: 5001 });
+    assert.strictEqual(over.status, 400);
+    assert.strictEqual(over.body.error.param, 'amount_to_capture');
+
+    const below = await api.post('/ch_1/capture', { amount_to_capture: 10 });
+    assert.strictEqual(below.status, 400, 'below the currency minimum');
+
+    const partial = await api.post('/ch_1/capture', { amount_to_capture: 3000 });
+    assert.strictEqual(partial.status, 200);
+    assert.strictEqual(partial.body.amount_captured, 3000);
+  } finally {
+    api.close();
+  }
+});
+
+test('an expired or already captured authorization cannot be captured', async () => {
+  stubCharge({ authorization_expires_at: new Date(Date.now() - 1000) });
+  const api = await serve();
+  try {
+    assert.strictEqual((await api.post('/ch_1/capture')).body.error.code, 'charge_expired_for_capture');
+
+    stubCharge({ status: 'captured' });
+    assert.strictEqual((await api.post('/ch_1/capture')).body.error.code, 'charge_not_capturable');
+  } finally {
+    api.close();
+  }
+});
+
+test('canceling voids an authorization once', async () => {
+  const { recorded } = stubCharge();
+  const api = await serve();
+  try {
+    const canceled = await api.post('/ch_1/cancel');
+    assert.strictEqual(canceled.status, 200);
+    assert.strictEqual(canceled.body.status, 'canceled');
+    assert.deepStrictEqual(recorded, ['charge.canceled']);
+
+    const again = await api.post('/ch_1/cancel');
+    assert.strictEqual(again.status, 400);
+    assert.strictEqual(again.body.error.code, 'charge_not_cancelable');
+    assert.strictEqual((await api.post('/ch_2/cancel')).status, 404);
+  } finally {
+    api.close();
+  }
+});
+
+// Holds cus_1 as the merchant's only customer, an unused token and pm_1 saved for cus_2.
+const stubSources = () => {
+  const query = async (text, params) => {
+    if (text.includes('FROM customers')) {
+      return { rows: params[0] === 'cus_1' ? [{ id: 'cus_1' }] : [] };
+    }
+    if (text.startsWith('UPDATE tokens')) {
+      return { rows: [{ card: { brand: 'visa' }, billing_details: null, client_ip: '203.0.113.7' }] };
+    }
+    if (text.includes('FROM payment_methods')) {
+      return { rows: [{ customer_id: 'cus_2', card: { brand: 'visa' }, billing_details: null }] };
+    }
+    return { rows: [] };
+  };
+  mock.method(db, 'transaction', async fn => fn({ query }));
+  const enqueued = [];
+  mock.method(charges, 'enqueueCharge', async (fields) => {
+    enqueued.push(fields);
+    return { id: 'ch_1', status: 'pending', customer_id: fields.customer_id };
+  });
+  return { query, enqueued };
+};
+
+test('a charge is linked to one of the merchant\'s own customers', async () => {
+  const { enqueued } = stubSources();
+  const api = await serve();
+  try {
+    const other = await api.post('', { amount: 1000, currency: 'usd', source: 'tok_1', customer: 'cus_other' });
+    assert.strictEqual(other.status, 400);
+    assert.strictEqual(other.body.error.param, 'customer');
+    assert.strictEqual(other.body.error.code, 'resource_missing');
+
+    const linked = await api.post('', { amount: 1000, currency: 'usd', source: 'tok_1', customer: 'cus_1' });
+    assert.strictEqual(linked.status, 202);
+    assert.deepStrictEqual(enqueued.map(fields => fields.customer_id), ['cus_1']);
+  } finally {
+    api.close();
+  }
+});
+
+test('a saved payment method charges its own customer', async () => {
+  const { query } = stubSources();
+  const client = { query };
+  const merchant = { merchant_id: 'mch_1', livemode: false };
+
+  const inherited = await charges.resolvePaymentSource(client, merchant, { payment_method: 'pm_1' });
+  assert.strictEqual(inherited.customer_id, 'cus_2');
+  const mismatch = await charges.resolvePaymentSource(client, { ...merchant, customer_id: 'cus_1' }, { payment_method: 'pm_1' });
+  assert.strictEqual(mismatch.code, 'payment_method_customer_mismatch');
+});
@@ -0,0 +1,148 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const events = require('../utils/events');
+const checkout = require('../utils/checkout');
+const hostedRouter = require('../routes/hosted');
+
+afterEach(() => mock.restoreAll());
+
+const hourFromNow = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const openSession = (fields = {}) => ({
+  id: 'cs_1', merchant_id: 'mch_1', livemode: false, status: 'open', payment_status: 'unpaid',
+  currency: 'usd', amount_total: 2500, expires_at: hourFromNow(), charge_id: null,
+  line_items: [{ name: '<script>alert(1)</script> T-shirt', quantity: 2, amount: 2500 }],
+  success_url: 'https://shop.example/done?session={CHECKOUT_SESSION_ID}',
+  cancel_url: 'https://shop.example/cart',
+  ...fields,
+});
+
+test('redirect URLs get the session ID wherever the placeholder appears', () => {
+  const template = 'https://shop.example/{CHECKOUT_SESSION_ID}/done?id={CHECKOUT_SESSION_ID}';
+  assert.strictEqual(checkout.redirectUrl(template, { id: 'cs_1' }), 'https://shop.example/cs_1/done?id=cs_1');
+  assert.strictEqual(checkout.pageUrl({ id: 'cs_1' }), 'http://localhost:3000/checkout/cs_1');
+});
+
+// A client holding one session, recording the updates made to it.
+const sessionClient = (session) => {
+  const updates = [];
+  const client = {
+    query: async (text, params) => {
+      if (text.startsWith('SELECT * FROM checkout_sessions')) {
+        return { rows: session ? [session] : [] };
+      }
+      updates.push({ text, params });
+      return { rows: [{ ...session, status: 'complete' }] };
+    },
+  };
+  return { client, updates };
+};
+
+test('a succeeded charge completes its session', async () => {
+  const recorded = [];
+  mock.method(events, 'record', async type => recorded.push(type));
+  const { client, updates } = sessionClient(openSession({ payment_status: 'processing' }));
+  await checkout.handleChargeResult({ id: 'ch_1', status: 'succeeded' }, { client });
+
+  assert.match(updates[0].text, /status = 'complete', payment_status = 'paid'/);
+  assert.deepStrictEqual(recorded, ['checkout.session.completed']);
+});
+
+test('a failed charge reopens its session with the reason', async () => {
+  const { client, updates } = sessionClient(openSession({ payment_status: 'processing' }));
+  await checkout.handleChargeResult(
+    { id: 'ch_1', status: 'failed', failure_code: 'card_declined', failure_message: 'Your card was declined.' },
+    { client }
+  );
+  assert.match(updates[0].text, /payment_status = 'unpaid'/);
+  assert.deepStrictEqual(updates[0].params, [{ charge: 'ch_1', code: 'card_declined', message: 'Your card was declined.' }, 'cs_1']);
+
+  const expired = sessionClient(openSession({ status: 'expired' }));
+  await checkout.handleChargeResult({ id: 'ch_1', status: 'succeeded' }, { client: expired.client });
+  assert.deepStrictEqual(expired.updates, []);
+});
+
+const serve = async (session) => {
+  mock.method(db, 'query', async () => ({ rows: session ? [session] : [] }));
+  mock.method(db, 'transaction', async fn => fn({ query: async () => ({ rows: session ? [session] : [] }) }));
+  const app = express();
+  app.use(logger.requestContext, express.json());
+  app.use('/checkout', hostedRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const request = async (method, path, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/checkout${path}`, {
+      method,
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, location: response.headers.get('Location'), text };
+  };
+  return { request, close: () => server.close() };
+};
+
+test('the payment page escapes what the merchant put in the session', async () => {
+  const api = await serve(openSession());
+  try {
+    const { status, text } = await api.request('GET', '/cs_1');
+    assert.strictEqual(status, 200);
+    assert.ok(text.includes('&lt;script&gt;alert(1)&lt;/script&gt; T-shirt &times; 2'));
+    assert.ok(!text.includes('<script>alert(1)'));
+    assert.ok(text.includes('Test mode'));
+  } finally {
+    api.close();
+  }
+});
+
+test('a paid session redirects to the success URL and an expired one offers the cancel URL', async () => {
+  let api = await serve(openSession({ status: 'complete', payment_status: 'paid' }));
+  try {
+    const paid = await api.request('GET', '/cs_1');
+    assert.deepStrictEqual([paid.status, paid.location], [303, 'https://shop.example/done?session=cs_1']);
+  } finally {
+    api.close();
+  }
+
+  api = await serve(openSession({ expires_at: new Date(Date.now() - 1000) }));
+  try {
+    assert.strictEqual((await api.request('GET', '/cs_1')).status, 410);
+    const status = JSON.parse((await api.request('GET', '/cs_1/status')).text);
+    assert.deepStrictEqual([status.status, status.redirect_url], ['expired', 'https://shop.example/cart']);
+    const confirm = JSON.parse((await api.request('POST', '/cs_1/confirm', { token: 'tok_1' })).text);
+    assert.strictEqual(confirm.error.code, 'checkout_session_expired');
+  } finally {
+    api.close();
+  }
+});
+
+test('a session cannot be paid twice at once', async () => {
+  const api = await serve(openSession({ payment_status: 'processing', charge_id: 'ch_1' }));
+  try {
+    const { status, text } = await api.request('POST', '/cs_1/confirm', { token: 'tok_2' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(JSON.parse(text).error.code, 'checkout_session_processing');
+  } finally {
+    api.close();
+  }
+});
+
+test('an unknown session has no page', async () => {
+  const api = await serve(null);
+  try {
+    assert.strictEqual((await api.request('GET', '/cs_unknown')).status, 404);
+    assert.strictEqual((await api.request('GET', '/cs_unknown/status')).status, 404);
+  } finally {
+    api.close();
+  }
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const currencies = require('../utils/currencies');
+
+test('amounts are checked against the currency limits', () => {
+  assert.strictEqual(currencies.checkAmount(1000, 'USD'), null);
+  assert.match(currencies.checkAmount(10, 'usd'), /at least 50 \(0\.50 USD\)/);
+  assert.match(currencies.checkAmount(1.5, 'usd'), /positive integer/);
+  assert.strictEqual(currencies.checkAmount(10, 'usd', { minimum: false }), null);
+});
+
+test('format reads amounts in the currency minor unit', () => {
+  assert.strictEqual(currencies.format(1000, 'usd'), '10.00 USD');
+  assert.strictEqual(currencies.format(1000, 'jpy'), '1000 JPY');
+  assert.strictEqual(currencies.format(1000, 'kwd'), '1.000 KWD');
+});
+
+// Charges stored before the registry existed may be in currencies it does not list.
+test('a stored currency missing from the registry does not throw', () => {
+  assert.strictEqual(currencies.lookup('xaf'), null);
+  assert.strictEqual(currencies.format(1234, 'xaf'), '12.34 XAF');
+  assert.strictEqual(currencies.checkAmount(500, 'xaf'), 'Currency XAF is not supported.');
+  assert.strictEqual(currencies.checkAmount(500, 'xaf', { minimum: false }), null);
+  assert.match(currencies.checkAmount(-1, 'xaf', { minimum: false }), /positive integer/);
+});
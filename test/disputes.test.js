@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const disputes = require('../utils/disputes');
+
+test('the dispute fee is in the currency smallest unit', () => {
+  assert.strictEqual(disputes.disputeFee('usd'), 1500);
+  assert.strictEqual(disputes.disputeFee('EUR'), 1500);
+  assert.strictEqual(disputes.disputeFee('kwd'), 5000);
+});
+
+test('zero-decimal currencies are not charged a hundred times the fee', () => {
+  assert.strictEqual(disputes.disputeFee('jpy'), 2000);
+  assert.strictEqual(disputes.disputeFee('krw'), 20000);
+});
+
+test('a stored currency missing from the registry is charged 15.00', () => {
+  assert.strictEqual(disputes.disputeFee('xaf'), 1500);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+
+const serve = async () => {
+  const app = express();
+  app.use(logger.requestContext, express.json({ limit: '1kb' }));
+  app.post('/v1/echo', (req, res) => res.json(req.body));
+  app.get('/v1/missing', () => {
+    throw errors.notFound('Charge not found or not authorized.');
+  });
+  app.get('/v1/invalid', () => {
+    throw errors.invalidRequest('Amount must be a positive integer.', { param: 'amount' });
+  });
+  // As express-jwt fails a request without a bearer token.
+  app.get('/v1/private', () => {
+    throw Object.assign(new Error('No authorization token was found'), { name: 'UnauthorizedError', code: 'credentials_required' });
+  });
+  app.get('/v1/broken', async () => {
+    throw new Error('connection to database lost: password=hunter2');
+  });
+  app.use(errors.unknownRoute);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+    });
+    return { status: response.status, requestId: response.headers.get('X-Request-Id'), body: await response.json() };
+  };
+  return { request, close: () => server.close() };
+};
+
+test('thrown API errors keep their type, code and param, with the request ID', async () => {
+  const api = await serve();
+  try {
+    const invalid = await api.request('GET', '/v1/invalid');
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body, {
+      error: {
+        type: 'invalid_request_error',
+        code: 'parameter_invalid',
+        message: 'Amount must be a positive integer.',
+        param: 'amount',
+        request_id: invalid.requestId,
+      },
+    });
+    assert.match(invalid.requestId, /^req_/);
+
+    const missing = await api.request('GET', '/v1/missing');
+    assert.deepStrictEqual([missing.status, missing.body.error.code], [404, 'resource_missing']);
+  } finally {
+    api.close();
+  }
+});
+
+test('unexpected errors are a generic api_error that reveals nothing', async () => {
+  const api = await serve();
+  try {
+    const { status, body } = await api.request('GET', '/v1/broken');
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.error.type, 'api_error');
+    assert.strictEqual(body.error.code, 'internal_error');
+    assert.ok(!JSON.stringify(body).includes('hunter2'));
+  } finally {
+    api.close();
+  }
+});
+
+test('malformed bodies, missing credentials and unknown URLs get the same format', async () => {
+  const api = await serve();
+  try {
+    const malformed = await api.request('POST', '/v1/echo', { body: '{"amount":' });
+    assert.deepStrictEqual([malformed.status, malformed.body.error.code], [400, 'body_invalid']);
+
+    const oversized = await api.request('POST', '/v1/echo', { body: JSON.stringify({ note: 'x'.repeat(2000) }) });
+    assert.deepStrictEqual([oversized.status, oversized.body.error.code], [413, 'body_too_large']);
+
+    const unauthenticated = await api.request('GET', '/v1/private');
+    assert.deepStrictEqual([unauthenticated.status, unauthenticated.body.error.type], [401, 'authentication_error']);
+    assert.strictEqual(unauthenticated.body.error.code, 'api_key_missing');
+
+    const unknown = await api.request('GET', '/v1/nothing_here');
+    assert.deepStrictEqual([unknown.status, unknown.body.error.code], [404, 'url_invalid']);
+    assert.strictEqual(unknown.body.error.message, 'Unrecognized request URL (GET /v1/nothing_here).');
+  } finally {
+    api.close();
+  }
+});
+
+test('a well-formed incoming request ID is kept, and anything else replaced', async () => {
+  const api = await serve();
+  try {
+    const kept = await api.request('GET', '/v1/missing', { headers: { 'X-Request-Id': 'trace-42.a:b' } });
+    assert.strictEqual(kept.requestId, 'trace-42.a:b');
+    assert.strictEqual(kept.body.error.request_id, 'trace-42.a:b');
+
+    const replaced = await api.request('GET', '/v1/missing', { headers: { 'X-Request-Id': 'no spaces <allowed>' } });
+    assert.match(replaced.requestId, /^req_/);
+  } finally {
+    api.close();
+  }
+});
@@ -0,0 +1,83 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const events = require('../utils/events');
+const webhooks = require('../utils/webhooks');
+const eventsRouter = require('../routes/events');
+
+afterEach(() => mock.restoreAll());
+
+test('an event snapshots the object and is dispatched in the same transaction', async () => {
+  const inserted = [];
+  const client = {
+    query: async (text, params) => {
+      inserted.push(params);
+      return { rows: [{ id: params[0], type: params[3] }] };
+    },
+  };
+  const dispatched = [];
+  mock.method(webhooks, 'dispatch', async (event, options) => dispatched.push([event.id, options.client]));
+
+  const event = await events.record('charge.succeeded', { id: 'ch_1', merchant_id: 'mch_1', livemode: 1, amount: 500 }, { client });
+
+  assert.match(event.id, /^evt_/);
+  const [, merchantId, livemode, type, objectId, data] = inserted[0];
+  assert.deepStrictEqual([merchantId, livemode, type, objectId], ['mch_1', true, 'charge.succeeded', 'ch_1']);
+  assert.strictEqual(JSON.parse(data).object.amount, 500);
+  assert.deepStrictEqual(dispatched, [[event.id, client]]);
+});
+
+const serve = async () => {
+  const app = express();
+  app.use(logger.requestContext, (req, res, next) => {
+    req.auth = { merchant_id: 'mch_1', livemode: false };
+    next();
+  });
+  app.use('/v1/events', eventsRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const get = async (path) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/events${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+  return { get, close: () => server.close() };
+};
+
+test('events are listed newest first, filtered by type or a type prefix', async () => {
+  const queries = [];
+  mock.method(db, 'query', async (text, params) => {
+    queries.push({ text, params });
+    return text.startsWith('SELECT COUNT') ? { rows: [{ count: '3' }] } : { rows: [{ id: 'evt_1' }, { id: 'evt_2' }] };
+  });
+  const api = await serve();
+  try {
+    const { status, body } = await api.get('/?type=charge.dispute.*&object_id=ch_1&limit=2');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.has_more, true);
+    assert.match(queries[0].text, /type LIKE \$3 AND object_id = \$4 ORDER BY created_at DESC/);
+    assert.deepStrictEqual(queries[0].params, ['mch_1', false, 'charge.dispute.%', 'ch_1', 2, 0]);
+
+    await api.get('/?type=charge.refunded&offset=2');
+    assert.match(queries[2].text, /AND type = \$3 ORDER BY/);
+    assert.deepStrictEqual(queries[2].params, ['mch_1', false, 'charge.refunded', 10, 2]);
+  } finally {
+    api.close();
+  }
+});
+
+test('another merchant\'s event is not found', async () => {
+  mock.method(db, 'query', async () => ({ rows: [] }));
+  const api = await serve();
+  try {
+    const { status, body } = await api.get('/evt_other');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error.code, 'resource_missing');
+  } finally {
+    api.close();
+  }
+});
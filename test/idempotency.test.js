@@ -0,0 +1,152 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const apiKeys = require('../utils/apiKeys');
+const { idempotent } = require('../utils/idempotency');
+
+afterEach(() => mock.restoreAll());
+
+// Keeps idempotency_keys in memory, keyed by scope and key.
+const stubKeyTable = () => {
+  const stored = new Map();
+  mock.method(db, 'query', async (text, params) => {
+    if (text.startsWith('INSERT INTO idempotency_keys')) {
+      const [scope, key, requestHash] = params;
+      if (stored.has(`${scope}/${key}`)) {
+        return { rows: [] };
+      }
+      stored.set(`${scope}/${key}`, { request_hash: requestHash, response_status: null, response_body: null });
+      return { rows: [{ idempotency_key: key }] };
+    }
+    if (text.startsWith('SELECT * FROM idempotency_keys')) {
+      const row = stored.get(`${params[0]}/${params[1]}`);
+      return { rows: row ? [{ ...row, response_body: JSON.parse(row.response_body) }] : [] };
+    }
+    if (text.startsWith('UPDATE idempotency_keys')) {
+      const [status, body, scope, key] = params;
+      Object.assign(stored.get(`${scope}/${key}`), { response_status: status, response_body: body });
+      return { rows: [] };
+    }
+    // Releasing a key; expiring old keys is a no-op here.
+    if (text.startsWith('DELETE FROM idempotency_keys') && !text.includes('created_at')) {
+      stored.delete(`${params[0]}/${params[1]}`);
+    }
+    return { rows: [] };
+  });
+  return stored;
+};
+
+// Serves a route that issues a new key on every call, behind the given middleware.
+const serve = async (middleware) => {
+  let issued = 0;
+  const app = express();
+  app.use(logger.requestContext, express.json(), middleware);
+  app.post('/v1/api_keys', (req, res) => {
+    issued += 1;
+    res.status(201).json({ id: `key_${issued}`, redacted: 'rk_test_...abcd', key: `rk_test_${'ab'.repeat(24)}` });
+  });
+  app.post('/v1/merchants/login', (req, res) => res.json({ token: 'eyJhbGciOi.payload.signature' }));
+  let attempts = 0;
+  // Rejects the first call, as if a parameter were invalid, then succeeds.
+  app.post('/v1/customers', (req, res) => {
+    attempts += 1;
+    if (attempts === 1) {
+      throw errors.invalidRequest('Customer email is invalid.', { param: 'email' });
+    }
+    res.status(201).json({ id: `cus_${attempts}` });
+  });
+  app.post('/v1/refunds', (req, res) => {
+    attempts += 1;
+    res.status(409).json({ error: { type: 'invalid_request_error', message: `Conflict ${attempts}.` } });
+  });
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const post = async (path, key) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: '{}',
+    });
+    return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() };
+  };
+  return { post, issued: () => issued, close: () => server.close() };
+};
+
+test('a replayed key creation returns the key without its plaintext', async () => {
+  const stored = stubKeyTable();
+  const api = await serve(idempotent({ redact: apiKeys.withoutSecrets }));
+  try {
+    const first = await api.post('/v1/api_keys', 'create-1');
+    assert.strictEqual(first.status, 201);
+    assert.match(first.body.key, /^rk_test_/);
+
+    const replay = await api.post('/v1/api_keys', 'create-1');
+    assert.strictEqual(replay.status, 201);
+    assert.strictEqual(replay.replayed, 'true');
+    assert.deepStrictEqual(replay.body, { id: 'key_1', redacted: 'rk_test_...abcd' });
+    assert.strictEqual(api.issued(), 1, 'the retry does not issue a second key');
+
+    for (const row of stored.values()) {
+      assert.ok(!row.response_body.includes('rk_test_abab'), 'the plaintext key is not stored');
+    }
+  } finally {
+    api.close();
+  }
+});
+
+test('login tokens are not stored for replay', async () => {
+  const stored = stubKeyTable();
+  const api = await serve(idempotent({ redact: apiKeys.withoutSecrets }));
+  try {
+    assert.ok((await api.post('/v1/merchants/login', 'login-1')).body.token);
+    assert.deepStrictEqual((await api.post('/v1/merchants/login', 'login-1')).body, {});
+    assert.ok(![...stored.values()].some(row => row.response_body.includes('eyJ')));
+  } finally {
+    api.close();
+  }
+});
+
+test('withoutSecrets keeps everything but plaintext keys and tokens', () => {
+  const key = `sk_live_${'0f'.repeat(24)}`;
+  const body = { id: 'mch_1', keys: { live: { secret: { id: 'key_1', key, redacted: 'sk_live_...0f0f' } } }, token: 'jwt', metadata: { key: 'value' } };
+  assert.deepStrictEqual(apiKeys.withoutSecrets(body), {
+    id: 'mch_1',
+    keys: { live: { secret: { id: 'key_1', redacted: 'sk_live_...0f0f' } } },
+    metadata: { key: 'value' },
+  });
+});
+
+test('a rejected request releases its key so a retry runs again', async () => {
+  const stored = stubKeyTable();
+  const api = await serve(idempotent());
+  try {
+    assert.strictEqual((await api.post('/v1/customers', 'customer-1')).status, 400);
+    assert.strictEqual(stored.size, 0);
+
+    const retry = await api.post('/v1/customers', 'customer-1');
+    assert.strictEqual(retry.status, 201);
+    assert.strictEqual(retry.replayed, null);
+    assert.deepStrictEqual((await api.post('/v1/customers', 'customer-1')).body, { id: 'cus_2' });
+  } finally {
+    api.close();
+  }
+});
+
+test('a conflict is stored and replayed', async () => {
+  stubKeyTable();
+  const api = await serve(idempotent());
+  try {
+    const first = await api.post('/v1/refunds', 'refund-1');
+    const replay = await api.post('/v1/refunds', 'refund-1');
+    assert.strictEqual(replay.status, 409);
+    assert.strictEqual(replay.replayed, 'true');
+    assert.deepStrictEqual(replay.body, first.body);
+  } finally {
+    api.close();
+  }
+});
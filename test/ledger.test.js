@@ -0,0 +1,96 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../utils/db');
+const ledger = require('../utils/ledger');
+
+afterEach(() => mock.restoreAll());
+
+const pricing = { fee_percent: '2.90', fee_fixed: 30, settlement_delay_days: 2 };
+
+// Answers the merchant's pricing and echoes balance transactions back, recording the ledger entries posted.
+const recordingClient = () => {
+  const entries = [];
+  const client = {
+    query: async (text, params) => {
+      if (text.includes('FROM merchants')) {
+        return { rows: [pricing] };
+      }
+      if (text.startsWith('INSERT INTO balance_transactions')) {
+        const [id, merchantId, livemode, type, sourceId, amount, fee, net, currency] = params;
+        return { rows: [{ id, merchant_id: merchantId, livemode, type, source_id: sourceId, amount, fee, net, currency }] };
+      }
+      if (text.startsWith('INSERT INTO ledger_entries')) {
+        entries.push([params[3], params[4]]);
+        return { rows: [] };
+      }
+      return { rows: [{ id: params[1], balance_transaction: params[0] }] };
+    },
+  };
+  return { client, entries };
+};
+
+test('the processing fee is a percentage plus a fixed amount, capped at the charge', () => {
+  assert.strictEqual(ledger.calculateFee(1000, pricing), 59);
+  assert.strictEqual(ledger.calculateFee(1050, pricing), 60, '30.45 rounds down');
+  assert.strictEqual(ledger.calculateFee(1000, { fee_percent: '0', fee_fixed: 0 }), 0);
+  assert.strictEqual(ledger.calculateFee(20, pricing), 20);
+});
+
+test('a captured charge is booked as pending, less its fee', async () => {
+  const { client, entries } = recordingClient();
+  const charge = await ledger.recordCharge(
+    { id: 'ch_1', merchant_id: 'mch_1', livemode: false, amount: 5000, amount_captured: 4000, currency: 'usd' },
+    { client }
+  );
+
+  assert.match(charge.balance_transaction, /^txn_/);
+  assert.deepStrictEqual(entries, [['external', -4000], ['merchant_pending', 3854], ['platform_fees', 146]]);
+});
+
+test('a lost dispute takes the amount and the dispute fee from the available balance', async () => {
+  const { client, entries } = recordingClient();
+  const txn = await ledger.recordDisputeLoss(
+    { id: 'dp_1', merchant_id: 'mch_1', livemode: false, amount: 4000, currency: 'usd', charge_id: 'ch_1' },
+    { fee: 1500, client }
+  );
+
+  assert.deepStrictEqual([txn.amount, txn.fee, txn.net], [-4000, 1500, -5500]);
+  assert.deepStrictEqual(entries, [['merchant_available', -5500], ['external', 4000], ['platform_fees', 1500]]);
+});
+
+test('settling moves each due transaction\'s net amount from pending to available', async () => {
+  const { client, entries } = recordingClient();
+  const settled = [];
+  mock.method(client, 'query', async (text, params) => {
+    if (text.startsWith('SELECT * FROM balance_transactions')) {
+      return { rows: [{ id: 'txn_1', net: 941, currency: 'usd' }, { id: 'txn_2', net: 0, currency: 'eur' }] };
+    }
+    if (text.startsWith('UPDATE balance_transactions')) {
+      settled.push(params[0]);
+      return { rows: [] };
+    }
+    entries.push([params[3], params[4]]);
+    return { rows: [] };
+  });
+  mock.method(db, 'transaction', async fn => fn(client));
+
+  assert.strictEqual((await ledger.settle()).length, 2);
+  assert.deepStrictEqual(entries, [['merchant_pending', -941], ['merchant_available', 941]]);
+  assert.deepStrictEqual(settled, ['txn_1', 'txn_2']);
+});
+
+test('the balance is split into available and pending amounts per currency', async () => {
+  mock.method(db, 'query', async () => ({
+    rows: [
+      { account: 'merchant_available', currency: 'eur', amount: '1200' },
+      { account: 'merchant_pending', currency: 'usd', amount: '941' },
+      { account: 'merchant_available', currency: 'usd', amount: '-300' },
+    ],
+  }));
+  assert.deepStrictEqual(await ledger.getBalance('mch_1', false), {
+    object: 'balance',
+    livemode: false,
+    available: [{ amount: 1200, currency: 'eur' }, { amount: -300, currency: 'usd' }],
+    pending: [{ amount: 941, currency: 'usd' }],
+  });
+});
@@ -0,0 +1,83 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const permissions = require('../utils/permissions');
+const merchantUsersRouter = require('../routes/merchantUsers');
+
+afterEach(() => mock.restoreAll());
+
+// Postgres' error for a duplicate under a unique index.
+const uniqueViolation = (constraint) => Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505', constraint });
+
+const serve = async () => {
+  const app = express();
+  app.use(logger.requestContext, express.json(), (req, res, next) => {
+    req.auth = { merchant_id: 'mch_1', livemode: false, key_type: 'secret', role: 'owner', permissions: permissions.forRole('owner') };
+    next();
+  });
+  app.use('/v1/merchant_users', merchantUsersRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const post = async (body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/merchant_users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { post, close: () => server.close() };
+};
+
+const member = { email: 'sam@example.com', role: 'support', password: 'memberpassword' };
+
+test('adding a member whose email is taken is a client error', async () => {
+  mock.method(db, 'query', async () => {
+    throw uniqueViolation('merchant_users_email_idx');
+  });
+  const api = await serve();
+  try {
+    const { status, body } = await api.post(member);
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.type, 'invalid_request_error');
+    assert.strictEqual(body.error.code, 'email_taken');
+    assert.strictEqual(body.error.param, 'email');
+  } finally {
+    api.close();
+  }
+});
+
+test('other database errors are not mistaken for a taken email', async () => {
+  mock.method(db, 'query', async () => {
+    throw uniqueViolation('merchant_users_pkey');
+  });
+  const api = await serve();
+  try {
+    assert.strictEqual((await api.post(member)).status, 500);
+  } finally {
+    api.close();
+  }
+});
+
+test('a new member is returned without the password hash', async () => {
+  mock.method(db, 'query', async (text, [id, merchantId, email, name, role]) => ({
+    rows: [{ id, merchant_id: merchantId, email, name, role }],
+  }));
+  const api = await serve();
+  try {
+    const { status, body } = await api.post(member);
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.email, member.email);
+    assert.strictEqual(body.password_hash, undefined);
+  } finally {
+    api.close();
+  }
+});
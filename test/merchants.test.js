@@ -0,0 +1,66 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const merchantsRouter = require('../routes/merchants');
+
+afterEach(() => mock.restoreAll());
+
+// Serves the router with the login rate limit always allowing, and records any other query.
+const serve = async () => {
+  const queries = [];
+  mock.method(db, 'query', async (text) => {
+    if (text.includes('rate_limit_buckets')) {
+      return { rows: [{ capacity: 10, tokens: 9, allowed: true }] };
+    }
+    queries.push(text);
+    return { rows: [] };
+  });
+  const app = express();
+  app.use(logger.requestContext, express.json());
+  app.use('/v1/merchants', merchantsRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const login = async (body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/merchants/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { login, queries, close: () => server.close() };
+};
+
+test('logging in with an API key that is not a string is a client error', async () => {
+  const api = await serve();
+  try {
+    for (const apiKey of [12345, { $gt: '' }, ['sk_test_0']]) {
+      const { status, body } = await api.login({ email: 'shop@example.com', api_key: apiKey });
+      assert.strictEqual(status, 400, JSON.stringify(apiKey));
+      assert.strictEqual(body.error.param, 'api_key');
+    }
+    assert.deepStrictEqual(api.queries, []);
+  } finally {
+    api.close();
+  }
+});
+
+test('an unknown API key is rejected as invalid credentials', async () => {
+  const api = await serve();
+  try {
+    const { status, body } = await api.login({ email: 'shop@example.com', api_key: 'sk_test_0123' });
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.error.code, 'invalid_credentials');
+  } finally {
+    api.close();
+  }
+});
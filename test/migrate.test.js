@@ -0,0 +1,88 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../utils/db');
+const migrate = require('../utils/migrate');
+
+afterEach(() => mock.restoreAll());
+
+const versions = migrations => migrations.map(migration => migration.version);
+
+// A client whose schema_migrations holds `applied`, recording the statements run on it.
+// A migration file whose SQL contains `failOn` fails.
+const stubDatabase = (applied, { failOn } = {}) => {
+  const statements = [];
+  const recorded = new Set(applied);
+  const client = {
+    query: async (text, params) => {
+      statements.push(text.split('\n')[0]);
+      if (text.includes('to_regclass')) {
+        return { rows: [{ exists: true }] };
+      }
+      if (text.startsWith('SELECT version')) {
+        return { rows: [...recorded].sort().map(version => ({ version, name: 'x', applied_at: new Date() })) };
+      }
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        recorded.add(params[0]);
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        recorded.delete(params[0]);
+      }
+      if (failOn && text.includes(failOn)) {
+        throw new Error('syntax error');
+      }
+      return { rows: [] };
+    },
+    release: () => {},
+  };
+  mock.method(db, 'connect', async () => client);
+  mock.method(db, 'query', client.query);
+  mock.method(console, 'log', () => {});
+  return { statements, recorded };
+};
+
+test('migrations are loaded in version order, each with an up file', () => {
+  const migrations = migrate.loadMigrations();
+  assert.deepStrictEqual(versions(migrations), [...versions(migrations)].sort());
+  assert.strictEqual(migrations[0].version, '0001');
+  for (const migration of migrations) {
+    assert.match(migration.up, new RegExp(`${migration.version}_${migration.name}\\.up\\.sql$`));
+  }
+});
+
+test('only pending migrations are applied, each in its own transaction', async () => {
+  const { statements, recorded } = stubDatabase(['0001', '0002']);
+  const applied = await migrate.up();
+
+  const expected = versions(migrate.loadMigrations()).filter(version => version > '0002');
+  assert.deepStrictEqual(versions(applied), expected);
+  assert.deepStrictEqual([...recorded].sort(), ['0001', '0002', ...expected]);
+  const transactions = statements.filter(statement => statement === 'BEGIN' || statement === 'COMMIT');
+  assert.deepStrictEqual(transactions, expected.flatMap(() => ['BEGIN', 'COMMIT']));
+  assert.strictEqual(statements.at(-1), 'SELECT pg_advisory_unlock($1)');
+});
+
+test('a failing migration is rolled back without being recorded', async () => {
+  const { statements, recorded } = stubDatabase([], { failOn: 'CREATE TABLE merchant_users' });
+  await assert.rejects(migrate.up(), /syntax error/);
+
+  assert.deepStrictEqual([...recorded], ['0001']);
+  assert.ok(statements.includes('ROLLBACK'));
+  assert.strictEqual(statements.at(-1), 'SELECT pg_advisory_unlock($1)', 'the lock is released');
+});
+
+test('reverting runs down files newest first', async () => {
+  const all = versions(migrate.loadMigrations());
+  const { recorded } = stubDatabase(all);
+  const reverted = await migrate.down(2);
+
+  assert.deepStrictEqual(versions(reverted), all.slice(-2).reverse());
+  assert.deepStrictEqual([...recorded], all.slice(0, -2));
+});
+
+test('the server refuses to start with pending migrations', async () => {
+  stubDatabase(['0001']);
+  await assert.rejects(migrate.assertUpToDate(), /^Error: The database has \d+ pending migration\(s\): 0002_merchant_users_and_restricted_keys, /);
+
+  stubDatabase(versions(migrate.loadMigrations()));
+  await migrate.assertUpToDate();
+});
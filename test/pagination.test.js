@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const pagination = require('../utils/pagination');
+
+test('offset lists default to the first ten objects', () => {
+  assert.deepStrictEqual(pagination.parseOffset({}), { limit: 10, offset: 0 });
+  assert.deepStrictEqual(pagination.parseOffset({ limit: '100', offset: '30' }), { limit: 100, offset: 30 });
+});
+
+test('offset lists reject a limit outside 1 to 100', () => {
+  for (const limit of ['-5', '0', '101', '2.5', 'ten', ['5']]) {
+    assert.strictEqual(pagination.parseOffset({ limit }).param, 'limit', JSON.stringify(limit));
+  }
+});
+
+test('offset lists reject a negative or malformed offset', () => {
+  for (const offset of ['-1', '1.5', 'x', '', ['0'], '99999999999999999999']) {
+    assert.strictEqual(pagination.parseOffset({ offset }).param, 'offset', JSON.stringify(offset));
+  }
+});
+
+test('filters must be single values', () => {
+  assert.deepStrictEqual(pagination.parseOffset({ charge: 'ch_1' }, ['charge']), { limit: 10, offset: 0 });
+  const failure = pagination.parseOffset({ charge: ['ch_1', 'ch_2'] }, ['charge']);
+  assert.deepStrictEqual(failure, { error: 'charge must be a single value.', param: 'charge' });
+  assert.strictEqual(pagination.parseOffset({ status: { gt: 'a' } }, ['charge', 'status']).param, 'status');
+});
+
+test('cursor lists take starting_after or ending_before, but not both or an offset', () => {
+  assert.deepStrictEqual(pagination.parseCursor({ limit: '25', starting_after: 'ch_1' }), { limit: 25, startingAfter: 'ch_1', endingBefore: undefined });
+  assert.strictEqual(pagination.parseCursor({ limit: '0' }).param, 'limit');
+  assert.strictEqual(pagination.parseCursor({ offset: '10' }).param, 'offset');
+  assert.strictEqual(pagination.parseCursor({ starting_after: ['ch_1'] }).param, 'starting_after');
+  assert.strictEqual(pagination.parseCursor({ starting_after: 'ch_1', ending_before: 'ch_2' }).param, 'ending_before');
+});
+
+test('timestamps are Unix seconds or ISO 8601 dates', () => {
+  assert.deepStrictEqual(pagination.parseTimestamp('1700000000'), new Date(1700000000 * 1000));
+  assert.deepStrictEqual(pagination.parseTimestamp('2024-01-02T03:04:05Z'), new Date('2024-01-02T03:04:05Z'));
+  assert.strictEqual(pagination.parseTimestamp('last tuesday'), null);
+});
+
+test('filters build a WHERE clause after the merchant scope', () => {
+  const filters = pagination.createFilters('merchant_id = $1 AND livemode = $2', ['mch_1', false]);
+  assert.strictEqual(filters.addEnum('status', 'status', 'succeeded', ['succeeded', 'failed']), null);
+  assert.strictEqual(filters.addCurrency('currency', 'currency', 'EUR'), null);
+  assert.strictEqual(filters.addAmountRange('amount', 'amount', { gte: '100', lt: '500' }), null);
+  filters.equals('customer_id', undefined);
+
+  assert.strictEqual(filters.where, 'merchant_id = $1 AND livemode = $2 AND status = $3 AND currency = $4 AND amount >= $5 AND amount < $6');
+  assert.deepStrictEqual(filters.params, ['mch_1', false, 'succeeded', 'eur', 100, 500]);
+  assert.deepStrictEqual(filters.scope, { where: 'merchant_id = $1 AND livemode = $2', params: ['mch_1', false] });
+});
+
+test('invalid filter values name the offending parameter', () => {
+  const filters = pagination.createFilters('merchant_id = $1', ['mch_1']);
+  assert.strictEqual(filters.addEnum('status', 'status', 'lost', ['won']).error, 'Status must be one of: won.');
+  assert.strictEqual(filters.addCurrency('currency', 'currency', 'zzz').param, 'currency');
+  assert.strictEqual(filters.addAmountRange('amount', 'amount', { between: '1' }).param, 'amount[between]');
+  assert.strictEqual(filters.addAmountRange('amount', 'amount', '-5').param, 'amount');
+  assert.strictEqual(filters.addCreatedRange('created_at', 'created', { gt: 'soon' }).param, 'created[gt]');
+  assert.strictEqual(filters.where, 'merchant_id = $1');
+});
+
+// Answers the cursor lookup and returns the given rows for the page query, recording both.
+const pageClient = (rows, cursorExists = true) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (text.startsWith('SELECT 1')) {
+        return { rows: cursorExists ? [{}] : [] };
+      }
+      return { rows };
+    },
+  };
+};
+
+test('a page fetches one row more than its limit to tell whether there is more', async () => {
+  const filters = pagination.createFilters('merchant_id = $1', ['mch_1']);
+  const client = pageClient([{ id: 'ch_3' }, { id: 'ch_2' }, { id: 'ch_1' }]);
+  const page = await pagination.paginate(client, 'charges', filters, { limit: 2 });
+
+  assert.deepStrictEqual(page, { object: 'list', has_more: true, data: [{ id: 'ch_3' }, { id: 'ch_2' }] });
+  assert.match(client.queries[0].text, /ORDER BY created_at DESC, id DESC LIMIT \$2$/);
+  assert.deepStrictEqual(client.queries[0].params, ['mch_1', 3]);
+});
+
+test('ending_before pages backwards and returns the page newest first', async () => {
+  const filters = pagination.createFilters('merchant_id = $1', ['mch_1']);
+  const client = pageClient([{ id: 'ch_2' }, { id: 'ch_3' }]);
+  const page = await pagination.paginate(client, 'charges', filters, { limit: 2, endingBefore: 'ch_1' });
+
+  assert.deepStrictEqual(page.data, [{ id: 'ch_3' }, { id: 'ch_2' }]);
+  assert.strictEqual(page.has_more, false);
+  assert.match(client.queries[1].text, /\(created_at, id\) > \(SELECT created_at, id FROM charges WHERE id = \$2\) ORDER BY created_at ASC/);
+  assert.deepStrictEqual(client.queries[1].params, ['mch_1', 'ch_1', 3]);
+});
+
+test('a cursor outside the merchant\'s scope is not found', async () => {
+  const filters = pagination.createFilters('merchant_id = $1', ['mch_1']);
+  filters.equals('status', 'failed');
+  const client = pageClient([], false);
+  const page = await pagination.paginate(client, 'charges', filters, { limit: 10, startingAfter: 'ch_other' });
+
+  assert.deepStrictEqual(page, { error: 'No such object: ch_other.', param: 'starting_after', code: 'resource_missing' });
+  assert.deepStrictEqual(client.queries[0].params, ['mch_1', 'ch_other'], 'the cursor is looked up without the status filter');
+});
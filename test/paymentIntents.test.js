@@ -0,0 +1,108 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const cards = require('../utils/cards');
+const events = require('../utils/events');
+const charges = require('../utils/charges');
+const testCards = require('../utils/testCards');
+const paymentIntents = require('../utils/paymentIntents');
+
+afterEach(() => mock.restoreAll());
+
+// Holds one intent for a card, applying updates to it and recording the charges and events made.
+const stubIntent = (number) => {
+  const state = {
+    intent: {
+      id: 'pi_1', merchant_id: 'mch_1', livemode: false, status: 'requires_confirmation', amount: 2000, currency: 'eur',
+      return_url: 'https://shop.example/return', latest_charge_id: null,
+      payment_method_details: { card: { brand: 'visa', fingerprint: cards.fingerprint(number) }, billing_details: null },
+    },
+    charged: [],
+    events: [],
+  };
+  const client = {
+    query: async (text, params) => {
+      if (text.startsWith('SELECT * FROM payment_intents')) {
+        return { rows: [{ ...state.intent }] };
+      }
+      const columns = [...text.matchAll(/(\w+) = \$\d+/g)].map(match => match[1]).slice(0, -1);
+      columns.forEach((column, i) => {
+        state.intent[column] = params[i];
+      });
+      return { rows: [{ ...state.intent }] };
+    },
+  };
+  mock.method(events, 'record', async type => state.events.push(type));
+  mock.method(charges, 'enqueueCharge', async (fields) => {
+    state.charged.push(fields);
+    return { id: `ch_${state.charged.length}` };
+  });
+  return { state, client };
+};
+
+test('confirming an intent for a card without 3-D Secure charges it straight away', async () => {
+  const { state, client } = stubIntent('4242424242424242');
+  const intent = await paymentIntents.confirm(client, state.intent);
+
+  assert.strictEqual(intent.status, 'processing');
+  assert.strictEqual(intent.latest_charge_id, 'ch_1');
+  assert.strictEqual(state.charged[0].payment_intent_id, 'pi_1');
+  assert.deepStrictEqual(state.events, ['payment_intent.processing']);
+});
+
+test('a 3-D Secure card is sent to authenticate, then charged as authenticated', async () => {
+  const { state, client } = stubIntent('4000002500003155');
+  let intent = await paymentIntents.confirm(client, state.intent);
+
+  assert.strictEqual(intent.status, 'requires_action');
+  assert.deepStrictEqual(intent.next_action, {
+    type: 'redirect_to_url', redirect_url: 'http://localhost:3000/3ds/pi_1', return_url: 'https://shop.example/return',
+  });
+  assert.deepStrictEqual(state.charged, []);
+
+  intent = await paymentIntents.completeAuthentication(client, intent, true);
+  assert.strictEqual(intent.status, 'processing');
+  assert.strictEqual(intent.next_action, null);
+  const { card } = state.charged[0];
+  assert.strictEqual(testCards.simulateAuthorization(card).failure_code, null, 'the issuer accepts the authenticated card');
+});
+
+test('a failed challenge sends the intent back for another card', async () => {
+  const { state, client } = stubIntent('4000002500003155');
+  const challenged = await paymentIntents.confirm(client, state.intent);
+  const intent = await paymentIntents.completeAuthentication(client, challenged, false);
+
+  assert.strictEqual(intent.status, 'requires_payment_method');
+  assert.strictEqual(intent.last_payment_error.code, 'payment_intent_authentication_failure');
+  assert.deepStrictEqual(state.charged, []);
+  assert.deepStrictEqual(state.events, ['payment_intent.requires_action', 'payment_intent.payment_failed']);
+});
+
+test('the charge result settles the intent, unless a newer attempt superseded it', async () => {
+  const { state, client } = stubIntent('4242424242424242');
+  await paymentIntents.confirm(client, state.intent);
+
+  await paymentIntents.handleChargeResult({ id: 'ch_old', payment_intent_id: 'pi_1', status: 'succeeded' }, { client });
+  assert.strictEqual(state.intent.status, 'processing');
+
+  await paymentIntents.handleChargeResult(
+    { id: 'ch_1', payment_intent_id: 'pi_1', status: 'failed', failure_code: 'card_declined', failure_message: 'Your card was declined.' },
+    { client }
+  );
+  assert.strictEqual(state.intent.status, 'requires_payment_method');
+  assert.deepStrictEqual(state.intent.last_payment_error, { charge: 'ch_1', code: 'card_declined', message: 'Your card was declined.' });
+
+  Object.assign(state.intent, { status: 'processing', latest_charge_id: 'ch_2' });
+  await paymentIntents.handleChargeResult({ id: 'ch_2', payment_intent_id: 'pi_1', status: 'succeeded' }, { client });
+  assert.strictEqual(state.intent.status, 'succeeded');
+  assert.deepStrictEqual(state.events.slice(-2), ['payment_intent.payment_failed', 'payment_intent.succeeded']);
+});
+
+test('only intents without a charge in flight can be canceled', () => {
+  assert.deepStrictEqual(
+    paymentIntents.PAYMENT_INTENT_STATUSES.filter(status => !paymentIntents.CANCELABLE_STATUSES.includes(status)),
+    ['processing', 'succeeded', 'canceled']
+  );
+});
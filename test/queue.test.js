@@ -0,0 +1,54 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../utils/db');
+const queue = require('../utils/queue');
+
+afterEach(() => mock.restoreAll());
+
+// Records every query, answering each with the given rows.
+const recordQueries = (client, rows = []) => {
+  const queries = [];
+  mock.method(client, 'query', async (text, params) => {
+    queries.push({ text, params });
+    return { rows };
+  });
+  return queries;
+};
+
+test('a job is enqueued on the caller\'s client and announced', async () => {
+  const client = { query: async () => ({ rows: [] }) };
+  const queries = recordQueries(client, [{ id: 7 }]);
+  const job = await queue.enqueue({ type: 'process_refund', data: { id: 're_1' } }, { client, delaySeconds: 30 });
+
+  assert.strictEqual(job.id, 7);
+  assert.deepStrictEqual(queries[0].params, ['process_refund', '{"id":"re_1"}', 5, 30]);
+  assert.deepStrictEqual(queries[1].params, ['jobs', '7']);
+});
+
+test('failed jobs back off exponentially, up to an hour', async () => {
+  const queries = recordQueries(db);
+  for (const attempts of [1, 2, 3, 12]) {
+    assert.strictEqual(await queue.fail({ id: 1, attempts, max_attempts: 20 }, new Error('boom')), false);
+  }
+  assert.deepStrictEqual(queries.map(({ params }) => [params[0], params[1]]), [
+    ['queued', 5], ['queued', 10], ['queued', 20], ['queued', 3600],
+  ]);
+});
+
+test('a job out of attempts is dead-lettered', async () => {
+  const queries = recordQueries(db);
+  assert.strictEqual(await queue.fail({ id: 1, attempts: 5, max_attempts: 5 }, new Error('boom')), true);
+  assert.strictEqual(queries[0].params[0], 'dead');
+  assert.match(queries[0].params[2], /^Error: boom/);
+});
+
+test('retrying only announces a job that was put back', async () => {
+  let queries = recordQueries(db);
+  assert.strictEqual(await queue.retry(9), null);
+  assert.strictEqual(queries.length, 1);
+
+  mock.restoreAll();
+  queries = recordQueries(db, [{ id: 9, status: 'queued' }]);
+  assert.strictEqual((await queue.retry(9)).status, 'queued');
+  assert.deepStrictEqual(queries[1].params, ['jobs', '9']);
+});
@@ -0,0 +1,108 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const db = require('../utils/db');
+const cards = require('../utils/cards');
+const radar = require('../utils/radar');
+
+afterEach(() => mock.restoreAll());
+
+// Stands the database in for a merchant with the given rules, value list items and recent charges per card.
+const stubRadar = ({ rules = [], listItems = [], chargesPerCard = 1 } = {}) => {
+  mock.method(db, 'query', async (text) => {
+    if (text.includes('FROM radar_rules')) {
+      return { rows: rules.map((rule, i) => ({ id: `rule_${i}`, ...rule })) };
+    }
+    if (text.includes('FROM radar_value_list_items')) {
+      return { rows: listItems };
+    }
+    if (text.includes("'fingerprint'")) {
+      return { rows: [{ hour: String(chargesPerCard), day: String(chargesPerCard) }] };
+    }
+    if (text.includes('FROM charges')) {
+      return { rows: [{ hour: '1', day: '1' }] };
+    }
+    return { rows: [] };
+  });
+};
+
+const charge = ({ currency = 'usd', amount = 2000, number, fingerprint, billingCountry } = {}) => ({
+  merchant_id: 'mch_1',
+  livemode: false,
+  amount,
+  currency,
+  customer_id: null,
+  ip_address: '203.0.113.7',
+  payment_method_details: {
+    card: { brand: 'visa', fingerprint: fingerprint || cards.fingerprint(number || '4242424242424242') },
+    billing_details: billingCountry ? { address: { country: billingCountry } } : null,
+  },
+});
+
+test('a card from an unknown country is not a currency mismatch', async () => {
+  stubRadar({ rules: [{ action: 'review', predicate: 'currency_country_mismatch:true' }] });
+  for (const currency of ['eur', 'gbp', 'jpy']) {
+    const outcome = await radar.assess(charge({ currency, fingerprint: 'not_a_test_card' }));
+    assert.strictEqual(outcome.action, 'allow', currency);
+    assert.strictEqual(outcome.risk_score, 10, currency);
+  }
+});
+
+test('a card from an unknown country has no card_country and no billing mismatch', async () => {
+  stubRadar({ rules: [{ action: 'block', predicate: "card_country:'US' OR billing_country_mismatch:true" }] });
+  const outcome = await radar.assess(charge({ fingerprint: 'not_a_test_card', billingCountry: 'de' }));
+  assert.strictEqual(outcome.action, 'allow');
+});
+
+test('a card from a known country is checked against the currency and billing address', async () => {
+  stubRadar();
+  assert.strictEqual((await radar.assess(charge({ currency: 'usd' }))).risk_score, 10);
+  assert.strictEqual((await radar.assess(charge({ currency: 'eur' }))).risk_score, 30);
+  const brazilian = '4000000760000002';
+  assert.strictEqual((await radar.assess(charge({ number: brazilian, billingCountry: 'br' }))).risk_score, 30);
+  assert.strictEqual((await radar.assess(charge({ number: brazilian, billingCountry: 'us' }))).risk_score, 55);
+});
+
+test('allow rules win over block rules, and block rules over review rules', async () => {
+  stubRadar({
+    rules: [
+      { action: 'review', predicate: 'amount>1000' },
+      { action: 'block', predicate: 'amount>1500' },
+      { action: 'allow', predicate: "ip_address:'203.0.113.7'" },
+    ],
+  });
+  const outcome = await radar.assess(charge());
+  assert.strictEqual(outcome.action, 'allow');
+  assert.strictEqual(outcome.rule.id, 'rule_2');
+
+  stubRadar({ rules: [{ action: 'review', predicate: 'amount>1000' }, { action: 'block', predicate: 'amount>1500' }] });
+  assert.strictEqual((await radar.assess(charge())).action, 'block');
+});
+
+test('value lists and velocity counts feed the rules', async () => {
+  stubRadar({
+    rules: [{ action: 'block', predicate: 'ip_address:@blocked_ips' }],
+    listItems: [{ alias: 'blocked_ips', value: '203.0.113.7' }],
+  });
+  assert.strictEqual((await radar.assess(charge())).rule.predicate, 'ip_address:@blocked_ips');
+
+  stubRadar({ rules: [{ action: 'review', predicate: 'charges_per_card_1h>3' }], chargesPerCard: 4 });
+  const outcome = await radar.assess(charge());
+  assert.strictEqual(outcome.action, 'review');
+  assert.strictEqual(outcome.risk_score, 40);
+});
+
+test('the highest risk charges are blocked by default', async () => {
+  stubRadar({ chargesPerCard: 4 });
+  const outcome = await radar.assess(charge({ number: '4000000760000002', currency: 'usd', billingCountry: 'us' }));
+  assert.strictEqual(outcome.risk_level, 'highest');
+  assert.strictEqual(outcome.action, 'block');
+  assert.strictEqual(outcome.rule.id, 'default_block_highest_risk');
+});
+
+test('predicates are checked against the rule fields', () => {
+  assert.deepStrictEqual(radar.checkPredicate("card_country:'BR' OR email:@vips"), { aliases: ['vips'] });
+  assert.strictEqual(radar.checkPredicate('shoe_size>3').param, 'predicate');
+});
@@ -0,0 +1,99 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const rateLimit = require('../utils/rateLimit');
+
+afterEach(() => mock.restoreAll());
+
+// Answers every bucket update with `bucket`, recording the bucket keys and parameters used.
+const stubBucket = (bucket) => {
+  const taken = [];
+  mock.method(db, 'query', async (text, params) => {
+    taken.push({ text, params });
+    if (bucket instanceof Error) {
+      throw bucket;
+    }
+    return { rows: [bucket] };
+  });
+  return taken;
+};
+
+const serve = async () => {
+  const app = express();
+  app.use(logger.requestContext, (req, res, next) => {
+    req.auth = { merchant_id: 'mch_1', livemode: false };
+    next();
+  });
+  app.all('/v1/charges', rateLimit.perMerchant, (req, res) => res.json({ ok: true }));
+  app.post('/v1/merchants/login', rateLimit.perIpLogin, (req, res) => res.json({ ok: true }));
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const request = async (method, path) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { method });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+  return { request, close: () => server.close() };
+};
+
+test('an allowed request reports its limit and the whole tokens left', async () => {
+  stubBucket({ capacity: 300, tokens: 41.7, allowed: true });
+  const api = await serve();
+  try {
+    const { status, headers } = await api.request('POST', '/v1/charges');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('RateLimit-Limit'), '300');
+    assert.strictEqual(headers.get('RateLimit-Remaining'), '41');
+    assert.strictEqual(headers.get('Retry-After'), null);
+  } finally {
+    api.close();
+  }
+});
+
+test('an empty bucket is rejected with a 429 and when to retry', async () => {
+  stubBucket({ capacity: 10, tokens: 0.25, allowed: false });
+  const api = await serve();
+  try {
+    const { status, headers, body } = await api.request('POST', '/v1/merchants/login');
+    assert.strictEqual(status, 429);
+    assert.strictEqual(body.error.type, 'rate_limit_error');
+    assert.strictEqual(headers.get('RateLimit-Remaining'), '0');
+    assert.strictEqual(headers.get('Retry-After'), '5', 'three quarters of a token at 10 per minute');
+  } finally {
+    api.close();
+  }
+});
+
+test('reads and writes draw from separate per-merchant buckets with their own overrides', async () => {
+  const taken = stubBucket({ capacity: 1000, tokens: 999, allowed: true });
+  const api = await serve();
+  try {
+    await api.request('GET', '/v1/charges');
+    await api.request('DELETE', '/v1/charges');
+    await api.request('POST', '/v1/merchants/login');
+  } finally {
+    api.close();
+  }
+  assert.deepStrictEqual(taken[0].params, ['merchant:mch_1:read', rateLimit.DEFAULT_LIMITS.read, 'mch_1']);
+  assert.match(taken[0].text, /rate_limit_read_per_minute/);
+  assert.deepStrictEqual(taken[1].params, ['merchant:mch_1:write', rateLimit.DEFAULT_LIMITS.write, 'mch_1']);
+  assert.match(taken[1].text, /rate_limit_write_per_minute/);
+  assert.match(taken[2].params[0], /^login:/);
+  assert.strictEqual(taken[2].params.length, 2, 'login limits have no merchant override');
+});
+
+test('requests are let through when the buckets cannot be read', async () => {
+  stubBucket(new Error('connection terminated'));
+  const api = await serve();
+  try {
+    const { status, headers } = await api.request('POST', '/v1/charges');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('RateLimit-Limit'), null);
+  } finally {
+    api.close();
+  }
+});
@@ -0,0 +1,107 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const express = require('express');
+const db = require('../utils/db');
+const logger = require('../utils/logger');
+const errors = require('../utils/errors');
+const events = require('../utils/events');
+const queue = require('../utils/queue');
+const refundsRouter = require('../routes/refunds');
+
+afterEach(() => mock.restoreAll());
+
+// Holds a captured charge with `reserved` already refunded or pending, recording the refunds queued.
+const stubCharge = ({ reserved = 0, ...fields } = {}) => {
+  const charge = { id: 'ch_1', status: 'captured', amount: 5000, amount_captured: 4000, currency: 'usd', disputed: false, ...fields };
+  const queued = [];
+  const client = {
+    query: async (text, params) => {
+      if (text.startsWith('SELECT * FROM charges')) {
+        return { rows: params[0] === charge.id ? [charge] : [] };
+      }
+      if (text.includes('AS reserved')) {
+        return { rows: [{ reserved: String(reserved) }] };
+      }
+      const [id, merchantId, livemode, chargeId, amount, currency, status] = params;
+      return { rows: [{ id, merchant_id: merchantId, livemode, charge: chargeId, amount, currency, status }] };
+    },
+  };
+  mock.method(db, 'transaction', async fn => fn(client));
+  mock.method(events, 'record', async () => {});
+  mock.method(queue, 'enqueue', async job => queued.push(job));
+  return { queued };
+};
+
+const serve = async () => {
+  const app = express();
+  app.use(logger.requestContext, express.json(), (req, res, next) => {
+    req.auth = { merchant_id: 'mch_1', livemode: false };
+    next();
+  });
+  app.use('/v1/refunds', refundsRouter);
+  app.use(errors.handleErrors);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const post = async (body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/refunds`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { post, close: () => server.close() };
+};
+
+test('a refund without an amount refunds what is left of the captured amount', async () => {
+  const { queued } = stubCharge({ reserved: 1500 });
+  const api = await serve();
+  try {
+    const { status, body } = await api.post({ charge: 'ch_1' });
+    assert.strictEqual(status, 202);
+    assert.deepStrictEqual([body.amount, body.status], [2500, 'pending']);
+    assert.deepStrictEqual(queued.map(job => [job.type, job.data.id]), [['process_refund', body.id]]);
+  } finally {
+    api.close();
+  }
+});
+
+test('partial refunds cannot exceed what is left, counting pending refunds', async () => {
+  stubCharge({ reserved: 1500 });
+  const api = await serve();
+  try {
+    const tooLarge = await api.post({ charge: 'ch_1', amount: 2501 });
+    assert.strictEqual(tooLarge.status, 400);
+    assert.strictEqual(tooLarge.body.error.code, 'amount_too_large');
+    assert.strictEqual(tooLarge.body.error.message, 'Refund amount exceeds the remaining refundable amount of 2500 (25.00 USD).');
+
+    assert.strictEqual((await api.post({ charge: 'ch_1', amount: 2500 })).status, 202);
+    assert.strictEqual((await api.post({ charge: 'ch_1', amount: 0 })).body.error.param, 'amount');
+    assert.strictEqual((await api.post({ charge: 'ch_1', reason: 'changed_mind' })).body.error.param, 'reason');
+  } finally {
+    api.close();
+  }
+});
+
+test('only collected, undisputed charges with something left can be refunded', async () => {
+  const api = await serve();
+  try {
+    stubCharge({ reserved: 4000 });
+    assert.strictEqual((await api.post({ charge: 'ch_1' })).body.error.code, 'charge_already_refunded');
+
+    stubCharge({ status: 'authorized' });
+    assert.strictEqual((await api.post({ charge: 'ch_1' })).body.error.code, 'charge_not_refundable');
+
+    stubCharge({ disputed: true });
+    assert.strictEqual((await api.post({ charge: 'ch_1' })).body.error.code, 'charge_disputed');
+
+    stubCharge();
+    assert.strictEqual((await api.post({ charge: 'ch_other' })).status, 404);
+  } finally {
+    api.close();
+  }
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Payway = require('../sdk');
+
+// Nothing listens here; none of these requests should get as far as the network.
+const payway = Payway('sk_test_123', { baseUrl: 'http://127.0.0.1:9', maxNetworkRetries: 0 });
+
+test('a missing path parameter rejects instead of throwing', async () => {
+  let promise;
+  assert.doesNotThrow(() => {
+    promise = payway.charges.retrieve(undefined);
+  });
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof Payway.errors.InvalidRequestError);
+    assert.strictEqual(err.param, 'id');
+    return true;
+  });
+});
+
+test('a missing path parameter on a list rejects its first page and its iteration', async () => {
+  await assert.rejects(payway.customers.listCharges(''), Payway.errors.InvalidRequestError);
+  await assert.rejects(payway.customers.listCharges('').autoPagingToArray({ limit: 10 }), Payway.errors.InvalidRequestError);
+});
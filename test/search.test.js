@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const search = require('../utils/search');
+
+// Compiles a query over the charge fields, returning the SQL and the values bound into it.
+const compile = (query, fields = search.CHARGE_FIELDS) => {
+  const values = [];
+  const sql = search.compile(search.parse(query), fields, (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  });
+  return { sql, values };
+};
+
+// Returns the message a query is rejected with.
+const rejection = (query, fields = search.CHARGE_FIELDS) => {
+  try {
+    compile(query, fields);
+  } catch (err) {
+    assert.ok(err.isSearchError, err.message);
+    return err.message;
+  }
+  return assert.fail(`${query} was accepted`);
+};
+
+test('AND binds tighter than OR, and - negates a clause or group', () => {
+  const tree = search.parse("status:'failed' OR amount>100 AND -(currency:'usd' OR captured:true)");
+  assert.strictEqual(tree.type, 'or');
+  assert.strictEqual(tree.clauses[1].type, 'and');
+  assert.strictEqual(tree.clauses[1].clauses[1].type, 'not');
+  assert.strictEqual(tree.clauses[1].clauses[1].clause.type, 'or');
+});
+
+test('quoted values keep their spaces and escaped quotes', () => {
+  const tree = search.parse("description:'it\\'s a gift' AND customer:\"cus 1\"");
+  assert.deepStrictEqual(tree.clauses.map(clause => [clause.value, clause.quoted]), [["it's a gift", true], ['cus 1', true]]);
+});
+
+test('clauses compile to SQL with typed, bound values', () => {
+  const { sql, values } = compile("amount>=1000 AND currency:'USD' AND created<'2024-01-01' AND refunded:false");
+  assert.strictEqual(sql, '(amount >= $1 AND currency = $2 AND created_at < $3 AND refunded = $4)');
+  assert.deepStrictEqual(values, [1000, 'usd', new Date('2024-01-01'), false]);
+});
+
+test('null tests absence and negation treats NULL as false', () => {
+  assert.strictEqual(compile('customer:null').sql, 'customer_id IS NULL');
+  assert.strictEqual(compile("-description~'gift'").sql, 'NOT COALESCE(description ILIKE $1, false)');
+});
+
+test('substring searches escape LIKE wildcards', () => {
+  assert.deepStrictEqual(compile("description~'50%_off'").values, ['%50\\%\\_off%']);
+});
+
+test('metadata lookups compile to JSONB containment', () => {
+  assert.deepStrictEqual(compile("metadata['order_id']:'1234'"), { sql: '(metadata @> $1::jsonb)', values: ['{"order_id":"1234"}'] });
+  assert.deepStrictEqual(compile("metadata['order_id']:1234").values, ['{"order_id":"1234"}', '{"order_id":1234}']);
+  assert.strictEqual(compile("metadata['gift']:null").sql, 'NOT COALESCE(metadata ? $1, false)');
+});
+
+test('invalid queries are rejected with the position of the problem', () => {
+  assert.strictEqual(rejection('   '), 'Query is required');
+  assert.match(rejection('shoe_size:3'), /^Unknown field shoe_size\. Searchable fields: id, amount/);
+  assert.strictEqual(rejection("status:'failed' amount>1"), 'Expected AND or OR between clauses (at position 17)');
+  assert.strictEqual(rejection("status:'failed"), 'Unterminated string (at position 8)');
+  assert.strictEqual(rejection('amount:ten'), 'amount must be compared with an integer (at position 1)');
+  assert.strictEqual(rejection('status>1'), 'status does not support the > operator (at position 1)');
+  assert.strictEqual(rejection("description~'ab'"), 'Substring searches need at least 3 characters (at position 1)');
+  assert.strictEqual(rejection("metadata:'x'"), 'Metadata lookups need a key, as in metadata[\'key\'] (at position 1)');
+  assert.strictEqual(rejection('customer:@vips'), 'Value lists can only be used in radar rules (at position 1)');
+  assert.strictEqual(rejection(Array(11).fill('amount>1').join(' AND ')), 'Query can have at most 10 clauses');
+  assert.strictEqual(rejection(`description:'${'x'.repeat(1000)}'`), 'Query must be at most 1000 characters');
+});
+
+test('customer searches have their own fields', () => {
+  assert.strictEqual(compile("email~'example.com'", search.CUSTOMER_FIELDS).sql, 'email ILIKE $1');
+  assert.match(rejection('amount>1', search.CUSTOMER_FIELDS), /^Unknown field amount/);
+});
+
+test('a query evaluates in memory the same way it compiles', () => {
+  const query = search.parse("(amount>1000 OR metadata['vip']:'true') AND -status:'failed' AND created>='2024-01-01'");
+  const charge = { amount: 500, status: 'succeeded', metadata: { vip: 'true' }, created: new Date('2024-06-01') };
+  assert.strictEqual(search.evaluate(query, search.CHARGE_FIELDS, charge), true);
+  assert.strictEqual(search.evaluate(query, search.CHARGE_FIELDS, { ...charge, status: 'failed' }), false);
+  assert.strictEqual(search.evaluate(query, search.CHARGE_FIELDS, { ...charge, metadata: {} }), false);
+  assert.strictEqual(search.evaluate(search.parse('customer:null'), search.CHARGE_FIELDS, { customer: null }), true);
+});
+
+test('value lists are found by validation and matched on evaluation', () => {
+  const fields = { ip_address: { type: 'token' }, email: { type: 'string', lowercase: true } };
+  const query = search.parse("ip_address:@blocked_ips OR email:@blocked_emails OR email~'fraud'");
+  assert.deepStrictEqual(search.validate(query, fields), ['blocked_ips', 'blocked_emails']);
+
+  const lists = new Map([['blocked_ips', new Set(['203.0.113.7'])], ['blocked_emails', new Set()]]);
+  assert.strictEqual(search.evaluate(query, fields, { ip_address: '203.0.113.7', email: 'a@example.com' }, lists), true);
+  assert.strictEqual(search.evaluate(query, fields, { ip_address: '198.51.100.1', email: 'a@example.com' }, lists), false);
+  assert.strictEqual(search.evaluate(query, fields, { ip_address: null, email: 'FRAUDSTER@example.com' }, lists), true);
+});
+
+test('addQuery turns a rejected query into a query parameter error', () => {
+  const conditions = [];
+  const filters = { addCondition: build => conditions.push(build(() => '$3')) };
+  assert.strictEqual(search.addQuery(filters, "status:'failed'", search.CHARGE_FIELDS), null);
+  assert.deepStrictEqual(conditions, ['status = $3']);
+  assert.deepStrictEqual(search.addQuery(filters, 'status:', search.CHARGE_FIELDS), {
+    error: 'Invalid search query: Expected a value (at position 8).', param: 'query',
+  });
+});
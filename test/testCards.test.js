@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const cards = require('../utils/cards');
+const testCards = require('../utils/testCards');
+
+// A card as stored on a token: its fingerprint and expiry, never the number.
+const card = (number, fields = {}) => ({ fingerprint: cards.fingerprint(number), exp_month: 12, exp_year: 2099, ...fields });
+
+test('every test card number is a valid card', () => {
+  for (const { number } of testCards.TEST_CARDS) {
+    assert.strictEqual(cards.checkCard({ number, exp_month: 12, exp_year: 2099, cvc: '123' }), null, number);
+  }
+});
+
+test('decline cards fail with their failure code', () => {
+  const expected = {
+    '4242424242424242': null,
+    '4000000000000002': 'card_declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000069': 'expired_card',
+    '4000000000000127': 'incorrect_cvc',
+    '4000000000000119': 'processing_error',
+  };
+  for (const [number, failureCode] of Object.entries(expected)) {
+    assert.strictEqual(testCards.simulateAuthorization(card(number)).failure_code, failureCode, number);
+  }
+  assert.strictEqual(testCards.simulateAuthorization(card('4000000000000077')).delay_ms, 15000);
+});
+
+test('other cards are approved unless they have expired since they were tokenized', () => {
+  const approved = testCards.simulateAuthorization(card('5555555555554444'));
+  assert.deepStrictEqual(approved, { delay_ms: 2000, failure_code: null, failure_message: null });
+  assert.strictEqual(testCards.simulateAuthorization(card('5555555555554444', { exp_year: 2001 })).failure_code, 'expired_card');
+});
+
+test('3-D Secure cards are declined unless the payment was authenticated', () => {
+  assert.strictEqual(testCards.requiresAuthentication(card('4000002500003155')), true);
+  assert.strictEqual(testCards.simulateAuthorization(card('4000002500003155')).failure_code, 'authentication_required');
+  const authenticated = { three_d_secure: { result: 'authenticated' } };
+  assert.strictEqual(testCards.simulateAuthorization(card('4000002500003155', authenticated)).failure_code, null);
+  assert.strictEqual(testCards.simulateAuthorization(card('4000008260003178', authenticated)).failure_code, 'insufficient_funds');
+});
+
+test('dispute, country and risk cards carry their simulated outcome', () => {
+  assert.strictEqual(testCards.simulateDispute(card('4000000000000259')), 'fraudulent');
+  assert.strictEqual(testCards.simulateDispute(card('4242424242424242')), null);
+  assert.strictEqual(testCards.issuingCountry(card('4000000760000002')), 'BR');
+  assert.strictEqual(testCards.issuingCountry(card('4242424242424242')), 'US');
+  assert.strictEqual(testCards.simulateRiskScore(card('4100000000000019')), 95);
+  assert.strictEqual(testCards.simulateRiskScore(card('5555555555554444')), null);
+});
@@ -0,0 +1,80 @@
+const { test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const db = require('../utils/db');
+const webhooks = require('../utils/webhooks');
+
+let server;
+let received;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received.push(req.url);
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/hook' }).end();
+    } else {
+      res.writeHead(200).end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  ({ port } = server.address());
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+// Delivers to a local URL and returns the recorded attempt.
+const deliver = async (url, livemode) => {
+  received = [];
+  mock.method(db, 'query', async (text, [id, endpointId, eventId, eventType, payload, succeeded, responseCode, error]) => ({
+    rows: [{ id, succeeded, response_code: responseCode, error }],
+  }));
+  const endpoint = { id: 'we_1', url, livemode, secret: 'whsec_test' };
+  return webhooks.deliver(endpoint, { id: 'evt_1', type: 'charge.succeeded' });
+};
+
+test('private, loopback and link-local addresses are recognised', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1']) {
+    assert.strictEqual(webhooks.isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '172.32.0.1']) {
+    assert.strictEqual(webhooks.isPrivateAddress(address), false, address);
+  }
+});
+
+test('live endpoints cannot point at private addresses', async () => {
+  assert.match(await webhooks.checkDestination('http://169.254.169.254/latest/meta-data'), /169\.254\.169\.254 is a private address/);
+  assert.match(await webhooks.checkDestination('http://[::1]:8080/hook'), /::1 is a private address/);
+  assert.match(await webhooks.checkDestination('http://2130706433/'), /127\.0\.0\.1 is a private address/);
+  assert.match(await webhooks.checkDestination('http://localhost:3000/hook'), /localhost resolves to the private address/);
+  assert.strictEqual(await webhooks.checkDestination('https://93.184.216.34/hook'), null);
+});
+
+test('test mode delivers to local endpoints', async () => {
+  const attempt = await deliver(`http://127.0.0.1:${port}/hook`, false);
+  assert.strictEqual(attempt.succeeded, true);
+  assert.deepStrictEqual(received, ['/hook']);
+});
+
+test('live mode refuses to deliver to a private address', async () => {
+  const attempt = await deliver(`http://127.0.0.1:${port}/hook`, true);
+  assert.strictEqual(attempt.succeeded, false);
+  assert.match(attempt.error, /private address/);
+  assert.deepStrictEqual(received, []);
+});
+
+test('live mode checks the address a hostname resolves to when connecting', async () => {
+  const attempt = await deliver(`http://localhost:${port}/hook`, true);
+  assert.strictEqual(attempt.succeeded, false);
+  assert.match(attempt.error, /resolves to the private address/);
+  assert.deepStrictEqual(received, []);
+});
+
+test('redirects are not followed', async () => {
+  const attempt = await deliver(`http://127.0.0.1:${port}/redirect`, false);
+  assert.strictEqual(attempt.succeeded, false);
+  assert.strictEqual(attempt.response_code, 302);
+  assert.deepStrictEqual(received, ['/redirect']);
+});
@@ -0,0 +1,60 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CARD_FINGERPRINT_SECRET = 'test_fingerprint_secret';
+
+const db = require('../utils/db');
+const events = require('../utils/events');
+const worker = require('../utils/worker');
+
+afterEach(() => mock.restoreAll());
+
+// Stands the database in for one refund row and records what the handler does to it.
+const stubRefund = (refund) => {
+  const queries = [];
+  const recorded = [];
+  const client = {
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (text.startsWith('UPDATE refunds') && refund.status === params[2]) {
+        refund.status = params[0];
+        return { rows: [{ ...refund }] };
+      }
+      return { rows: [] };
+    },
+  };
+  mock.method(db, 'transaction', async fn => fn(client));
+  mock.method(events, 'record', async (type, object) => recorded.push({ type, object }));
+  return { queries, recorded };
+};
+
+const deadRefundJob = { id: 7, type: 'process_refund', attempts: 5, data: { id: 're_1', charge_id: 'ch_1', amount: 500 } };
+
+test('a dead-lettered refund job fails the refund and releases its amount', async () => {
+  const refund = { id: 're_1', charge_id: 'ch_1', amount: 500, status: 'pending' };
+  const { recorded } = stubRefund(refund);
+
+  await worker.handleDeadJob(deadRefundJob);
+
+  assert.strictEqual(refund.status, 'failed');
+  assert.deepStrictEqual(recorded.map(event => event.type), ['refund.failed']);
+  assert.strictEqual(recorded[0].object.status, 'failed');
+});
+
+test('a refund that already finished is left alone', async () => {
+  const refund = { id: 're_1', charge_id: 'ch_1', amount: 500, status: 'succeeded' };
+  const { recorded } = stubRefund(refund);
+
+  await worker.handleDeadJob(deadRefundJob);
+
+  assert.strictEqual(refund.status, 'succeeded');
+  assert.deepStrictEqual(recorded, []);
+});
+
+test('dead jobs of other types need no clean-up', async () => {
+  const { queries } = stubRefund({ status: 'pending' });
+
+  await worker.handleDeadJob({ id: 8, type: 'deliver_webhook', attempts: 5, data: {} });
+
+  assert.deepStrictEqual(queries, []);
+});
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const PREFIXES = {
+  secret: { true: 'sk_live_', false: 'sk_test_' },
+  publishable: { true: 'pk_live_', false: 'pk_test_' },
+  restricted: { true: 'rk_live_', false: 'rk_test_' },
+};
+
+// Matches anything we issue, so the auth middleware can tell keys apart from JWTs.
+const KEY_PATTERN = /^(sk|pk|rk)_(test|live)_[0-9a-f]+$/;
+
+// Keys are long random strings, so a fast unsalted hash is enough to make a leaked table useless.
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const redact = (key) => `${key.slice(0, 8)}...${key.slice(-4)}`;
+
+// Columns that are safe to return; the hash never leaves the database.
+const KEY_COLUMNS = 'id, merchant_id, type, livemode, name, permissions, redacted, expires_at, revoked_at, last_used_at, created_at';
+
+// Generates and stores a new key. The plaintext is returned once, as `key`, and never stored.
+// Restricted keys also take the permissions they are limited to.
+const issue = async (merchantId, type, livemode, { client = db, name = null, permissions = null } = {}) => {
+  const key = `${PREFIXES[type][livemode]}${crypto.randomBytes(24).toString('hex')}`;
+  const { rows } = await client.query(
+    `INSERT INTO api_keys(id, merchant_id, type, livemode, name, permissions, key_hash, redacted)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8) RETURNING ${KEY_COLUMNS}`,
+    [`key_${uuidv4()}`, merchantId, type, livemode, name, permissions, hashKey(key), redact(key)]
+  );
+  return { ...rows[0], key };
+};
+
+// Issues the secret and publishable key pair for both test and live mode.
+const issueAll = async (merchantId, { client = db } = {}) => {
+  const keys = {};
+  for (const livemode of [false, true]) {
+    keys[livemode ? 'live' : 'test'] = {
+      secret: await issue(merchantId, 'secret', livemode, { client }),
+      publishable: await issue(merchantId, 'publishable', livemode, { client }),
+    };
+  }
+  return keys;
+};
+
+// Returns the stored key if it is neither revoked nor past its grace period.
+const findActive = async (key) => {
+  const { rows } = await db.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashKey(key)]
+  );
+  return rows[0] || null;
+};
+
+// Copies a response body without the plaintext keys and login tokens in it, so it can be stored
+// for idempotent replay. The redacted form of each key stays.
+const withoutSecrets = (body) => {
+  if (Array.isArray(body)) {
+    return body.map(withoutSecrets);
+  }
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+  return Object.fromEntries(Object.entries(body)
+    .filter(([name, value]) => name !== 'token' && !(name === 'key' && KEY_PATTERN.test(value)))
+    .map(([name, value]) => [name, withoutSecrets(value)]));
+};
+
+module.exports = {
+  KEY_PATTERN,
+  KEY_COLUMNS,
+  hashKey,
+  issue,
+  issueAll,
+  findActive,
+  withoutSecrets,
+};
@@ -1,19 +1,126 @@
+const crypto = require('crypto');
 const jsonwebtoken = require('jsonwebtoken');
 const { expressjwt } = require('express-jwt');
+const db = require('./db');
+const apiKeys = require('./apiKeys');
+const merchantUsers = require('./merchantUsers');
+const permissions = require('./permissions');
+const errors = require('./errors');
 require('dotenv').config();
 
 const SECRET = process.env.JWT_SECRET
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY
 
-// Middleware to verify JWT and set req.merchant
-const authenticate = expressjwt({
+const verifyJwt = expressjwt({
     secret: SECRET,
     algorithms: ['HS256'],
     
 });
 
-// Function to generate JWT (used in login/create merchant)
-const generateToken = (merchant) => {
-    return jsonwebtoken.sign({ merchant_id: merchant.merchant_id, email: merchant.email }, SECRET, { expiresIn: '1h' });
+// Accepts `Authorization: Bearer sk_...` / `rk_...` / `pk_...` API keys as well as JWTs from login.
+// Sets req.auth = { merchant_id, livemode, key_type, permissions }, plus role and user_id for logins.
+// Null permissions mean full access; see utils/permissions.
+const authenticateRequest = (allowPublishable) => async (req, res, next) => {
+    const [scheme, credential] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !apiKeys.KEY_PATTERN.test(credential || '')) {
+        return verifyJwt(req, res, async (err) => {
+            if (err) {
+                return next(err);
+            }
+            // Tokens issued before test/live separation carry no mode; they act in test mode.
+            req.auth.livemode = req.auth.livemode === true;
+            req.auth.key_type = 'secret';
+            try {
+                // Tokens from a secret-key login carry no team member and act as the owner. A member's
+                // role is looked up on every request, so role changes and removals apply at once.
+                let role = 'owner';
+                if (req.auth.user_id) {
+                    const user = await merchantUsers.findForMerchant(db, req.auth.user_id, req.auth.merchant_id);
+                    if (!user) {
+                        return next(errors.authentication('This team member no longer has access to the account.', 'token_invalid'));
+                    }
+                    role = user.role;
+                }
+                req.auth.role = role;
+                req.auth.permissions = permissions.forRole(role);
+                next();
+            } catch (lookupErr) {
+                next(lookupErr);
+            }
+        });
+    }
+
+    try {
+        const key = await apiKeys.findActive(credential);
+        if (!key) {
+            return next(errors.authentication('Invalid API key provided.', 'api_key_invalid'));
+        }
+        if (key.type === 'publishable' && !allowPublishable) {
+            return next(errors.permission('This endpoint requires a secret key.', 'secret_key_required'));
+        }
+
+        req.auth = {
+            merchant_id: key.merchant_id,
+            livemode: key.livemode,
+            key_type: key.type,
+            api_key_id: key.id,
+            permissions: key.type === 'restricted' ? key.permissions : null,
+        };
+        db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [key.id])
+            .catch(err => req.log.error('Error recording API key use', { err }));
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Middleware for merchant routes: a secret key or a JWT
+const authenticate = authenticateRequest(false);
+
+// Middleware for routes a browser may call directly, such as tokenizing a card
+const authenticatePublishable = authenticateRequest(true);
+
+// Use after authenticatePublishable on routes within it that must stay server-side
+const requireSecretKey = (req, res, next) => {
+    if (req.auth.key_type === 'publishable') {
+        return next(errors.permission('This endpoint requires a secret key.', 'secret_key_required'));
+    }
+    next();
+};
+
+// Middleware: lets the request through only if its credential may perform `action` (read or write)
+// on `resource`, one of permissions.RESOURCES. Without an action, GET reads and anything else writes.
+const authorize = (resource, action = null) => (req, res, next) => {
+    const needed = action || (req.method === 'GET' ? 'read' : 'write');
+    if (!permissions.allows(req.auth.permissions, resource, needed)) {
+        const who = req.auth.role ? `The ${req.auth.role} role` : 'This API key';
+        return next(errors.permission(`${who} does not have ${needed} access to ${resource}.`, 'insufficient_permissions'));
+    }
+    next();
+};
+
+// Middleware for operator-only routes: expects `Authorization: Bearer <ADMIN_API_KEY>`
+const authenticateAdmin = (req, res, next) => {
+    const [scheme, key = ''] = (req.get('Authorization') || '').split(' ');
+    const given = Buffer.from(key);
+    const expected = Buffer.from(ADMIN_API_KEY || '');
+    const valid = ADMIN_API_KEY && scheme === 'Bearer'
+        && given.length === expected.length
+        && crypto.timingSafeEqual(given, expected);
+    if (!valid) {
+        return next(errors.authentication('Invalid admin credentials.', 'admin_credentials_invalid'));
+    }
+    next();
+};
+
+// Function to generate JWT (used in login/create merchant). A team member's token also names the
+// member, whose role then decides what it may do; without one it acts as the owner.
+const generateToken = (merchant, livemode = false, user = null) => {
+    const claims = user
+        ? { merchant_id: user.merchant_id, email: user.email, user_id: user.id, livemode }
+        : { merchant_id: merchant.merchant_id, email: merchant.email, livemode };
+    return jsonwebtoken.sign(claims, SECRET, { expiresIn: '1h' });
 };
 
-module.exports = { authenticate, generateToken };
\ No newline at end of file
+module.exports = { authenticate, authenticatePublishable, requireSecretKey, authorize, authenticateAdmin, generateToken };
@@ -0,0 +1,34 @@
+// Simulated bank rail: decides how a payout to a given bank account turns out.
+// Magic account numbers give deterministic failures so integrations can exercise them;
+// payouts to any other account arrive.
+const cards = require('./cards');
+
+const TEST_BANK_ACCOUNTS = [
+  { account_number: '000123456789', description: 'Payouts arrive.' },
+  {
+    account_number: '000111111116',
+    description: 'Payouts fail because the account does not exist.',
+    failure_code: 'no_account',
+    failure_message: 'The bank account details on file are probably incorrect. No bank account could be located with those details.',
+  },
+  {
+    account_number: '000111111113',
+    description: 'Payouts fail because the account is closed.',
+    failure_code: 'account_closed',
+    failure_message: 'The bank account has been closed.',
+  },
+];
+
+// Only fingerprints are stored, so match on those rather than account numbers.
+const byFingerprint = new Map(TEST_BANK_ACCOUNTS.map(account => [cards.fingerprint(account.account_number), account]));
+
+// Returns { failure_code, failure_message }; failure_code is null once the funds arrive.
+const simulateTransfer = (bankAccount) => {
+  const testAccount = byFingerprint.get(bankAccount.fingerprint);
+  return {
+    failure_code: (testAccount && testAccount.failure_code) || null,
+    failure_message: (testAccount && testAccount.failure_message) || null,
+  };
+};
+
+module.exports = { TEST_BANK_ACCOUNTS, simulateTransfer };
@@ -0,0 +1,402 @@
+// Recurring billing: turns subscriptions into invoices at each period boundary, pays them with the
+// customer's default payment method, and retries failed payments on a dunning schedule.
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const events = require('./events');
+const charges = require('./charges');
+const currencies = require('./currencies');
+
+const INTERVALS = ['day', 'week', 'month', 'year'];
+// How a change of items mid-period is billed: prorated on the next invoice, prorated and invoiced now, or not at all.
+const PRORATION_BEHAVIORS = ['create_prorations', 'always_invoice', 'none'];
+
+// Days after each failed payment before the next attempt. Once they run out the invoice is
+// marked uncollectible and the subscription is canceled; until then it is past_due.
+const DUNNING_SCHEDULE_DAYS = (process.env.DUNNING_SCHEDULE_DAYS || '1,3,5').split(',').map(Number);
+
+// Adds whole billing intervals to a date, in UTC. Month ends are clamped, so Jan 31 + 1 month is Feb 28/29.
+const addInterval = (date, interval, count) => {
+  const result = new Date(date);
+  if (interval === 'day') {
+    result.setUTCDate(result.getUTCDate() + count);
+  } else if (interval === 'week') {
+    result.setUTCDate(result.getUTCDate() + 7 * count);
+  } else {
+    const months = interval === 'year' ? 12 * count : count;
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+  }
+  return result;
+};
+
+const getItems = async (client, subscriptionId) => {
+  const { rows } = await client.query(
+    `SELECT si.id, si.price_id, si.quantity, p.unit_amount, p.currency, p.recurring_interval, p.recurring_interval_count, pr.name AS product_name
+     FROM subscription_items si
+     JOIN prices p ON p.id = si.price_id
+     JOIN products pr ON pr.id = p.product_id
+     WHERE si.subscription_id = $1 ORDER BY si.created_at, si.id`,
+    [subscriptionId]
+  );
+  return rows;
+};
+
+// Returns the subscription with its items, as the API shows it.
+const expand = async (client, subscription) => ({
+  ...subscription,
+  items: (await getItems(client, subscription.id)).map(item => ({ id: item.id, price: item.price_id, quantity: item.quantity })),
+});
+
+// Loads and checks the prices for a new set of subscription items. They must all be active,
+// belong to the merchant and share one currency and billing interval.
+// Returns { error, param } or { prices } keyed by price ID.
+const resolvePrices = async (client, { merchant_id, livemode }, items) => {
+  const ids = items.map(item => item.price);
+  const { rows } = await client.query(
+    `SELECT p.*, pr.name AS product_name, pr.active AND p.active AS available
+     FROM prices p JOIN products pr ON pr.id = p.product_id
+     WHERE p.id = ANY($1) AND p.merchant_id = $2 AND p.livemode = $3`,
+    [ids, merchant_id, livemode]
+  );
+  const prices = Object.fromEntries(rows.map(price => [price.id, price]));
+  const missing = ids.findIndex(id => !prices[id]);
+  if (missing !== -1) {
+    return { error: `No such price: ${ids[missing]}.`, param: `items[${missing}][price]` };
+  }
+  const unavailable = ids.findIndex(id => !prices[id].available);
+  if (unavailable !== -1) {
+    return { error: `Price ${ids[unavailable]} or its product is no longer active.`, param: `items[${unavailable}][price]` };
+  }
+  const [first] = rows;
+  const mismatch = rows.some(price => price.currency !== first.currency
+    || price.recurring_interval !== first.recurring_interval
+    || price.recurring_interval_count !== first.recurring_interval_count);
+  if (mismatch) {
+    return { error: 'All prices on a subscription must share the same currency and billing interval.', param: 'items' };
+  }
+  return { prices };
+};
+
+// The payment method a subscription's invoices are charged to: its own default, or the customer's.
+const findPaymentMethod = async (client, invoice) => {
+  const { rows } = await client.query(
+    `SELECT pm.* FROM payment_methods pm
+     WHERE pm.id = COALESCE(
+       (SELECT default_payment_method_id FROM subscriptions WHERE id = $1),
+       (SELECT default_payment_method_id FROM customers WHERE id = $2)
+     )`,
+    [invoice.subscription_id, invoice.customer_id]
+  );
+  return rows[0] || null;
+};
+
+const setSubscriptionStatus = async (client, subscriptionId, status) => {
+  const { rows } = await client.query(
+    `UPDATE subscriptions SET status = $1, canceled_at = CASE WHEN $1 = 'canceled' THEN NOW() ELSE canceled_at END
+     WHERE id = $2 AND status <> $1 AND status <> 'canceled' RETURNING *`,
+    [status, subscriptionId]
+  );
+  if (rows.length > 0) {
+    if (status === 'canceled') {
+      // Nobody is left to bill: stop dunning. A payment already in flight can still settle its invoice.
+      await client.query("UPDATE invoices SET next_payment_attempt = NULL WHERE subscription_id = $1 AND status = 'open'", [subscriptionId]);
+    }
+    const type = status === 'canceled' ? 'customer.subscription.deleted' : 'customer.subscription.updated';
+    await events.record(type, rows[0], { client });
+  }
+};
+
+// Records a failed payment attempt and schedules the next one, or gives up once the dunning schedule is exhausted.
+const recordPaymentFailure = async (client, invoice) => {
+  const delayDays = DUNNING_SCHEDULE_DAYS[invoice.attempt_count - 1];
+  const exhausted = delayDays === undefined;
+  const { rows } = await client.query(
+    `UPDATE invoices SET status = $1,
+       next_payment_attempt = CASE WHEN $2::float IS NULL THEN NULL ELSE NOW() + make_interval(secs => $2::float * 86400) END
+     WHERE id = $3 RETURNING *`,
+    [exhausted ? 'uncollectible' : 'open', exhausted ? null : delayDays, invoice.id]
+  );
+  await events.record('invoice.payment_failed', rows[0], { client });
+  if (rows[0].subscription_id) {
+    await setSubscriptionStatus(client, rows[0].subscription_id, exhausted ? 'canceled' : 'past_due');
+  }
+  return rows[0];
+};
+
+// Starts a payment attempt on an open invoice. The outcome arrives later through handleChargeResult.
+const attemptPayment = async (client, invoice) => {
+  const { rows } = await client.query(
+    'UPDATE invoices SET attempt_count = attempt_count + 1, next_payment_attempt = NULL WHERE id = $1 RETURNING *',
+    [invoice.id]
+  );
+  const attempted = rows[0];
+
+  // createInvoice carries amounts below the minimum forward, so this only fails for amounts the
+  // currency can't take at all, e.g. one no longer supported. Dunning then gives up in the usual way.
+  const paymentMethod = await findPaymentMethod(client, attempted);
+  if (!paymentMethod || currencies.checkAmount(attempted.amount_due, attempted.currency)) {
+    return recordPaymentFailure(client, attempted);
+  }
+
+  const charge = await charges.enqueueCharge({
+    merchant_id: attempted.merchant_id,
+    livemode: attempted.livemode,
+    customer_id: attempted.customer_id,
+    amount: attempted.amount_due,
+    currency: attempted.currency,
+    description: `Payment for invoice ${attempted.id}`,
+    payment_method_id: paymentMethod.id,
+    card: paymentMethod.card,
+    billing_details: paymentMethod.billing_details,
+    invoice_id: attempted.id,
+  }, { client });
+  const { rows: updated } = await client.query('UPDATE invoices SET charge_id = $1 WHERE id = $2 RETURNING *', [charge.id, attempted.id]);
+  return updated[0];
+};
+
+const markPaid = async (client, invoice, amountPaid) => {
+  const { rows } = await client.query(
+    "UPDATE invoices SET status = 'paid', amount_paid = $1, paid_at = NOW(), next_payment_attempt = NULL WHERE id = $2 RETURNING *",
+    [amountPaid, invoice.id]
+  );
+  await events.record('invoice.paid', rows[0], { client });
+  if (rows[0].subscription_id) {
+    const { rows: subscriptionRows } = await client.query('SELECT status FROM subscriptions WHERE id = $1', [rows[0].subscription_id]);
+    if (subscriptionRows[0].status === 'past_due') {
+      await setSubscriptionStatus(client, rows[0].subscription_id, 'active');
+    }
+  }
+  return rows[0];
+};
+
+// Creates an invoice from the subscription's items for the given period, plus any pending prorations,
+// and starts collecting it. Pass items: false to invoice only the pending prorations.
+// A total of zero or less is settled straight away; a credit is carried forward to the next invoice.
+// So is a total below the currency's minimum charge, which can't be collected on its own.
+const createInvoice = async (client, subscription, { billingReason, periodStart, periodEnd, items = true }) => {
+  const invoiceId = `in_${uuidv4()}`;
+  const lines = [];
+  if (items) {
+    for (const item of await getItems(client, subscription.id)) {
+      lines.push({
+        price_id: item.price_id,
+        description: `${item.quantity} × ${item.product_name}`,
+        quantity: item.quantity,
+        amount: item.unit_amount * item.quantity,
+      });
+    }
+  }
+
+  const { rows: pending } = await client.query(
+    'SELECT amount FROM invoice_lines WHERE subscription_id = $1 AND invoice_id IS NULL FOR UPDATE',
+    [subscription.id]
+  );
+  const total = lines.reduce((sum, line) => sum + line.amount, 0) + pending.reduce((sum, line) => sum + line.amount, 0);
+  const currency = currencies.lookup(subscription.currency);
+  const belowMinimum = total > 0 && currency !== null && total < currency.min_amount;
+  const carried = total < 0 || belowMinimum ? total : 0;
+
+  const { rows } = await client.query(
+    `INSERT INTO invoices(id, merchant_id, livemode, customer_id, subscription_id, status, billing_reason, currency, amount_due, period_start, period_end)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+    [invoiceId, subscription.merchant_id, subscription.livemode, subscription.customer_id, subscription.id, 'open',
+      billingReason, subscription.currency, total - carried, periodStart, periodEnd]
+  );
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO invoice_lines(id, invoice_id, subscription_id, price_id, description, quantity, amount, period_start, period_end)
+       VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [`il_${uuidv4()}`, invoiceId, subscription.id, line.price_id, line.description, line.quantity, line.amount, periodStart, periodEnd]
+    );
+  }
+  await client.query('UPDATE invoice_lines SET invoice_id = $1 WHERE subscription_id = $2 AND invoice_id IS NULL', [invoiceId, subscription.id]);
+  if (carried !== 0) {
+    const what = carried < 0 ? 'Credit' : 'Amount below the minimum charge';
+    await client.query(
+      `INSERT INTO invoice_lines(id, invoice_id, subscription_id, description, amount, proration)
+       VALUES($1, $2, $3, $4, $5, true), ($6, NULL, $3, $7, $8, true)`,
+      [`il_${uuidv4()}`, invoiceId, subscription.id, `${what} carried forward to the next invoice`, -carried,
+        `il_${uuidv4()}`, `${what} carried forward from ${invoiceId}`, carried]
+    );
+  }
+  await events.record('invoice.created', rows[0], { client });
+
+  if (total - carried <= 0) {
+    return markPaid(client, rows[0], 0);
+  }
+  return attemptPayment(client, rows[0]);
+};
+
+// Adds proration lines for switching from the current items to new ones part-way through the
+// period: a credit for the unused time on the old prices and a charge for the rest of the period
+// on the new ones. They wait as pending lines for the next invoice.
+const prorate = async (client, subscription, newItems, prices, now = new Date()) => {
+  const start = new Date(subscription.current_period_start);
+  const end = new Date(subscription.current_period_end);
+  const fraction = Math.max(0, Math.min(1, (end - now) / (end - start)));
+  const oldItems = await getItems(client, subscription.id);
+
+  const lines = [
+    ...oldItems.map(item => ({
+      price_id: item.price_id,
+      quantity: item.quantity,
+      amount: -Math.round(item.unit_amount * item.quantity * fraction),
+      description: `Unused time on ${item.quantity} × ${item.product_name}`,
+    })),
+    ...newItems.map(({ price, quantity = 1 }) => ({
+      price_id: price,
+      quantity,
+      amount: Math.round(prices[price].unit_amount * quantity * fraction),
+      description: `Remaining time on ${quantity} × ${prices[price].product_name}`,
+    })),
+  ];
+  for (const line of lines.filter(l => l.amount !== 0)) {
+    await client.query(
+      `INSERT INTO invoice_lines(id, subscription_id, price_id, description, quantity, amount, proration, period_start, period_end)
+       VALUES($1, $2, $3, $4, $5, $6, true, $7, $8)`,
+      [`il_${uuidv4()}`, subscription.id, line.price_id, line.description, line.quantity, line.amount, now, end]
+    );
+  }
+};
+
+const insertItems = async (client, subscriptionId, items) => {
+  for (const item of items) {
+    await client.query(
+      'INSERT INTO subscription_items(id, subscription_id, price_id, quantity) VALUES($1, $2, $3, $4)',
+      [`si_${uuidv4()}`, subscriptionId, item.price, item.quantity || 1]
+    );
+  }
+};
+
+// Creates a subscription for already resolved prices. With a trial, the first period is the trial and
+// nothing is billed until it ends; otherwise the first period is invoiced and charged right away.
+const createSubscription = async (client, fields, prices) => {
+  const [price] = Object.values(prices);
+  const now = new Date();
+  const trialing = fields.trial_period_days > 0;
+  const periodEnd = trialing
+    ? addInterval(now, 'day', fields.trial_period_days)
+    : addInterval(now, price.recurring_interval, price.recurring_interval_count);
+
+  const { rows } = await client.query(
+    `INSERT INTO subscriptions(id, merchant_id, livemode, customer_id, status, currency, current_period_start, current_period_end,
+       trial_end, cancel_at_period_end, default_payment_method_id, metadata)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [`sub_${uuidv4()}`, fields.merchant_id, fields.livemode, fields.customer_id, trialing ? 'trialing' : 'active', price.currency,
+      now, periodEnd, trialing ? periodEnd : null, Boolean(fields.cancel_at_period_end), fields.default_payment_method_id || null, fields.metadata]
+  );
+  const subscription = rows[0];
+  await insertItems(client, subscription.id, fields.items);
+  await events.record('customer.subscription.created', subscription, { client });
+
+  if (!trialing) {
+    await createInvoice(client, subscription, { billingReason: 'subscription_create', periodStart: now, periodEnd });
+  }
+  const { rows: current } = await client.query('SELECT * FROM subscriptions WHERE id = $1', [subscription.id]);
+  return current[0];
+};
+
+// Replaces a subscription's items. Unless proration is turned off, the change is prorated for the rest of
+// the current period (not during a trial, which is free); always_invoice bills the prorations straight away.
+const replaceItems = async (client, subscription, items, prices, prorationBehavior = 'create_prorations') => {
+  if (prorationBehavior !== 'none' && subscription.status !== 'trialing') {
+    await prorate(client, subscription, items, prices);
+  }
+  await client.query('DELETE FROM subscription_items WHERE subscription_id = $1', [subscription.id]);
+  await insertItems(client, subscription.id, items);
+
+  if (prorationBehavior === 'always_invoice' && subscription.status !== 'trialing') {
+    const { rows } = await client.query('SELECT 1 FROM invoice_lines WHERE subscription_id = $1 AND invoice_id IS NULL LIMIT 1', [subscription.id]);
+    if (rows.length > 0) {
+      await createInvoice(client, subscription, {
+        billingReason: 'subscription_update',
+        periodStart: new Date(),
+        periodEnd: subscription.current_period_end,
+        items: false,
+      });
+    }
+  }
+};
+
+// Called by the worker in the transaction that settles a charge. Does nothing for charges not paying an invoice.
+const handleChargeResult = async (charge, { client }) => {
+  if (!charge.invoice_id) {
+    return;
+  }
+  const { rows } = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [charge.invoice_id]);
+  if (rows.length === 0 || rows[0].status !== 'open' || rows[0].charge_id !== charge.id) {
+    return; // Settled or superseded meanwhile
+  }
+  if (charge.status === 'succeeded') {
+    await markPaid(client, rows[0], charge.amount);
+  } else {
+    await recordPaymentFailure(client, rows[0]);
+  }
+};
+
+// Moves every subscription whose period has ended into the next one, invoicing it,
+// or cancels it if it was set to cancel at period end. Locked rows are skipped so several workers can run this.
+const advanceSubscriptions = async ({ limit = 100 } = {}) => db.transaction(async (client) => {
+  const { rows } = await client.query(
+    `SELECT * FROM subscriptions WHERE status IN ('trialing', 'active', 'past_due') AND current_period_end <= NOW()
+     ORDER BY current_period_end LIMIT $1 FOR UPDATE SKIP LOCKED`,
+    [limit]
+  );
+
+  for (const subscription of rows) {
+    if (subscription.cancel_at_period_end) {
+      await setSubscriptionStatus(client, subscription.id, 'canceled');
+      continue;
+    }
+
+    const [item] = await getItems(client, subscription.id);
+    const periodStart = subscription.current_period_end;
+    const periodEnd = addInterval(periodStart, item.recurring_interval, item.recurring_interval_count);
+    const { rows: updated } = await client.query(
+      `UPDATE subscriptions SET current_period_start = $1, current_period_end = $2,
+         status = CASE WHEN status = 'trialing' THEN 'active' ELSE status END
+       WHERE id = $3 RETURNING *`,
+      [periodStart, periodEnd, subscription.id]
+    );
+    await events.record('customer.subscription.updated', updated[0], { client });
+    await createInvoice(client, updated[0], {
+      billingReason: 'subscription_cycle',
+      periodStart,
+      periodEnd,
+    });
+  }
+  return rows;
+});
+
+// Retries open invoices whose next dunning attempt is due, unless their subscription has since been canceled.
+const retryDueInvoices = async ({ limit = 100 } = {}) => db.transaction(async (client) => {
+  const { rows } = await client.query(
+    `SELECT * FROM invoices WHERE status = 'open' AND next_payment_attempt <= NOW()
+       AND subscription_id NOT IN (SELECT id FROM subscriptions WHERE status = 'canceled')
+     ORDER BY next_payment_attempt LIMIT $1 FOR UPDATE SKIP LOCKED`,
+    [limit]
+  );
+  for (const invoice of rows) {
+    await attemptPayment(client, invoice);
+  }
+  return rows;
+});
+
+module.exports = {
+  INTERVALS,
+  PRORATION_BEHAVIORS,
+  addInterval,
+  expand,
+  resolvePrices,
+  createInvoice,
+  attemptPayment,
+  createSubscription,
+  replaceItems,
+  setSubscriptionStatus,
+  handleChargeResult,
+  advanceSubscriptions,
+  retryDueInvoices,
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Keyed so a leaked fingerprint can't be brute-forced back to a card number offline. Kept apart from
+// JWT_SECRET: rotating the auth secret must not change every stored fingerprint.
+const FINGERPRINT_SECRET = process.env.CARD_FINGERPRINT_SECRET;
+if (!FINGERPRINT_SECRET) {
+  throw new Error('CARD_FINGERPRINT_SECRET is not set.');
+}
+
+// Checked in order; the first matching prefix wins.
+const BRANDS = [
+  { brand: 'amex', prefix: /^3[47]/, lengths: [15], cvcLength: 4 },
+  { brand: 'diners', prefix: /^3(0[0-5]|[689])/, lengths: [14, 16], cvcLength: 3 },
+  { brand: 'jcb', prefix: /^35(2[89]|[3-8])/, lengths: [16, 17, 18, 19], cvcLength: 3 },
+  { brand: 'visa', prefix: /^4/, lengths: [13, 16, 19], cvcLength: 3 },
+  { brand: 'mastercard', prefix: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/, lengths: [16], cvcLength: 3 },
+  { brand: 'discover', prefix: /^(6011|64[4-9]|65)/, lengths: [16, 19], cvcLength: 3 },
+  { brand: 'unionpay', prefix: /^62/, lengths: [16, 17, 18, 19], cvcLength: 3 },
+];
+
+const normalizeNumber = (number) => String(number).replace(/[\s-]/g, '');
+
+const luhnCheck = (number) => {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = parseInt(number[number.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const detectBrand = (number) => BRANDS.find(entry => entry.prefix.test(number)) || null;
+
+// A card is valid through the last day of its expiry month.
+const isExpired = (expMonth, expYear, now = new Date()) => {
+  const endOfExpiryMonth = new Date(Date.UTC(expYear, expMonth, 1));
+  return now >= endOfExpiryMonth;
+};
+
+const fingerprint = (number) => crypto
+  .createHmac('sha256', FINGERPRINT_SECRET)
+  .update(normalizeNumber(number))
+  .digest('hex')
+  .substring(0, 32);
+
+// Returns { error, param, code } for invalid card details, or null when they are acceptable.
+const checkCard = (card) => {
+  if (!card || typeof card !== 'object') {
+    return { error: 'Card details are required.', param: 'card', code: 'parameter_missing' };
+  }
+  const { number, exp_month, exp_year, cvc } = card;
+  if (!number || exp_month === undefined || exp_year === undefined || !cvc) {
+    return { error: 'Card number, exp_month, exp_year and cvc are required.', param: 'card', code: 'parameter_missing' };
+  }
+
+  const digits = normalizeNumber(number);
+  if (!/^\d+$/.test(digits) || !luhnCheck(digits)) {
+    return { error: 'Your card number is incorrect.', param: 'card[number]', code: 'incorrect_number' };
+  }
+  const brand = detectBrand(digits);
+  if (!brand || !brand.lengths.includes(digits.length)) {
+    return { error: 'Your card number is incorrect or its brand is not supported.', param: 'card[number]', code: 'invalid_number' };
+  }
+
+  if (!Number.isInteger(exp_month) || exp_month < 1 || exp_month > 12) {
+    return { error: 'Your card\'s expiration month is invalid.', param: 'card[exp_month]', code: 'invalid_expiry_month' };
+  }
+  if (!Number.isInteger(exp_year) || exp_year < 2000 || exp_year > 2100) {
+    return { error: 'Your card\'s expiration year is invalid.', param: 'card[exp_year]', code: 'invalid_expiry_year' };
+  }
+  if (isExpired(exp_month, exp_year)) {
+    return { error: 'Your card has expired.', param: 'card[exp_year]', code: 'expired_card' };
+  }
+
+  if (!new RegExp(`^\\d{${brand.cvcLength}}$`).test(String(cvc))) {
+    return { error: 'Your card\'s security code is invalid.', param: 'card[cvc]', code: 'invalid_cvc' };
+  }
+  return null;
+};
+
+// The only card data we keep: enough to display and match a card, never to charge it elsewhere.
+const summarize = (card) => {
+  const digits = normalizeNumber(card.number);
+  return {
+    brand: detectBrand(digits).brand,
+    last4: digits.slice(-4),
+    exp_month: card.exp_month,
+    exp_year: card.exp_year,
+    fingerprint: fingerprint(digits),
+  };
+};
+
+module.exports = {
+  luhnCheck,
+  detectBrand,
+  isExpired,
+  fingerprint,
+  checkCard,
+  summarize,
+};
@@ -0,0 +1,88 @@
+const { v4: uuidv4 } = require('uuid');
+const queue = require('./queue');
+
+const CHARGE_STATUSES = ['pending', 'in_review', 'succeeded', 'failed', 'authorized', 'captured', 'canceled', 'expired'];
+
+// Queues a card charge for the worker and returns the charge as it will first be stored.
+// The row itself is only written by the worker, so callers respond with this object.
+const enqueueCharge = async (fields, { capture = true, client }) => {
+  const charge = {
+    id: `ch_${uuidv4()}`,
+    merchant_id: fields.merchant_id,
+    livemode: fields.livemode,
+    customer_id: fields.customer_id || null,
+    amount: fields.amount,
+    currency: fields.currency,
+    status: 'pending',
+    description: fields.description,
+    payment_method_id: fields.payment_method_id || null,
+    payment_method_details: { type: 'card', card: fields.card, billing_details: fields.billing_details || null },
+    capture_method: capture ? 'automatic' : 'manual',
+    ip_address: fields.ip_address || null,
+    outcome: null,
+    invoice_id: fields.invoice_id || null,
+    payment_intent_id: fields.payment_intent_id || null,
+    failure_code: null,
+    failure_message: null,
+    captured: false,
+    amount_captured: 0,
+    amount_refunded: 0,
+    refunded: false,
+  };
+
+  await queue.enqueue({ type: 'process_charge', data: { ...charge, capture } }, { client });
+  return charge;
+};
+
+// Looks up what a payment will be charged to: a single-use token, which this claims so it can't be
+// used twice, or a saved payment method, which must not belong to a different customer.
+// Returns { error, param, code } or { card, billing_details, payment_method_id, customer_id, ip_address },
+// where customer_id falls back to the payment method's customer.
+const resolvePaymentSource = async (client, { merchant_id, livemode, customer_id = null }, { source, payment_method }) => {
+  if (source) {
+    const { rows } = await client.query(
+      'UPDATE tokens SET used = true WHERE id = $1 AND merchant_id = $2 AND livemode = $3 AND used = false RETURNING card, billing_details, client_ip',
+      [source, merchant_id, livemode]
+    );
+    if (rows.length === 0) {
+      const { rows: tokenRows } = await client.query('SELECT id FROM tokens WHERE id = $1 AND merchant_id = $2 AND livemode = $3', [source, merchant_id, livemode]);
+      return tokenRows.length > 0
+        ? { error: 'Token has already been used.', param: 'source', code: 'token_already_used' }
+        : { error: `No such token: ${source}.`, param: 'source', code: 'resource_missing' };
+    }
+    return {
+      card: rows[0].card,
+      billing_details: rows[0].billing_details,
+      payment_method_id: null,
+      customer_id,
+      ip_address: rows[0].client_ip,
+    };
+  }
+
+  const { rows } = await client.query(
+    'SELECT customer_id, card, billing_details FROM payment_methods WHERE id = $1 AND merchant_id = $2 AND livemode = $3',
+    [payment_method, merchant_id, livemode]
+  );
+  if (rows.length === 0) {
+    return { error: `No such payment method: ${payment_method}.`, param: 'payment_method', code: 'resource_missing' };
+  }
+  if (rows[0].customer_id && customer_id && rows[0].customer_id !== customer_id) {
+    return { error: 'The payment method belongs to a different customer.', param: 'payment_method', code: 'payment_method_customer_mismatch' };
+  }
+  return {
+    card: rows[0].card,
+    billing_details: rows[0].billing_details,
+    payment_method_id: payment_method,
+    customer_id: customer_id || rows[0].customer_id,
+    ip_address: null,
+  };
+};
+
+// Adds the status, currency, amount and created filters shared by the charge lists.
+// Returns { error, param } for the first invalid one, or null.
+const addListFilters = (filters, query) => filters.addEnum('status', 'status', query.status, CHARGE_STATUSES)
+  || filters.addCurrency('currency', 'currency', query.currency)
+  || filters.addAmountRange('amount', 'amount', query.amount)
+  || filters.addCreatedRange('created_at', 'created', query.created);
+
+module.exports = { CHARGE_STATUSES, enqueueCharge, resolvePaymentSource, addListFilters };
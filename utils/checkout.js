@@ -0,0 +1,78 @@
+// Checkout sessions: a merchant describes what the shopper is buying, then sends them to a payment
+// page we host, so card details go from the shopper's browser straight to us. The page tokenizes the
+// card and pays through the normal charge pipeline; the session completes when that charge succeeds.
+//
+//   open      waiting for payment; payment_status is unpaid, or processing while a charge is in flight
+//   complete  the charge succeeded and payment_status is paid
+//   expired   it passed expires_at, or the merchant expired it, before a payment succeeded
+const db = require('./db');
+const events = require('./events');
+
+// Sessions can last between these; by default they last the maximum.
+const MIN_LIFETIME_MINUTES = 30;
+const MAX_LIFETIME_HOURS = 24;
+
+// Where the hosted payment pages are reachable from shoppers' browsers.
+const PUBLIC_URL = (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const pageUrl = session => `${PUBLIC_URL}/checkout/${session.id}`;
+
+// Merchants can put {CHECKOUT_SESSION_ID} in their success and cancel URLs to learn which session the shopper comes back from.
+const redirectUrl = (template, session) => template.split('{CHECKOUT_SESSION_ID}').join(session.id);
+
+// Returns the session as the API shows it: with its page URL and the latest charge, if there is one.
+// The charge is null until the worker has stored it.
+const expand = async (client, session) => {
+  let charge = null;
+  if (session.charge_id) {
+    const { rows } = await client.query('SELECT * FROM charges WHERE id = $1', [session.charge_id]);
+    charge = rows[0] || null;
+  }
+  return { ...session, url: pageUrl(session), charge };
+};
+
+// Called with every finished charge, like billing.handleChargeResult. Completes the session the charge
+// paid for, or reopens it for another attempt if the charge failed.
+const handleChargeResult = async (charge, { client }) => {
+  const { rows } = await client.query('SELECT * FROM checkout_sessions WHERE charge_id = $1 FOR UPDATE', [charge.id]);
+  if (rows.length === 0 || rows[0].status !== 'open') {
+    return;
+  }
+  if (charge.status === 'succeeded') {
+    const { rows: completed } = await client.query(
+      "UPDATE checkout_sessions SET status = 'complete', payment_status = 'paid', last_payment_error = NULL, completed_at = NOW() WHERE id = $1 RETURNING *",
+      [rows[0].id]
+    );
+    await events.record('checkout.session.completed', completed[0], { client });
+    return;
+  }
+  await client.query(
+    "UPDATE checkout_sessions SET payment_status = 'unpaid', last_payment_error = $1 WHERE id = $2",
+    [{ charge: charge.id, code: charge.failure_code, message: charge.failure_message }, rows[0].id]
+  );
+};
+
+// Expires open sessions past their expiry. A session with a charge in flight waits for its result.
+const expireOverdue = async ({ limit = 100 } = {}) => db.transaction(async (client) => {
+  const { rows } = await client.query(
+    `UPDATE checkout_sessions SET status = 'expired' WHERE id IN (
+       SELECT id FROM checkout_sessions WHERE status = 'open' AND payment_status <> 'processing' AND expires_at <= NOW()
+       ORDER BY expires_at LIMIT $1 FOR UPDATE SKIP LOCKED
+     ) RETURNING *`,
+    [limit]
+  );
+  for (const session of rows) {
+    await events.record('checkout.session.expired', session, { client });
+  }
+  return rows;
+});
+
+module.exports = {
+  MIN_LIFETIME_MINUTES,
+  MAX_LIFETIME_HOURS,
+  pageUrl,
+  redirectUrl,
+  expand,
+  handleChargeResult,
+  expireOverdue,
+};
@@ -0,0 +1,60 @@
+// Currencies we accept, keyed by lowercase ISO 4217 code. Amounts throughout the API are integers
+// in the currency's minor unit, so `decimals` says how to read them: 1000 is 10.00 USD, 1000 JPY
+// and 1.000 KWD. Minimums are roughly 0.50 USD so card fees never exceed the charge. `dispute_fee` is
+// charged when a dispute is lost, in whole units of the currency (roughly 15 USD), not minor units.
+// `countries` are where the currency is used, for radar's check that a card is charged in a currency
+// from its country.
+const CURRENCIES = {
+  usd: { name: 'US Dollar', decimals: 2, min_amount: 50, max_amount: 99999999, dispute_fee: 15, countries: ['US'] },
+  eur: { name: 'Euro', decimals: 2, min_amount: 50, max_amount: 99999999, dispute_fee: 15, countries: ['AT', 'BE', 'DE', 'ES', 'FI', 'FR', 'IE', 'IT', 'NL', 'PT'] },
+  gbp: { name: 'Pound Sterling', decimals: 2, min_amount: 30, max_amount: 99999999, dispute_fee: 15, countries: ['GB'] },
+  cad: { name: 'Canadian Dollar', decimals: 2, min_amount: 50, max_amount: 99999999, dispute_fee: 20, countries: ['CA'] },
+  aud: { name: 'Australian Dollar', decimals: 2, min_amount: 50, max_amount: 99999999, dispute_fee: 25, countries: ['AU'] },
+  chf: { name: 'Swiss Franc', decimals: 2, min_amount: 50, max_amount: 99999999, dispute_fee: 15, countries: ['CH', 'LI'] },
+  sek: { name: 'Swedish Krona', decimals: 2, min_amount: 300, max_amount: 99999999, dispute_fee: 150, countries: ['SE'] },
+  inr: { name: 'Indian Rupee', decimals: 2, min_amount: 5000, max_amount: 99999999, dispute_fee: 1200, countries: ['IN'] },
+  jpy: { name: 'Yen', decimals: 0, min_amount: 50, max_amount: 99999999, dispute_fee: 2000, countries: ['JP'] },
+  krw: { name: 'Won', decimals: 0, min_amount: 700, max_amount: 999999999, dispute_fee: 20000, countries: ['KR'] },
+  kwd: { name: 'Kuwaiti Dinar', decimals: 3, min_amount: 200, max_amount: 99999999, dispute_fee: 5, countries: ['KW'] },
+  bhd: { name: 'Bahraini Dinar', decimals: 3, min_amount: 200, max_amount: 99999999, dispute_fee: 6, countries: ['BH'] },
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Returns the registry entry for a code in any case, or null if we don't support it.
+const lookup = (code) => (typeof code === 'string' && CURRENCIES[code.toLowerCase()]) || null;
+
+// Renders a minor-unit amount for messages, e.g. format(50, 'usd') === '0.50 USD'. Currencies stored
+// before the registry existed may be missing from it; they are shown with 2 decimals.
+const format = (amount, code) => {
+  const { decimals } = lookup(code) || { decimals: 2 };
+  return `${(amount / 10 ** decimals).toFixed(decimals)} ${code.toUpperCase()}`;
+};
+
+// Checks an amount against a currency's limits. Returns an error message or null.
+// Pass { minimum: false } for amounts that are part of an earlier charge, such as refunds. Those are
+// also let through in a stored currency we no longer support, which has no limits left to check.
+const checkAmount = (amount, code, { minimum = true } = {}) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return 'Amount must be a positive integer in the currency\'s smallest unit.';
+  }
+  const currency = lookup(code);
+  if (!currency) {
+    return minimum ? `Currency ${String(code).toUpperCase()} is not supported.` : null;
+  }
+  if (minimum && amount < currency.min_amount) {
+    return `Amount must be at least ${currency.min_amount} (${format(currency.min_amount, code)}).`;
+  }
+  if (amount > currency.max_amount) {
+    return `Amount must be at most ${currency.max_amount} (${format(currency.max_amount, code)}).`;
+  }
+  return null;
+};
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  lookup,
+  format,
+  checkAmount,
+};
@@ -5,6 +5,29 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+// Runs fn inside BEGIN/COMMIT on a dedicated client, rolling back if it throws.
+const transaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Whether err is Postgres rejecting a duplicate under the given unique constraint or index.
+const isUniqueViolation = (err, constraint) => err.code === '23505' && err.constraint === constraint;
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
-};
\ No newline at end of file
+  connect: () => pool.connect(),
+  transaction,
+  isUniqueViolation,
+  end: () => pool.end(),
+};
@@ -0,0 +1,124 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const queue = require('./queue');
+const events = require('./events');
+const ledger = require('./ledger');
+const currencies = require('./currencies');
+
+const DISPUTE_REASONS = ['fraudulent', 'duplicate', 'product_not_received', 'product_unacceptable', 'subscription_canceled', 'general'];
+
+// How long the merchant has to respond before the dispute is lost by default.
+const RESPONSE_WINDOW_DAYS = parseInt(process.env.DISPUTE_RESPONSE_WINDOW_DAYS, 10) || 7;
+// How long the simulated issuer takes to review submitted evidence.
+const REVIEW_DELAY_SECONDS = parseInt(process.env.DISPUTE_REVIEW_DELAY_SECONDS, 10) || 60;
+
+// Evidence the merchant can submit: free text, and references to files held elsewhere (IDs or URLs).
+const TEXT_EVIDENCE = [
+  'product_description',
+  'customer_name',
+  'customer_email_address',
+  'shipping_tracking_number',
+  'refund_policy_disclosure',
+  'uncategorized_text',
+];
+const FILE_EVIDENCE = ['receipt', 'customer_communication', 'shipping_documentation', 'refund_policy', 'uncategorized_file'];
+
+// The fee charged on top of the disputed amount when a dispute is lost, in the currency's smallest unit:
+// the registry's fee scaled by its decimals, e.g. 1500 for 15.00 USD and 2000 for 2000 JPY. Currencies
+// stored before the registry existed are charged 15.00.
+const disputeFee = (code) => {
+  const { dispute_fee: fee, decimals } = currencies.lookup(code) || { dispute_fee: 15, decimals: 2 };
+  return fee * 10 ** decimals;
+};
+
+// Opens a dispute for the captured, unrefunded part of a charge and flags the charge.
+// Returns null if the charge is already disputed or has nothing left to dispute. Must run inside a transaction.
+const open = async (charge, { reason = 'general', client }) => {
+  const amount = charge.amount_captured - charge.amount_refunded;
+  if (charge.disputed || amount <= 0) {
+    return null;
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO disputes(id, merchant_id, livemode, charge_id, amount, currency, reason, status, evidence, evidence_due_by)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(days => $10))
+     ON CONFLICT (charge_id) DO NOTHING RETURNING *`,
+    [`dp_${uuidv4()}`, charge.merchant_id, charge.livemode, charge.id, amount, charge.currency, reason, 'needs_response', {}, RESPONSE_WINDOW_DAYS]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const { rows: chargeRows } = await client.query('UPDATE charges SET disputed = true WHERE id = $1 RETURNING *', [charge.id]);
+  await events.record('charge.dispute.created', rows[0], { client });
+  await events.record('charge.updated', chargeRows[0], { client });
+  return rows[0];
+};
+
+// Sends submitted evidence to the simulated issuer. The decision arrives later through a resolve_dispute job.
+// Returns null if the dispute no longer needs a response.
+const submit = async (dispute, { client }) => {
+  const { rows } = await client.query(
+    `UPDATE disputes SET status = 'under_review', evidence_submitted_at = NOW()
+     WHERE id = $1 AND status = 'needs_response' RETURNING *`,
+    [dispute.id]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  await queue.enqueue({ type: 'resolve_dispute', data: rows[0] }, { client, delaySeconds: REVIEW_DELAY_SECONDS });
+  return rows[0];
+};
+
+// The simulated issuer sides with the cardholder only when the evidence text says so,
+// mirroring the magic values most processors use in test mode.
+const decide = (dispute) => {
+  const { uncategorized_text: text = '' } = dispute.evidence || {};
+  return text.includes('losing_evidence') ? 'lost' : 'won';
+};
+
+// Closes an open dispute as won or lost. A lost dispute debits the disputed amount plus the dispute fee.
+// Returns null if the dispute was already closed. Must run inside a transaction.
+const close = async (dispute, status, { client }) => {
+  const { rows } = await client.query(
+    `UPDATE disputes SET status = $1, closed_at = NOW()
+     WHERE id = $2 AND status IN ('needs_response', 'under_review') RETURNING *`,
+    [status, dispute.id]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  let closed = rows[0];
+  if (status === 'lost') {
+    const txn = await ledger.recordDisputeLoss(closed, { fee: disputeFee(closed.currency), client });
+    const result = await client.query('UPDATE disputes SET balance_transaction = $1 WHERE id = $2 RETURNING *', [txn.id, closed.id]);
+    closed = result.rows[0];
+  }
+  await events.record('charge.dispute.closed', closed, { client });
+  return closed;
+};
+
+// Disputes the merchant never responded to are lost once the response window has passed.
+const expireOverdue = async () => db.transaction(async (client) => {
+  const { rows } = await client.query(
+    `SELECT * FROM disputes WHERE status = 'needs_response' AND evidence_due_by <= NOW()
+     LIMIT 100 FOR UPDATE SKIP LOCKED`
+  );
+  const closed = [];
+  for (const dispute of rows) {
+    closed.push(await close(dispute, 'lost', { client }));
+  }
+  return closed;
+});
+
+module.exports = {
+  DISPUTE_REASONS,
+  disputeFee,
+  TEXT_EVIDENCE,
+  FILE_EVIDENCE,
+  open,
+  submit,
+  decide,
+  close,
+  expireOverdue,
+};
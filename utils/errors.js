@@ -0,0 +1,101 @@
+// One error format for every API response:
+//
+//   { "error": { "type", "code", "message", "param", "request_id" } }
+//
+// `type` is the broad category and `code` a stable, machine-readable reason; integrations should
+// branch on those rather than on `message`, whose wording may change. `param` names the request
+// parameter at fault, if any, and `request_id` matches the X-Request-Id header and the server's logs.
+// Routes throw the errors built here (Express passes thrown and rejected errors on to handleErrors),
+// and middleware hands them to next().
+const ERROR_TYPES = {
+  invalid_request_error: 'The request was malformed, or not valid for the object in its current state.',
+  authentication_error: 'No valid API key or token was provided.',
+  permission_error: 'The credentials used may not make this request.',
+  idempotency_error: 'The Idempotency-Key was reused in a way that cannot be replayed.',
+  rate_limit_error: 'Too many requests were made too quickly.',
+  api_error: 'Something went wrong on our side.',
+};
+
+const createError = (status, type, code, message, param = null) => {
+  const err = new Error(message);
+  err.isApiError = true;
+  err.status = status;
+  err.type = type;
+  err.code = code;
+  err.param = param;
+  return err;
+};
+
+// Options are { param, code }, so a helper's { error, param, code } failure can be passed as they are.
+const invalidRequest = (message, { param = null, code } = {}) => createError(
+  400, 'invalid_request_error', code || (param ? 'parameter_invalid' : 'invalid_request'), message, param
+);
+
+const notFound = (message, { param = null, code = 'resource_missing' } = {}) => createError(
+  404, 'invalid_request_error', code, message, param
+);
+
+const authentication = (message, code) => createError(401, 'authentication_error', code, message);
+
+const permission = (message, code) => createError(403, 'permission_error', code, message);
+
+const idempotency = (status, code, message) => createError(status, 'idempotency_error', code, message, 'Idempotency-Key');
+
+const rateLimited = message => createError(429, 'rate_limit_error', 'rate_limit', message);
+
+// Maps errors from Express and its middleware onto the format; anything else is unexpected.
+const toApiError = (err) => {
+  if (err.isApiError) {
+    return err;
+  }
+  if (err.name === 'UnauthorizedError') {
+    // From express-jwt
+    return err.code === 'credentials_required'
+      ? authentication('No API key provided. Pass one as `Authorization: Bearer <key>`.', 'api_key_missing')
+      : authentication('Invalid or expired token.', 'token_invalid');
+  }
+  if (err.type === 'entity.parse.failed') {
+    return invalidRequest('The request body is not valid JSON.', { code: 'body_invalid' });
+  }
+  if (err.type === 'entity.too.large') {
+    return createError(413, 'invalid_request_error', 'body_too_large', 'The request body is too large.');
+  }
+  return createError(500, 'api_error', 'internal_error', 'An unexpected error occurred. Try again later.');
+};
+
+// Error-handling middleware; mount it after every route. Express recognizes it by its four arguments.
+const handleErrors = (err, req, res, next) => {
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    req.log.error('Unhandled error', { err, method: req.method, path: req.originalUrl });
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+  res.status(error.status).json({
+    error: {
+      type: error.type,
+      code: error.code,
+      message: error.message,
+      param: error.param,
+      request_id: req.id,
+    },
+  });
+};
+
+// Mount after the routes and before handleErrors, so unknown URLs get a JSON error too.
+const unknownRoute = (req, res, next) => next(notFound(
+  `Unrecognized request URL (${req.method} ${req.originalUrl}).`, { code: 'url_invalid' }
+));
+
+module.exports = {
+  ERROR_TYPES,
+  invalidRequest,
+  notFound,
+  authentication,
+  permission,
+  idempotency,
+  rateLimited,
+  handleErrors,
+  unknownRoute,
+};
@@ -0,0 +1,54 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const webhooks = require('./webhooks');
+
+const EVENT_TYPES = [
+  'charge.created',
+  'charge.succeeded',
+  'charge.failed',
+  'charge.captured',
+  'charge.canceled',
+  'charge.expired',
+  'charge.refunded',
+  'charge.updated',
+  'charge.dispute.created',
+  'charge.dispute.updated',
+  'charge.dispute.closed',
+  'charge.review.opened',
+  'charge.review.closed',
+  'refund.created',
+  'refund.failed',
+  'customer.created',
+  'customer.updated',
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'invoice.created',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'checkout.session.completed',
+  'checkout.session.expired',
+  'payment_intent.created',
+  'payment_intent.requires_action',
+  'payment_intent.processing',
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'payment_intent.canceled',
+  'payout.created',
+  'payout.updated',
+  'payout.paid',
+  'payout.failed',
+];
+
+// Appends an event holding a snapshot of the object and fans it out to webhook endpoints.
+// Pass options.client to record it in the same transaction as the change it describes.
+const record = async (type, object, { client = db } = {}) => {
+  const { rows } = await client.query(
+    'INSERT INTO events(id, merchant_id, livemode, type, object_id, data) VALUES($1, $2, $3, $4, $5, $6) RETURNING *',
+    [`evt_${uuidv4()}`, object.merchant_id, Boolean(object.livemode), type, object.id, JSON.stringify({ object })]
+  );
+  await webhooks.dispatch(rows[0], { client });
+  return rows[0];
+};
+
+module.exports = { EVENT_TYPES, record };
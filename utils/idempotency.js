@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const db = require('./db');
+const errors = require('./errors');
+
+// How long a key (and the response stored against it) is honoured.
+const KEY_TTL_HOURS = 24;
+
+// Client errors that a retry with the same key would only repeat; any other error response releases the key.
+const STORED_ERROR_STATUSES = [409, 422];
+
+const isStored = (status) => status < 400 || STORED_ERROR_STATUSES.includes(status);
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body || null]))
+  .digest('hex');
+
+// Returns middleware that replays the stored response when a POST is retried with the same Idempotency-Key.
+// Mount it after authentication so keys are scoped to the merchant. Responses are stored as
+// redact(body), so routes that return secrets can keep them out of the table; replays then lack them.
+const idempotent = ({ redact = body => body } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (req.method !== 'POST' || !key) {
+    return next();
+  }
+  if (key.length > 255) {
+    return next(errors.invalidRequest('Idempotency key must be at most 255 characters.', { param: 'Idempotency-Key' }));
+  }
+
+  // Test and live requests get separate key spaces, so one key can't replay across modes.
+  const scope = req.auth ? `${req.auth.merchant_id}:${req.auth.livemode ? 'live' : 'test'}` : `ip:${req.ip}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    // An expired key is treated as if it had never been used.
+    await db.query(
+      'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND created_at < NOW() - make_interval(hours => $3)',
+      [scope, key, KEY_TTL_HOURS]
+    );
+
+    const { rows: claimed } = await db.query(
+      'INSERT INTO idempotency_keys(scope, idempotency_key, request_hash) VALUES($1, $2, $3) ON CONFLICT DO NOTHING RETURNING idempotency_key',
+      [scope, key, requestHash]
+    );
+
+    if (claimed.length === 0) {
+      const { rows } = await db.query(
+        'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+        [scope, key]
+      );
+      const stored = rows[0];
+      if (stored && stored.request_hash !== requestHash) {
+        return next(errors.idempotency(422, 'idempotency_key_reused', 'Idempotency key has already been used with different request parameters.'));
+      }
+      if (!stored || stored.response_status === null) {
+        return next(errors.idempotency(409, 'idempotency_key_in_use', 'A request with this idempotency key is still being processed.'));
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  let settled = false;
+  const release = () => db.query('DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2', [scope, key]);
+
+  // Store the response before it goes out so an immediate retry already sees it.
+  // Other errors release the key instead, so the client can fix the request (or wait out
+  // a server error) and retry with the same key.
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const save = isStored(res.statusCode)
+      ? db.query(
+        'UPDATE idempotency_keys SET response_status = $1, response_body = $2 WHERE scope = $3 AND idempotency_key = $4',
+        [res.statusCode, JSON.stringify(redact(body)), scope, key]
+      )
+      : release();
+    save
+      .catch(err => req.log.error('Error saving idempotent response', { err }))
+      .then(() => send(body));
+    return res;
+  };
+
+  // A request that ends without a JSON response (e.g. an unhandled error) must not hold the key.
+  res.on('close', () => {
+    if (!settled) {
+      release().catch(err => req.log.error('Error releasing idempotency key', { err }));
+    }
+  });
+
+  next();
+};
+
+const idempotency = idempotent();
+
+const purgeExpiredKeys = () => db.query(
+  'DELETE FROM idempotency_keys WHERE created_at < NOW() - make_interval(hours => $1)',
+  [KEY_TTL_HOURS]
+);
+
+module.exports = { idempotent, idempotency, purgeExpiredKeys };
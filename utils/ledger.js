@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+// Every balance transaction posts entries to these accounts that sum to zero, so money
+// is only ever moved between them. A merchant's balance is the sum of their two accounts.
+const ACCOUNTS = {
+  PENDING: 'merchant_pending',
+  AVAILABLE: 'merchant_available',
+  FEES: 'platform_fees',
+  ADJUSTMENTS: 'platform_adjustments',
+  EXTERNAL: 'external', // card networks and banks outside the gateway
+};
+
+// Processing fee for a charge under the merchant's pricing. Never more than the charge itself.
+const calculateFee = (amount, { fee_percent, fee_fixed }) => {
+  const fee = Math.round(amount * parseFloat(fee_percent) / 100) + fee_fixed;
+  return Math.min(fee, amount);
+};
+
+const post = async (client, txn, entries) => {
+  const total = entries.reduce((sum, [, amount]) => sum + amount, 0);
+  if (total !== 0) {
+    throw new Error(`Unbalanced ledger posting for ${txn.id}: entries sum to ${total}`);
+  }
+  for (const [account, amount] of entries) {
+    if (amount === 0) {
+      continue;
+    }
+    await client.query(
+      'INSERT INTO ledger_entries(balance_transaction_id, merchant_id, livemode, account, amount, currency) VALUES($1, $2, $3, $4, $5, $6)',
+      [txn.id, txn.merchant_id, txn.livemode, account, amount, txn.currency]
+    );
+  }
+};
+
+const createTransaction = async (client, fields, entries) => {
+  const {
+    merchant_id, livemode, type, source_id = null, amount, fee = 0, currency,
+    status = 'available', delay_days = 0, description = null,
+  } = fields;
+  const { rows } = await client.query(
+    `INSERT INTO balance_transactions(id, merchant_id, livemode, type, source_id, amount, fee, net, currency, status, available_on, description)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + make_interval(days => $11), $12) RETURNING *`,
+    [`txn_${uuidv4()}`, merchant_id, livemode, type, source_id, amount, fee, amount - fee, currency, status, delay_days, description]
+  );
+  await post(client, rows[0], entries);
+  return rows[0];
+};
+
+// Books the captured amount of a charge, less fees, as pending until the merchant's settlement delay
+// has passed. Call inside the transaction that captures the charge; returns the charge with
+// `balance_transaction` set.
+const recordCharge = async (charge, { client }) => {
+  const { rows: merchantRows } = await client.query(
+    'SELECT fee_percent, fee_fixed, settlement_delay_days FROM merchants WHERE merchant_id = $1',
+    [charge.merchant_id]
+  );
+  const pricing = merchantRows[0];
+  const gross = charge.amount_captured;
+  const fee = calculateFee(gross, pricing);
+
+  const txn = await createTransaction(client, {
+    merchant_id: charge.merchant_id,
+    livemode: charge.livemode,
+    type: 'charge',
+    source_id: charge.id,
+    amount: gross,
+    fee,
+    currency: charge.currency,
+    status: 'pending',
+    delay_days: pricing.settlement_delay_days,
+    description: charge.description,
+  }, [
+    [ACCOUNTS.EXTERNAL, -gross],
+    [ACCOUNTS.PENDING, gross - fee],
+    [ACCOUNTS.FEES, fee],
+  ]);
+
+  const { rows } = await client.query(
+    'UPDATE charges SET balance_transaction = $1 WHERE id = $2 RETURNING *',
+    [txn.id, charge.id]
+  );
+  return rows[0];
+};
+
+// Refunds come straight out of the available balance; the original fee is not returned.
+const recordRefund = async (refund, { client }) => {
+  const txn = await createTransaction(client, {
+    merchant_id: refund.merchant_id,
+    livemode: refund.livemode,
+    type: 'refund',
+    source_id: refund.id,
+    amount: -refund.amount,
+    currency: refund.currency,
+  }, [
+    [ACCOUNTS.AVAILABLE, -refund.amount],
+    [ACCOUNTS.EXTERNAL, refund.amount],
+  ]);
+
+  const { rows } = await client.query(
+    'UPDATE refunds SET balance_transaction = $1 WHERE id = $2 RETURNING *',
+    [txn.id, refund.id]
+  );
+  return rows[0];
+};
+
+// Manual credit (positive amount) or debit (negative) made by an operator.
+const recordAdjustment = async ({ merchant_id, livemode, amount, currency, description }, { client }) => createTransaction(client, {
+  merchant_id,
+  livemode,
+  type: 'adjustment',
+  amount,
+  currency,
+  description,
+}, [
+  [ACCOUNTS.AVAILABLE, amount],
+  [ACCOUNTS.ADJUSTMENTS, -amount],
+]);
+
+// Takes a payout's amount out of the available balance as soon as the payout is created.
+const recordPayout = async (payout, { client }) => createTransaction(client, {
+  merchant_id: payout.merchant_id,
+  livemode: payout.livemode,
+  type: 'payout',
+  source_id: payout.id,
+  amount: -payout.amount,
+  currency: payout.currency,
+  description: payout.description,
+}, [
+  [ACCOUNTS.AVAILABLE, -payout.amount],
+  [ACCOUNTS.EXTERNAL, payout.amount],
+]);
+
+// Returns the funds of a payout the bank rejected, so the next payout picks them up again.
+const recordPayoutFailure = async (payout, { client }) => createTransaction(client, {
+  merchant_id: payout.merchant_id,
+  livemode: payout.livemode,
+  type: 'payout_failure',
+  source_id: payout.id,
+  amount: payout.amount,
+  currency: payout.currency,
+  description: payout.failure_message,
+}, [
+  [ACCOUNTS.EXTERNAL, -payout.amount],
+  [ACCOUNTS.AVAILABLE, payout.amount],
+]);
+
+// A lost dispute takes the disputed amount back out of the available balance, plus the dispute fee.
+const recordDisputeLoss = async (dispute, { fee, client }) => createTransaction(client, {
+  merchant_id: dispute.merchant_id,
+  livemode: dispute.livemode,
+  type: 'dispute',
+  source_id: dispute.id,
+  amount: -dispute.amount,
+  fee,
+  currency: dispute.currency,
+  description: `Lost dispute on ${dispute.charge_id}`,
+}, [
+  [ACCOUNTS.AVAILABLE, -dispute.amount - fee],
+  [ACCOUNTS.EXTERNAL, dispute.amount],
+  [ACCOUNTS.FEES, fee],
+]);
+
+// Moves funds whose settlement date has passed from pending to available.
+// Locked rows are skipped, so several workers can run this at once.
+const settle = async ({ limit = 500 } = {}) => db.transaction(async (client) => {
+  const { rows } = await client.query(
+    `SELECT * FROM balance_transactions WHERE status = 'pending' AND available_on <= NOW()
+     ORDER BY available_on LIMIT $1 FOR UPDATE SKIP LOCKED`,
+    [limit]
+  );
+  for (const txn of rows) {
+    await post(client, txn, [
+      [ACCOUNTS.PENDING, -txn.net],
+      [ACCOUNTS.AVAILABLE, txn.net],
+    ]);
+    await client.query("UPDATE balance_transactions SET status = 'available' WHERE id = $1", [txn.id]);
+  }
+  return rows;
+});
+
+// Pending and available amounts per currency, in the shape returned by GET /v1/balance.
+const getBalance = async (merchantId, livemode) => {
+  const { rows } = await db.query(
+    `SELECT account, currency, SUM(amount) AS amount FROM ledger_entries
+     WHERE merchant_id = $1 AND livemode = $2 AND account IN ($3, $4)
+     GROUP BY account, currency ORDER BY currency`,
+    [merchantId, livemode, ACCOUNTS.PENDING, ACCOUNTS.AVAILABLE]
+  );
+  const balance = { object: 'balance', livemode, available: [], pending: [] };
+  for (const row of rows) {
+    const entry = { amount: parseInt(row.amount, 10), currency: row.currency };
+    (row.account === ACCOUNTS.AVAILABLE ? balance.available : balance.pending).push(entry);
+  }
+  return balance;
+};
+
+module.exports = {
+  ACCOUNTS,
+  calculateFee,
+  recordCharge,
+  recordRefund,
+  recordAdjustment,
+  recordPayout,
+  recordPayoutFailure,
+  recordDisputeLoss,
+  settle,
+  getBalance,
+};
@@ -0,0 +1,58 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Structured logs: one JSON object per line with the time, level and message, plus any fields
+// passed along. An Error passed as `err` is expanded to its message and stack. Info and debug
+// lines go to stdout, warnings and errors to stderr.
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const MIN_LEVEL = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+const serialize = (fields) => {
+  const { err, ...rest } = fields;
+  if (!err) {
+    return rest;
+  }
+  return { ...rest, error: { message: err.message, code: err.code, stack: err.stack } };
+};
+
+// Returns a logger whose lines all carry `context`; child() adds to it.
+const createLogger = (context = {}) => {
+  const write = (level, message, fields = {}) => {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(MIN_LEVEL)) {
+      return;
+    }
+    const line = JSON.stringify({ time: new Date().toISOString(), level, message, ...context, ...serialize(fields) });
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: fields => createLogger({ ...context, ...fields }),
+  };
+};
+
+// Middleware, mounted first: gives each request an ID, returned in the X-Request-Id header and in
+// error bodies, and a logger that carries it as req.log. A well-formed incoming X-Request-Id is kept
+// so callers can trace a request through their own logs. Logs every response once it is sent.
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,200}$/.test(incoming) ? incoming : `req_${uuidv4()}`;
+  req.log = createLogger({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    req.log.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - started) / 1e6,
+      merchant_id: req.auth ? req.auth.merchant_id : undefined,
+    });
+  });
+  next();
+};
+
+module.exports = { ...createLogger(), createLogger, requestContext };
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Columns that are safe to return; the password hash never leaves the database.
+const USER_COLUMNS = 'id, merchant_id, email, name, role, last_login_at, created_at';
+
+// Unlike API keys, passwords are guessable, so they get a salted, deliberately slow hash:
+// `<salt>:<scrypt hash>`, both hex.
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const given = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(given, expected);
+};
+
+const findForMerchant = async (client, id, merchantId, { forUpdate = false } = {}) => {
+  const { rows } = await client.query(
+    `SELECT ${USER_COLUMNS} FROM merchant_users WHERE id = $1 AND merchant_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id, merchantId]
+  );
+  return rows[0] || null;
+};
+
+// Locks the merchant's owners, so that two requests can't each remove one of the last two.
+const lockOwners = async (client, merchantId) => {
+  const { rows } = await client.query(
+    "SELECT id FROM merchant_users WHERE merchant_id = $1 AND role = 'owner' FOR UPDATE",
+    [merchantId]
+  );
+  return rows;
+};
+
+// Adds a team member and returns it, or null if the email already belongs to one, on any account.
+// The unique index decides, so two requests racing for the same email can't both succeed.
+const create = async (client, merchantId, { email, name = null, role, passwordHash }) => {
+  try {
+    const { rows } = await client.query(
+      `INSERT INTO merchant_users(id, merchant_id, email, name, role, password_hash) VALUES($1, $2, $3, $4, $5, $6)
+       RETURNING ${USER_COLUMNS}`,
+      [`usr_${uuidv4()}`, merchantId, email, name, role, passwordHash]
+    );
+    return rows[0];
+  } catch (err) {
+    if (db.isUniqueViolation(err, 'merchant_users_email_idx')) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+// Checks a password for login; returns the member, or null if the email or password is wrong.
+const authenticate = async (email, password) => {
+  const { rows } = await db.query(
+    `SELECT ${USER_COLUMNS}, password_hash FROM merchant_users WHERE lower(email) = lower($1)`,
+    [email]
+  );
+  if (rows.length === 0 || !(await verifyPassword(password, rows[0].password_hash))) {
+    return null;
+  }
+  const { password_hash, ...user } = rows[0];
+  return user;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  USER_COLUMNS,
+  hashPassword,
+  findForMerchant,
+  lockOwners,
+  create,
+  authenticate,
+};
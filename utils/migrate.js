@@ -0,0 +1,190 @@
+// Versioned schema migrations. Each migration is a pair of files in migrations/:
+//
+//   0002_add_widgets.up.sql     applies the change
+//   0002_add_widgets.down.sql   reverts it (optional; without one the migration cannot be rolled back)
+//
+// They run in version order, each in its own transaction together with its row in schema_migrations,
+// so a failing migration leaves neither a half-applied schema nor a record of it. An advisory lock
+// keeps two runners, e.g. from two deploys, from migrating at the same time.
+//
+// Usage: npm run migrate [up | down [steps] | status]
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+const LOCK_KEY = 7245190316; // Arbitrary, shared by every runner
+
+// Reads migrations/ into [{ version, name, up, down }], oldest first. up and down are file paths.
+const loadMigrations = () => {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Unexpected file in migrations/: ${file}`);
+    }
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, migration);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+  }
+  return migrations;
+};
+
+// Versions recorded in schema_migrations, without creating the table, so it is safe for read-only checks.
+const appliedVersions = async (client) => {
+  const { rows: [{ exists }] } = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  if (!exists) {
+    return new Map();
+  }
+  const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+};
+
+const pending = async (client = db) => {
+  const applied = await appliedVersions(client);
+  return loadMigrations().filter(migration => !applied.has(migration.version));
+};
+
+// Runs fn on a dedicated client holding the migration lock.
+const withLock = async (fn) => {
+  const client = await db.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, file, record) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(fs.readFileSync(file, 'utf8'));
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+};
+
+// Applies every pending migration and returns them.
+const up = () => withLock(async (client) => {
+  const migrations = await pending(client);
+  for (const migration of migrations) {
+    console.log(`Applying ${migration.version}_${migration.name}`);
+    await runInTransaction(client, migration.up, () => client.query(
+      'INSERT INTO schema_migrations(version, name) VALUES($1, $2)',
+      [migration.version, migration.name]
+    ));
+  }
+  return migrations;
+});
+
+// Reverts the latest `steps` applied migrations, newest first, and returns them.
+const down = (steps = 1) => withLock(async (client) => {
+  const applied = await appliedVersions(client);
+  const migrations = loadMigrations();
+  const latest = [...applied.keys()].sort((a, b) => Number(b) - Number(a)).slice(0, steps);
+  const reverted = [];
+  for (const version of latest) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version}_${applied.get(version).name} is missing from migrations/`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${version}_${migration.name} has no .down.sql file and cannot be reverted`);
+    }
+    console.log(`Reverting ${version}_${migration.name}`);
+    await runInTransaction(client, migration.down, () => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [version]
+    ));
+    reverted.push(migration);
+  }
+  return reverted;
+});
+
+// Lists every migration, applied or pending, plus any applied one whose files have since disappeared.
+const status = async () => {
+  const applied = await appliedVersions(db);
+  const migrations = loadMigrations();
+  const rows = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    status: applied.has(migration.version) ? 'applied' : 'pending',
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+  }));
+  for (const [version, row] of applied) {
+    if (!migrations.some(migration => migration.version === version)) {
+      rows.push({ version, name: row.name, status: 'missing', applied_at: row.applied_at });
+    }
+  }
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+// Throws unless every migration has been applied. The server and worker call this at startup,
+// so new code never runs against an old schema.
+const assertUpToDate = async () => {
+  const migrations = await pending();
+  if (migrations.length > 0) {
+    const names = migrations.map(migration => `${migration.version}_${migration.name}`).join(', ');
+    throw new Error(`The database has ${migrations.length} pending migration(s): ${names}. Run \`npm run migrate up\` first.`);
+  }
+};
+
+const main = async ([command = 'status', arg]) => {
+  if (command === 'up') {
+    const applied = await up();
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Already up to date.');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('down takes the number of migrations to revert, 1 or more.');
+    }
+    const reverted = await down(steps);
+    console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s).` : 'Nothing to revert.');
+  } else if (command === 'status') {
+    for (const row of await status()) {
+      const appliedAt = row.applied_at ? `  ${new Date(row.applied_at).toISOString()}` : '';
+      console.log(`${row.status.padEnd(8)} ${row.version}_${row.name}${appliedAt}`);
+    }
+  } else {
+    throw new Error(`Unknown command: ${command}. Use up, down [steps] or status.`);
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.end())
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  pending,
+  up,
+  down,
+  status,
+  assertUpToDate,
+};
@@ -0,0 +1,217 @@
+// The API's OpenAPI 3 document, built by swagger-jsdoc from the @swagger comments on the routes.
+// Served at /api-docs, and the source the client SDK in sdk/ is generated from.
+const path = require('path');
+const swaggerJsDoc = require('swagger-jsdoc');
+const { TEST_CARDS } = require('./testCards');
+const permissions = require('./permissions');
+const errors = require('./errors');
+
+const swaggerOptions = {
+  swaggerDefinition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Payment Gateway API',
+      version: '1.0.0',
+      description: [
+        'A simple payment gateway API',
+        '',
+        'Requests are rate limited per merchant, with separate budgets for reads (GET) and writes.',
+        'Every response carries `RateLimit-Limit` (requests per minute) and `RateLimit-Remaining`;',
+        'a `429` response also carries `Retry-After`, in seconds.',
+        '',
+        'Every response carries an `X-Request-Id` header; quote it when reporting a problem. A well-formed',
+        '`X-Request-Id` sent with the request is used instead of a generated one.',
+        '',
+        'Errors share one format: `{ "error": { "type", "code", "message", "param", "request_id" } }`.',
+        'Branch on `type` and `code`, not on `message`. `param` names the request parameter at fault, if any.',
+        '',
+        '| type | Meaning |',
+        '| --- | --- |',
+        ...Object.entries(errors.ERROR_TYPES).map(([type, meaning]) => `| ${type} | ${meaning} |`),
+      ].join('\n'),
+    },
+    servers: [
+      {
+        url: 'http://localhost:3000',
+      },
+    ],
+    tags: [
+      {
+        name: 'Charges',
+        description: [
+          'Test cards: tokenize one of these numbers (any future expiry, any CVC) to get a fixed outcome.',
+          '',
+          '| Card number | Behaviour | failure_code |',
+          '| --- | --- | --- |',
+          ...TEST_CARDS.map(card => `| ${card.number} | ${card.description} | ${card.failure_code || ''} |`),
+        ].join('\n'),
+      },
+      {
+        name: 'Radar',
+        description: [
+          'Radar assesses every charge before it goes to the issuer and stores the result on the charge as `outcome`:',
+          'a `risk_score` from 0 to 99, its `risk_level` (normal, elevated from 65, highest from 75), the `action` taken',
+          'and the `rule` that decided it. Charges at the highest risk level are blocked unless an allow rule matches.',
+          'Blocked charges fail with `failure_code` `blocked`; charges sent to review wait `in_review` until approved or rejected.',
+        ].join('\n'),
+      },
+      {
+        name: 'Checkout',
+        description: [
+          'Checkout sessions take payment on a page we host, so card details never reach your servers.',
+          'Create a session, redirect the shopper to its `url`, and fulfil the order on `checkout.session.completed`.',
+          'The `/checkout/...` endpoints serve that page and are called from the shopper\'s browser; they take no API key.',
+        ].join('\n'),
+      },
+      {
+        name: 'Payment Intents',
+        description: [
+          'Payment intents take a payment through explicit states, including 3-D Secure authentication for Strong Customer Authentication:',
+          '`requires_payment_method` → `requires_confirmation` → `requires_action` (only if the card needs 3-D Secure) → `processing` → `succeeded`,',
+          'or `canceled`. A failed attempt or challenge returns the intent to `requires_payment_method`. Each attempt creates a charge.',
+          'The `/3ds/...` pages simulate the issuer\'s challenge; test cards marked as requiring 3-D Secure are declined when charged directly.',
+        ].join('\n'),
+      },
+      {
+        name: 'Team',
+        description: [
+          'Team members log in with their own email and password and act with the permissions of their role.',
+          'Restricted API keys (`rk_...`) carry their own permissions, chosen when the key is created.',
+          'A permission gives `read` (GET requests) or `write` (everything) access to a resource; requests outside',
+          'them fail with `403` and code `insufficient_permissions`. Secret keys have full access.',
+          '',
+          '| Role | Access |',
+          '| --- | --- |',
+          ...Object.entries(permissions.ROLES).map(([role, { description }]) => `| ${role} | ${description} |`),
+          '',
+          '| Resource | Covers |',
+          '| --- | --- |',
+          ...Object.entries(permissions.RESOURCES).map(([resource, covers]) => `| ${resource} | ${covers} |`),
+        ].join('\n'),
+      },
+    ],
+    components: {
+      responses: {
+        Error: {
+          description: 'An error; see the error format above.',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+        },
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A secret API key (`sk_test_...` / `sk_live_...`), a restricted key (`rk_...`) or a JWT from `/v1/merchants/login`. Token creation also accepts a publishable key (`pk_...`).',
+        },
+        adminAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Operator key from the ADMIN_API_KEY environment variable.',
+        },
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string' },
+          description: 'Unique key that makes a POST safe to retry. Replays return the original response for 24 hours. Error responses other than 409 and 422 are not kept, so a retry with the same key runs the request again.',
+        },
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', default: 10, minimum: 1, maximum: 100 },
+          description: 'Maximum number of objects to return.',
+        },
+        StartingAfter: {
+          in: 'query',
+          name: 'starting_after',
+          schema: { type: 'string' },
+          description: 'Object ID to continue after: pass the last ID of the previous page to fetch the next one.',
+        },
+        EndingBefore: {
+          in: 'query',
+          name: 'ending_before',
+          schema: { type: 'string' },
+          description: 'Object ID to stop before: pass the first ID of the current page to fetch the previous one.',
+        },
+        AmountRange: {
+          in: 'query',
+          name: 'amount',
+          style: 'deepObject',
+          explode: true,
+          schema: {
+            type: 'object',
+            properties: { gt: { type: 'integer' }, gte: { type: 'integer' }, lt: { type: 'integer' }, lte: { type: 'integer' } },
+          },
+          description: 'Amount bounds in the smallest currency unit, e.g. `amount[gte]=1000&amount[lt]=5000`. A plain `amount=1000` matches exactly.',
+        },
+        CreatedRange: {
+          in: 'query',
+          name: 'created',
+          style: 'deepObject',
+          explode: true,
+          schema: {
+            type: 'object',
+            properties: { gt: { type: 'string' }, gte: { type: 'string' }, lt: { type: 'string' }, lte: { type: 'string' } },
+          },
+          description: 'Creation time bounds as Unix timestamps or ISO 8601 dates, e.g. `created[gte]=2024-01-01`.',
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: Object.keys(errors.ERROR_TYPES) },
+                code: { type: 'string', description: 'Machine-readable reason, such as `resource_missing` or `parameter_invalid`.' },
+                message: { type: 'string', description: 'Human-readable explanation.' },
+                param: { type: 'string', nullable: true, description: 'The request parameter at fault, if any.' },
+                request_id: { type: 'string', description: 'Matches the `X-Request-Id` response header.' },
+              },
+            },
+          },
+        },
+        CardDetails: {
+          type: 'object',
+          required: ['number', 'exp_month', 'exp_year', 'cvc'],
+          properties: {
+            number: { type: 'string', description: 'Card number. Spaces and dashes are ignored.' },
+            exp_month: { type: 'integer', description: 'Expiry month (1-12).' },
+            exp_year: { type: 'integer', description: 'Four-digit expiry year.' },
+            cvc: { type: 'string', description: 'Card security code. Checked but never stored.' },
+          },
+        },
+        BillingDetails: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            email: { type: 'string' },
+            phone: { type: 'string' },
+            address: {
+              type: 'object',
+              properties: {
+                line1: { type: 'string' },
+                line2: { type: 'string' },
+                city: { type: 'string' },
+                state: { type: 'string' },
+                postal_code: { type: 'string' },
+                country: { type: 'string', description: 'Two-letter country code.' },
+              },
+            },
+          },
+        },
+      },
+    },
+    security: [
+      {
+        bearerAuth: [],
+      },
+    ],
+  },
+  apis: [path.join(__dirname, '..', 'routes', '*.js')],
+};
+
+module.exports = swaggerJsDoc(swaggerOptions);
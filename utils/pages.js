@@ -0,0 +1,38 @@
+// Server-rendered pages shown to shoppers and cardholders, such as the hosted checkout page.
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+// Wraps page content in a minimal, self-contained HTML document. `body` must already be escaped.
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f6f8fa; color: #1f2328; margin: 0; }
+  main { max-width: 420px; margin: 40px auto; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 24px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+  td { padding: 4px 0; }
+  td:last-child { text-align: right; }
+  tr.total td { border-top: 1px solid #d0d7de; font-weight: 600; padding-top: 8px; }
+  label { display: block; font-size: 14px; margin: 12px 0 4px; }
+  input { width: 100%; box-sizing: border-box; padding: 8px; font-size: 16px; border: 1px solid #d0d7de; border-radius: 4px; }
+  .row { display: flex; gap: 8px; }
+  button { width: 100%; margin-top: 20px; padding: 10px; font-size: 16px; background: #0969da; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+  button:disabled { opacity: 0.6; }
+  .notice { color: #9a6700; font-size: 14px; }
+  .error { color: #cf222e; min-height: 1.2em; }
+  .links { margin-top: 16px; text-align: center; font-size: 14px; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+
+module.exports = { escapeHtml, renderPage };
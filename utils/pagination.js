@@ -0,0 +1,211 @@
+// Cursor pagination and list filters. Lists are ordered newest first by (created_at, id), and a page
+// is addressed by the ID of the object it continues from, so rows inserted between requests never
+// shift later pages the way OFFSET does. No COUNT(*) is needed: fetching one row more than the page
+// size tells whether there is more.
+const currencies = require('./currencies');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Returns the page size, or null if limit is not an integer between 1 and MAX_LIMIT.
+const parseLimit = (limit) => {
+  if (limit === undefined) {
+    return DEFAULT_LIMIT;
+  }
+  const pageSize = typeof limit === 'string' && /^\d+$/.test(limit) ? Number(limit) : NaN;
+  return pageSize >= 1 && pageSize <= MAX_LIMIT ? pageSize : null;
+};
+
+const LIMIT_ERROR = { error: `Limit must be an integer between 1 and ${MAX_LIMIT}.`, param: 'limit' };
+
+// Validates limit, starting_after and ending_before.
+// Returns { error, param } or { limit, startingAfter, endingBefore }.
+const parseCursor = (query) => {
+  const { limit, starting_after: startingAfter, ending_before: endingBefore, offset } = query;
+  if (offset !== undefined) {
+    return { error: 'offset is not supported on this list. Page with starting_after or ending_before instead.', param: 'offset' };
+  }
+  const pageSize = parseLimit(limit);
+  if (pageSize === null) {
+    return LIMIT_ERROR;
+  }
+  if (startingAfter !== undefined && typeof startingAfter !== 'string') {
+    return { error: 'starting_after must be an object ID.', param: 'starting_after' };
+  }
+  if (endingBefore !== undefined && typeof endingBefore !== 'string') {
+    return { error: 'ending_before must be an object ID.', param: 'ending_before' };
+  }
+  if (startingAfter && endingBefore) {
+    return { error: 'Pass either starting_after or ending_before, not both.', param: 'ending_before' };
+  }
+  return { limit: pageSize, startingAfter, endingBefore };
+};
+
+// For the lists that still page with limit and offset. Validates both, and that each of `filters`
+// names a query parameter that is absent or a single string, e.g. not `charge[]=`.
+// Returns { error, param } or { limit, offset }.
+const parseOffset = (query, filters = []) => {
+  const limit = parseLimit(query.limit);
+  if (limit === null) {
+    return LIMIT_ERROR;
+  }
+  let offset = 0;
+  if (query.offset !== undefined) {
+    offset = typeof query.offset === 'string' && /^\d+$/.test(query.offset) ? Number(query.offset) : null;
+    if (offset === null || !Number.isSafeInteger(offset)) {
+      return { error: 'Offset must be a non-negative integer.', param: 'offset' };
+    }
+  }
+  const invalid = filters.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (invalid) {
+    return { error: `${invalid} must be a single value.`, param: invalid };
+  }
+  return { limit, offset };
+};
+
+// Accepts a Unix timestamp in seconds or an ISO 8601 date.
+const parseTimestamp = (value) => {
+  if (/^\d+$/.test(value)) {
+    return new Date(Number(value) * 1000);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Collects WHERE conditions for a list query from request parameters, starting from the
+// merchant scope. Each add* function returns { error, param } for an invalid value, or null.
+const createFilters = (where, params) => {
+  const conditions = [where];
+  const values = [...params];
+
+  const bind = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const equals = (column, value) => {
+    if (value !== undefined) {
+      conditions.push(`${column} = ${bind(value)}`);
+    }
+  };
+
+  const addEnum = (column, param, value, allowed) => {
+    if (value === undefined) {
+      return null;
+    }
+    if (!allowed.includes(value)) {
+      return { error: `${param[0].toUpperCase()}${param.slice(1)} must be one of: ${allowed.join(', ')}.`, param };
+    }
+    equals(column, value);
+    return null;
+  };
+
+  const addCurrency = (column, param, value) => {
+    if (value === undefined) {
+      return null;
+    }
+    if (typeof value !== 'string' || !currencies.lookup(value)) {
+      return { error: `Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, param };
+    }
+    equals(column, value.toLowerCase());
+    return null;
+  };
+
+  // Accepts an exact value (`amount=500`) or bounds (`amount[gte]=100&amount[lt]=500`).
+  // parse turns one raw query value into a typed one, or null if it is invalid.
+  const addRange = (column, param, value, parse, description) => {
+    if (value === undefined) {
+      return null;
+    }
+    const bounds = typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+    for (const [op, raw] of Object.entries(bounds)) {
+      const operator = op === 'eq' ? '=' : RANGE_OPERATORS[op];
+      const label = op === 'eq' ? param : `${param}[${op}]`;
+      if (!operator) {
+        return { error: `Unknown range operator ${op}. Use one of: ${Object.keys(RANGE_OPERATORS).join(', ')}.`, param: label };
+      }
+      const parsed = typeof raw === 'string' ? parse(raw) : null;
+      if (parsed === null) {
+        return { error: `${label} must be ${description}.`, param: label };
+      }
+      conditions.push(`${column} ${operator} ${bind(parsed)}`);
+    }
+    return null;
+  };
+
+  // Adds a condition built by a function that binds its own values, e.g. a compiled search query.
+  const addCondition = (build) => {
+    conditions.push(build(bind));
+  };
+
+  const addAmountRange = (column, param, value) => addRange(
+    column, param, value, raw => (/^\d+$/.test(raw) ? Number(raw) : null), 'a non-negative integer'
+  );
+
+  const addCreatedRange = (column, param, value) => addRange(
+    column, param, value, parseTimestamp, 'a Unix timestamp or an ISO 8601 date'
+  );
+
+  return {
+    equals,
+    addCondition,
+    addEnum,
+    addCurrency,
+    addAmountRange,
+    addCreatedRange,
+    scope: { where, params: [...params] },
+    get where() {
+      return conditions.join(' AND ');
+    },
+    get params() {
+      return [...values];
+    },
+  };
+};
+
+// Fetches one page of `table` matching the filters, newest first.
+// Returns { error, param, code } if the cursor object does not exist, or the list body. The cursor only has to
+// be in the merchant's scope, not match the filters, so paging survives an object changing status.
+const paginate = async (client, table, filters, { limit, startingAfter, endingBefore }) => {
+  const cursor = startingAfter || endingBefore;
+  let { where } = filters;
+  const { params } = filters;
+  let order = 'DESC';
+
+  if (cursor) {
+    const { scope } = filters;
+    const { rows } = await client.query(
+      `SELECT 1 FROM ${table} WHERE id = $${scope.params.length + 1} AND ${scope.where}`,
+      [...scope.params, cursor]
+    );
+    if (rows.length === 0) {
+      return { error: `No such object: ${cursor}.`, param: startingAfter ? 'starting_after' : 'ending_before', code: 'resource_missing' };
+    }
+    params.push(cursor);
+    // Compare in SQL so the cursor keeps the column's full timestamp precision.
+    const comparison = startingAfter ? '<' : '>';
+    where += ` AND (created_at, id) ${comparison} (SELECT created_at, id FROM ${table} WHERE id = $${params.length})`;
+    order = startingAfter ? 'DESC' : 'ASC';
+  }
+
+  const { rows } = await client.query(
+    `SELECT * FROM ${table} WHERE ${where} ORDER BY created_at ${order}, id ${order} LIMIT $${params.length + 1}`,
+    [...params, limit + 1]
+  );
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (order === 'ASC') {
+    data.reverse();
+  }
+  return { object: 'list', has_more: hasMore, data };
+};
+
+module.exports = {
+  MAX_LIMIT,
+  parseTimestamp,
+  createFilters,
+  parseCursor,
+  parseOffset,
+  paginate,
+};
@@ -0,0 +1,128 @@
+// Payment intents: a payment modelled as a state machine, for cards whose issuers may demand that the
+// cardholder authenticates (3-D Secure, as required by SCA in Europe) before they are charged.
+//
+//   requires_payment_method  no card yet, or the last attempt failed and another card is needed
+//   requires_confirmation    a card is attached; confirming the intent starts the payment
+//   requires_action          the cardholder must complete the 3-D Secure challenge at next_action.redirect_url
+//   processing               a charge is in flight
+//   succeeded                the charge succeeded
+//   canceled                 the merchant gave up on the payment
+//
+// Every attempt is an ordinary charge, created through charges.enqueueCharge with payment_intent_id
+// set, so radar, the ledger and webhooks see it like any other; its result moves the intent on.
+const events = require('./events');
+const charges = require('./charges');
+const testCards = require('./testCards');
+
+const PAYMENT_INTENT_STATUSES = [
+  'requires_payment_method', 'requires_confirmation', 'requires_action', 'processing', 'succeeded', 'canceled',
+];
+// Statuses in which the payment can still be changed or canceled, because no charge is in flight.
+const CANCELABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+const CANCELLATION_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer', 'abandoned'];
+
+// Where the simulated 3-D Secure challenge pages are reachable from cardholders' browsers.
+const PUBLIC_URL = (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const update = async (client, intent, fields, eventType) => {
+  const columns = Object.keys(fields);
+  const { rows } = await client.query(
+    `UPDATE payment_intents SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+     WHERE id = $${columns.length + 1} RETURNING *`,
+    [...Object.values(fields), intent.id]
+  );
+  if (eventType) {
+    await events.record(eventType, rows[0], { client });
+  }
+  return rows[0];
+};
+
+// Charges the intent's card and waits for the result in processing.
+const attempt = async (client, intent, card) => {
+  const charge = await charges.enqueueCharge({
+    merchant_id: intent.merchant_id,
+    livemode: intent.livemode,
+    customer_id: intent.customer_id,
+    amount: intent.amount,
+    currency: intent.currency,
+    description: intent.description,
+    payment_method_id: intent.payment_method_id,
+    card,
+    billing_details: intent.payment_method_details.billing_details,
+    ip_address: intent.ip_address,
+    payment_intent_id: intent.id,
+  }, { client });
+  return update(client, intent, {
+    status: 'processing', latest_charge_id: charge.id, next_action: null, last_payment_error: null,
+  }, 'payment_intent.processing');
+};
+
+// Confirms an intent in requires_confirmation: sends the cardholder to authenticate if their card
+// needs it, otherwise charges the card straight away.
+const confirm = async (client, intent) => {
+  const { card } = intent.payment_method_details;
+  if (!testCards.requiresAuthentication(card)) {
+    return attempt(client, intent, card);
+  }
+  return update(client, intent, {
+    status: 'requires_action',
+    next_action: { type: 'redirect_to_url', redirect_url: `${PUBLIC_URL}/3ds/${intent.id}`, return_url: intent.return_url },
+    last_payment_error: null,
+  }, 'payment_intent.requires_action');
+};
+
+// Applies the cardholder's answer to the 3-D Secure challenge of an intent in requires_action.
+// A failed challenge sends the intent back for another card.
+const completeAuthentication = async (client, intent, succeeded) => {
+  if (succeeded) {
+    const { card } = intent.payment_method_details;
+    return attempt(client, intent, { ...card, three_d_secure: { result: 'authenticated' } });
+  }
+  return update(client, intent, {
+    status: 'requires_payment_method',
+    next_action: null,
+    last_payment_error: {
+      code: 'payment_intent_authentication_failure',
+      message: 'The cardholder failed 3-D Secure authentication. Try again or use another card.',
+    },
+  }, 'payment_intent.payment_failed');
+};
+
+// Called with every finished charge, like billing.handleChargeResult. Settles the intent the charge
+// was an attempt at, or sends it back for another card if the charge failed.
+const handleChargeResult = async (charge, { client }) => {
+  if (!charge.payment_intent_id) {
+    return;
+  }
+  const { rows } = await client.query('SELECT * FROM payment_intents WHERE id = $1 FOR UPDATE', [charge.payment_intent_id]);
+  if (rows.length === 0 || rows[0].status !== 'processing' || rows[0].latest_charge_id !== charge.id) {
+    return; // Superseded meanwhile
+  }
+  if (charge.status === 'succeeded') {
+    await update(client, rows[0], { status: 'succeeded' }, 'payment_intent.succeeded');
+    return;
+  }
+  await update(client, rows[0], {
+    status: 'requires_payment_method',
+    last_payment_error: { charge: charge.id, code: charge.failure_code, message: charge.failure_message },
+  }, 'payment_intent.payment_failed');
+};
+
+const findForMerchant = async (client, id, { merchant_id, livemode }, { forUpdate = false } = {}) => {
+  const { rows } = await client.query(
+    `SELECT * FROM payment_intents WHERE id = $1 AND merchant_id = $2 AND livemode = $3${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id, merchant_id, livemode]
+  );
+  return rows[0] || null;
+};
+
+module.exports = {
+  PAYMENT_INTENT_STATUSES,
+  CANCELABLE_STATUSES,
+  CANCELLATION_REASONS,
+  update,
+  confirm,
+  completeAuthentication,
+  handleChargeResult,
+  findForMerchant,
+};
@@ -0,0 +1,110 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const queue = require('./queue');
+const events = require('./events');
+const ledger = require('./ledger');
+
+const PAYOUT_INTERVALS = ['daily', 'weekly', 'manual'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How long the simulated bank rail takes to accept a payout, and then to deliver it.
+const TRANSIT_DELAY_SECONDS = parseInt(process.env.PAYOUT_TRANSIT_DELAY_SECONDS, 10) || 5;
+const ARRIVAL_DELAY_SECONDS = parseInt(process.env.PAYOUT_ARRIVAL_DELAY_SECONDS, 10) || 60;
+
+const findDefaultBankAccount = async (client, merchantId, livemode, currency) => {
+  const { rows } = await client.query(
+    `SELECT * FROM bank_accounts
+     WHERE merchant_id = $1 AND livemode = $2 AND currency = $3 AND default_for_currency AND NOT deleted`,
+    [merchantId, livemode, currency]
+  );
+  return rows[0] || null;
+};
+
+// Pays out everything currently available in one currency: every settled balance transaction
+// not yet swept by an earlier payout is linked to the new one, so a payout always reconciles
+// to the transactions it contains. Returns null when there is nothing to pay out.
+// Must run inside a transaction.
+const createPayout = async ({ merchant_id, livemode, currency, bankAccount, automatic = false, description = null }, { client }) => {
+  const { rows: txns } = await client.query(
+    `SELECT id, net FROM balance_transactions
+     WHERE merchant_id = $1 AND livemode = $2 AND currency = $3 AND status = 'available' AND payout_id IS NULL
+     FOR UPDATE`,
+    [merchant_id, livemode, currency]
+  );
+  const amount = txns.reduce((sum, txn) => sum + txn.net, 0);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO payouts(id, merchant_id, livemode, bank_account_id, amount, currency, status, automatic, description, arrival_date)
+     VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(secs => $10)) RETURNING *`,
+    [`po_${uuidv4()}`, merchant_id, livemode, bankAccount.id, amount, currency, 'pending', automatic, description,
+      TRANSIT_DELAY_SECONDS + ARRIVAL_DELAY_SECONDS]
+  );
+  const txn = await ledger.recordPayout(rows[0], { client });
+  await client.query(
+    'UPDATE balance_transactions SET payout_id = $1 WHERE id = ANY($2)',
+    [rows[0].id, [...txns.map(t => t.id), txn.id]]
+  );
+  const { rows: payoutRows } = await client.query(
+    'UPDATE payouts SET balance_transaction = $1 WHERE id = $2 RETURNING *',
+    [txn.id, rows[0].id]
+  );
+
+  await events.record('payout.created', payoutRows[0], { client });
+  await queue.enqueue({ type: 'process_payout', data: payoutRows[0] }, { client, delaySeconds: TRANSIT_DELAY_SECONDS });
+  return payoutRows[0];
+};
+
+const isDue = (merchant, now) => {
+  if (merchant.payout_interval === 'daily') {
+    return true;
+  }
+  return merchant.payout_interval === 'weekly' && WEEKDAYS[now.getDay()] === merchant.payout_weekly_anchor;
+};
+
+// Creates the automatic payouts that are due today: at most one per merchant, mode and
+// currency per day, and only where a default bank account exists for the currency.
+// Merchants locked by another worker are skipped, so this is safe to run from several at once.
+const runScheduledPayouts = async (now = new Date()) => db.transaction(async (client) => {
+  const { rows: merchants } = await client.query(
+    "SELECT merchant_id, payout_interval, payout_weekly_anchor FROM merchants WHERE payout_interval <> 'manual' FOR UPDATE SKIP LOCKED"
+  );
+
+  const created = [];
+  for (const merchant of merchants.filter(m => isDue(m, now))) {
+    const { rows: accounts } = await client.query(
+      `SELECT * FROM bank_accounts b
+       WHERE merchant_id = $1 AND default_for_currency AND NOT deleted
+         AND NOT EXISTS (
+           SELECT 1 FROM payouts p
+           WHERE p.merchant_id = b.merchant_id AND p.livemode = b.livemode AND p.currency = b.currency
+             AND p.automatic AND p.created_at >= CURRENT_DATE
+         )`,
+      [merchant.merchant_id]
+    );
+    for (const bankAccount of accounts) {
+      const payout = await createPayout({
+        merchant_id: merchant.merchant_id,
+        livemode: bankAccount.livemode,
+        currency: bankAccount.currency,
+        bankAccount,
+        automatic: true,
+      }, { client });
+      if (payout) {
+        created.push(payout);
+      }
+    }
+  }
+  return created;
+});
+
+module.exports = {
+  PAYOUT_INTERVALS,
+  WEEKDAYS,
+  ARRIVAL_DELAY_SECONDS,
+  findDefaultBankAccount,
+  createPayout,
+  runScheduledPayouts,
+};
@@ -0,0 +1,107 @@
+// Who may do what. Permissions map resources to an access level: `read` allows GET requests and
+// `write` allows everything; a resource missing from the map is off limits. Team members get the
+// permissions of their role; restricted API keys (rk_...) carry their own. Secret keys have full
+// access, and so do publishable keys on the few routes that accept them.
+
+const ACCESS_LEVELS = ['read', 'write'];
+
+// Resources as routes name them in auth.authorize().
+const RESOURCES = {
+  charges: 'Charges, including captures and radar reviews',
+  customers: 'Customers',
+  refunds: 'Refunds',
+  disputes: 'Disputes',
+  payment_methods: 'Payment methods',
+  tokens: 'Card tokens',
+  payment_intents: 'Payment intents',
+  checkout_sessions: 'Checkout sessions',
+  billing: 'Products, prices, subscriptions and invoices',
+  balance: 'The balance and balance transactions',
+  payouts: 'Bank accounts, payouts and the payout schedule',
+  radar: 'Radar rules and value lists',
+  events: 'Events',
+  webhook_endpoints: 'Webhook endpoints',
+  api_keys: 'API keys',
+  team: 'Team members',
+};
+
+// A restricted key may not manage keys or people: it could use them to give itself more access.
+const KEY_RESOURCES = Object.keys(RESOURCES).filter(resource => !['api_keys', 'team'].includes(resource));
+
+const everything = (level, { except = [] } = {}) => Object.fromEntries(Object.keys(RESOURCES)
+  .filter(resource => !except.includes(resource))
+  .map(resource => [resource, level]));
+
+const ROLES = {
+  owner: {
+    description: 'Full access. The only role that can add, change or remove owners.',
+    permissions: everything('write'),
+  },
+  admin: {
+    description: 'Full access, including the team, except for owners.',
+    permissions: everything('write'),
+  },
+  developer: {
+    description: 'Full access to the API, and to restricted keys within that access, but not to secret or publishable keys or the team.',
+    permissions: everything('write', { except: ['team'] }),
+  },
+  analyst: {
+    description: 'Read-only access to everything except API keys and the team.',
+    permissions: everything('read', { except: ['api_keys', 'team'] }),
+  },
+  support: {
+    description: 'Looks up charges and payments; manages customers, refunds and disputes.',
+    permissions: {
+      charges: 'read', payment_intents: 'read', payment_methods: 'read', events: 'read',
+      customers: 'write', refunds: 'write', disputes: 'write',
+    },
+  },
+};
+
+const forRole = role => ROLES[role].permissions;
+
+// Null permissions stand for full access.
+const allows = (permissions, resource, action) => {
+  if (!permissions) {
+    return true;
+  }
+  const level = permissions[resource];
+  return action === 'read' ? ACCESS_LEVELS.includes(level) : level === 'write';
+};
+
+// Whether a credential with `granter` permissions may issue, roll or revoke a key with `granted` ones:
+// only if it has at least the key's access, so that nobody can hand themselves a wider key. Secret
+// and publishable keys (null) have full access, so they take full access to manage.
+const covers = (granter, granted) => {
+  if (!granted) {
+    return !granter || Object.keys(RESOURCES).every(resource => granter[resource] === 'write');
+  }
+  return Object.entries(granted).every(([resource, level]) => allows(granter, resource, level));
+};
+
+// Returns { error, param } unless `permissions` is a valid restricted key's map.
+const checkKeyPermissions = (permissions) => {
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions) || Object.keys(permissions).length === 0) {
+    return { error: 'Permissions must map at least one resource to read or write access.', param: 'permissions' };
+  }
+  for (const [resource, level] of Object.entries(permissions)) {
+    if (!KEY_RESOURCES.includes(resource)) {
+      return { error: `Restricted keys can be given access to: ${KEY_RESOURCES.join(', ')}.`, param: `permissions[${resource}]` };
+    }
+    if (!ACCESS_LEVELS.includes(level)) {
+      return { error: `Access must be one of: ${ACCESS_LEVELS.join(', ')}.`, param: `permissions[${resource}]` };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  RESOURCES,
+  KEY_RESOURCES,
+  ROLES,
+  forRole,
+  allows,
+  covers,
+  checkKeyPermissions,
+};
@@ -1,17 +1,99 @@
-// A simple in-memory message queue for simulation
-const queue = [];
+// A durable job queue backed by the jobs table.
+// Workers claim rows with FOR UPDATE SKIP LOCKED so several can run side by side,
+// and are woken through LISTEN/NOTIFY as soon as something is enqueued.
+const db = require('./db');
+const logger = require('./logger');
 
-const enqueue = (job) => {
-  console.log(`Adding job to queue: ${job.type} for charge ${job.data.id}`);
-  queue.push(job);
+const CHANNEL = 'jobs';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 5;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+// A running job whose lock is older than this is assumed to belong to a dead worker.
+const STALE_LOCK_MINUTES = 5;
+
+// Pass options.client to enqueue inside a caller's transaction; the job (and its
+// notification) then only becomes visible if that transaction commits.
+const enqueue = async (job, { client = db, maxAttempts = DEFAULT_MAX_ATTEMPTS, delaySeconds = 0 } = {}) => {
+  const { rows } = await client.query(
+    'INSERT INTO jobs(type, data, max_attempts, run_at) VALUES($1, $2, $3, NOW() + make_interval(secs => $4)) RETURNING *',
+    [job.type, JSON.stringify(job.data), maxAttempts, delaySeconds]
+  );
+  await client.query('SELECT pg_notify($1, $2)', [CHANNEL, String(rows[0].id)]);
+  logger.debug('Added job to queue', { job_id: rows[0].id, job_type: job.type, object_id: job.data.id });
+  return rows[0];
+};
+
+const claim = async (workerId) => {
+  const { rows } = await db.query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM jobs WHERE status = 'queued' AND run_at <= NOW()
+       ORDER BY run_at, id LIMIT 1 FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId]
+  );
+  return rows[0] || null;
+};
+
+const complete = (job) => db.query(
+  "UPDATE jobs SET status = 'succeeded', locked_at = NULL, locked_by = NULL, updated_at = NOW() WHERE id = $1",
+  [job.id]
+);
+
+const backoffSeconds = (attempts) => Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+
+// Schedules another attempt with exponential backoff, or dead-letters the job once it is out of attempts.
+const fail = async (job, err) => {
+  const dead = job.attempts >= job.max_attempts;
+  await db.query(
+    `UPDATE jobs SET status = $1, run_at = NOW() + make_interval(secs => $2), last_error = $3,
+       locked_at = NULL, locked_by = NULL, updated_at = NOW()
+     WHERE id = $4`,
+    [dead ? 'dead' : 'queued', dead ? 0 : backoffSeconds(job.attempts), err.stack || String(err), job.id]
+  );
+  return dead;
+};
+
+const recoverStale = async () => {
+  const { rows } = await db.query(
+    `UPDATE jobs SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+       last_error = 'Worker lock expired', locked_at = NULL, locked_by = NULL, updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)
+     RETURNING *`,
+    [STALE_LOCK_MINUTES]
+  );
+  return rows;
 };
 
-const dequeue = () => {
-  return queue.shift(); // Gets the first item
+// Puts a job back at the front of the queue with a fresh set of attempts.
+const retry = async (id) => {
+  const { rows } = await db.query(
+    `UPDATE jobs SET status = 'queued', attempts = 0, run_at = NOW(), locked_at = NULL, locked_by = NULL, updated_at = NOW()
+     WHERE id = $1 AND status <> 'running'
+     RETURNING *`,
+    [id]
+  );
+  if (rows.length > 0) {
+    await db.query('SELECT pg_notify($1, $2)', [CHANNEL, String(id)]);
+  }
+  return rows[0] || null;
+};
+
+// Opens a dedicated connection that calls onNotify whenever a job is enqueued.
+const listen = async (onNotify) => {
+  const client = await db.connect();
+  client.on('notification', onNotify);
+  await client.query(`LISTEN ${CHANNEL}`);
+  return client;
 };
 
 module.exports = {
   enqueue,
-  dequeue,
-  _queue: queue, // Exporting for inspection if needed
-};
\ No newline at end of file
+  claim,
+  complete,
+  fail,
+  recoverStale,
+  retry,
+  listen,
+};
@@ -0,0 +1,230 @@
+// Radar: assesses each charge for fraud before the card goes to the issuer. A charge gets a risk
+// score from 0 to 99, then the merchant's rules decide what happens to it:
+//
+//   allow   the charge goes ahead, whatever block and review rules say
+//   block   the charge fails with failure_code 'blocked'
+//   review  the charge waits in_review until it is approved or rejected through the API
+//
+// Allow rules are checked first, then block rules, then review rules; within an action the oldest
+// rule wins. Rules are predicates in the search query language (see ./search), evaluated against the
+// fields in RULE_FIELDS, and a bare `@alias` value tests membership of one of the merchant's value lists:
+//
+//   card_country:'BR' AND amount>50000
+//   charges_per_card_1h>3 OR ip_address:@blocked_ips
+const net = require('net');
+const db = require('./db');
+const search = require('./search');
+const currencies = require('./currencies');
+const testCards = require('./testCards');
+const logger = require('./logger');
+
+const RULE_ACTIONS = ['allow', 'block', 'review'];
+const VALUE_LIST_ITEM_TYPES = ['card_fingerprint', 'email', 'ip_address', 'country', 'customer_id', 'string'];
+
+// Counts of recent charges include the charge being assessed.
+const RULE_FIELDS = {
+  amount: { type: 'integer' },
+  currency: { type: 'token', lowercase: true },
+  card_brand: { type: 'token', lowercase: true },
+  card_country: { type: 'token', uppercase: true },
+  card_fingerprint: { type: 'token' },
+  billing_country: { type: 'token', uppercase: true },
+  customer: { type: 'token' },
+  email: { type: 'string', lowercase: true },
+  ip_address: { type: 'token' },
+  risk_score: { type: 'integer' },
+  risk_level: { type: 'token' },
+  charges_per_card_1h: { type: 'integer' },
+  charges_per_card_24h: { type: 'integer' },
+  charges_per_customer_1h: { type: 'integer' },
+  charges_per_customer_24h: { type: 'integer' },
+  charges_per_ip_1h: { type: 'integer' },
+  charges_per_ip_24h: { type: 'integer' },
+  currency_country_mismatch: { type: 'boolean' },
+  billing_country_mismatch: { type: 'boolean' },
+};
+
+// Applied after the merchant's own block rules; an allow rule still overrides it.
+const DEFAULT_RULES = [
+  { id: 'default_block_highest_risk', action: 'block', predicate: 'risk_level:\'highest\'' },
+];
+
+// Scores at or above these are elevated and highest risk; anything lower is normal.
+const ELEVATED_RISK_SCORE = 65;
+const HIGHEST_RISK_SCORE = 75;
+
+const riskLevel = (score) => {
+  if (score >= HIGHEST_RISK_SCORE) {
+    return 'highest';
+  }
+  return score >= ELEVATED_RISK_SCORE ? 'elevated' : 'normal';
+};
+
+// Normalizes a value list item for its list's type. Returns null if it is not a valid value.
+const normalizeItem = (itemType, value) => {
+  if (typeof value !== 'string' || value.trim() === '' || value.length > 255) {
+    return null;
+  }
+  const trimmed = value.trim();
+  switch (itemType) {
+    case 'email':
+      return trimmed.includes('@') ? trimmed.toLowerCase() : null;
+    case 'country':
+      return /^[a-z]{2}$/i.test(trimmed) ? trimmed.toUpperCase() : null;
+    case 'ip_address':
+      return net.isIP(trimmed) ? trimmed : null;
+    default:
+      return trimmed;
+  }
+};
+
+// Parses a rule predicate and checks it against RULE_FIELDS.
+// Returns { error, param } if it is invalid, or { aliases } with the value lists it refers to.
+const checkPredicate = (predicate) => {
+  try {
+    return { aliases: [...new Set(search.validate(search.parse(predicate), RULE_FIELDS))] };
+  } catch (err) {
+    if (!err.isSearchError) {
+      throw err;
+    }
+    return { error: `Invalid predicate: ${err.message}.`, param: 'predicate' };
+  }
+};
+
+// Counts the merchant's charges in the last hour and day whose `expression` equals `value`.
+const countRecent = async (charge, expression, value) => {
+  if (value === null || value === undefined) {
+    return { hour: 0, day: 0 };
+  }
+  const { rows } = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour') AS hour, COUNT(*) AS day
+     FROM charges WHERE merchant_id = $1 AND livemode = $2 AND ${expression} = $3 AND created_at > NOW() - INTERVAL '24 hours'`,
+    [charge.merchant_id, charge.livemode, value]
+  );
+  return { hour: parseInt(rows[0].hour, 10), day: parseInt(rows[0].day, 10) };
+};
+
+// A simple additive score: fast repeat use of a card, customer or IP address, a card from a country
+// that doesn't use the currency or doesn't match the billing address, and unusually large amounts.
+const scoreRisk = (signals) => {
+  let score = 10;
+  if (signals.charges_per_card_1h > 3) {
+    score += 30;
+  }
+  if (signals.charges_per_ip_1h > 5) {
+    score += 25;
+  }
+  if (signals.charges_per_customer_24h > 10) {
+    score += 15;
+  }
+  if (signals.currency_country_mismatch) {
+    score += 20;
+  }
+  if (signals.billing_country_mismatch) {
+    score += 25;
+  }
+  const currency = currencies.lookup(signals.currency);
+  if (currency && signals.amount >= currency.min_amount * 2000) {
+    score += 10;
+  }
+  return Math.min(score, 99);
+};
+
+// Gathers the values rules can refer to for a charge, as queued by charges.enqueueCharge.
+const collectSignals = async (charge) => {
+  const { card, billing_details: billingDetails } = charge.payment_method_details;
+  const address = billingDetails && billingDetails.address;
+  const cardCountry = testCards.issuingCountry(card);
+  const billingCountry = address && typeof address.country === 'string' ? address.country.toUpperCase() : null;
+  const currency = currencies.lookup(charge.currency);
+
+  let email = billingDetails && typeof billingDetails.email === 'string' ? billingDetails.email : null;
+  if (charge.customer_id) {
+    const { rows } = await db.query('SELECT email FROM customers WHERE id = $1', [charge.customer_id]);
+    email = (rows.length > 0 && rows[0].email) || email;
+  }
+
+  const perCard = await countRecent(charge, '(payment_method_details->\'card\'->>\'fingerprint\')', card.fingerprint);
+  const perCustomer = await countRecent(charge, 'customer_id', charge.customer_id);
+  const perIp = await countRecent(charge, 'ip_address', charge.ip_address);
+
+  const signals = {
+    amount: charge.amount,
+    currency: charge.currency.toLowerCase(),
+    card_brand: card.brand,
+    card_country: cardCountry,
+    card_fingerprint: card.fingerprint,
+    billing_country: billingCountry,
+    customer: charge.customer_id,
+    email: email && email.toLowerCase(),
+    ip_address: charge.ip_address || null,
+    charges_per_card_1h: perCard.hour,
+    charges_per_card_24h: perCard.day,
+    charges_per_customer_1h: perCustomer.hour,
+    charges_per_customer_24h: perCustomer.day,
+    charges_per_ip_1h: perIp.hour,
+    charges_per_ip_24h: perIp.day,
+    // Mismatches are only evaluated when both sides are known.
+    currency_country_mismatch: currency !== null && cardCountry !== null && !currency.countries.includes(cardCountry),
+    billing_country_mismatch: billingCountry !== null && cardCountry !== null && billingCountry !== cardCountry,
+  };
+  const riskScore = testCards.simulateRiskScore(card) || scoreRisk(signals);
+  return { ...signals, risk_score: riskScore, risk_level: riskLevel(riskScore) };
+};
+
+// Loads the value lists rules refer to, keeping only the items that could match this charge,
+// so large lists are never read in full.
+const loadLists = async (charge, aliases, signals) => {
+  const lists = new Map(aliases.map(alias => [alias, new Set()]));
+  const values = Object.values(signals).filter(value => typeof value === 'string');
+  if (aliases.length === 0 || values.length === 0) {
+    return lists;
+  }
+  const { rows } = await db.query(
+    `SELECT l.alias, i.value FROM radar_value_list_items i JOIN radar_value_lists l ON l.id = i.value_list_id
+     WHERE l.merchant_id = $1 AND l.livemode = $2 AND l.alias = ANY($3) AND i.value = ANY($4)`,
+    [charge.merchant_id, charge.livemode, aliases, values]
+  );
+  rows.forEach(row => lists.get(row.alias).add(row.value));
+  return lists;
+};
+
+// Assesses a queued charge. Returns the outcome to store on it:
+// { action, risk_score, risk_level, rule }, where rule is the matching rule or null.
+const assess = async (charge) => {
+  const signals = await collectSignals(charge);
+  const { rows } = await db.query(
+    'SELECT id, action, predicate FROM radar_rules WHERE merchant_id = $1 AND livemode = $2 AND active = true ORDER BY created_at, id',
+    [charge.merchant_id, charge.livemode]
+  );
+
+  const rules = [];
+  for (const rule of [...rows, ...DEFAULT_RULES]) {
+    try {
+      const tree = search.parse(rule.predicate);
+      rules.push({ ...rule, tree, aliases: search.validate(tree, RULE_FIELDS) });
+    } catch (err) {
+      // Predicates are checked when saved, so this only happens if RULE_FIELDS lost a field.
+      logger.error('Error parsing radar rule', { err, rule_id: rule.id });
+    }
+  }
+  const lists = await loadLists(charge, [...new Set(rules.flatMap(rule => rule.aliases))], signals);
+
+  const outcome = { action: 'allow', risk_score: signals.risk_score, risk_level: signals.risk_level, rule: null };
+  for (const action of RULE_ACTIONS) {
+    const match = rules.find(rule => rule.action === action && search.evaluate(rule.tree, RULE_FIELDS, signals, lists));
+    if (match) {
+      return { ...outcome, action, rule: { id: match.id, action: match.action, predicate: match.predicate } };
+    }
+  }
+  return outcome;
+};
+
+module.exports = {
+  RULE_ACTIONS,
+  VALUE_LIST_ITEM_TYPES,
+  RULE_FIELDS,
+  normalizeItem,
+  checkPredicate,
+  assess,
+};
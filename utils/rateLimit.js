@@ -0,0 +1,96 @@
+const db = require('./db');
+const errors = require('./errors');
+
+// Token buckets, stored in Postgres so every app instance draws from the same budget.
+// A bucket holds up to `capacity` tokens and refills continuously at `capacity` per minute;
+// each request takes one token, and a request finding less than one is rejected with a 429.
+const DEFAULT_LIMITS = {
+  read: parseInt(process.env.RATE_LIMIT_READ_PER_MINUTE, 10) || 1000,
+  write: parseInt(process.env.RATE_LIMIT_WRITE_PER_MINUTE, 10) || 300,
+  login: parseInt(process.env.RATE_LIMIT_LOGIN_PER_MINUTE, 10) || 10,
+};
+
+// Per-merchant overrides of the read and write budgets; NULL means the default.
+const MERCHANT_LIMIT_COLUMNS = {
+  read: 'rate_limit_read_per_minute',
+  write: 'rate_limit_write_per_minute',
+};
+
+// Refills the bucket for the time since it was last used, then takes a token if one is there.
+// The capacity is resolved in the same statement, from the merchant's override when there is one,
+// and stored with the bucket so a lowered limit takes effect immediately.
+const take = async (key, defaultLimit, { merchantId = null, column = null } = {}) => {
+  const capacity = column
+    ? `COALESCE((SELECT ${column} FROM merchants WHERE merchant_id = $3), $2)`
+    : '$2';
+  const refilled = `LEAST(EXCLUDED.capacity, b.tokens + EXTRACT(EPOCH FROM NOW() - b.updated_at) * EXCLUDED.capacity / 60)`;
+  const { rows } = await db.query(
+    `INSERT INTO rate_limit_buckets AS b (key, capacity, tokens, allowed, updated_at)
+     SELECT $1, c.capacity, c.capacity - 1, true, NOW() FROM (SELECT ${capacity}::float AS capacity) c
+     ON CONFLICT (key) DO UPDATE SET
+       capacity = EXCLUDED.capacity,
+       allowed = ${refilled} >= 1,
+       tokens = CASE WHEN ${refilled} >= 1 THEN ${refilled} - 1 ELSE ${refilled} END,
+       updated_at = NOW()
+     RETURNING capacity, tokens, allowed`,
+    column ? [key, defaultLimit, merchantId] : [key, defaultLimit]
+  );
+  return rows[0];
+};
+
+const setHeaders = (res, bucket) => {
+  res.set('RateLimit-Limit', String(Math.round(bucket.capacity)));
+  res.set('RateLimit-Remaining', String(Math.max(0, Math.floor(bucket.tokens))));
+  if (!bucket.allowed) {
+    // Seconds until the bucket has refilled one whole token.
+    res.set('Retry-After', String(Math.max(1, Math.ceil(((1 - bucket.tokens) * 60) / bucket.capacity))));
+  }
+};
+
+// Builds middleware that draws from the bucket `keyFor(req)` returns. When Postgres is unavailable
+// requests are let through rather than failing on top of the outage.
+const limiter = (keyFor) => async (req, res, next) => {
+  let bucket;
+  try {
+    bucket = await keyFor(req);
+  } catch (err) {
+    req.log.error('Error checking rate limit', { err });
+    return next();
+  }
+  setHeaders(res, bucket);
+  if (!bucket.allowed) {
+    return next(errors.rateLimited('Too many requests. Retry after the number of seconds in the Retry-After header.'));
+  }
+  next();
+};
+
+// Middleware for authenticated routes: reads (GET, HEAD) and writes have separate budgets per merchant,
+// shared between test and live mode. Mount it after authentication.
+const perMerchant = limiter((req) => {
+  const kind = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+  return take(`merchant:${req.auth.merchant_id}:${kind}`, DEFAULT_LIMITS[kind], {
+    merchantId: req.auth.merchant_id,
+    column: MERCHANT_LIMIT_COLUMNS[kind],
+  });
+});
+
+// Middleware for login: a small per-IP budget that slows down guessing API keys.
+const perIpLogin = limiter(req => take(`login:${req.ip}`, DEFAULT_LIMITS.login));
+
+// Middleware for the hosted checkout and 3-D Secure pages, which shoppers reach without an API key: a per-IP
+// budget the size of a merchant's write budget, so the pages can't be used to test stolen cards in bulk.
+const perIpHosted = limiter(req => take(`checkout:${req.ip}`, DEFAULT_LIMITS.write));
+
+// Full buckets carry no state worth keeping; drops those idle long enough to have refilled.
+const purgeIdle = async () => {
+  const { rowCount } = await db.query("DELETE FROM rate_limit_buckets WHERE updated_at < NOW() - INTERVAL '1 hour'");
+  return rowCount;
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  perMerchant,
+  perIpLogin,
+  perIpHosted,
+  purgeIdle,
+};
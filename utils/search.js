@@ -0,0 +1,373 @@
+// A small search query language, compiled to SQL conditions.
+//
+//   status:'succeeded' AND amount>=1000
+//   metadata['order_id']:'1234' OR (customer:'cus_123' AND -currency:'usd')
+//   email~'example.com' AND created>='2024-01-01'
+//
+// A clause is a field, an operator and a value. `:` tests equality (or, for `null`, absence), `~`
+// a case-insensitive substring, and `<`, `<=`, `>`, `>=` compare numbers and dates. A leading `-`
+// negates a clause or a parenthesized group. AND binds tighter than OR. Values are quoted with
+// single or double quotes; numbers, booleans and `null` may be left bare.
+// Metadata lookups compile to JSONB containment, which the GIN indexes on metadata serve.
+// Radar rules reuse the language, evaluated in memory, where a bare `@alias` value tests membership
+// of a value list: ip_address:@blocked_ips.
+const { parseTimestamp } = require('./pagination');
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_CLAUSES = 10;
+const MIN_SUBSTRING_LENGTH = 3;
+
+// Field types decide which operators a field accepts and how its values are parsed.
+const OPERATORS_BY_TYPE = {
+  string: [':', '~'],
+  token: [':'],
+  integer: [':', '<', '<=', '>', '>='],
+  timestamp: [':', '<', '<=', '>', '>='],
+  boolean: [':'],
+  metadata: [':'],
+};
+
+const CHARGE_FIELDS = {
+  id: { column: 'id', type: 'token' },
+  amount: { column: 'amount', type: 'integer' },
+  currency: { column: 'currency', type: 'token', lowercase: true },
+  status: { column: 'status', type: 'token' },
+  customer: { column: 'customer_id', type: 'token' },
+  payment_method: { column: 'payment_method_id', type: 'token' },
+  invoice: { column: 'invoice_id', type: 'token' },
+  payment_intent: { column: 'payment_intent_id', type: 'token' },
+  description: { column: 'description', type: 'string' },
+  captured: { column: 'captured', type: 'boolean' },
+  refunded: { column: 'refunded', type: 'boolean' },
+  disputed: { column: 'disputed', type: 'boolean' },
+  created: { column: 'created_at', type: 'timestamp' },
+  metadata: { column: 'metadata', type: 'metadata' },
+};
+
+const CUSTOMER_FIELDS = {
+  id: { column: 'id', type: 'token' },
+  email: { column: 'email', type: 'string' },
+  name: { column: 'name', type: 'string' },
+  description: { column: 'description', type: 'string' },
+  created: { column: 'created_at', type: 'timestamp' },
+  metadata: { column: 'metadata', type: 'metadata' },
+};
+
+const fail = (message, position) => {
+  const err = new Error(position === undefined ? message : `${message} (at position ${position + 1})`);
+  err.isSearchError = true;
+  throw err;
+};
+
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === '-') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '\'' || char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < query.length && query[j] !== char) {
+        if (query[j] === '\\' && j + 1 < query.length) {
+          j++;
+        }
+        value += query[j];
+        j++;
+      }
+      if (j >= query.length) {
+        fail('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+    } else if (/[<>:~]/.test(char)) {
+      const op = query.slice(i, i + 2) === '<=' || query.slice(i, i + 2) === '>=' ? query.slice(i, i + 2) : char;
+      tokens.push({ type: 'operator', value: op, position: i });
+      i += op.length;
+    } else if (char === '[') {
+      tokens.push({ type: '[', position: i });
+      i++;
+    } else if (char === ']') {
+      tokens.push({ type: ']', position: i });
+      i++;
+    } else {
+      const match = /^[^\s()'"<>:~[\]]+/.exec(query.slice(i));
+      const word = match[0];
+      const type = word === 'AND' || word === 'OR' ? word : 'word';
+      tokens.push({ type, value: word, position: i });
+      i += word.length;
+    }
+  }
+  return tokens;
+};
+
+// Parses a query into a tree of { type: 'or' | 'and', clauses }, { type: 'not', clause } and
+// { type: 'compare', field, key, op, value } nodes. Values stay as written; compile() types them.
+const parse = (query) => {
+  if (typeof query !== 'string' || query.trim() === '') {
+    fail('Query is required');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    fail(`Query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  const tokens = tokenize(query);
+  let pos = 0;
+  let clauseCount = 0;
+
+  const peek = () => tokens[pos];
+  const expect = (type, what) => {
+    const token = tokens[pos];
+    if (!token || token.type !== type) {
+      fail(`Expected ${what}`, token ? token.position : query.length);
+    }
+    pos++;
+    return token;
+  };
+
+  const parseClause = () => {
+    const field = expect('word', 'a field name');
+    let key = null;
+    if (peek() && peek().type === '[') {
+      pos++;
+      key = expect('string', 'a quoted metadata key').value;
+      expect(']', '"]"');
+    }
+    const op = expect('operator', 'an operator (:, ~, <, <=, > or >=)');
+    const value = peek();
+    if (!value || (value.type !== 'string' && value.type !== 'word')) {
+      fail('Expected a value', value ? value.position : query.length);
+    }
+    pos++;
+    clauseCount++;
+    if (clauseCount > MAX_CLAUSES) {
+      fail(`Query can have at most ${MAX_CLAUSES} clauses`);
+    }
+    return {
+      type: 'compare',
+      field: field.value,
+      key,
+      op: op.value,
+      value: value.value,
+      quoted: value.type === 'string',
+      position: field.position,
+    };
+  };
+
+  let parseOr;
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === '-') {
+      pos++;
+      return { type: 'not', clause: parseUnary() };
+    }
+    if (token && token.type === '(') {
+      pos++;
+      const inner = parseOr();
+      expect(')', '")"');
+      return inner;
+    }
+    return parseClause();
+  };
+
+  const parseAnd = () => {
+    const clauses = [parseUnary()];
+    while (peek() && peek().type === 'AND') {
+      pos++;
+      clauses.push(parseUnary());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+  };
+
+  parseOr = () => {
+    const clauses = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      clauses.push(parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    fail('Expected AND or OR between clauses', tokens[pos].position);
+  }
+  return tree;
+};
+
+const parseValue = (node, field) => {
+  if (node.value === 'null' && !node.quoted) {
+    return null;
+  }
+  if (field.type === 'integer') {
+    if (!/^-?\d+$/.test(node.value)) {
+      fail(`${node.field} must be compared with an integer`, node.position);
+    }
+    return Number(node.value);
+  }
+  if (field.type === 'timestamp') {
+    const date = parseTimestamp(node.value);
+    if (!date) {
+      fail(`${node.field} must be compared with a Unix timestamp or an ISO 8601 date`, node.position);
+    }
+    return date;
+  }
+  if (field.type === 'boolean') {
+    if (node.value !== 'true' && node.value !== 'false') {
+      fail(`${node.field} must be compared with true or false`, node.position);
+    }
+    return node.value === 'true';
+  }
+  if (field.uppercase) {
+    return node.value.toUpperCase();
+  }
+  return field.lowercase ? node.value.toLowerCase() : node.value;
+};
+
+// Validates a clause against `fields` and returns the field with the typed value. A bare `@alias`
+// value instead names a value list, returned as `list`.
+const checkCompare = (node, fields) => {
+  const field = fields[node.field];
+  if (!field) {
+    fail(`Unknown field ${node.field}. Searchable fields: ${Object.keys(fields).join(', ')}`, node.position);
+  }
+  if ((field.type === 'metadata') !== (node.key !== null)) {
+    fail(field.type === 'metadata' ? 'Metadata lookups need a key, as in metadata[\'key\']' : `${node.field} has no keys`, node.position);
+  }
+  if (!OPERATORS_BY_TYPE[field.type].includes(node.op)) {
+    fail(`${node.field} does not support the ${node.op} operator`, node.position);
+  }
+  if (!node.quoted && node.value.startsWith('@')) {
+    if (node.op !== ':' || (field.type !== 'token' && field.type !== 'string')) {
+      fail('Value lists can only be compared with : on text fields', node.position);
+    }
+    return { field, value: undefined, list: node.value.slice(1) };
+  }
+  const value = parseValue(node, field);
+  if (value === null && node.op !== ':') {
+    fail('null can only be compared with :', node.position);
+  }
+  if (node.op === '~' && value.length < MIN_SUBSTRING_LENGTH) {
+    fail(`Substring searches need at least ${MIN_SUBSTRING_LENGTH} characters`, node.position);
+  }
+  return { field, value, list: null };
+};
+
+const compileCompare = (node, fields, bind) => {
+  const { field, value, list } = checkCompare(node, fields);
+  if (list !== null) {
+    fail('Value lists can only be used in radar rules', node.position);
+  }
+
+  if (field.type === 'metadata') {
+    if (value === null) {
+      return `NOT COALESCE(${field.column} ? ${bind(node.key)}, false)`;
+    }
+    // Metadata values are usually strings, but a bare number also finds values stored as numbers.
+    const candidates = [{ [node.key]: value }];
+    if (!node.quoted && /^-?\d+(\.\d+)?$/.test(node.value)) {
+      candidates.push({ [node.key]: Number(node.value) });
+    }
+    return `(${candidates.map(candidate => `${field.column} @> ${bind(JSON.stringify(candidate))}::jsonb`).join(' OR ')})`;
+  }
+  if (value === null) {
+    return `${field.column} IS NULL`;
+  }
+  if (node.op === '~') {
+    return `${field.column} ILIKE ${bind(`%${value.replace(/[\\%_]/g, '\\$&')}%`)}`;
+  }
+  return `${field.column} ${node.op === ':' ? '=' : node.op} ${bind(value)}`;
+};
+
+// Compiles a parsed query to a SQL condition over `fields`, binding values through bind().
+const compile = (node, fields, bind) => {
+  if (node.type === 'and' || node.type === 'or') {
+    const joiner = node.type === 'and' ? ' AND ' : ' OR ';
+    return `(${node.clauses.map(clause => compile(clause, fields, bind)).join(joiner)})`;
+  }
+  if (node.type === 'not') {
+    return `NOT COALESCE(${compile(node.clause, fields, bind)}, false)`;
+  }
+  return compileCompare(node, fields, bind);
+};
+
+// Checks every clause of a parsed query against `fields` without running it, and returns the
+// aliases of the value lists it refers to.
+const validate = (node, fields) => {
+  if (node.type === 'and' || node.type === 'or') {
+    return node.clauses.flatMap(clause => validate(clause, fields));
+  }
+  if (node.type === 'not') {
+    return validate(node.clause, fields);
+  }
+  const { list } = checkCompare(node, fields);
+  return list === null ? [] : [list];
+};
+
+const evaluateCompare = (node, fields, context, lists) => {
+  const { field, value, list } = checkCompare(node, fields);
+  const actual = field.type === 'metadata' ? (context[node.field] || {})[node.key] : context[node.field];
+  if (list !== null) {
+    return actual != null && lists.has(list) && lists.get(list).has(String(actual));
+  }
+  if (value === null) {
+    return actual == null;
+  }
+  if (actual == null) {
+    return false;
+  }
+  if (node.op === '~') {
+    return String(actual).toLowerCase().includes(value.toLowerCase());
+  }
+  const left = actual instanceof Date ? actual.getTime() : actual;
+  const right = value instanceof Date ? value.getTime() : value;
+  switch (node.op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return field.type === 'metadata' ? String(left) === String(right) : left === right;
+  }
+};
+
+// Evaluates a parsed query against one object in memory rather than in SQL. `context` maps field
+// names to values, and `lists` maps value list aliases to Sets of the values they contain.
+const evaluate = (node, fields, context, lists = new Map()) => {
+  if (node.type === 'and') {
+    return node.clauses.every(clause => evaluate(clause, fields, context, lists));
+  }
+  if (node.type === 'or') {
+    return node.clauses.some(clause => evaluate(clause, fields, context, lists));
+  }
+  if (node.type === 'not') {
+    return !evaluate(node.clause, fields, context, lists);
+  }
+  return evaluateCompare(node, fields, context, lists);
+};
+
+// Adds the condition for a search query to list filters.
+// Returns { error, param } if the query is invalid, or null.
+const addQuery = (filters, query, fields) => {
+  try {
+    filters.addCondition(bind => compile(parse(query), fields, bind));
+    return null;
+  } catch (err) {
+    if (!err.isSearchError) {
+      throw err;
+    }
+    return { error: `Invalid search query: ${err.message}.`, param: 'query' };
+  }
+};
+
+module.exports = {
+  CHARGE_FIELDS,
+  CUSTOMER_FIELDS,
+  parse,
+  compile,
+  validate,
+  evaluate,
+  addQuery,
+};
@@ -0,0 +1,146 @@
+// Simulated issuer: decides how a charge on a given card turns out.
+// Magic card numbers give deterministic outcomes so integrations can exercise failure paths;
+// any other valid, unexpired card is approved. Test cards are issued in the US unless `country` says otherwise;
+// where other cards were issued is not known.
+// Cards with `three_d_secure: 'required'` are declined unless the cardholder authenticated the payment,
+// which only a PaymentIntent can ask them to do.
+const cards = require('./cards');
+
+const DEFAULT_DELAY_MS = 2000;
+
+const TEST_CARDS = [
+  { number: '4242424242424242', description: 'Succeeds.' },
+  {
+    number: '4000000000000002',
+    description: 'Declined with a generic decline.',
+    failure_code: 'card_declined',
+    failure_message: 'Your card was declined.',
+  },
+  {
+    number: '4000000000009995',
+    description: 'Declined for insufficient funds.',
+    failure_code: 'insufficient_funds',
+    failure_message: 'Your card has insufficient funds.',
+  },
+  {
+    number: '4000000000000069',
+    description: 'Declined as expired, whatever expiry date is given.',
+    failure_code: 'expired_card',
+    failure_message: 'Your card has expired.',
+  },
+  {
+    number: '4000000000000127',
+    description: 'Declined for an incorrect CVC.',
+    failure_code: 'incorrect_cvc',
+    failure_message: 'Your card\'s security code is incorrect.',
+  },
+  {
+    number: '4000000000000119',
+    description: 'Fails with a processing error.',
+    failure_code: 'processing_error',
+    failure_message: 'An error occurred while processing your card. Try again in a little bit.',
+  },
+  {
+    number: '4000000000000259',
+    description: 'Succeeds, then the cardholder disputes the charge as fraudulent once it is captured.',
+    dispute_reason: 'fraudulent',
+  },
+  {
+    number: '4000000000000077',
+    description: 'Succeeds after a 15 second delay, leaving the charge pending meanwhile.',
+    delay_ms: 15000,
+  },
+  {
+    number: '4000000760000002',
+    description: 'Succeeds. Issued in Brazil, for testing country checks in radar rules.',
+    country: 'BR',
+  },
+  {
+    number: '4000000000009235',
+    description: 'Succeeds, but radar assesses it as elevated risk.',
+    risk_score: 70,
+  },
+  {
+    number: '4100000000000019',
+    description: 'Radar assesses it as highest risk, so it is blocked unless an allow rule matches.',
+    risk_score: 95,
+  },
+  {
+    number: '4000002500003155',
+    description: 'Requires 3-D Secure authentication, then succeeds. Declined with authentication_required when charged directly.',
+    three_d_secure: 'required',
+  },
+  {
+    number: '4000008260003178',
+    description: 'Requires 3-D Secure authentication, then is declined for insufficient funds.',
+    three_d_secure: 'required',
+    failure_code: 'insufficient_funds',
+    failure_message: 'Your card has insufficient funds.',
+  },
+];
+
+// Only fingerprints are stored, so match on those rather than card numbers. The map is built on
+// first use, so that listing the test cards, e.g. for the API docs, needs no fingerprint secret.
+let byFingerprint = null;
+const findTestCard = (fingerprint) => {
+  byFingerprint = byFingerprint || new Map(TEST_CARDS.map(card => [cards.fingerprint(card.number), card]));
+  return byFingerprint.get(fingerprint);
+};
+
+// Whether the issuer insists on 3-D Secure for payments on the card.
+const requiresAuthentication = (card) => {
+  const testCard = findTestCard(card.fingerprint);
+  return Boolean(testCard && testCard.three_d_secure === 'required');
+};
+
+// Returns { delay_ms, failure_code, failure_message }; failure_code is null for an approval.
+const simulateAuthorization = (card) => {
+  const testCard = findTestCard(card.fingerprint);
+  if (requiresAuthentication(card) && !(card.three_d_secure && card.three_d_secure.result === 'authenticated')) {
+    return {
+      delay_ms: DEFAULT_DELAY_MS,
+      failure_code: 'authentication_required',
+      failure_message: 'The card requires authentication. Take the payment with a PaymentIntent.',
+    };
+  }
+  if (testCard) {
+    return {
+      delay_ms: testCard.delay_ms || DEFAULT_DELAY_MS,
+      failure_code: testCard.failure_code || null,
+      failure_message: testCard.failure_message || null,
+    };
+  }
+
+  // The card may have expired since it was tokenized.
+  if (cards.isExpired(card.exp_month, card.exp_year)) {
+    return { delay_ms: DEFAULT_DELAY_MS, failure_code: 'expired_card', failure_message: 'Your card has expired.' };
+  }
+  return { delay_ms: DEFAULT_DELAY_MS, failure_code: null, failure_message: null };
+};
+
+// Returns the reason the simulated cardholder disputes a captured charge with, or null.
+const simulateDispute = (card) => {
+  const testCard = findTestCard(card.fingerprint);
+  return (testCard && testCard.dispute_reason) || null;
+};
+
+// Returns the two-letter country the card was issued in, or null if it is not a test card and so unknown.
+const issuingCountry = (card) => {
+  const testCard = findTestCard(card.fingerprint);
+  return testCard ? testCard.country || 'US' : null;
+};
+
+// Returns the risk score radar should give a charge on the card, or null to score it normally.
+const simulateRiskScore = (card) => {
+  const testCard = findTestCard(card.fingerprint);
+  return (testCard && testCard.risk_score) || null;
+};
+
+module.exports = {
+  TEST_CARDS,
+  requiresAuthentication,
+  simulateAuthorization,
+  simulateDispute,
+  issuingCountry,
+  simulateRiskScore,
+};
@@ -1,17 +1,604 @@
+const { EVENT_TYPES } = require('./events');
+const { checkCard } = require('./cards');
+const currencies = require('./currencies');
+const { TEXT_EVIDENCE, FILE_EVIDENCE } = require('./disputes');
+const { INTERVALS, PRORATION_BEHAVIORS } = require('./billing');
+const { RULE_ACTIONS, VALUE_LIST_ITEM_TYPES, checkPredicate } = require('./radar');
+const checkout = require('./checkout');
+const { CANCELLATION_REASONS } = require('./paymentIntents');
+const permissions = require('./permissions');
+const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = require('./merchantUsers');
+const errors = require('./errors');
+
+// Validators throw errors that name the offending request parameter, so clients can point at the field.
+
 const validateCharge = (req, res, next) => {
-  const { amount, currency, source } = req.body;
-  if (!amount || !currency || !source) {
-    return res.status(400).json({ error: 'Amount, currency, and source are required.' });
+  const { amount, currency, source, payment_method, capture } = req.body || {};
+  if (currency === undefined) {
+    throw errors.invalidRequest('Currency is required.', { param: 'currency', code: 'parameter_missing' });
+  }
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  if (amount === undefined) {
+    throw errors.invalidRequest('Amount is required.', { param: 'amount', code: 'parameter_missing' });
+  }
+  const amountError = currencies.checkAmount(amount, currency);
+  if (amountError) {
+    throw errors.invalidRequest(amountError, { param: 'amount' });
+  }
+  if (!source && !payment_method) {
+    throw errors.invalidRequest('A source or payment_method is required.', { param: 'source', code: 'parameter_missing' });
+  }
+  if (source && payment_method) {
+    throw errors.invalidRequest('Provide either a source or a payment_method, not both.', { param: 'payment_method' });
+  }
+  if (capture !== undefined && typeof capture !== 'boolean') {
+    throw errors.invalidRequest('Capture must be a boolean.', { param: 'capture' });
+  }
+  req.body.currency = currency.toLowerCase();
+  next();
+};
+
+const validateCapture = (req, res, next) => {
+  const { amount_to_capture } = req.body || {};
+  if (amount_to_capture !== undefined && (!Number.isInteger(amount_to_capture) || amount_to_capture <= 0)) {
+    throw errors.invalidRequest('Amount to capture must be a positive integer.', { param: 'amount_to_capture' });
   }
   next();
 };
 
 const validateMetadata = (req, res, next) => {
-  const { metadata } = req.body;
+  const { metadata } = req.body || {};
   if (!metadata || typeof metadata !== 'object') {
-    return res.status(400).json({ error: 'Metadata must be an object.' });
+    throw errors.invalidRequest('Metadata must be an object.', { param: 'metadata' });
+  }
+  next();
+};
+
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+const validateRefund = (req, res, next) => {
+  const { charge, amount, reason } = req.body || {};
+  if (!charge) {
+    throw errors.invalidRequest('Charge is required.', { param: 'charge', code: 'parameter_missing' });
+  }
+  // The currency comes from the charge, so the route checks the amount against it once the charge is loaded.
+  if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+    throw errors.invalidRequest('Amount must be a positive integer.', { param: 'amount' });
+  }
+  if (reason !== undefined && !REFUND_REASONS.includes(reason)) {
+    throw errors.invalidRequest(`Reason must be one of: ${REFUND_REASONS.join(', ')}.`, { param: 'reason' });
+  }
+  next();
+};
+
+// Used for both tokens and payment methods.
+const validateCardDetails = (req, res, next) => {
+  const { card, billing_details } = req.body || {};
+  const failure = checkCard(card);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  if (billing_details !== undefined && (!billing_details || typeof billing_details !== 'object')) {
+    throw errors.invalidRequest('Billing details must be an object.', { param: 'billing_details' });
+  }
+  next();
+};
+
+const validateBankAccount = (req, res, next) => {
+  const { account_holder_name, account_number, routing_number, country, currency, default_for_currency } = req.body || {};
+  if (!account_holder_name || typeof account_holder_name !== 'string') {
+    throw errors.invalidRequest('Account holder name is required.', { param: 'account_holder_name', code: 'parameter_missing' });
+  }
+  if (typeof account_number !== 'string' || !/^\d{4,17}$/.test(account_number)) {
+    throw errors.invalidRequest('Account number must be 4 to 17 digits.', { param: 'account_number' });
+  }
+  if (typeof routing_number !== 'string' || !/^[0-9A-Za-z]{6,11}$/.test(routing_number)) {
+    throw errors.invalidRequest('Routing number must be 6 to 11 letters or digits.', { param: 'routing_number' });
+  }
+  if (typeof country !== 'string' || !/^[A-Za-z]{2}$/.test(country)) {
+    throw errors.invalidRequest('Country must be a two-letter country code.', { param: 'country' });
+  }
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  if (default_for_currency !== undefined && typeof default_for_currency !== 'boolean') {
+    throw errors.invalidRequest('default_for_currency must be a boolean.', { param: 'default_for_currency' });
+  }
+  req.body.currency = currency.toLowerCase();
+  req.body.country = country.toUpperCase();
+  next();
+};
+
+const validatePayout = (req, res, next) => {
+  const { currency, description } = req.body || {};
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    throw errors.invalidRequest('Description must be a string.', { param: 'description' });
+  }
+  req.body.currency = currency.toLowerCase();
+  next();
+};
+
+const MAX_EVIDENCE_TEXT = 20000;
+const MAX_FILE_REFERENCE = 500;
+
+const validateDisputeEvidence = (req, res, next) => {
+  const { evidence, submit } = req.body || {};
+  if (evidence !== undefined) {
+    if (!evidence || typeof evidence !== 'object' || Array.isArray(evidence)) {
+      throw errors.invalidRequest('Evidence must be an object.', { param: 'evidence' });
+    }
+    for (const [field, value] of Object.entries(evidence)) {
+      const isText = TEXT_EVIDENCE.includes(field);
+      if (!isText && !FILE_EVIDENCE.includes(field)) {
+        throw errors.invalidRequest(`Unknown evidence field. Allowed: ${[...TEXT_EVIDENCE, ...FILE_EVIDENCE].join(', ')}.`, { param: `evidence[${field}]` });
+      }
+      const maxLength = isText ? MAX_EVIDENCE_TEXT : MAX_FILE_REFERENCE;
+      if (typeof value !== 'string' || value.length > maxLength) {
+        throw errors.invalidRequest(`Evidence must be a string of at most ${maxLength} characters.`, { param: `evidence[${field}]` });
+      }
+    }
+  }
+  if (submit !== undefined && typeof submit !== 'boolean') {
+    throw errors.invalidRequest('Submit must be a boolean.', { param: 'submit' });
+  }
+  next();
+};
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Checks the fields that are present; on create, name is also required.
+const checkProduct = (body, isCreate) => {
+  const { name, description, active, metadata } = body || {};
+  if ((isCreate || name !== undefined) && (!name || typeof name !== 'string')) {
+    return { param: 'name', error: 'Name is required.' };
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return { param: 'description', error: 'Description must be a string.' };
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return { param: 'active', error: 'Active must be a boolean.' };
+  }
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    return { param: 'metadata', error: 'Metadata must be an object.' };
+  }
+  return null;
+};
+
+const validateProduct = (req, res, next) => {
+  const failure = checkProduct(req.body, true);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validateProductUpdate = (req, res, next) => {
+  const failure = checkProduct(req.body, false);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validatePrice = (req, res, next) => {
+  const { product, unit_amount, currency, recurring } = req.body || {};
+  if (!product || typeof product !== 'string') {
+    throw errors.invalidRequest('Product is required.', { param: 'product', code: 'parameter_missing' });
+  }
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  const amountError = currencies.checkAmount(unit_amount, currency);
+  if (amountError) {
+    throw errors.invalidRequest(amountError, { param: 'unit_amount' });
+  }
+  if (!isPlainObject(recurring) || !INTERVALS.includes(recurring.interval)) {
+    throw errors.invalidRequest(`Recurring interval must be one of: ${INTERVALS.join(', ')}.`, { param: 'recurring[interval]' });
+  }
+  const { interval_count: intervalCount = 1 } = recurring;
+  if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > 12) {
+    throw errors.invalidRequest('Interval count must be an integer between 1 and 12.', { param: 'recurring[interval_count]' });
+  }
+  req.body.currency = currency.toLowerCase();
+  next();
+};
+
+const checkSubscriptionItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0 || items.length > 20) {
+    return { param: 'items', error: 'Items must be an array of 1 to 20 items.' };
+  }
+  const seen = new Set();
+  for (const [index, item] of items.entries()) {
+    if (!isPlainObject(item) || !item.price || typeof item.price !== 'string') {
+      return { param: `items[${index}][price]`, error: 'Each item needs a price.' };
+    }
+    if (seen.has(item.price)) {
+      return { param: `items[${index}][price]`, error: 'Each price can only appear once.' };
+    }
+    seen.add(item.price);
+    if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return { param: `items[${index}][quantity]`, error: 'Quantity must be a positive integer.' };
+    }
+  }
+  return null;
+};
+
+// Checks the fields shared by creating and updating a subscription.
+const checkSubscription = (body) => {
+  const { default_payment_method, cancel_at_period_end, metadata } = body;
+  if (default_payment_method !== undefined && default_payment_method !== null && typeof default_payment_method !== 'string') {
+    return { param: 'default_payment_method', error: 'Default payment method must be a string.' };
+  }
+  if (cancel_at_period_end !== undefined && typeof cancel_at_period_end !== 'boolean') {
+    return { param: 'cancel_at_period_end', error: 'cancel_at_period_end must be a boolean.' };
+  }
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    return { param: 'metadata', error: 'Metadata must be an object.' };
+  }
+  return null;
+};
+
+const validateSubscription = (req, res, next) => {
+  const body = req.body || {};
+  if (!body.customer || typeof body.customer !== 'string') {
+    throw errors.invalidRequest('Customer is required.', { param: 'customer', code: 'parameter_missing' });
+  }
+  const failure = checkSubscriptionItems(body.items) || checkSubscription(body);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  const { trial_period_days } = body;
+  if (trial_period_days !== undefined && (!Number.isInteger(trial_period_days) || trial_period_days < 0 || trial_period_days > 730)) {
+    throw errors.invalidRequest('Trial period must be an integer number of days between 0 and 730.', { param: 'trial_period_days' });
+  }
+  next();
+};
+
+const validateSubscriptionUpdate = (req, res, next) => {
+  const body = req.body || {};
+  const failure = (body.items !== undefined && checkSubscriptionItems(body.items)) || checkSubscription(body);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  if (body.proration_behavior !== undefined && !PRORATION_BEHAVIORS.includes(body.proration_behavior)) {
+    throw errors.invalidRequest(`Proration behavior must be one of: ${PRORATION_BEHAVIORS.join(', ')}.`, { param: 'proration_behavior' });
+  }
+  next();
+};
+
+// Checks the fields that are present; on create, action and predicate are also required.
+const checkRadarRule = (body, isCreate) => {
+  const { action, predicate, description, active } = body || {};
+  if ((isCreate || action !== undefined) && !RULE_ACTIONS.includes(action)) {
+    return { param: 'action', error: `Action must be one of: ${RULE_ACTIONS.join(', ')}.` };
+  }
+  if ((isCreate || predicate !== undefined) && (!predicate || typeof predicate !== 'string')) {
+    return { param: 'predicate', error: 'Predicate is required.' };
+  }
+  if (predicate !== undefined) {
+    const failure = checkPredicate(predicate);
+    if (failure.error) {
+      return failure;
+    }
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return { param: 'description', error: 'Description must be a string.' };
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return { param: 'active', error: 'Active must be a boolean.' };
+  }
+  return null;
+};
+
+const validateRadarRule = (req, res, next) => {
+  const failure = checkRadarRule(req.body, true);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validateRadarRuleUpdate = (req, res, next) => {
+  const failure = checkRadarRule(req.body, false);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validateValueList = (req, res, next) => {
+  const { alias, name, item_type } = req.body || {};
+  if (typeof alias !== 'string' || !/^[a-z0-9_]{1,100}$/.test(alias)) {
+    throw errors.invalidRequest('Alias is required and may only contain lowercase letters, digits and underscores.', { param: 'alias' });
+  }
+  if (!name || typeof name !== 'string') {
+    throw errors.invalidRequest('Name is required.', { param: 'name', code: 'parameter_missing' });
+  }
+  if (item_type !== undefined && !VALUE_LIST_ITEM_TYPES.includes(item_type)) {
+    throw errors.invalidRequest(`Item type must be one of: ${VALUE_LIST_ITEM_TYPES.join(', ')}.`, { param: 'item_type' });
+  }
+  next();
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+// Checks the fields that are present; on create, url and enabled_events are also required.
+const checkWebhookEndpoint = (body, isCreate) => {
+  const { url, enabled_events, status } = body || {};
+  if (isCreate && (!url || !enabled_events)) {
+    return { error: 'URL and enabled_events are required.', param: url ? 'enabled_events' : 'url', code: 'parameter_missing' };
+  }
+  if (url !== undefined && !isHttpUrl(url)) {
+    return { error: 'URL must be a valid http or https URL.', param: 'url' };
+  }
+  if (enabled_events !== undefined) {
+    const allowed = ['*', ...EVENT_TYPES];
+    if (!Array.isArray(enabled_events) || enabled_events.length === 0) {
+      return { error: 'enabled_events must be a non-empty array.', param: 'enabled_events' };
+    }
+    const unknown = enabled_events.filter(type => !allowed.includes(type));
+    if (unknown.length > 0) {
+      return { error: `Unknown event types: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}.`, param: 'enabled_events' };
+    }
+  }
+  if (status !== undefined && !['enabled', 'disabled'].includes(status)) {
+    return { error: 'Status must be one of: enabled, disabled.', param: 'status' };
+  }
+  return null;
+};
+
+const validateWebhookEndpoint = (req, res, next) => {
+  const failure = checkWebhookEndpoint(req.body, true);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validateWebhookEndpointUpdate = (req, res, next) => {
+  const failure = checkWebhookEndpoint(req.body, false);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const checkLineItems = (lineItems) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0 || lineItems.length > 100) {
+    return { param: 'line_items', error: 'Line items must be an array of 1 to 100 items.' };
+  }
+  for (const [index, item] of lineItems.entries()) {
+    if (!isPlainObject(item) || typeof item.name !== 'string' || item.name.trim() === '') {
+      return { param: `line_items[${index}][name]`, error: 'Each line item needs a name.', code: 'parameter_missing' };
+    }
+    if (!Number.isInteger(item.unit_amount) || item.unit_amount < 1) {
+      return { param: `line_items[${index}][unit_amount]`, error: 'Unit amount must be a positive integer in the currency\'s smallest unit.' };
+    }
+    if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return { param: `line_items[${index}][quantity]`, error: 'Quantity must be a positive integer.' };
+    }
+  }
+  return null;
+};
+
+const validateCheckoutSession = (req, res, next) => {
+  const { currency, line_items, success_url, cancel_url, customer, expires_at, metadata } = req.body || {};
+  if (currency === undefined) {
+    throw errors.invalidRequest('Currency is required.', { param: 'currency', code: 'parameter_missing' });
+  }
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  const failure = checkLineItems(line_items);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  const total = line_items.reduce((sum, item) => sum + item.unit_amount * (item.quantity || 1), 0);
+  const amountError = currencies.checkAmount(total, currency);
+  if (amountError) {
+    throw errors.invalidRequest(`The total of the line items is invalid. ${amountError}`, { param: 'line_items' });
+  }
+  for (const [param, url] of [['success_url', success_url], ['cancel_url', cancel_url]]) {
+    if (url === undefined) {
+      throw errors.invalidRequest(`${param} is required.`, { param, code: 'parameter_missing' });
+    }
+    if (!isHttpUrl(url)) {
+      throw errors.invalidRequest(`${param} must be a valid http or https URL.`, { param });
+    }
+  }
+  if (customer !== undefined && typeof customer !== 'string') {
+    throw errors.invalidRequest('Customer must be a customer ID.', { param: 'customer' });
+  }
+  if (expires_at !== undefined) {
+    const lifetimeSeconds = Number.isInteger(expires_at) ? expires_at - Date.now() / 1000 : NaN;
+    if (!(lifetimeSeconds >= checkout.MIN_LIFETIME_MINUTES * 60 && lifetimeSeconds <= checkout.MAX_LIFETIME_HOURS * 3600)) {
+      throw errors.invalidRequest(
+        `expires_at must be a Unix timestamp between ${checkout.MIN_LIFETIME_MINUTES} minutes and ${checkout.MAX_LIFETIME_HOURS} hours from now.`,
+        { param: 'expires_at' }
+      );
+    }
+  }
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    throw errors.invalidRequest('Metadata must be an object.', { param: 'metadata' });
+  }
+  req.body.currency = currency.toLowerCase();
+  next();
+};
+
+// Checks the payment intent fields that are present. Amount is checked against the currency separately.
+const checkPaymentIntent = (body) => {
+  const { source, payment_method, customer, description, return_url, metadata } = body;
+  if (source !== undefined && typeof source !== 'string') {
+    return { param: 'source', error: 'Source must be a token ID.' };
+  }
+  if (payment_method !== undefined && typeof payment_method !== 'string') {
+    return { param: 'payment_method', error: 'Payment method must be a payment method ID.' };
+  }
+  if (source && payment_method) {
+    return { param: 'payment_method', error: 'Provide either a source or a payment_method, not both.' };
+  }
+  if (customer !== undefined && typeof customer !== 'string') {
+    return { param: 'customer', error: 'Customer must be a customer ID.' };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { param: 'description', error: 'Description must be a string.' };
+  }
+  if (return_url !== undefined && !isHttpUrl(return_url)) {
+    return { param: 'return_url', error: 'return_url must be a valid http or https URL.' };
+  }
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    return { param: 'metadata', error: 'Metadata must be an object.' };
+  }
+  return null;
+};
+
+const validatePaymentIntent = (req, res, next) => {
+  const body = req.body || {};
+  const { amount, currency, confirm } = body;
+  if (currency === undefined) {
+    throw errors.invalidRequest('Currency is required.', { param: 'currency', code: 'parameter_missing' });
+  }
+  if (!currencies.lookup(currency)) {
+    throw errors.invalidRequest(`Unsupported currency. Supported: ${currencies.SUPPORTED_CURRENCIES.join(', ')}.`, { param: 'currency' });
+  }
+  if (amount === undefined) {
+    throw errors.invalidRequest('Amount is required.', { param: 'amount', code: 'parameter_missing' });
+  }
+  const amountError = currencies.checkAmount(amount, currency);
+  if (amountError) {
+    throw errors.invalidRequest(amountError, { param: 'amount' });
+  }
+  if (confirm !== undefined && typeof confirm !== 'boolean') {
+    throw errors.invalidRequest('Confirm must be a boolean.', { param: 'confirm' });
+  }
+  if (confirm && !body.source && !body.payment_method) {
+    throw errors.invalidRequest('A source or payment_method is required to confirm.', { param: 'payment_method', code: 'parameter_missing' });
+  }
+  const failure = checkPaymentIntent(body);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  req.body.currency = currency.toLowerCase();
+  next();
+};
+
+const validatePaymentIntentUpdate = (req, res, next) => {
+  const body = req.body || {};
+  if (body.amount !== undefined && (!Number.isInteger(body.amount) || body.amount <= 0)) {
+    throw errors.invalidRequest('Amount must be a positive integer in the currency\'s smallest unit.', { param: 'amount' });
+  }
+  if (body.currency !== undefined) {
+    throw errors.invalidRequest('Currency cannot be changed. Create a new payment intent instead.', { param: 'currency' });
+  }
+  const failure = checkPaymentIntent(body);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validatePaymentIntentCancel = (req, res, next) => {
+  const { cancellation_reason } = req.body || {};
+  if (cancellation_reason !== undefined && !CANCELLATION_REASONS.includes(cancellation_reason)) {
+    throw errors.invalidRequest(`Cancellation reason must be one of: ${CANCELLATION_REASONS.join(', ')}.`, { param: 'cancellation_reason' });
+  }
+  next();
+};
+
+const isEmail = value => typeof value === 'string' && value.length <= 255 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+const checkPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long.`, param: 'password' };
+  }
+  return null;
+};
+
+// Checks the fields that are present; on create, email, role and password are also required.
+const checkMerchantUser = (body, isCreate) => {
+  const { email, name, role, password } = body || {};
+  if (isCreate && !isEmail(email)) {
+    return { error: 'A valid email is required.', param: 'email' };
+  }
+  if ((isCreate || role !== undefined) && !Object.keys(permissions.ROLES).includes(role)) {
+    return { error: `Role must be one of: ${Object.keys(permissions.ROLES).join(', ')}.`, param: 'role' };
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    return { error: 'Name must be a string.', param: 'name' };
+  }
+  if (isCreate || password !== undefined) {
+    return checkPassword(password);
+  }
+  return null;
+};
+
+const validateMerchantUser = (req, res, next) => {
+  const failure = checkMerchantUser(req.body, true);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validateMerchantUserUpdate = (req, res, next) => {
+  if (req.body && req.body.email !== undefined) {
+    throw errors.invalidRequest('Email cannot be changed. Add the member again with the new email instead.', { param: 'email' });
+  }
+  const failure = checkMerchantUser(req.body, false);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
+  }
+  next();
+};
+
+const validateRestrictedKey = (req, res, next) => {
+  const { name, permissions: keyPermissions } = req.body || {};
+  if (name !== undefined && (typeof name !== 'string' || name.length > 255)) {
+    throw errors.invalidRequest('Name must be a string of at most 255 characters.', { param: 'name' });
+  }
+  const failure = permissions.checkKeyPermissions(keyPermissions);
+  if (failure) {
+    throw errors.invalidRequest(failure.error, failure);
   }
   next();
 };
 
-module.exports = { validateCharge, validateMetadata };
\ No newline at end of file
+module.exports = {
+  validateCharge,
+  validateCapture,
+  validateCardDetails,
+  validateMetadata,
+  validateRefund,
+  validateBankAccount,
+  validatePayout,
+  validateProduct,
+  validateProductUpdate,
+  validatePrice,
+  validateSubscription,
+  validateSubscriptionUpdate,
+  validateRadarRule,
+  validateRadarRuleUpdate,
+  validateValueList,
+  validateDisputeEvidence,
+  validateWebhookEndpoint,
+  validateWebhookEndpointUpdate,
+  validateCheckoutSession,
+  validatePaymentIntent,
+  validatePaymentIntentUpdate,
+  validatePaymentIntentCancel,
+  checkPassword,
+  validateMerchantUser,
+  validateMerchantUserUpdate,
+  validateRestrictedKey,
+};
\ No newline at end of file
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const queue = require('./queue');
+
+const SIGNATURE_HEADER = 'PayWay-Signature';
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Deliveries back off exponentially through the job queue; 8 attempts spans roughly 20 minutes.
+const DELIVERY_MAX_ATTEMPTS = 8;
+
+// Live endpoints must be on the public internet. Otherwise anyone with an account could have the worker
+// POST to services on our own network, such as a cloud metadata service. Test mode allows them, so
+// that endpoints on localhost work during development.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata services
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'], // multicast and reserved
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'], // multicast
+].forEach(([network, prefix, type]) => PRIVATE_RANGES.addSubnet(network, prefix, type));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges too.
+const isPrivateAddress = address => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// URL hostnames keep the brackets around IPv6 addresses.
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Returns an error message if a live endpoint may not use `url`, or null. A name that does not resolve
+// yet is let through: every delivery checks the address it connects to anyway.
+const checkDestination = async (url) => {
+  const host = hostOf(url);
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (err) {
+      return null;
+    }
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  if (!blocked) {
+    return null;
+  }
+  const reason = blocked === host ? `${host} is a private address` : `${host} resolves to the private address ${blocked}`;
+  return `Live webhook endpoints must be publicly reachable, but ${reason}.`;
+};
+
+// dns.lookup for live deliveries, used as the connection's resolver so that the address checked is
+// the one connected to, and a second DNS answer cannot swap in a private one.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the private address ${blocked.address}.`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POSTs a delivery and resolves to the response status. Redirects are not followed, so they can't
+// lead a live delivery somewhere it could not have been sent directly.
+const post = (url, headers, body, { livemode }) => new Promise((resolve, reject) => {
+  const host = hostOf(url);
+  if (livemode && net.isIP(host) && isPrivateAddress(host)) {
+    // Addresses in the URL are connected to without a lookup.
+    return reject(new Error(`${host} is a private address.`));
+  }
+  const request = (new URL(url).protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: livemode ? publicLookup : undefined,
+    timeout: DELIVERY_TIMEOUT_MS,
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error(`Timed out after ${DELIVERY_TIMEOUT_MS} ms.`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Header value in the form `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+const sign = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Queues a delivery of an event (a row from the events table) to every enabled endpoint
+// subscribed to its type. Pass options.client to tie the deliveries to the caller's transaction.
+const dispatch = async (event, { client = db } = {}) => {
+  const { rows: endpoints } = await client.query(
+    "SELECT id FROM webhook_endpoints WHERE merchant_id = $1 AND livemode = $2 AND status = 'enabled' AND ($3 = ANY(enabled_events) OR '*' = ANY(enabled_events))",
+    [event.merchant_id, event.livemode, event.type]
+  );
+  for (const endpoint of endpoints) {
+    await queue.enqueue(
+      { type: 'deliver_webhook', data: { id: event.id, webhook_endpoint_id: endpoint.id, event } },
+      { client, maxAttempts: DELIVERY_MAX_ATTEMPTS }
+    );
+  }
+};
+
+// Sends one signed delivery and logs it as a webhook attempt. Never throws on HTTP failures.
+const deliver = async (endpoint, event) => {
+  const body = JSON.stringify(event);
+  let responseCode = null;
+  let error = null;
+
+  try {
+    responseCode = await post(endpoint.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PayWay-Webhooks/1.0',
+      [SIGNATURE_HEADER]: sign(body, endpoint.secret),
+    }, body, { livemode: endpoint.livemode });
+  } catch (err) {
+    error = err.message;
+  }
+
+  const succeeded = responseCode !== null && responseCode >= 200 && responseCode < 300;
+  const { rows } = await db.query(
+    'INSERT INTO webhook_attempts(id, webhook_endpoint_id, event_id, event_type, payload, succeeded, response_code, error) VALUES($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+    [`wha_${uuidv4()}`, endpoint.id, event.id, event.type, body, succeeded, responseCode, error]
+  );
+  return rows[0];
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  generateSecret,
+  sign,
+  isPrivateAddress,
+  checkDestination,
+  dispatch,
+  deliver,
+};
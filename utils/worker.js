@@ -1,38 +1,479 @@
+const os = require('os');
 const db = require('./db');
 const queue = require('./queue');
+const { purgeExpiredKeys } = require('./idempotency');
+const webhooks = require('./webhooks');
+const events = require('./events');
+const testCards = require('./testCards');
+const ledger = require('./ledger');
+const payouts = require('./payouts');
+const bankRail = require('./bankRail');
+const disputes = require('./disputes');
+const billing = require('./billing');
+const rateLimit = require('./rateLimit');
+const radar = require('./radar');
+const checkout = require('./checkout');
+const paymentIntents = require('./paymentIntents');
+const logger = require('./logger');
+const migrate = require('./migrate');
 
-const processJob = async (job) => {
-  if (job.type === 'process_charge') {
-    const { id, amount, currency, description, merchant_id, source } = job.data;
-    try {
-      // Simulate payment validation
-      if (!source || source !== 'valid_token') {
-        throw new Error('Invalid source');
+// Uncaptured authorizations are released after this many days.
+const AUTHORIZATION_EXPIRY_DAYS = parseInt(process.env.AUTHORIZATION_EXPIRY_DAYS, 10) || 7;
+// Number of jobs this process works on at once.
+const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY, 10) || 4;
+const IDLE_POLL_MS = 10 * 1000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const log = logger.child({ worker_id: WORKER_ID });
+
+// Handlers throw only on infrastructure errors, which the queue retries with backoff.
+// They must therefore be safe to run more than once for the same job.
+const processCharge = async (job) => {
+  const {
+    id, amount, currency, description, merchant_id, livemode, customer_id,
+    payment_method_id, payment_method_details, invoice_id, payment_intent_id, ip_address, capture = true, reviewed = false,
+  } = job.data;
+
+  const { rows: existing } = await db.query('SELECT status FROM charges WHERE id = $1', [id]);
+  if (existing.length > 0 && existing[0].status !== 'pending') {
+    return; // Finished by an earlier attempt
+  }
+
+  // Insert pending
+  await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO charges(id, merchant_id, livemode, customer_id, amount, currency, status, description, payment_method_id, payment_method_details, invoice_id, payment_intent_id, capture_method, ip_address)
+       VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) ON CONFLICT (id) DO NOTHING RETURNING *`,
+      [id, merchant_id, livemode, customer_id, amount, currency, 'pending', description, payment_method_id, payment_method_details, invoice_id || null,
+        payment_intent_id || null, capture ? 'automatic' : 'manual', ip_address || null]
+    );
+    if (rows.length > 0) {
+      await events.record('charge.created', rows[0], { client });
+    }
+  });
+
+  // Radar decides whether the charge goes to the issuer at all. Charges approved from review skip it.
+  if (!reviewed) {
+    const outcome = await radar.assess(job.data);
+    const stopped = await db.transaction(async (client) => {
+      if (outcome.action === 'block') {
+        const { rows } = await client.query(
+          `UPDATE charges SET status = 'failed', failure_code = 'blocked', failure_message = $1, outcome = $2
+           WHERE id = $3 AND status = 'pending' RETURNING *`,
+          ['The charge was blocked as too risky.', outcome, id]
+        );
+        if (rows.length > 0) {
+          await events.record('charge.failed', rows[0], { client });
+          await billing.handleChargeResult(rows[0], { client });
+          await checkout.handleChargeResult(rows[0], { client });
+          await paymentIntents.handleChargeResult(rows[0], { client });
+        }
+        return true;
       }
+      if (outcome.action === 'review') {
+        const { rows } = await client.query(
+          "UPDATE charges SET status = 'in_review', outcome = $1 WHERE id = $2 AND status = 'pending' RETURNING *",
+          [outcome, id]
+        );
+        if (rows.length > 0) {
+          await events.record('charge.review.opened', rows[0], { client });
+        }
+        return true;
+      }
+      await client.query('UPDATE charges SET outcome = $1 WHERE id = $2', [outcome, id]);
+      return false;
+    });
+    if (stopped) {
+      return;
+    }
+  }
 
-      // Insert pending
-      await db.query('INSERT INTO charges(id, merchant_id, amount, currency, status, description) VALUES($1, $2, $3, $4, $5, $6)',
-        [id, merchant_id, amount, currency, 'pending', description]);
+  // Simulate the round trip to the issuer
+  const decision = testCards.simulateAuthorization(payment_method_details.card);
+  await new Promise(resolve => setTimeout(resolve, decision.delay_ms));
 
-      await new Promise(resolve => setTimeout(resolve, 2000));
+  await db.transaction(async (client) => {
+    if (decision.failure_code) {
+      const { rows } = await client.query(
+        'UPDATE charges SET status = $1, failure_code = $2, failure_message = $3 WHERE id = $4 RETURNING *',
+        ['failed', decision.failure_code, decision.failure_message, id]
+      );
+      await events.record('charge.failed', rows[0], { client });
+      await billing.handleChargeResult(rows[0], { client });
+      await checkout.handleChargeResult(rows[0], { client });
+      await paymentIntents.handleChargeResult(rows[0], { client });
+      return;
+    }
 
+    let charge;
+    if (capture) {
       // Update to succeeded
-      await db.query('UPDATE charges SET status = $1 WHERE id = $2', ['succeeded', id]);
-    } catch (err) {
-      await db.query('INSERT INTO charges(id, merchant_id, amount, currency, status, description) VALUES($1, $2, $3, $4, $5, $6)',
-        [id, merchant_id, amount, currency, 'failed', description]);
+      const result = await client.query(
+        'UPDATE charges SET status = $1, captured = true, amount_captured = amount WHERE id = $2 RETURNING *',
+        ['succeeded', id]
+      );
+      charge = await ledger.recordCharge(result.rows[0], { client });
+    } else {
+      // Hold the funds until the merchant captures or cancels
+      const result = await client.query(
+        'UPDATE charges SET status = $1, authorization_expires_at = NOW() + make_interval(days => $2) WHERE id = $3 RETURNING *',
+        ['authorized', AUTHORIZATION_EXPIRY_DAYS, id]
+      );
+      charge = result.rows[0];
+    }
+    // An authorization is a successful charge too; `captured` tells the two apart.
+    await events.record('charge.succeeded', charge, { client });
+    await billing.handleChargeResult(charge, { client });
+    await checkout.handleChargeResult(charge, { client });
+    await paymentIntents.handleChargeResult(charge, { client });
+
+    const disputeReason = charge.captured && testCards.simulateDispute(payment_method_details.card);
+    if (disputeReason) {
+      await disputes.open(charge, { reason: disputeReason, client });
+    }
+  });
+};
+
+const processRefund = async (job) => {
+  const { id, charge_id, amount } = job.data;
+
+  // Simulate the round trip to the card network
+  await new Promise(resolve => setTimeout(resolve, 2000));
+
+  await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'UPDATE refunds SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+      ['succeeded', id, 'pending']
+    );
+    if (rows.length === 0) {
+      return; // Finished by an earlier attempt
+    }
+    await ledger.recordRefund(rows[0], { client });
+    const { rows: chargeRows } = await client.query(
+      'UPDATE charges SET amount_refunded = amount_refunded + $1, refunded = (amount_refunded + $1 >= amount_captured) WHERE id = $2 RETURNING *',
+      [amount, charge_id]
+    );
+    await events.record('charge.refunded', chargeRows[0], { client });
+  });
+};
+
+// Called once a refund job has run out of attempts. Failing the refund releases its amount,
+// since only pending and succeeded refunds count against what is left to refund on the charge.
+const failRefund = async (job) => {
+  const { id } = job.data;
+  await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'UPDATE refunds SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+      ['failed', id, 'pending']
+    );
+    if (rows.length > 0) {
+      await events.record('refund.failed', rows[0], { client });
+    }
+  });
+};
+
+// Walks a payout through the simulated bank rail: pending -> in_transit, then paid or failed.
+// The job re-enqueues itself between the two steps.
+const processPayout = async (job) => {
+  const { id } = job.data;
+  const { rows } = await db.query('SELECT * FROM payouts WHERE id = $1', [id]);
+  if (rows.length === 0) {
+    return;
+  }
+
+  if (rows[0].status === 'pending') {
+    await db.transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE payouts SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+        ['in_transit', id, 'pending']
+      );
+      if (result.rows.length === 0) {
+        return; // Finished by an earlier attempt
+      }
+      await events.record('payout.updated', result.rows[0], { client });
+      await queue.enqueue({ type: 'process_payout', data: result.rows[0] }, { client, delaySeconds: payouts.ARRIVAL_DELAY_SECONDS });
+    });
+    return;
+  }
+
+  if (rows[0].status !== 'in_transit') {
+    return; // Finished by an earlier attempt
+  }
+
+  const { rows: accountRows } = await db.query('SELECT * FROM bank_accounts WHERE id = $1', [rows[0].bank_account_id]);
+  const decision = bankRail.simulateTransfer(accountRows[0]);
+
+  await db.transaction(async (client) => {
+    if (decision.failure_code) {
+      const result = await client.query(
+        'UPDATE payouts SET status = $1, failure_code = $2, failure_message = $3 WHERE id = $4 AND status = $5 RETURNING *',
+        ['failed', decision.failure_code, decision.failure_message, id, 'in_transit']
+      );
+      if (result.rows.length > 0) {
+        await ledger.recordPayoutFailure(result.rows[0], { client });
+        await events.record('payout.failed', result.rows[0], { client });
+      }
+      return;
+    }
+
+    const result = await client.query(
+      'UPDATE payouts SET status = $1, arrival_date = NOW() WHERE id = $2 AND status = $3 RETURNING *',
+      ['paid', id, 'in_transit']
+    );
+    if (result.rows.length > 0) {
+      await events.record('payout.paid', result.rows[0], { client });
     }
+  });
+};
+
+// The simulated issuer's decision on a dispute whose evidence was submitted.
+const resolveDispute = async (job) => {
+  const { id } = job.data;
+  await db.transaction(async (client) => {
+    const { rows } = await client.query('SELECT * FROM disputes WHERE id = $1 FOR UPDATE', [id]);
+    if (rows.length === 0 || rows[0].status !== 'under_review') {
+      return; // Finished by an earlier attempt, or closed by an operator
+    }
+    await disputes.close(rows[0], disputes.decide(rows[0]), { client });
+  });
+};
+
+const deliverWebhook = async (job) => {
+  const { webhook_endpoint_id, event } = job.data;
+  const { rows } = await db.query('SELECT * FROM webhook_endpoints WHERE id = $1', [webhook_endpoint_id]);
+  if (rows.length === 0 || rows[0].status !== 'enabled') {
+    return; // Endpoint was deleted or disabled since the event was queued
+  }
+
+  const attempt = await webhooks.deliver(rows[0], event);
+  if (!attempt.succeeded) {
+    throw new Error(`Webhook delivery to ${rows[0].url} failed: ${attempt.error || `HTTP ${attempt.response_code}`}`);
   }
 };
 
-const startWorker = () => {
-  console.log('Worker started. Listening for jobs...');
-  setInterval(() => {
-    const job = queue.dequeue();
-    if (job) {
-      processJob(job);
+const expireAuthorizations = async () => {
+  try {
+    const rows = await db.transaction(async (client) => {
+      const result = await client.query(
+        'UPDATE charges SET status = $1 WHERE status = $2 AND authorization_expires_at <= NOW() RETURNING *',
+        ['expired', 'authorized']
+      );
+      for (const charge of result.rows) {
+        await events.record('charge.expired', charge, { client });
+      }
+      return result.rows;
+    });
+    if (rows.length > 0) {
+      log.info('Expired uncaptured authorizations', { count: rows.length });
+    }
+  } catch (err) {
+    log.error('Error expiring authorizations', { err });
+  }
+};
+
+const settleBalances = async () => {
+  try {
+    const rows = await ledger.settle();
+    if (rows.length > 0) {
+      log.info('Settled balance transactions', { count: rows.length });
+    }
+  } catch (err) {
+    log.error('Error settling balances', { err });
+  }
+};
+
+const createScheduledPayouts = async () => {
+  try {
+    const rows = await payouts.runScheduledPayouts();
+    if (rows.length > 0) {
+      log.info('Created scheduled payouts', { count: rows.length });
     }
-  }, 3000); // Check for jobs every 3 seconds
+  } catch (err) {
+    log.error('Error creating scheduled payouts', { err });
+  }
+};
+
+const expireDisputes = async () => {
+  try {
+    const rows = await disputes.expireOverdue();
+    if (rows.length > 0) {
+      log.info('Closed unanswered disputes as lost', { count: rows.length });
+    }
+  } catch (err) {
+    log.error('Error expiring disputes', { err });
+  }
 };
 
-startWorker();
+const advanceSubscriptions = async () => {
+  try {
+    const rows = await billing.advanceSubscriptions();
+    if (rows.length > 0) {
+      log.info('Advanced subscriptions to a new billing period', { count: rows.length });
+    }
+  } catch (err) {
+    log.error('Error advancing subscriptions', { err });
+  }
+};
+
+const retryInvoicePayments = async () => {
+  try {
+    const rows = await billing.retryDueInvoices();
+    if (rows.length > 0) {
+      log.info('Retried payment on invoices', { count: rows.length });
+    }
+  } catch (err) {
+    log.error('Error retrying invoice payments', { err });
+  }
+};
+
+const expireCheckoutSessions = async () => {
+  try {
+    const rows = await checkout.expireOverdue();
+    if (rows.length > 0) {
+      log.info('Expired checkout sessions', { count: rows.length });
+    }
+  } catch (err) {
+    log.error('Error expiring checkout sessions', { err });
+  }
+};
+
+const purgeRateLimitBuckets = async () => {
+  try {
+    await rateLimit.purgeIdle();
+  } catch (err) {
+    log.error('Error purging rate limit buckets', { err });
+  }
+};
+
+const purgeIdempotencyKeys = async () => {
+  try {
+    await purgeExpiredKeys();
+  } catch (err) {
+    log.error('Error purging idempotency keys', { err });
+  }
+};
+
+const handlers = {
+  process_charge: processCharge,
+  process_refund: processRefund,
+  process_payout: processPayout,
+  resolve_dispute: resolveDispute,
+  deliver_webhook: deliverWebhook,
+};
+
+// Run when a job is dead-lettered, to settle whatever the job left waiting on it.
+const deadLetterHandlers = {
+  process_refund: failRefund,
+};
+
+const processJob = async (job) => {
+  const handler = handlers[job.type];
+  if (!handler) {
+    throw new Error(`No handler for job type ${job.type}`);
+  }
+  await handler(job);
+};
+
+const handleDeadJob = async (job) => {
+  log.error('Job moved to dead-letter', { job_id: job.id, job_type: job.type, attempts: job.attempts });
+  const handler = deadLetterHandlers[job.type];
+  if (handler) {
+    await handler(job);
+  }
+};
+
+const recoverStaleJobs = async () => {
+  try {
+    const rows = await queue.recoverStale();
+    if (rows.length > 0) {
+      log.info('Recovered jobs from unresponsive workers', { count: rows.length });
+    }
+    for (const job of rows.filter(row => row.status === 'dead')) {
+      await handleDeadJob(job);
+    }
+  } catch (err) {
+    log.error('Error recovering stale jobs', { err });
+  }
+};
+
+// Idle slots sleep until a NOTIFY arrives, falling back to a slow poll so
+// delayed retries and notifications missed during a reconnect still get picked up.
+const sleepers = new Set();
+
+const waitForWork = () => new Promise((resolve) => {
+  const wake = () => {
+    clearTimeout(timer);
+    sleepers.delete(wake);
+    resolve();
+  };
+  const timer = setTimeout(wake, IDLE_POLL_MS);
+  sleepers.add(wake);
+});
+
+const wakeAll = () => [...sleepers].forEach(wake => wake());
+
+const runSlot = async () => {
+  for (;;) {
+    let job = null;
+    try {
+      job = await queue.claim(WORKER_ID);
+    } catch (err) {
+      log.error('Error claiming job', { err });
+    }
+
+    if (!job) {
+      await waitForWork();
+      continue;
+    }
+
+    try {
+      await processJob(job);
+      await queue.complete(job);
+    } catch (err) {
+      log.warn('Job failed', { err, job_id: job.id, job_type: job.type, attempts: job.attempts });
+      try {
+        const dead = await queue.fail(job, err);
+        if (dead) {
+          await handleDeadJob(job);
+        }
+      } catch (failErr) {
+        log.error('Error recording job failure', { err: failErr, job_id: job.id, job_type: job.type });
+      }
+    }
+  }
+};
+
+const startWorker = async () => {
+  await migrate.assertUpToDate();
+  log.info('Worker started. Listening for jobs...', { concurrency: CONCURRENCY });
+
+  const listener = await queue.listen(wakeAll);
+  listener.on('error', (err) => {
+    // Let the orchestrator restart us with a fresh LISTEN connection.
+    log.error('Lost job notification connection', { err });
+    process.exit(1);
+  });
+
+  for (let i = 0; i < CONCURRENCY; i++) {
+    runSlot();
+  }
+
+  setInterval(expireAuthorizations, 60 * 1000);
+  setInterval(settleBalances, 60 * 1000);
+  setInterval(createScheduledPayouts, 15 * 60 * 1000);
+  setInterval(expireDisputes, 60 * 1000);
+  setInterval(advanceSubscriptions, 60 * 1000);
+  setInterval(retryInvoicePayments, 60 * 1000);
+  setInterval(expireCheckoutSessions, 60 * 1000);
+  setInterval(purgeIdempotencyKeys, 60 * 60 * 1000);
+  setInterval(purgeRateLimitBuckets, 60 * 60 * 1000);
+  setInterval(recoverStaleJobs, 60 * 1000);
+};
+
+if (require.main === module) {
+  startWorker().catch((err) => {
+    log.error('Worker failed to start', { err });
+    process.exit(1);
+  });
+}
+
+module.exports = { processJob, handleDeadJob };